@@ -2,13 +2,22 @@
 
 import { Command } from 'commander';
 import Conf from 'conf';
-import { execSync, spawn } from 'child_process';
+import { execFileSync, execSync, spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import opn from 'opn';
 import http from 'http';
+import { writeJSONAtomic } from '../scripts/storage.mjs';
+import { withHistoryStore, getStorageBackend, migrateStorage, listProfiles, verifyProfile, STORAGE_BACKENDS } from '../scripts/history-store.mjs';
+import { CURRENT_SCHEMA_VERSION, migrateBackup } from '../scripts/schema.mjs';
+import { parseDuration, parseRetention, parseWindow } from '../scripts/duration.mjs';
+import { ROLLUP_TIERS, formatRollupCounts, readUsagePattern, readUsageSince } from '../scripts/data-manager.mjs';
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, DEFAULT_FORECAST_MODEL, FORECAST_MODELS, forecastQuota, formatForecast, formatResetOutlook, nextQuotaReset } from '../scripts/forecast.mjs';
+import { QUERY_WINDOW_MODES, localTimezone, resolveQueryWindow } from '../scripts/query-window.mjs';
+import { formatCost, resolvePricing } from '../scripts/pricing.mjs';
+import { BUDGET_PERIODS, budgetStatuses, budgetUsageStart, formatBudgetStatus, formatTokenAmount, parseTokenAmount } from '../scripts/budgets.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +38,19 @@ program
     .description('GLM Usage monitoring and dashboard CLI')
     .version(packageJson.version || '1.0.0');
 
+/**
+ * Query window settings as saved in config
+ */
+function getQueryWindowConfig() {
+    return {
+        mode: config.get('queryWindow.mode', 'rolling'),
+        timezone: config.get('queryWindow.timezone', localTimezone()),
+        cycleStartDay: config.get('queryWindow.cycleStartDay', 1),
+        from: config.get('queryWindow.from'),
+        to: config.get('queryWindow.to')
+    };
+}
+
 /**
  * INIT Command
  */
@@ -61,20 +83,82 @@ program
 program
     .command('config')
     .description('Manage configuration')
-    .option('--retention <period>', 'Set data retention period (24h, 7d, 30d)')
+    .option('--retention <period>', 'Set raw data retention period, e.g. 12h, 7d or 90d')
+    .option('--hourly-retention <period>', 'Set how long hourly summaries are kept (default 30d)')
+    .option('--daily-retention <period>', 'Set how long daily summaries are kept (default 365d)')
+    .option('--monthly-retention <period>', 'Set how long monthly summaries are kept (default 1825d)')
+    .option('--ca-file <path>', 'Trust an extra CA bundle (PEM) for API requests')
+    .option('--query-window <mode>', `Set the usage query window: ${QUERY_WINDOW_MODES.join(', ')}`)
+    .option('--timezone <tz>', 'Set the timezone for query windows, e.g. UTC or Europe/Berlin')
+    .option('--cycle-start-day <day>', 'Set the day of the month billing cycles start on (1-28)')
+    .option('--window-from <date>', 'Set the start of a range query window')
+    .option('--window-to <date>', 'Set the end of a range query window (default: now)')
+    .option('--forecast-model <model>', `Set the default forecast model: ${FORECAST_MODELS.join(', ')}`)
     .action((options) => {
-        if (options.retention) {
-            const validPeriods = ['24h', '7d', '30d'];
-            if (!validPeriods.includes(options.retention)) {
-                console.error(`Invalid retention period. Choose from: ${validPeriods.join(', ')}`);
+        if (options.forecastModel) {
+            if (!FORECAST_MODELS.includes(options.forecastModel)) {
+                console.error(`Invalid forecast model. Use one of: ${FORECAST_MODELS.join(', ')}`);
+                return;
+            }
+            config.set('forecast.model', options.forecastModel);
+            console.log(`✓ Forecast model set to ${options.forecastModel}`);
+        } else if (options.caFile) {
+            const caFile = path.resolve(options.caFile);
+            if (!fs.existsSync(caFile)) {
+                console.error(`CA bundle not found: ${caFile}`);
+                return;
+            }
+            config.set('caFile', caFile);
+            console.log(`✓ CA bundle set to ${caFile}`);
+        } else if (options.retention) {
+            if (!parseRetention(options.retention)) {
+                console.error('Invalid retention period. Use a duration of at least 1h, e.g. 12h, 7d or 90d');
                 return;
             }
             config.set('retention', options.retention);
             console.log(`✓ Retention set to ${options.retention}`);
+        } else if (options.hourlyRetention || options.dailyRetention || options.monthlyRetention) {
+            const changes = ROLLUP_TIERS
+                .map(tier => ({ ...tier, period: options[`${tier.label}Retention`] }))
+                .filter(tier => tier.period);
+            const invalid = changes.find(tier => !parseRetention(tier.period));
+            if (invalid) {
+                console.error(`Invalid ${invalid.label} retention period. Use a duration of at least 1h, e.g. 30d or 365d`);
+                return;
+            }
+            changes.forEach((tier) => {
+                config.set(tier.configKey, tier.period);
+                console.log(`✓ ${tier.label[0].toUpperCase()}${tier.label.slice(1)} summaries kept for ${tier.period}`);
+            });
+        } else if (options.queryWindow || options.timezone || options.cycleStartDay || options.windowFrom || options.windowTo) {
+            const changes = {
+                mode: options.queryWindow,
+                timezone: options.timezone,
+                cycleStartDay: options.cycleStartDay === undefined ? undefined : Number(options.cycleStartDay),
+                from: options.windowFrom,
+                to: options.windowTo
+            };
+            Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+            let resolved;
+            try {
+                resolved = resolveQueryWindow({ ...getQueryWindowConfig(), ...changes });
+            } catch (err) {
+                console.error(err.message);
+                return;
+            }
+            Object.entries(changes).forEach(([key, value]) => config.set(`queryWindow.${key}`, value));
+            console.log(`✓ Query window set to ${resolved.mode} in ${resolved.timezone}`);
+            console.log(`  Currently ${resolved.startTime} → ${resolved.endTime}`);
         } else {
+            const queryWindow = getQueryWindowConfig();
             console.log(`Current retention: ${config.get('retention', '24h')}`);
+            console.log(`Summary retention: ${ROLLUP_TIERS.map(tier => `${tier.label} ${config.get(tier.configKey, tier.defaultRetention)}`).join(', ')}`);
             console.log(`Auth token: ${config.get('authToken') ? '✓ Set' : '✗ Not set'}`);
             console.log(`Base URL: ${config.get('baseUrl', 'https://api.z.ai/api/anthropic')}`);
+            console.log(`CA bundle: ${config.get('caFile') || 'system default'}`);
+            console.log(`Query window: ${queryWindow.mode} (${queryWindow.timezone})`);
+            console.log(`Forecast model: ${config.get('forecast.model', DEFAULT_FORECAST_MODEL)}`);
         }
     });
 
@@ -84,73 +168,498 @@ program
 program
     .command('collect')
     .description('Collect current usage data')
-    .action(() => {
+    .option('--window <mode>', `Query window for this collection: ${QUERY_WINDOW_MODES.join(', ')}`)
+    .option('--timezone <tz>', 'Timezone for the query window, e.g. UTC')
+    .option('--from <date>', 'Start of a range query window')
+    .option('--to <date>', 'End of a range query window (default: now)')
+    .option('--all-profiles', 'Collect every configured profile concurrently')
+    .action((options) => {
+        // A start date on its own asks for a range
+        const overrides = {
+            mode: options.window || (options.from ? 'range' : undefined),
+            timezone: options.timezone,
+            from: options.from,
+            to: options.to
+        };
+        Object.keys(overrides).forEach(key => overrides[key] === undefined && delete overrides[key]);
+
+        try {
+            resolveQueryWindow({ ...getQueryWindowConfig(), ...overrides });
+        } catch (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+
         console.log('Starting usage collection...');
         try {
             const collectorPath = path.join(packageRoot, 'scripts/usage-collector.mjs');
-            execSync(`node ${collectorPath}`, { stdio: 'inherit' });
+            // Arguments are passed without a shell, so option values can't run commands
+            const args = Object.entries(overrides)
+                .flatMap(([key, value]) => [`--${key === 'mode' ? 'window' : key}`, value]);
+            if (options.allProfiles) args.push('--all-profiles');
+            execFileSync(process.execPath, [collectorPath, ...args], { stdio: 'inherit' });
         } catch (err) {
             console.error('Failed to collect data.');
         }
     });
 
+/**
+ * DAEMON Command - Run the collector on a schedule
+ */
+program
+    .command('daemon')
+    .description('Run the collector as a long-running daemon (start, status, stop)')
+    .argument('[action]', 'Daemon action: start, status, stop', 'start')
+    .option('--interval <duration>', 'Collection interval, e.g. 5m or 1h (saved to config)')
+    .option('--jitter <duration>', 'Maximum random delay added to each interval, e.g. 30s (saved to config)')
+    .option('--all-profiles', 'Collect every configured profile on each run (saved to config)')
+    .option('--no-all-profiles', 'Only collect the active profile (saved to config)')
+    .option('--foreground', 'Run in the current terminal instead of detaching')
+    .action(async (action, options) => {
+        const daemonPath = path.join(packageRoot, 'scripts/daemon.mjs');
+        const daemon = await import(daemonPath);
+
+        if (action === 'status') {
+            const status = daemon.getDaemonStatus();
+            console.log('\n🛰️  Collector Daemon');
+            if (!status.running) {
+                console.log(`   Status: stopped${status.stale ? ' (stale PID file)' : ''}\n`);
+                return;
+            }
+            console.log(`   Status: running (PID ${status.pid})`);
+            if (status.startedAt) console.log(`   Started: ${new Date(status.startedAt).toLocaleString()}`);
+            if (status.interval) console.log(`   Interval: ${status.interval / 1000}s (+ up to ${status.jitter / 1000}s jitter)`);
+            if (status.lastSuccessAt) console.log(`   Last success: ${new Date(status.lastSuccessAt).toLocaleString()}`);
+            if (status.lastError) console.log(`   Last error: ${status.lastError}`);
+            if (status.allProfiles) {
+                console.log('   Profiles: all configured');
+                Object.entries(status.profiles || {}).forEach(([profile, result]) => {
+                    const detail = result.lastError
+                        ? `✗ ${result.lastError}`
+                        : `✓ ${new Date(result.lastSuccessAt).toLocaleString()}`;
+                    console.log(`     ${profile}: ${detail}`);
+                });
+            }
+            if (status.nextRunAt) console.log(`   Next run: ${new Date(status.nextRunAt).toLocaleString()}`);
+            console.log(`   Log file: ${daemon.LOG_FILE}\n`);
+            return;
+        }
 
+        if (action === 'stop') {
+            try {
+                const stopped = await daemon.stopDaemon();
+                console.log(stopped ? '✓ Daemon stopped' : 'Daemon is not running');
+            } catch (err) {
+                console.error(`Failed to stop daemon: ${err.message}`);
+                process.exitCode = 1;
+            }
+            return;
+        }
 
+        if (action !== 'start') {
+            console.error(`Unknown daemon action "${action}". Use: start, status, stop`);
+            process.exitCode = 1;
+            return;
+        }
+
+        try {
+            if (options.interval) config.set('daemon.interval', options.interval);
+            if (options.jitter) config.set('daemon.jitter', options.jitter);
+            if (options.allProfiles !== undefined) config.set('daemon.allProfiles', options.allProfiles);
+            daemon.getDaemonSettings();
+        } catch (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        const status = daemon.getDaemonStatus();
+        if (status.running) {
+            console.error(`Daemon already running (PID ${status.pid}). Use: glm-monitor daemon stop`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (options.foreground) {
+            await daemon.runDaemon();
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(daemon.LOG_FILE), { recursive: true });
+        const logFd = fs.openSync(daemon.LOG_FILE, 'a');
+        const child = spawn(process.execPath, [daemonPath], {
+            detached: true,
+            stdio: ['ignore', logFd, logFd]
+        });
+        child.unref();
+
+        console.log(`✓ Collector daemon started (PID ${child.pid})`);
+        console.log(`  Log file: ${daemon.LOG_FILE}`);
+        console.log('  Check with: glm-monitor daemon status');
+    });
+
+/**
+ * BACKFILL Command - Fill holes in history from the usage API
+ */
 program
-    .command('predict')
-    .description('Predict when quota will be exhausted')
-    .action(async () => {
-        // We need to load history. Since this script doesn't usually load it, we'll implement a simple loader here or reuse if extracted.
-        // For simplicity and avoiding massive refactor, I'll duplicate the simple load logic or assume we can move loadHistory to a shared module later.
-        // But for now, I'll just read the file directly as done in `start` command logic.
+    .command('backfill')
+    .description('Fill gaps in history from historical usage API data')
+    .requiredOption('--from <date>', 'Start date or time, e.g. 2026-01-01 or "2026-01-01 08:00"')
+    .option('--to <date>', 'End date or time (default: now)')
+    .option('--resolution <duration>', 'Time between backfilled entries, e.g. 15m or 1h (default 1h)')
+    .option('--timezone <tz>', 'Timezone for dates and query windows, e.g. UTC')
+    .action(async (options) => {
+        const backfillPath = path.join(packageRoot, 'scripts/backfill.mjs');
+        const { backfillUsage } = await import(backfillPath);
 
-        const dataPath = path.join(os.homedir(), '.glm-monitor/usage-history.json');
-        if (!fs.existsSync(dataPath)) {
-            console.error('No usage data available. Run collect first.');
+        console.log(`\n🕰️  Backfilling usage from ${options.from} to ${options.to || 'now'}...`);
+        try {
+            const result = await backfillUsage({
+                from: options.from,
+                to: options.to,
+                resolution: options.resolution,
+                timezone: options.timezone,
+                onProgress: (done, total) => {
+                    if (done % 50 === 0) console.log(`  ${done}/${total} steps fetched`);
+                }
+            });
+
+            console.log(`✓ Backfilled ${result.added} entries (${result.skipped} of ${result.planned} steps already had data)`);
+            if (result.added > 0) {
+                console.log(`  Summaries updated: ${formatRollupCounts(result.summaries)}`);
+            }
+            if (result.error) {
+                console.error(`Backfill stopped early: ${result.error}`);
+                process.exitCode = 1;
+            }
+        } catch (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+        }
+    });
+
+/**
+ * PLUGINS Command - Manage collector plugins
+ */
+program
+    .command('plugins')
+    .description('List, add or remove collector plugins')
+    .option('--add <module>', 'Add a plugin module: a path (relative to ~/.glm-monitor) or package name')
+    .option('--remove <module>', 'Remove a plugin module')
+    .option('--timeout <duration>', 'Time each plugin hook may run, e.g. 10s (saved to config)')
+    .action(async (options) => {
+        const pluginsPath = path.join(packageRoot, 'scripts/plugins.mjs');
+        const { getPluginConfig, getPluginTimeout, loadPlugins } = await import(pluginsPath);
+        const specs = getPluginConfig();
+
+        if (options.timeout) {
+            if (parseDuration(options.timeout) === null) {
+                console.error(`Invalid plugin timeout "${options.timeout}". Use a duration such as 500ms, 10s or 1m.`);
+                process.exitCode = 1;
+                return;
+            }
+            config.set('pluginTimeout', options.timeout);
+            console.log(`✓ Plugin hook timeout set to ${options.timeout}`);
+        }
+
+        if (options.add) {
+            if (specs.some(spec => spec.module === options.add)) {
+                console.log(`Plugin ${options.add} is already configured`);
+                return;
+            }
+            const { failed } = await loadPlugins([{ module: options.add }]);
+            if (failed.length > 0) {
+                console.error(`Failed to load plugin ${options.add}: ${failed[0].error}`);
+                process.exitCode = 1;
+                return;
+            }
+            config.set('plugins', [...config.get('plugins', []), options.add]);
+            console.log(`✓ Added plugin ${options.add}`);
             return;
         }
-        const history = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
 
-        if (!history.entries || history.entries.length === 0) {
-            console.error('No usage data available. Run collect first.');
+        if (options.remove) {
+            const remaining = config.get('plugins', []).filter(spec => (typeof spec === 'string' ? spec : spec.module) !== options.remove);
+            if (remaining.length === specs.length) {
+                console.error(`Plugin ${options.remove} is not configured`);
+                process.exitCode = 1;
+                return;
+            }
+            config.set('plugins', remaining);
+            console.log(`✓ Removed plugin ${options.remove}`);
             return;
         }
 
-        const latest = history.entries[history.entries.length - 1];
+        if (options.timeout) return;
 
-        // Re-implement calculation logic here or import. 
-        // Ideally should be shared. For now, inline to minimize file churn.
+        console.log('\n🧩 Collector Plugins');
+        if (specs.length === 0) {
+            console.log('   None configured. Add one with: glm-monitor plugins --add <module>\n');
+            return;
+        }
+        const { plugins, failed } = await loadPlugins(specs);
+        plugins.forEach(plugin => console.log(`   ✓ ${plugin.name}: ${Object.keys(plugin.hooks).join(', ')} (timeout ${plugin.timeoutMs}ms)`));
+        failed.forEach(({ name, error }) => console.log(`   ✗ ${name}: ${error}`));
+        console.log(`   Default hook timeout: ${getPluginTimeout()}ms\n`);
+    });
 
-        function calculateQuotaPrediction(quotaPercent, usageHistory) {
-            const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
-            const recentEntries = usageHistory.filter(e => new Date(e.timestamp) >= sixHoursAgo);
+program
+    .command('pricing')
+    .description('Show or change the price table used for cost estimates')
+    .option('--model <name>', 'Model to set a price for ("default" for models without one)')
+    .option('--input <price>', 'Price per million input tokens for --model')
+    .option('--output <price>', 'Price per million output tokens for --model')
+    .option('--remove <name>', 'Remove a model\'s configured price')
+    .option('--plan-price <amount>', 'Monthly price of your plan, to compare pay-as-you-go cost with')
+    .option('--plan-name <name>', 'Name of your plan, e.g. "Coding Pro"')
+    .option('--currency <code>', 'Currency of the prices, e.g. USD')
+    .option('--input-share <fraction>', 'Share of tokens priced as input when the API gives no split (0-1)')
+    .action((options) => {
+        const pricingConfig = config.get('pricing', {});
+        const amount = (value) => {
+            const number = Number(value);
+            return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+        };
 
-            if (recentEntries.length < 2) return null;
+        if (options.model) {
+            const price = {};
+            for (const type of ['input', 'output']) {
+                if (options[type] === undefined) continue;
+                if (amount(options[type]) === null) {
+                    console.error(`Invalid ${type} price "${options[type]}". Use a non-negative number per million tokens.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                price[type] = amount(options[type]);
+            }
+            if (Object.keys(price).length === 0) {
+                console.error('Set at least one of --input and --output for the model');
+                process.exitCode = 1;
+                return;
+            }
+            // Model names contain dots, so the models are set as one object
+            if (options.model === 'default') {
+                config.set('pricing.default', { ...pricingConfig.default, ...price });
+            } else {
+                const model = options.model.toLowerCase();
+                config.set('pricing.models', { ...pricingConfig.models, [model]: { ...pricingConfig.models?.[model], ...price } });
+            }
+            console.log(`✓ Price for ${options.model} set: ${Object.entries(price).map(([type, value]) => `${type} ${value}/M`).join(', ')}`);
+        }
 
-            const oldest = recentEntries[0];
-            const latest = recentEntries[recentEntries.length - 1];
-            const hoursElapsed = (new Date(latest.timestamp) - new Date(oldest.timestamp)) / (1000 * 60 * 60);
-            const percentChange = latest.tokenQuotaPercent - oldest.tokenQuotaPercent;
-            const percentPerHour = percentChange / hoursElapsed;
+        if (options.remove) {
+            const models = { ...(pricingConfig.models || {}) };
+            if (!models[options.remove.toLowerCase()]) {
+                console.error(`No configured price for ${options.remove}`);
+                process.exitCode = 1;
+                return;
+            }
+            delete models[options.remove.toLowerCase()];
+            config.set('pricing.models', models);
+            console.log(`✓ Removed the configured price for ${options.remove}`);
+        }
 
-            if (percentPerHour <= 0) return null;
+        if (options.planPrice !== undefined || options.planName) {
+            const planPrice = options.planPrice === undefined ? pricingConfig.plan?.monthlyPrice ?? null : amount(options.planPrice);
+            if (options.planPrice !== undefined && planPrice === null) {
+                console.error(`Invalid plan price "${options.planPrice}". Use a non-negative number per month.`);
+                process.exitCode = 1;
+                return;
+            }
+            config.set('pricing.plan', { name: options.planName || pricingConfig.plan?.name || null, monthlyPrice: planPrice });
+            const currency = options.currency?.toUpperCase() || pricingConfig.currency;
+            console.log(`✓ Plan set to ${planPrice === null ? 'no price' : `${formatCost(planPrice, currency)}/month`}${options.planName ? ` (${options.planName})` : ''}`);
+        }
 
-            const remainingPercent = 100 - quotaPercent;
-            const hoursUntilExhausted = remainingPercent / percentPerHour;
+        if (options.currency) {
+            config.set('pricing.currency', options.currency.toUpperCase());
+            console.log(`✓ Currency set to ${options.currency.toUpperCase()}`);
+        }
 
-            return {
-                hoursUntilExhausted: Math.round(hoursUntilExhausted),
-                rate: percentPerHour.toFixed(2)
-            };
+        if (options.inputShare !== undefined) {
+            const share = amount(options.inputShare);
+            if (share === null || share > 1) {
+                console.error(`Invalid input share "${options.inputShare}". Use a fraction between 0 and 1, e.g. 0.8`);
+                process.exitCode = 1;
+                return;
+            }
+            config.set('pricing.inputShare', share);
+            console.log(`✓ Input share set to ${share}`);
+        }
+
+        if (options.model || options.remove || options.planPrice !== undefined || options.planName || options.currency || options.inputShare !== undefined) {
+            return;
         }
 
-        const prediction = calculateQuotaPrediction(latest.tokenQuotaPercent, history.entries);
+        const pricing = resolvePricing(pricingConfig);
+        const configured = Object.keys(pricingConfig.models || {});
+        console.log(`\n💰 Price Table (${pricing.currency} per million tokens)`);
+        Object.entries(pricing.models).forEach(([model, price]) => {
+            console.log(`   ${model}: input ${price.input}, output ${price.output}${configured.includes(model) ? ' (configured)' : ''}`);
+        });
+        console.log(`   Other models: input ${pricing.default.input}, output ${pricing.default.output}`);
+        console.log(`   Tokens without a split: ${Math.round(pricing.inputShare * 100)}% input`);
+        console.log(pricing.plan?.monthlyPrice !== undefined && pricing.plan?.monthlyPrice !== null
+            ? `   Plan: ${formatCost(pricing.plan.monthlyPrice, pricing.currency)}/month${pricing.plan.name ? ` (${pricing.plan.name})` : ''}\n`
+            : '   Plan: not set (glm-monitor pricing --plan-price <amount>)\n');
+    });
+
+/**
+ * The profile a budget command applies to, or null (with an error) if unknown
+ */
+function budgetProfile(options) {
+    const profile = options.profile || config.get('activeProfile', 'default');
+    if (!listProfiles().includes(profile)) {
+        console.error(`Profile "${profile}" not found.`);
+        process.exitCode = 1;
+        return null;
+    }
+    return profile;
+}
 
-        if (prediction) {
-            console.log(`\n📊 Quota Prediction:`);
-            console.log(`   Current usage: ${latest.tokenQuotaPercent}%`);
-            console.log(`   Time until exhausted: ${prediction.hoursUntilExhausted} hours`);
-            console.log(`   Consumption rate: ${prediction.rate}%/hour\n`);
+const budget = program
+    .command('budget')
+    .description('Set daily, weekly and monthly token budgets and track usage against them');
+
+budget
+    .command('set')
+    .description('Set token budgets, e.g. budget set --daily 20M --monthly 400M')
+    .option('--daily <tokens>', 'Tokens per day, e.g. 20M')
+    .option('--weekly <tokens>', 'Tokens per week (from Monday), e.g. 100M')
+    .option('--monthly <tokens>', 'Tokens per calendar month, e.g. 400M')
+    .option('--profile <name>', 'Profile to set budgets for (default: the active profile)')
+    .action((options) => {
+        const profile = budgetProfile(options);
+        if (!profile) return;
+
+        const updates = {};
+        for (const period of BUDGET_PERIODS) {
+            if (options[period] === undefined) continue;
+            const tokens = parseTokenAmount(options[period]);
+            if (tokens === null) {
+                console.error(`Invalid ${period} budget "${options[period]}". Use a token amount such as 20M, 500K or 2500000.`);
+                process.exitCode = 1;
+                return;
+            }
+            updates[period] = tokens;
+        }
+        if (Object.keys(updates).length === 0) {
+            console.error(`Set at least one of ${BUDGET_PERIODS.map(period => `--${period}`).join(', ')}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        // Profile names may contain dots, so the budgets are set as one object
+        const budgets = config.get('budgets', {});
+        config.set('budgets', { ...budgets, [profile]: { ...budgets[profile], ...updates } });
+        Object.entries(updates).forEach(([period, tokens]) => {
+            console.log(`✓ ${period[0].toUpperCase()}${period.slice(1)} budget for "${profile}" set to ${formatTokenAmount(tokens)} tokens`);
+        });
+    });
+
+budget
+    .command('clear')
+    .description('Remove token budgets (all of them unless periods are given)')
+    .option('--daily', 'Remove the daily budget')
+    .option('--weekly', 'Remove the weekly budget')
+    .option('--monthly', 'Remove the monthly budget')
+    .option('--profile <name>', 'Profile to clear budgets for (default: the active profile)')
+    .action((options) => {
+        const profile = budgetProfile(options);
+        if (!profile) return;
+
+        const budgets = { ...config.get('budgets', {}) };
+        const periods = BUDGET_PERIODS.filter(period => options[period]);
+        if (periods.length === 0) {
+            delete budgets[profile];
+        } else {
+            budgets[profile] = Object.fromEntries(Object.entries(budgets[profile] || {}).filter(([period]) => !periods.includes(period)));
+        }
+        config.set('budgets', budgets);
+        const removed = periods.length === 0 ? 'all budgets' : `the ${periods.join(' and ')} budget${periods.length > 1 ? 's' : ''}`;
+        console.log(`✓ Removed ${removed} for "${profile}"`);
+    });
+
+budget
+    .command('status', { isDefault: true })
+    .description('Show usage against each budget and where it is heading')
+    .option('--profile <name>', 'Profile to show (default: the active profile)')
+    .action((options) => {
+        const profile = budgetProfile(options);
+        if (!profile) return;
+
+        const budgets = config.get('budgets', {})[profile] || {};
+        if (!BUDGET_PERIODS.some(period => budgets[period])) {
+            console.log(`\nNo budgets set for "${profile}". Set one with: glm-monitor budget set --daily 20M\n`);
+            return;
+        }
+
+        const records = withHistoryStore(store => (store.exists() ? readUsageSince(store, budgetUsageStart()) : []), { profile });
+        console.log(`\n📉 Budgets (${profile})`);
+        budgetStatuses(budgets, records).forEach((status) => {
+            console.log(`   ${status.status === 'ok' ? '✓' : '⚠️ '} ${formatBudgetStatus(status)}`);
+            console.log(`      ${formatTokenAmount(Math.max(status.remaining, 0))} left until ${new Date(status.end).toLocaleString()}`);
+        });
+        console.log('');
+    });
+
+program
+    .command('predict')
+    .description('Predict when quota will be exhausted')
+    .option('--model <model>', `Forecast model: ${FORECAST_MODELS.join(', ')} (default: config forecast model)`)
+    .option('--window <duration>', 'How much recent history to forecast from, e.g. 3h or 12h', '6h')
+    .option('--confidence <level>', `Confidence interval level: ${CONFIDENCE_LEVELS.join(', ')}`, String(DEFAULT_CONFIDENCE))
+    .action((options) => {
+        const model = options.model || config.get('forecast.model', DEFAULT_FORECAST_MODEL);
+        const windowMs = parseWindow(options.window);
+        if (!windowMs) {
+            console.error('Invalid window. Use a duration such as 3h or 12h');
+            process.exitCode = 1;
+            return;
+        }
+
+        const since = new Date(Date.now() - windowMs);
+        const recent = withHistoryStore(store => (store.exists()
+            ? {
+                latest: store.getLatestEntry(),
+                entries: store.getEntries({ since }),
+                usage: model === 'seasonal' ? readUsagePattern(store) : undefined,
+                reset: nextQuotaReset({ resetsAt: store.getMeta().quotaLimits?.tokenQuota?.resetsAt, entries: store.getEntries() })
+            }
+            : null));
+        if (!recent || !recent.latest) {
+            console.error('No usage data available. Run collect first.');
+            return;
+        }
+
+        let forecast;
+        try {
+            forecast = forecastQuota(recent.entries, {
+                model,
+                confidence: Number(options.confidence),
+                reset: recent.reset,
+                usage: recent.usage
+            });
+        } catch (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (forecast && forecast.hoursUntilExhausted !== null) {
+            console.log(`\n📊 Quota Prediction (${forecast.model}):`);
+            console.log(`   Current usage: ${forecast.currentPercent}%`);
+            console.log(`   Time until exhausted: ${formatForecast(forecast)}`);
+            console.log(`   Exhausts at: ${new Date(forecast.exhaustsAt).toLocaleString()}`);
+            console.log(`   Consumption rate: ${forecast.rate.toFixed(2)}%/hour`);
+            if (forecast.reset) {
+                const { percentAtResetInterval: range } = forecast.reset;
+                console.log(`   Next reset: ${new Date(forecast.reset.resetsAt).toLocaleString()}${forecast.reset.source === 'cycle' ? ' (estimated from past cycles)' : ''}`);
+                console.log(`   Expected at reset: ${forecast.reset.percentAtReset.toFixed(1)}% (${range.low.toFixed(1)}–${range.high.toFixed(1)}%)`);
+                console.log(`   ${forecast.reset.exhaustsBeforeReset ? '⚠️ ' : '✓'} ${formatResetOutlook(forecast)}`);
+            }
+            console.log('');
         } else {
             console.log('\nInsufficient data for prediction or quota not increasing.\n');
         }
@@ -159,8 +668,8 @@ program
 program
     .command('analytics')
     .description('Generate analytics reports')
-    .option('--report <type>', 'Report type: summary, rates, peak', 'summary')
-    .option('--period <range>', 'Time range: 1h, 6h, 12h, 24h, 7d, 30d', '24h')
+    .option('--report <type>', 'Report type: summary, rates, peak, insights, cost, anomalies', 'summary')
+    .option('--period <range>', 'Time range, e.g. 1h, 24h, 7d or 90d', '24h')
     .action((options) => {
         const analyticsPath = path.join(packageRoot, 'scripts/analytics.mjs');
         try {
@@ -196,17 +705,18 @@ program
  */
 program
     .command('cleanup')
-    .description('Archive and clean up old data')
+    .description('Archive and clean up old data into hourly, daily and monthly summaries')
     .option('--stats', 'Show storage statistics only')
     .action(async (options) => {
         try {
             const dataManagerPath = path.join(packageRoot, 'scripts/data-manager.mjs');
             if (options.stats) {
-                const { getStorageStats } = await import(dataManagerPath);
+                const { getStorageStats, formatRollupCounts } = await import(dataManagerPath);
                 const stats = getStorageStats();
-                console.log('\n📊 Storage Statistics:');
-                console.log(`   Raw entries: ${stats.historyFile.entries}`);
-                console.log(`   Hourly summaries: ${stats.summaryFile.entries}`);
+                console.log(`\n📊 Storage Statistics (${stats.backend}):`);
+                console.log(`   Location: ${stats.location}`);
+                console.log(`   Raw entries: ${stats.entries}`);
+                console.log(`   Summaries: ${formatRollupCounts(stats.rollups)}`);
                 console.log(`   Total size: ${(stats.totalSize / 1024).toFixed(1)} KB\n`);
             } else {
                 execSync(`node ${dataManagerPath}`, { stdio: 'inherit' });
@@ -216,6 +726,95 @@ program
         }
     });
 
+/**
+ * STORAGE Command - Inspect or change the storage backend
+ */
+program
+    .command('storage')
+    .description('Show, verify or migrate stored usage data (info, verify, migrate)')
+    .argument('[action]', 'Storage action: info, verify, migrate', 'info')
+    .option('--to <backend>', `Target backend for migrate (${STORAGE_BACKENDS.join(', ')})`)
+    .option('--force', 'Overwrite data that already exists in the target backend')
+    .action((action, options) => {
+        try {
+            if (action === 'info') {
+                const backend = getStorageBackend();
+                console.log(`\n🗄️  Storage backend: ${backend}`);
+                listProfiles().forEach((profile) => {
+                    withHistoryStore((store) => {
+                        if (!store.exists()) return;
+                        const stats = store.getStats();
+                        console.log(`   ${profile}: ${stats.entries} entries, ${stats.summaries} summaries, ${(stats.totalSize / 1024).toFixed(1)} KB`);
+                        console.log(`      ${stats.location}`);
+                    }, { profile, backend });
+                });
+                console.log('');
+                return;
+            }
+
+            if (action === 'verify') {
+                const backend = getStorageBackend();
+                let failed = false;
+                console.log(`\n🔎 Verifying ${backend} storage (schema v${CURRENT_SCHEMA_VERSION})`);
+
+                listProfiles().forEach((profile) => {
+                    const result = verifyProfile({ profile, backend });
+                    if (!result.exists) return;
+
+                    if (result.error) {
+                        failed = true;
+                        console.log(`   ✗ ${profile}: ${result.error}`);
+                        return;
+                    }
+
+                    const upgrade = result.storedVersion < result.currentVersion
+                        ? ` (stored as v${result.storedVersion}, upgraded on next write)`
+                        : '';
+                    const mark = result.problems.length ? '⚠️ ' : '✓';
+                    console.log(`   ${mark} ${profile}: ${result.entries} entries, ${result.summaries} summaries${upgrade}`);
+                    result.problems.slice(0, 20).forEach(problem => console.log(`      - ${problem}`));
+                    if (result.problems.length > 20) {
+                        console.log(`      ... and ${result.problems.length - 20} more`);
+                    }
+                    if (result.problems.length) failed = true;
+                });
+
+                console.log('');
+                if (failed) process.exitCode = 1;
+                return;
+            }
+
+            if (action === 'migrate') {
+                if (!options.to) {
+                    console.error(`Specify a target backend with --to (${STORAGE_BACKENDS.join(', ')})`);
+                    process.exitCode = 1;
+                    return;
+                }
+
+                const from = getStorageBackend();
+                const results = migrateStorage({ to: options.to, from, force: options.force });
+
+                console.log(`\n✓ Migrated storage from ${from} to ${options.to}`);
+                results.forEach((result) => {
+                    if (!result.migrated) {
+                        console.log(`   ${result.profile}: skipped (${result.reason})`);
+                        return;
+                    }
+                    console.log(`   ${result.profile}: ${result.entries} entries, ${result.summaries} summaries, ${result.collectionRuns} collection runs`);
+                    console.log(`      → ${result.target}`);
+                });
+                console.log(`\n   The original ${from} data was left in place.\n`);
+                return;
+            }
+
+            console.error(`Unknown storage action "${action}". Use: info, verify, migrate`);
+            process.exitCode = 1;
+        } catch (err) {
+            console.error('Storage command failed:', err.message);
+            process.exitCode = 1;
+        }
+    });
+
 /**
  * BACKUP Command - Backup usage data
  */
@@ -225,37 +824,25 @@ program
     .option('--to <path>', 'Backup directory path')
     .action((options) => {
         const activeProfile = config.get('activeProfile', 'default');
-        const dataDir = path.join(os.homedir(), '.glm-monitor');
         const backupPath = options.to || path.join(os.homedir(), 'glm-monitor-backups');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         const backupFile = path.join(backupPath, `backup-${activeProfile}-${timestamp}.json`);
 
-        // Create backup directory
-        fs.mkdirSync(backupPath, { recursive: true });
-
-        // Determine history file path based on profile
-        const historyFileName = activeProfile === 'default'
-            ? 'usage-history.json'
-            : `${activeProfile}-usage-history.json`;
-        const summaryFileName = activeProfile === 'default'
-            ? 'usage-summary.json'
-            : `${activeProfile}-usage-summary.json`;
-
-        const historyPath = path.join(dataDir, historyFileName);
-        const summaryPath = path.join(dataDir, summaryFileName);
-
-        if (!fs.existsSync(historyPath)) {
+        const exported = withHistoryStore(store => (store.exists() ? store.exportData() : null));
+        if (!exported) {
             console.error('No usage data found. Run collect first.');
             return;
         }
 
-        const historyData = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
-        const summaryData = fs.existsSync(summaryPath)
-            ? JSON.parse(fs.readFileSync(summaryPath, 'utf-8'))
-            : { summaries: [] };
+        // Create backup directory
+        fs.mkdirSync(backupPath, { recursive: true });
+
+        const historyData = exported.history;
+        const summaryData = exported.summaries || { summaries: [] };
 
         const backup = {
             version: '1.0',
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             timestamp: new Date().toISOString(),
             profile: activeProfile,
             config: {
@@ -266,7 +853,7 @@ program
             summaries: summaryData
         };
 
-        fs.writeFileSync(backupFile, JSON.stringify(backup, null, 2));
+        writeJSONAtomic(backupFile, backup);
         const fileSize = fs.statSync(backupFile).size;
 
         console.log(`\n✓ Backup created successfully`);
@@ -317,9 +904,19 @@ program
             return;
         }
 
+        const backupVersion = backup.schemaVersion ?? 0;
+        try {
+            backup = migrateBackup(backup);
+        } catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+            return;
+        }
+
         console.log(`\n📦 Backup Information:`);
         console.log(`   Created: ${new Date(backup.timestamp).toLocaleString()}`);
         console.log(`   Profile: ${backup.profile || 'default'}`);
+        console.log(`   Schema: v${backupVersion}${backupVersion < CURRENT_SCHEMA_VERSION ? ` (upgraded to v${CURRENT_SCHEMA_VERSION})` : ''}`);
         console.log(`   History entries: ${backup.history?.entries?.length || 0}`);
         console.log(`   Summary entries: ${backup.summaries?.summaries?.length || 0}`);
 
@@ -340,27 +937,17 @@ program
             }
         }
 
-        const dataDir = path.join(os.homedir(), '.glm-monitor');
-        fs.mkdirSync(dataDir, { recursive: true });
-
         const profile = backup.profile || 'default';
-        const historyFileName = profile === 'default'
-            ? 'usage-history.json'
-            : `${profile}-usage-history.json`;
-        const summaryFileName = profile === 'default'
-            ? 'usage-summary.json'
-            : `${profile}-usage-summary.json`;
-
-        fs.writeFileSync(
-            path.join(dataDir, historyFileName),
-            JSON.stringify(backup.history, null, 2)
-        );
 
-        if (backup.summaries && backup.summaries.summaries) {
-            fs.writeFileSync(
-                path.join(dataDir, summaryFileName),
-                JSON.stringify(backup.summaries, null, 2)
-            );
+        // Imported as one storage transaction so a running collector or cleanup can't interleave
+        try {
+            withHistoryStore((store) => {
+                store.importData({ history: backup.history, summaries: backup.summaries });
+            }, { profile });
+        } catch (e) {
+            console.error('Failed to restore backup:', e.message);
+            process.exitCode = 1;
+            return;
         }
 
         console.log(`\n✓ Restored from: ${backupPath}`);
@@ -497,7 +1084,12 @@ program
             const dataDir = path.join(os.homedir(), '.glm-monitor');
             const filesToDelete = [
                 `${profileName}-usage-history.json`,
-                `${profileName}-usage-summary.json`
+                `${profileName}-usage-history.jsonl`,
+                `${profileName}-usage-history.snapshot.json`,
+                `${profileName}-usage-summary.json`,
+                `${profileName}-usage.db`,
+                `${profileName}-usage.db-wal`,
+                `${profileName}-usage.db-shm`
             ];
 
             filesToDelete.forEach(f => {
@@ -528,8 +1120,6 @@ program
             process.exitCode = 1;
             return;
         }
-        const dataPath = path.join(os.homedir(), '.glm-monitor/usage-history.json');
-
         // Always collect fresh data on start (unless --no-collect flag)
         if (options.collect !== false) {
             console.log('\x1b[36mCollecting fresh usage data...\x1b[0m');
@@ -559,15 +1149,20 @@ program
 
                 const url = new URL(req.url || '/', `http://localhost:${port}`);
                 if (url.pathname === '/data/usage-history.json') {
-                    fs.readFile(dataPath, (err, data) => {
-                        if (err) {
-                            res.statusCode = 404;
-                            res.end('Data not found');
-                        } else {
-                            res.setHeader('Content-Type', 'application/json');
-                            res.end(data);
-                        }
-                    });
+                    // Served from the history store so every backend looks the same to the dashboard
+                    let history = null;
+                    try {
+                        history = withHistoryStore(store => (store.exists() ? store.readHistory() : null));
+                    } catch (err) {
+                        console.error(`Failed to read usage history: ${err.message}`);
+                    }
+                    if (!history) {
+                        res.statusCode = 404;
+                        res.end('Data not found');
+                    } else {
+                        res.setHeader('Content-Type', 'application/json');
+                        res.end(JSON.stringify(history));
+                    }
                     return;
                 }
 
@@ -677,6 +1272,55 @@ program
         });
     });
 
+/**
+ * MOCK-SERVER Command - Serve a fake monitoring API for offline development
+ */
+program
+    .command('mock-server')
+    .description('Start a mock GLM monitoring API for offline development and tests')
+    .option('-p, --port <port>', 'Port to listen on', '8090')
+    .option('--scenario <file>', 'Scenario JSON file (rates, quotas, scripted steps)')
+    .option('--speed <factor>', 'Simulated time multiplier, e.g. 60 for an hour per minute')
+    .option('--tokens-per-hour <count>', 'Token growth rate')
+    .option('--error-rate <ratio>', 'Fraction of requests that fail, 0-1')
+    .option('--error-status <code>', 'HTTP status for injected errors', '503')
+    .option('--latency <duration>', 'Delay before each response, e.g. 200ms')
+    .option('--token <token>', 'Require this Authorization header value')
+    .action(async (options) => {
+        const port = parseInt(options.port, 10);
+        if (!Number.isFinite(port) || port <= 0 || port > 65535) {
+            console.error(`Invalid port: ${options.port}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const mockServer = await import(path.join(packageRoot, 'scripts/mock-server.mjs'));
+
+        try {
+            const scenario = options.scenario ? mockServer.loadScenario(options.scenario) : {};
+            if (options.speed) scenario.speed = Number(options.speed);
+            if (options.tokensPerHour) scenario.tokensPerHour = Number(options.tokensPerHour);
+            if (options.errorRate) scenario.errorRate = Number(options.errorRate);
+            if (options.latency) scenario.latency = options.latency;
+            if (options.token) scenario.token = options.token;
+            scenario.errorStatus = parseInt(options.errorStatus, 10);
+
+            const { url } = await mockServer.startMockServer({
+                port,
+                scenario,
+                log: (line) => console.log(`[${new Date().toISOString()}] ${line}`)
+            });
+
+            console.log(`\n🧪 Mock GLM monitoring API running on ${url}`);
+            console.log(`   Collect against it with:`);
+            console.log(`   ANTHROPIC_BASE_URL=${url}/api/anthropic ANTHROPIC_AUTH_TOKEN=${options.token || 'mock-token'} glm-monitor collect`);
+            console.log(`\n💡 Press Ctrl+C to stop the server\n`);
+        } catch (err) {
+            console.error(`Failed to start mock server: ${err.message}`);
+            process.exitCode = 1;
+        }
+    });
+
 /**
  * HEALTH-CHECK Command - Run system health diagnostics
  */
@@ -702,36 +1346,32 @@ program
         // Check 2: Data file
         console.log('\nChecking data files...');
         const dataDir = path.join(os.homedir(), '.glm-monitor');
-        const activeProfile = config.get('activeProfile', 'default');
-        const historyFileName = activeProfile === 'default'
-            ? 'usage-history.json'
-            : `${activeProfile}-usage-history.json`;
-        const historyFile = path.join(dataDir, historyFileName);
 
-        if (fs.existsSync(historyFile)) {
-            const stats = fs.statSync(historyFile);
-            console.log(`  ✓ History file exists (${stats.size} bytes)`);
+        try {
+            withHistoryStore((store) => {
+                if (!store.exists()) {
+                    console.log('  ✗ No history file - Run: glm-monitor collect');
+                    allPassed = false;
+                    return;
+                }
 
-            try {
-                const data = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
-                console.log(`  ✓ ${data.entries?.length || 0} entries`);
+                const stats = store.getStats();
+                console.log(`  ✓ History ${stats.backend === 'json' ? 'file' : 'database'} exists (${stats.totalSize} bytes)`);
+                console.log(`  ✓ ${stats.entries} entries`);
 
                 // Check for stale data
-                if (data.lastUpdated) {
-                    const lastUpdated = new Date(data.lastUpdated);
-                    const staleMinutes = (Date.now() - lastUpdated.getTime()) / (1000 * 60);
+                const { lastUpdated } = store.getMeta();
+                if (lastUpdated) {
+                    const staleMinutes = (Date.now() - new Date(lastUpdated).getTime()) / (1000 * 60);
                     if (staleMinutes > 30) {
                         console.log(`  ⚠️  Data is ${Math.round(staleMinutes)} minutes old`);
                     } else {
                         console.log(`  ✓ Data is recent (${Math.round(staleMinutes)} minutes old)`);
                     }
                 }
-            } catch (e) {
-                console.log('  ✗ Failed to parse history file');
-                allPassed = false;
-            }
-        } else {
-            console.log('  ✗ No history file - Run: glm-monitor collect');
+            });
+        } catch (e) {
+            console.log(`  ✗ Failed to read usage history (${e.message})`);
             allPassed = false;
         }
 
@@ -790,7 +1430,7 @@ program
 program
     .command('insights')
     .description('Generate usage insights and patterns')
-    .option('--period <range>', 'Time range: 1h, 6h, 12h, 24h, 7d, 30d', '24h')
+    .option('--period <range>', 'Time range, e.g. 1h, 24h, 7d or 90d', '24h')
     .action((options) => {
         const analyticsPath = path.join(packageRoot, 'scripts/analytics.mjs');
         try {
@@ -1,26 +1,149 @@
 #!/usr/bin/env node
 
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
-
 import { fileURLToPath } from 'url';
+import Conf from 'conf';
+import { withHistoryStore } from './history-store.mjs';
+import { bucketEnd, readCombinedData } from './data-manager.mjs';
+import { counterDelta, recordTokens, withDeltas } from './cycles.mjs';
+import { parseWindow } from './duration.mjs';
+import { formatTokenAmount } from './budgets.mjs';
+import { comparePlan, formatCost, resolvePricing, spanOf, sumCosts } from './pricing.mjs';
+
+const config = new Conf({ projectName: 'glm-monitor' });
+
+/**
+ * The price table: defaults with the `pricing` config on top
+ */
+export function getPricing() {
+    return resolvePricing(config.get('pricing', {}));
+}
+
+/**
+ * Gap markers are written by the collector when a collection fails
+ */
+export function isGapEntry(entry) {
+    return entry?.type === 'gap';
+}
 
-const HISTORY_FILE = path.join(os.homedir(), '.glm-monitor', 'usage-history.json');
+// The latest reading of a quota percentage; backfilled entries have none
+function latestPercent(entries, field) {
+    const reading = entries.findLast(e => typeof e[field] === 'number');
+    return reading ? `${reading[field]}%` : 'unknown';
+}
 
 export function generateSummaryReport(entries, period) {
-    const latest = entries[entries.length - 1];
-    const first = entries[0];
+    const dataEntries = entries.filter(e => !isGapEntry(e));
+    const gapCount = entries.length - dataEntries.length;
+    const latest = dataEntries[dataEntries.length - 1];
+    const first = dataEntries[0];
 
     console.log(`\n📊 GLM Usage Summary (${period})\n`);
     console.log(`Total Model Calls:  ${latest.modelCalls.toLocaleString()}`);
     console.log(`Total Tokens Used:  ${(latest.tokensUsed / 1000000).toFixed(2)}M`);
     console.log(`Total MCP Calls:    ${latest.mcpCalls}`);
-    console.log(`Token Quota:        ${latest.tokenQuotaPercent}%`);
-    console.log(`Time Quota:         ${latest.timeQuotaPercent}%`);
+    console.log(`Token Quota:        ${latestPercent(dataEntries, 'tokenQuotaPercent')}`);
+    console.log(`Time Quota:         ${latestPercent(dataEntries, 'timeQuotaPercent')}`);
 
-    const tokenGrowth = ((latest.tokensUsed - first.tokensUsed) / (first.tokensUsed || 1)) * 100;
+    // A summary's own first reading, so growth covers the whole bucket
+    const firstTokens = first.stats?.tokensUsed.first ?? first.tokensUsed;
+    const tokenGrowth = ((latest.tokensUsed - firstTokens) / (firstTokens || 1)) * 100;
     console.log(`Token Growth:       ${tokenGrowth.toFixed(1)}%`);
+
+    if (gapCount > 0) {
+        console.log(`Collection Gaps:    ${gapCount} missed collection${gapCount === 1 ? '' : 's'}`);
+    }
+}
+
+// Usage recorded since the previous entry, or across a summary's bucket
+function usageOf(entry) {
+    if (entry.deltas) return { tokens: entry.deltas.tokensUsed, calls: entry.deltas.modelCalls };
+    return { tokens: entry.tokensDelta || 0, calls: entry.callsDelta || 0 };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How many intervals before each one make up its baseline
+export const ANOMALY_WINDOW = 24;
+// Modified z-score above which an interval counts as a spike
+export const ANOMALY_THRESHOLD = 3.5;
+// Fewer intervals than this say too little about what usual usage is
+const MIN_BASELINE = 8;
+// Steady usage has little spread, so a spike must also be this many times the usual rate
+const MIN_SPIKE_RATIO = 2;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Token rate of each interval: { timestamp, tokens, tokensPerHour }
+ * An entry's interval runs from the end of the record before it, so rates
+ * stay comparable across collection intervals, outages and summaries.
+ */
+function usageIntervals(entries) {
+    const records = withDeltas(entries).filter(e => !isGapEntry(e));
+    const endOf = record => (record.resolution ? bucketEnd(record.timestamp, record.resolution) : new Date(record.timestamp).getTime());
+
+    return records.flatMap((record, i) => {
+        // A summary covers its bucket; the first raw reading has nothing to start from
+        if (!record.resolution && i === 0) return [];
+        const start = record.resolution ? new Date(record.timestamp).getTime() : endOf(records[i - 1]);
+        const hours = (endOf(record) - start) / HOUR_MS;
+        if (hours <= 0) return [];
+        const tokens = recordTokens(record);
+        return [{ timestamp: record.timestamp, tokens, tokensPerHour: tokens / hours }];
+    });
+}
+
+/**
+ * Intervals whose token rate spikes far above the ones before them
+ *
+ * Each interval's rate is scored against the previous `window` intervals with
+ * a modified z-score, 0.6745 × (rate − median) / MAD, which a single earlier
+ * spike can't skew the way it would a mean and standard deviation. When over
+ * half the baseline has the same rate (often idle intervals) MAD is zero, and
+ * the mean absolute deviation stands in for it; a baseline with no spread at
+ * all can't tell a spike from a change of pace, so nothing is flagged. A
+ * spike must also be at least twice the median rate, since very steady usage
+ * would otherwise flag any busier stretch.
+ *
+ * Returns { timestamp, tokens, tokensPerHour, baseline, score } per spike,
+ * where baseline is the median rate it was compared with.
+ */
+export function detectAnomalies(entries, { window = ANOMALY_WINDOW, threshold = ANOMALY_THRESHOLD } = {}) {
+    const intervals = usageIntervals(entries);
+
+    return intervals.flatMap((interval, i) => {
+        const rates = intervals.slice(Math.max(0, i - window), i).map(previous => previous.tokensPerHour);
+        if (rates.length < MIN_BASELINE) return [];
+
+        const baseline = median(rates);
+        const deviations = rates.map(rate => Math.abs(rate - baseline));
+        const mad = median(deviations);
+        const scale = mad > 0 ? mad / 0.6745 : 1.2533 * deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+        if (scale === 0) return [];
+
+        const score = (interval.tokensPerHour - baseline) / scale;
+        if (score < threshold || interval.tokensPerHour < baseline * MIN_SPIKE_RATIO) return [];
+        return [{
+            ...interval,
+            tokensPerHour: Math.round(interval.tokensPerHour),
+            baseline: Math.round(baseline),
+            score: Math.round(score * 10) / 10
+        }];
+    });
+}
+
+/**
+ * One line about a spike, e.g. "1.2M tokens/hour, 8× the usual 150K (score 12.4)"
+ */
+export function describeAnomaly(anomaly) {
+    const usual = anomaly.baseline > 0
+        ? `${Number((anomaly.tokensPerHour / anomaly.baseline).toFixed(1))}× the usual ${formatTokenAmount(anomaly.baseline)}`
+        : 'usually idle';
+    return `${formatTokenAmount(anomaly.tokensPerHour)} tokens/hour, ${usual} (score ${anomaly.score})`;
 }
 
 export function generateRatesReport(entries) {
@@ -29,13 +152,15 @@ export function generateRatesReport(entries) {
     for (let i = 1; i < entries.length; i++) {
         const prev = entries[i - 1];
         const curr = entries[i];
+        // Don't compute rates across a failed collection
+        if (isGapEntry(prev) || isGapEntry(curr)) continue;
         const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / (1000 * 60 * 60);
 
         if (timeDiff > 0) {
             hourlyRates.push({
                 timestamp: curr.timestamp,
-                tokensPerHour: (curr.tokensUsed - prev.tokensUsed) / timeDiff,
-                callsPerHour: (curr.modelCalls - prev.modelCalls) / timeDiff
+                tokensPerHour: (curr.tokensDelta ?? counterDelta(prev.tokensUsed, curr.tokensUsed)) / timeDiff,
+                callsPerHour: (curr.callsDelta ?? counterDelta(prev.modelCalls, curr.modelCalls)) / timeDiff
             });
         }
     }
@@ -62,13 +187,15 @@ export function generateRatesReport(entries) {
 export function generatePeakUsageReport(entries) {
     const hourlyUsage = {};
 
-    entries.forEach(entry => {
+    // Sum what was used in each interval; the readings themselves are cumulative
+    withDeltas(entries).filter(e => !isGapEntry(e)).forEach(entry => {
         const hour = new Date(entry.timestamp).getHours();
         if (!hourlyUsage[hour]) {
             hourlyUsage[hour] = { tokens: 0, calls: 0, count: 0 };
         }
-        hourlyUsage[hour].tokens += entry.tokensUsed;
-        hourlyUsage[hour].calls += entry.modelCalls;
+        const usage = usageOf(entry);
+        hourlyUsage[hour].tokens += usage.tokens;
+        hourlyUsage[hour].calls += usage.calls;
         hourlyUsage[hour].count += 1;
     });
 
@@ -87,9 +214,11 @@ export function generatePeakUsageReport(entries) {
     console.log(`   Avg Tokens/Entry: ${(peakHour[1].tokens / peakHour[1].count).toFixed(0)}`);
 }
 
-export function generateInsights(entries) {
+export function generateInsights(allEntries) {
     console.log('\n💡 Usage Insights\n');
 
+    const entries = withDeltas(allEntries).filter(e => !isGapEntry(e));
+
     if (entries.length < 2) {
         console.log('Insufficient data for insights.');
         return;
@@ -102,8 +231,9 @@ export function generateInsights(entries) {
         if (!hourlyUsage[hour]) {
             hourlyUsage[hour] = { tokens: 0, calls: 0 };
         }
-        hourlyUsage[hour].tokens += entry.tokensUsed;
-        hourlyUsage[hour].calls += entry.modelCalls;
+        const usage = usageOf(entry);
+        hourlyUsage[hour].tokens += usage.tokens;
+        hourlyUsage[hour].calls += usage.calls;
     });
 
     const peakHour = Object.entries(hourlyUsage)
@@ -124,8 +254,9 @@ export function generateInsights(entries) {
         if (!dailyUsage[day]) {
             dailyUsage[day] = { tokens: 0, calls: 0, entries: 0 };
         }
-        dailyUsage[day].tokens += entry.tokensUsed;
-        dailyUsage[day].calls += entry.modelCalls;
+        const usage = usageOf(entry);
+        dailyUsage[day].tokens += usage.tokens;
+        dailyUsage[day].calls += usage.calls;
         dailyUsage[day].entries += 1;
     });
 
@@ -140,27 +271,78 @@ export function generateInsights(entries) {
         });
     }
 
-    // Growth rate
-    if (entries.length > 10) {
-        const recent = entries.slice(-10);
-        const older = entries.slice(0, 10);
+    // Spikes against the usual token rate (see detectAnomalies)
+    const anomalies = detectAnomalies(allEntries);
+    console.log('\n🚨 Unusual Usage:');
+    if (anomalies.length === 0) {
+        console.log('   ✓ No spikes above the usual token rate');
+    } else {
+        const latest = anomalies[anomalies.length - 1];
+        console.log(`   ⚠️  ${anomalies.length} spike${anomalies.length === 1 ? '' : 's'} above the usual token rate`);
+        console.log(`   Latest: ${new Date(latest.timestamp).toLocaleString()}, ${describeAnomaly(latest)}`);
+        console.log('   See glm-monitor analytics --report anomalies');
+    }
 
-        const recentRate = (recent[recent.length - 1].tokensUsed - recent[0].tokensUsed) / recent.length;
-        const olderRate = (older[older.length - 1].tokensUsed - older[0].tokensUsed) / older.length;
+    console.log('');
+}
 
-        const growthFactor = recentRate / (olderRate || 1);
+/**
+ * What the usage would cost on pay-as-you-go pricing, and how that compares
+ * with the plan price
+ */
+export function generateCostReport(entries, period, pricing = getPricing()) {
+    const costs = sumCosts(withDeltas(entries), pricing);
+    const money = amount => formatCost(amount, pricing.currency);
+
+    console.log(`\n💰 Cost Estimate (${period}, pay-as-you-go)\n`);
+    console.log(`Total:              ${money(costs.total)} for ${(costs.tokens / 1000000).toFixed(2)}M tokens`);
+
+    const models = Object.entries(costs.byModel).sort(([, a], [, b]) => b.cost - a.cost);
+    if (models.length > 0) {
+        console.log('\nBy model:');
+        models.forEach(([model, usage]) => {
+            const split = `${(usage.inputTokens / 1000000).toFixed(2)}M in / ${(usage.outputTokens / 1000000).toFixed(2)}M out`;
+            console.log(`   ${model}: ${money(usage.cost)} (${split}${usage.estimated ? ', split estimated' : ''})`);
+        });
+    }
+    if (costs.estimated) {
+        console.log(`\n   Input/output splits marked estimated assume ${Math.round(pricing.inputShare * 100)}% input tokens.`);
+    }
 
-        console.log('\n📈 Usage Trend:');
-        if (growthFactor > 1.2) {
-            console.log(`   ⚠️  Usage increasing rapidly (${((growthFactor - 1) * 100).toFixed(0)}% faster)`);
-        } else if (growthFactor < 0.8) {
-            console.log(`   ✓ Usage decreasing (${((1 - growthFactor) * 100).toFixed(0)}% slower)`);
-        } else {
-            console.log(`   → Usage stable`);
-        }
+    const comparison = comparePlan(costs.total, spanOf(entries), pricing);
+    if (comparison.projectedMonthly === null) {
+        console.log('\nNot enough history to project a monthly cost.');
+        return;
+    }
+    console.log(`\nProjected monthly:  ${money(comparison.projectedMonthly)}`);
+    if (!comparison.plan) {
+        console.log('Set your plan price to compare: glm-monitor pricing --plan-price <amount>');
+        return;
+    }
+    console.log(`Plan:               ${money(comparison.plan.monthlyPrice)}/month${comparison.plan.name ? ` (${comparison.plan.name})` : ''}`);
+    if (comparison.cheaper === 'plan') {
+        console.log(`✓ The plan saves ${money(comparison.difference)}/month over pay-as-you-go`);
+    } else {
+        console.log(`→ Pay-as-you-go would cost ${money(-comparison.difference)}/month less than the plan`);
     }
+}
 
-    console.log('');
+/**
+ * Every spike in the period, with the rate it was compared with
+ */
+export function generateAnomalyReport(entries, period) {
+    const anomalies = detectAnomalies(entries);
+
+    console.log(`\n🚨 Usage Anomalies (${period})\n`);
+    if (anomalies.length === 0) {
+        console.log('No spikes above the usual token rate.');
+        return;
+    }
+    anomalies.forEach((anomaly) => {
+        console.log(`⚠️  ${new Date(anomaly.timestamp).toLocaleString()}: ${describeAnomaly(anomaly)}`);
+        console.log(`   ${(anomaly.tokens / 1000000).toFixed(2)}M tokens in the interval`);
+    });
+    console.log(`\nFlagged when the modified z-score against the previous ${ANOMALY_WINDOW} intervals reaches ${ANOMALY_THRESHOLD}.`);
 }
 
 export function runCLI(args) {
@@ -173,26 +355,27 @@ export function runCLI(args) {
 }
 
 function run(reportType, period) {
-    // Load data
-    if (!fs.existsSync(HISTORY_FILE)) {
-        console.error('No usage data found. Run glm-monitor collect first.');
-        process.exit(1);
-    }
+    // Default to the last 24 hours if the period is invalid
+    const range = parseWindow(period) ? period : '24h';
 
-    let data;
+    // Load data; periods longer than raw retention are read from the rollups
+    let filteredEntries;
     try {
-        data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
+        filteredEntries = withHistoryStore((store) => {
+            if (!store.exists()) return null;
+            return readCombinedData(store, range);
+        });
     } catch (e) {
-        console.error('Failed to parse history file.');
+        console.error(`Failed to read usage history: ${e.message}`);
         process.exit(1);
     }
 
-    const retentionMap = { '1h': 12, '6h': 72, '12h': 144, '24h': 288, '7d': 2016, '30d': 8640 };
-    // Default to 24h count if period invalid or not found
-    const entriesCount = retentionMap[period] || 288;
-    const filteredEntries = data.entries.slice(-entriesCount);
+    if (!filteredEntries) {
+        console.error('No usage data found. Run glm-monitor collect first.');
+        process.exit(1);
+    }
 
-    if (filteredEntries.length === 0) {
+    if (filteredEntries.filter(e => !isGapEntry(e)).length === 0) {
         console.error('Not enough data for the specified period.');
         process.exit(1);
     }
@@ -211,8 +394,14 @@ function run(reportType, period) {
         case 'insights':
             generateInsights(filteredEntries);
             break;
+        case 'cost':
+            generateCostReport(filteredEntries, period);
+            break;
+        case 'anomalies':
+            generateAnomalyReport(filteredEntries, period);
+            break;
         default:
-            console.log('Unknown report type. Use: summary, rates, peak, insights');
+            console.log('Unknown report type. Use: summary, rates, peak, insights, cost, anomalies');
     }
 }
 
@@ -8,13 +8,18 @@
  */
 
 import express from 'express';
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
 import Conf from 'conf';
+import { openHistoryStore, getStorageBackend } from './history-store.mjs';
+import { readCombinedData, readUsagePattern, readUsageSince, getTierRetentions } from './data-manager.mjs';
+import { DEFAULT_RETENTION, parseRetention, parseWindow } from './duration.mjs';
+import { counterDelta, currentCycle } from './cycles.mjs';
+import { sumModelUsage } from './models.mjs';
+import { comparePlan, costOfRecord, resolvePricing, spanOf, sumCosts } from './pricing.mjs';
+import { budgetStatuses, budgetUsageStart } from './budgets.mjs';
+import { ANOMALY_THRESHOLD, ANOMALY_WINDOW, detectAnomalies } from './analytics.mjs';
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, DEFAULT_FORECAST_MODEL, FORECAST_MODELS, forecastQuota, isExhaustionImminent, nextQuotaReset, roundResetOutlook } from './forecast.mjs';
 
 const config = new Conf({ projectName: 'glm-monitor' });
-const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
 
 /**
  * Get the active profile name
@@ -23,49 +28,36 @@ function getActiveProfile() {
     return config.get('activeProfile', 'default');
 }
 
-/**
- * Get the history file path for the active profile
- */
-function getHistoryFilePath() {
-    const activeProfile = getActiveProfile();
-    const fileName = activeProfile === 'default'
-        ? 'usage-history.json'
-        : `${activeProfile}-usage-history.json`;
-    return path.join(DATA_DIR, fileName);
-}
+// Open stores are reused across requests (one per backend and profile)
+const stores = new Map();
 
 /**
- * Get the summary file path for the active profile
+ * Get the history store for the active profile
  */
-function getSummaryFilePath() {
-    const activeProfile = getActiveProfile();
-    const fileName = activeProfile === 'default'
-        ? 'usage-summary.json'
-        : `${activeProfile}-usage-summary.json`;
-    return path.join(DATA_DIR, fileName);
+function getStore() {
+    const profile = getActiveProfile();
+    const key = `${getStorageBackend()}:${profile}`;
+    if (!stores.has(key)) {
+        stores.set(key, openHistoryStore({ profile }));
+    }
+    return stores.get(key);
 }
 
 /**
- * Load usage data from files
+ * Load usage data from storage
+ * Options are passed to the store's range query ({ since, until, limit });
+ * set summaries to also load the rollup summaries.
  */
-function loadData() {
+function loadData({ summaries = false, ...range } = {}) {
     try {
-        const historyPath = getHistoryFilePath();
-        const summaryPath = getSummaryFilePath();
+        const store = getStore();
 
-        if (!fs.existsSync(historyPath)) {
+        if (!store.exists()) {
             return null;
         }
 
-        const data = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
-        let summaries = [];
-
-        if (fs.existsSync(summaryPath)) {
-            const summaryData = JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
-            summaries = summaryData.summaries || [];
-        }
-
-        return { ...data, summaries };
+        const data = store.readHistory(range);
+        return summaries ? { ...data, summaries: store.getSummaries() } : data;
     } catch (err) {
         console.error('Error loading data:', err.message);
         return null;
@@ -73,16 +65,23 @@ function loadData() {
 }
 
 /**
- * Time range mapping for filtering entries
+ * Entries for a time range; ranges reaching past raw retention add the
+ * rollups, whose per-interval usage sums the same way
+ */
+function loadRange(range) {
+    const rangeMs = parseWindow(range);
+    return rangeMs > getTierRetentions().raw
+        ? readCombinedData(getStore(), range)
+        : getStore().getEntries({ since: new Date(Date.now() - rangeMs) });
+}
+
+/**
+ * Entries that hold usage data (excludes gap markers from failed collections)
  */
-const RANGE_MAP = {
-    '1h': 12,
-    '6h': 72,
-    '12h': 144,
-    '24h': 288,
-    '7d': 2016,
-    '30d': 8640
-};
+function getDataEntries(entries) {
+    return (entries || []).filter(e => e.type !== 'gap');
+}
+
 
 // Create Express app
 const app = express();
@@ -127,7 +126,8 @@ app.get('/api/health', (req, res) => {
         dataAvailable: !!data,
         lastUpdated: data?.lastUpdated || null,
         entriesCount: data?.entries?.length || 0,
-        summariesCount: data?.summaries?.length || 0,
+        summariesCount: data ? getStore().countSummaries() : 0,
+        storageBackend: getStorageBackend(),
         activeProfile: activeProfile
     });
 });
@@ -137,14 +137,13 @@ app.get('/api/health', (req, res) => {
  * Returns the most recent usage data point
  */
 app.get('/api/current', (req, res) => {
-    const data = loadData();
+    const data = loadData({ limit: 1 });
+    const latest = data ? getStore().getLatestEntry() : null;
 
-    if (!data || !data.entries || data.entries.length === 0) {
+    if (!latest) {
         return res.status(404).json({ error: 'No data available' });
     }
 
-    const latest = data.entries[data.entries.length - 1];
-
     res.json({
         timestamp: latest.timestamp,
         modelCalls: latest.modelCalls,
@@ -161,50 +160,54 @@ app.get('/api/current', (req, res) => {
 /**
  * GET /api/history - Historical data with optional range
  * Query params:
- *   - range: 1h, 6h, 12h, 24h, 7d, 30d
+ *   - range: any time window, e.g. 1h, 6h, 24h, 7d, 90d (default: everything)
  *   - format: 'raw' (default) or 'summary'
  */
 app.get('/api/history', (req, res) => {
-    const data = loadData();
+    const { range, format } = req.query;
+
+    const rangeMs = range ? parseWindow(range) : null;
+    if (range && !rangeMs) {
+        return res.status(400).json({ error: `Invalid range "${range}". Use a duration such as 6h, 7d or 90d.` });
+    }
+
+    // Filter by timestamp, so the window holds for any collection interval
+    const since = rangeMs ? new Date(Date.now() - rangeMs) : undefined;
+    const data = loadData(since ? { since } : {});
 
     if (!data) {
         return res.status(404).json({ error: 'No data available' });
     }
 
-    const { range, format } = req.query;
     let entries = [...(data.entries || [])];
 
-    // Filter by range
-    if (range && RANGE_MAP[range]) {
-        const limit = RANGE_MAP[range];
-        entries = entries.slice(-limit);
-    }
-
-    // Include summaries for long ranges (7d, 30d)
-    if ((range === '7d' || range === '30d') && data.summaries && data.summaries.length > 0) {
-        // Prepend summaries for data older than what's in entries
-        const oldestEntryTime = entries.length > 0 ? new Date(entries[0].timestamp) : new Date();
-        const relevantSummaries = data.summaries.filter(s => new Date(s.timestamp) < oldestEntryTime);
-        entries = [...relevantSummaries, ...entries];
+    // Ranges reaching past raw retention come from the rollups, at a
+    // resolution suited to the range (hourly, daily or monthly)
+    if (rangeMs > getTierRetentions().raw) {
+        entries = readCombinedData(getStore(), range);
     }
 
     // Format selection
     if (format === 'summary') {
-        if (entries.length === 0) {
+        const dataEntries = getDataEntries(entries);
+        if (dataEntries.length === 0) {
             return res.status(404).json({ error: 'No data for the specified range' });
         }
 
-        const first = entries[0];
-        const last = entries[entries.length - 1];
+        const first = dataEntries[0];
+        const last = dataEntries[dataEntries.length - 1];
+        // Summaries keep the first reading of their bucket
+        const firstTokens = first.stats?.tokensUsed.first ?? first.tokensUsed;
 
         res.json({
             totalModelCalls: last.modelCalls || 0,
             totalTokensUsed: last.tokensUsed || 0,
             totalMcpCalls: last.mcpCalls || 0,
-            tokenGrowth: first.tokensUsed > 0
-                ? ((last.tokensUsed - first.tokensUsed) / first.tokensUsed) * 100
+            tokenGrowth: firstTokens > 0
+                ? ((last.tokensUsed - firstTokens) / firstTokens) * 100
                 : 0,
-            entryCount: entries.length,
+            entryCount: dataEntries.length,
+            gapCount: entries.length - dataEntries.length,
             timeRange: {
                 start: first.timestamp,
                 end: last.timestamp
@@ -221,61 +224,82 @@ app.get('/api/history', (req, res) => {
 });
 
 /**
- * GET /api/predict - Quota exhaustion prediction
+ * GET /api/predict - Quota exhaustion forecast
  * Query params:
- *   - timeWindow: hours to use for rate calculation (default: 6h)
+ *   - timeWindow: time window to forecast from, e.g. 30m, 6h or 7d (default: 6h)
+ *   - model: regression, ewma or seasonal (default: the forecast.model config)
+ *   - confidence: confidence interval level, 0.8, 0.9, 0.95 or 0.99 (default: 0.9)
  */
 app.get('/api/predict', (req, res) => {
-    const data = loadData();
-
-    if (!data || !data.entries || data.entries.length < 2) {
-        return res.status(404).json({ error: 'Insufficient data for prediction' });
+    const {
+        timeWindow = '6h',
+        model = config.get('forecast.model', DEFAULT_FORECAST_MODEL),
+        confidence = String(DEFAULT_CONFIDENCE)
+    } = req.query;
+    const windowMs = parseWindow(timeWindow);
+
+    if (!windowMs) {
+        return res.status(400).json({ error: `Invalid timeWindow "${timeWindow}". Use a duration such as 30m, 6h or 7d.` });
+    }
+    if (!FORECAST_MODELS.includes(model)) {
+        return res.status(400).json({ error: `Invalid model. Use one of: ${FORECAST_MODELS.join(', ')}` });
+    }
+    if (!CONFIDENCE_LEVELS.includes(Number(confidence))) {
+        return res.status(400).json({ error: `Invalid confidence. Use one of: ${CONFIDENCE_LEVELS.join(', ')}` });
     }
 
-    const { timeWindow = '6h' } = req.query;
-    const windowHours = parseInt(timeWindow) || 6;
-
-    const cutoffDate = new Date(Date.now() - windowHours * 60 * 60 * 1000);
-    const recentEntries = data.entries.filter(e => new Date(e.timestamp) >= cutoffDate);
+    const cutoffDate = new Date(Date.now() - windowMs);
+    const data = loadData({ since: cutoffDate });
+    // Only the current quota cycle; a reset would read as negative usage
+    const recentEntries = currentCycle(data?.entries || []);
 
     if (recentEntries.length < 2) {
+        if (!data || getStore().countEntries() < 2) {
+            return res.status(404).json({ error: 'Insufficient data for prediction' });
+        }
         return res.status(404).json({ error: 'Insufficient data for prediction in the specified window' });
     }
 
-    const oldest = recentEntries[0];
-    const latest = recentEntries[recentEntries.length - 1];
-    const hoursElapsed = (new Date(latest.timestamp) - new Date(oldest.timestamp)) / (1000 * 60 * 60);
-
-    if (hoursElapsed <= 0) {
-        return res.status(400).json({ error: 'Invalid time window' });
+    const forecast = forecastQuota(data.entries, {
+        model,
+        confidence: Number(confidence),
+        reset: nextQuotaReset({ resetsAt: data.quotaLimits?.tokenQuota?.resetsAt, entries: getStore().getEntries() }),
+        usage: model === 'seasonal' ? readUsagePattern(getStore()) : undefined
+    });
+    // Fewer than two quota readings, e.g. a window of backfilled entries
+    if (!forecast) {
+        return res.status(404).json({ error: 'Insufficient quota readings for prediction in the specified window' });
     }
 
-    const percentChange = latest.tokenQuotaPercent - oldest.tokenQuotaPercent;
-    const percentPerHour = percentChange / hoursElapsed;
+    const latest = recentEntries[recentEntries.length - 1];
+    const described = {
+        tokenQuotaPercent: latest.tokenQuotaPercent,
+        timeQuotaPercent: latest.timeQuotaPercent,
+        model: forecast.model,
+        confidence: forecast.confidence,
+        window: timeWindow
+    };
 
     // If not consuming quota (rate <= 0)
-    if (percentPerHour <= 0) {
+    if (forecast.hoursUntilExhausted === null) {
         return res.json({
-            tokenQuotaPercent: latest.tokenQuotaPercent,
-            timeQuotaPercent: latest.timeQuotaPercent,
+            ...described,
             hoursUntilExhausted: null,
             rate: 0,
             message: 'Quota not being consumed or decreasing',
-            window: `${windowHours}h`,
             profile: getActiveProfile()
         });
     }
 
-    const remainingPercent = 100 - latest.tokenQuotaPercent;
-    const hoursUntilExhausted = remainingPercent / percentPerHour;
-
+    const round = hours => (hours === null ? null : Math.round(hours));
     res.json({
-        tokenQuotaPercent: latest.tokenQuotaPercent,
-        timeQuotaPercent: latest.timeQuotaPercent,
-        hoursUntilExhausted: Math.round(hoursUntilExhausted),
-        rate: parseFloat(percentPerHour.toFixed(2)),
-        window: `${windowHours}h`,
-        status: hoursUntilExhausted < 24 ? 'warning' : 'ok',
+        ...described,
+        hoursUntilExhausted: Math.round(forecast.hoursUntilExhausted),
+        interval: { low: round(forecast.interval.low), high: round(forecast.interval.high) },
+        exhaustsAt: forecast.exhaustsAt,
+        rate: parseFloat(forecast.rate.toFixed(2)),
+        reset: roundResetOutlook(forecast.reset),
+        status: isExhaustionImminent(forecast) ? 'warning' : 'ok',
         profile: getActiveProfile()
     });
 });
@@ -302,7 +326,7 @@ app.get('/api/settings', (req, res) => {
     });
 
     res.json({
-        retention: config.get('retention', '24h'),
+        retention: config.get('retention', DEFAULT_RETENTION),
         activeProfile: activeProfile,
         profiles: profileList,
         baseUrl: config.get('baseUrl', 'https://api.z.ai/api/anthropic')
@@ -311,17 +335,16 @@ app.get('/api/settings', (req, res) => {
 
 /**
  * POST /api/settings - Update configuration
- * Body: { retention: '24h' | '7d' | '30d' }
+ * Body: { retention: any duration of at least 1h, e.g. '12h', '7d', '90d' }
  */
 app.post('/api/settings', (req, res) => {
     const { retention } = req.body;
 
     if (retention) {
-        const validPeriods = ['24h', '7d', '30d'];
-        if (!validPeriods.includes(retention)) {
+        if (!parseRetention(retention)) {
             return res.status(400).json({
                 error: 'Invalid retention period',
-                validOptions: validPeriods
+                hint: 'Use a duration of at least 1h, e.g. 12h, 7d or 90d'
             });
         }
         config.set('retention', retention);
@@ -330,7 +353,7 @@ app.post('/api/settings', (req, res) => {
     res.json({
         success: true,
         settings: {
-            retention: config.get('retention', '24h'),
+            retention: config.get('retention', DEFAULT_RETENTION),
             activeProfile: getActiveProfile()
         }
     });
@@ -339,43 +362,169 @@ app.post('/api/settings', (req, res) => {
 /**
  * GET /api/rates - Calculate usage rates
  * Query params:
- *   - window: hours to use for rate calculation (default: 1h)
+ *   - window: time window to calculate rates over, e.g. 30m, 1h or 7d (default: 1h)
  */
 app.get('/api/rates', (req, res) => {
-    const data = loadData();
+    const { window = '1h' } = req.query;
+    const windowMs = parseWindow(window);
 
-    if (!data || !data.entries || data.entries.length < 2) {
-        return res.status(404).json({ error: 'Insufficient data for rate calculation' });
+    if (!windowMs) {
+        return res.status(400).json({ error: `Invalid window "${window}". Use a duration such as 30m, 1h or 7d.` });
     }
 
-    const { window = '1h' } = req.query;
-    const windowHours = parseInt(window) || 1;
-
-    const cutoffDate = new Date(Date.now() - windowHours * 60 * 60 * 1000);
-    const entries = data.entries.filter(e => new Date(e.timestamp) >= cutoffDate);
+    const cutoffDate = new Date(Date.now() - windowMs);
+    const data = loadData({ since: cutoffDate });
+    const entries = data?.entries || [];
 
-    if (entries.length < 2) {
+    if (getDataEntries(entries).length < 2) {
+        if (!data || getStore().countEntries() < 2) {
+            return res.status(404).json({ error: 'Insufficient data for rate calculation' });
+        }
         return res.status(404).json({ error: 'Insufficient data for the specified window' });
     }
 
-    const first = entries[0];
-    const last = entries[entries.length - 1];
-    const hoursElapsed = (new Date(last.timestamp) - new Date(first.timestamp)) / (1000 * 60 * 60);
+    // Sum consumption over consecutive entries, excluding intervals that touch a gap
+    let tokensUsed = 0;
+    let modelCalls = 0;
+    let hoursElapsed = 0;
+    for (let i = 1; i < entries.length; i++) {
+        const prev = entries[i - 1];
+        const curr = entries[i];
+        if (prev.type === 'gap' || curr.type === 'gap') continue;
+        tokensUsed += curr.tokensDelta ?? counterDelta(prev.tokensUsed, curr.tokensUsed);
+        modelCalls += curr.callsDelta ?? counterDelta(prev.modelCalls, curr.modelCalls);
+        hoursElapsed += (new Date(curr.timestamp) - new Date(prev.timestamp)) / (1000 * 60 * 60);
+    }
 
     if (hoursElapsed <= 0) {
         return res.status(400).json({ error: 'Invalid time window' });
     }
 
-    const tokensPerHour = (last.tokensUsed - first.tokensUsed) / hoursElapsed;
-    const callsPerHour = (last.modelCalls - first.modelCalls) / hoursElapsed;
+    const tokensPerHour = tokensUsed / hoursElapsed;
+    const callsPerHour = modelCalls / hoursElapsed;
     const avgTokensPerCall = callsPerHour > 0 ? tokensPerHour / callsPerHour : 0;
 
     res.json({
-        window: `${windowHours}h`,
+        window,
         tokensPerHour: Math.round(tokensPerHour),
         callsPerHour: Math.round(callsPerHour),
         avgTokensPerCall: Math.round(avgTokensPerCall),
-        entriesCount: entries.length,
+        entriesCount: getDataEntries(entries).length,
+        gapCount: entries.length - getDataEntries(entries).length,
+        profile: getActiveProfile()
+    });
+});
+
+/**
+ * GET /api/models - Per-model usage
+ * Returns the latest per-model totals and what each model used in the range
+ * Query params:
+ *   - range: any time window, e.g. 1h, 24h, 7d, 90d (default: 24h)
+ */
+app.get('/api/models', (req, res) => {
+    const { range = '24h' } = req.query;
+
+    if (!parseWindow(range)) {
+        return res.status(400).json({ error: `Invalid range "${range}". Use a duration such as 6h, 7d or 90d.` });
+    }
+
+    const data = loadData({ limit: 1 });
+    const latest = data ? getStore().getLatestEntry() : null;
+    if (!latest) {
+        return res.status(404).json({ error: 'No data available' });
+    }
+
+    res.json({
+        timestamp: latest.timestamp,
+        models: latest.modelBreakdown || {},
+        range,
+        usage: sumModelUsage(getDataEntries(loadRange(range))),
+        profile: getActiveProfile()
+    });
+});
+
+/**
+ * GET /api/cost - Estimated pay-as-you-go cost
+ * Prices what was used in the range with the price table (config: pricing)
+ * and compares the monthly projection with the plan price
+ * Query params:
+ *   - range: any time window, e.g. 1h, 24h, 7d, 90d (default: 24h)
+ */
+app.get('/api/cost', (req, res) => {
+    const { range = '24h' } = req.query;
+
+    if (!parseWindow(range)) {
+        return res.status(400).json({ error: `Invalid range "${range}". Use a duration such as 6h, 7d or 90d.` });
+    }
+
+    const data = loadData({ limit: 1 });
+    if (!data || !getStore().getLatestEntry()) {
+        return res.status(404).json({ error: 'No data available' });
+    }
+
+    const pricing = resolvePricing(config.get('pricing', {}));
+    const entries = getDataEntries(loadRange(range));
+    const costs = sumCosts(entries, pricing);
+
+    res.json({
+        range,
+        ...costs,
+        ...comparePlan(costs.total, spanOf(entries), pricing),
+        series: entries.map(entry => ({ timestamp: entry.timestamp, cost: costOfRecord(entry, pricing) })),
+        profile: getActiveProfile()
+    });
+});
+
+/**
+ * GET /api/budgets - Usage against the active profile's budgets
+ * Returns each budget's usage, projection and burn-down for its current
+ * period, and the worst status among them: 'over' when a budget is used up,
+ * 'at-risk' when one is projected to overrun, else 'ok'
+ */
+app.get('/api/budgets', (req, res) => {
+    const data = loadData({ limit: 1 });
+    if (!data || !getStore().getLatestEntry()) {
+        return res.status(404).json({ error: 'No data available' });
+    }
+
+    const budgets = budgetStatuses(
+        config.get('budgets', {})[getActiveProfile()] || {},
+        readUsageSince(getStore(), budgetUsageStart())
+    );
+    const status = ['over', 'at-risk'].find(level => budgets.some(budget => budget.status === level)) || 'ok';
+
+    res.json({
+        timestamp: new Date().toISOString(),
+        status,
+        budgets,
+        profile: getActiveProfile()
+    });
+});
+
+/**
+ * GET /api/anomalies - Token usage spikes
+ * Returns every interval in the range whose token rate spikes above the ones
+ * before it (see detectAnomalies in analytics.mjs)
+ * Query params:
+ *   - range: any time window, e.g. 1h, 24h, 7d, 90d (default: 24h)
+ */
+app.get('/api/anomalies', (req, res) => {
+    const { range = '24h' } = req.query;
+
+    if (!parseWindow(range)) {
+        return res.status(400).json({ error: `Invalid range "${range}". Use a duration such as 6h, 7d or 90d.` });
+    }
+
+    const data = loadData({ limit: 1 });
+    if (!data || !getStore().getLatestEntry()) {
+        return res.status(404).json({ error: 'No data available' });
+    }
+
+    res.json({
+        range,
+        window: ANOMALY_WINDOW,
+        threshold: ANOMALY_THRESHOLD,
+        anomalies: detectAnomalies(loadRange(range)),
         profile: getActiveProfile()
     });
 });
@@ -395,6 +544,10 @@ app.use((req, res) => {
             'GET /api/history',
             'GET /api/predict',
             'GET /api/rates',
+            'GET /api/models',
+            'GET /api/cost',
+            'GET /api/budgets',
+            'GET /api/anomalies',
             'GET /api/settings',
             'POST /api/settings'
         ]
@@ -424,6 +577,10 @@ const server = app.listen(PORT, '127.0.0.1', () => {
     console.log(`   GET  /api/history    - Historical data (range=1h,6h,12h,24h,7d,30d)`);
     console.log(`   GET  /api/predict    - Quota prediction (timeWindow=6h)`);
     console.log(`   GET  /api/rates      - Usage rates (window=1h)`);
+    console.log(`   GET  /api/models     - Per-model usage (range=24h)`);
+    console.log(`   GET  /api/cost       - Estimated cost (range=24h)`);
+    console.log(`   GET  /api/budgets    - Usage against budgets`);
+    console.log(`   GET  /api/anomalies  - Token usage spikes (range=24h)`);
     console.log(`   GET  /api/settings   - Current configuration`);
     console.log(`   POST /api/settings   - Update configuration`);
     console.log(`\n💡 Press Ctrl+C to stop the server\n`);
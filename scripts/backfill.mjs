@@ -0,0 +1,114 @@
+/**
+ * Usage Backfill
+ *
+ * Fills holes in history, such as before the monitor was installed or while
+ * a laptop was offline, from the usage API's historical totals. Each step
+ * between the start and end that no stored data covers becomes an entry:
+ * model-usage and tool-usage are queried with the configured query window as
+ * it was at that time, ending at that time. Quota percentages can't be queried
+ * for the past, so backfilled entries store them as null.
+ *
+ * Usage:
+ *   glm-monitor backfill --from 2026-01-01 --to 2026-01-07 [--resolution 1h]
+ */
+
+import Conf from 'conf';
+import { buildUsageEntry, getQueryWindowSettings, modelUsageUrl, queryUsage, toolUsageUrl } from './usage-collector.mjs';
+import { findUncoveredTimes, mergeBackfill } from './data-manager.mjs';
+import { formatWallClock, localTimezone, parseWallClock, resolveQueryWindow } from './query-window.mjs';
+import { parseWindow } from './duration.mjs';
+
+const config = new Conf({ projectName: 'glm-monitor' });
+
+export const DEFAULT_BACKFILL_RESOLUTION = '1h';
+
+// Two API requests per step; larger backfills should use a coarser resolution
+export const MAX_BACKFILL_STEPS = 5000;
+
+/**
+ * The query window a collection at a past time would have used, ending then
+ */
+export function windowEndingAt(settings, at) {
+    // A range window keeps its start; its end is always the backfilled time
+    const resolved = resolveQueryWindow({ ...settings, to: undefined }, at);
+    return { ...resolved, end: at.toISOString(), endTime: formatWallClock(at, resolved.timezone) };
+}
+
+/**
+ * The times to backfill from `from` to `to` (or now), one resolution apart
+ * Dates without an offset are read in the query window's timezone. Throws on
+ * invalid input or too many steps.
+ */
+export function planBackfill({ from, to, resolution, timezone, now = new Date() } = {}) {
+    const stepMs = parseWindow(resolution || config.get('backfill.resolution', DEFAULT_BACKFILL_RESOLUTION));
+    if (!stepMs) {
+        throw new Error('Invalid backfill resolution. Use a duration such as 15m, 1h or 1d');
+    }
+
+    const zone = timezone || getQueryWindowSettings().timezone || localTimezone();
+    const start = parseWallClock(from, zone);
+    const end = to ? parseWallClock(to, zone, { endOfDay: true }) : now;
+    if (!start || !end) {
+        throw new Error('Backfill needs a valid --from date and an optional --to date, e.g. 2026-01-01');
+    }
+
+    const last = Math.min(end.getTime(), now.getTime());
+    if (start.getTime() >= last) {
+        throw new Error('The backfill range must end after it starts, and start in the past');
+    }
+
+    const steps = Math.floor((last - start.getTime()) / stepMs) + 1;
+    if (steps > MAX_BACKFILL_STEPS) {
+        throw new Error(`Backfill would take ${steps} steps (max ${MAX_BACKFILL_STEPS}). Use a coarser --resolution or a shorter range`);
+    }
+
+    return {
+        stepMs,
+        times: Array.from({ length: steps }, (_, index) => start.getTime() + index * stepMs)
+    };
+}
+
+/**
+ * Backfill the active profile between two dates
+ *
+ * Steps already covered by stored data are skipped. What was fetched before a
+ * failure is still merged. Returns { planned, skipped, added, summaries,
+ * error }, where error is the message of the failure that stopped the run.
+ */
+export async function backfillUsage({ from, to, resolution, timezone, now = new Date(), onProgress } = {}) {
+    const { stepMs, times } = planBackfill({ from, to, resolution, timezone, now });
+    const settings = getQueryWindowSettings({ timezone });
+    const pending = findUncoveredTimes(times, stepMs, { now });
+
+    const entries = [];
+    let error = null;
+    for (const at of pending) {
+        try {
+            const window = windowEndingAt(settings, new Date(at));
+            const [modelData, toolData] = await Promise.all([
+                queryUsage(modelUsageUrl, 'Model usage', { window }),
+                queryUsage(toolUsageUrl, 'Tool usage', { window })
+            ]);
+            entries.push({
+                ...buildUsageEntry(new Date(at).toISOString(), modelData, toolData),
+                tokenQuotaPercent: null,
+                timeQuotaPercent: null,
+                queryWindow: window,
+                backfilled: true
+            });
+            if (onProgress) onProgress(entries.length, pending.length);
+        } catch (err) {
+            error = err.message;
+            break;
+        }
+    }
+
+    const merged = entries.length > 0 ? mergeBackfill(entries, { now }) : { summaries: {} };
+    return {
+        planned: times.length,
+        skipped: times.length - pending.length,
+        added: entries.length,
+        summaries: merged.summaries,
+        error
+    };
+}
@@ -0,0 +1,153 @@
+/**
+ * Usage Budgets
+ *
+ * Token budgets a team sets for itself, on top of the vendor quota: a cap per
+ * day, per week (starting Monday) and per month, in local time. Usage against
+ * a budget is added up from the per-interval deltas of the entries and
+ * summaries in the current period, and projected to the end of the period at
+ * the pace so far.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+import { recordTokens } from './cycles.mjs';
+
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The pace of the first hour of a period says little about the rest of it
+const MIN_PROJECTION_MS = HOUR_MS;
+
+const AMOUNT_UNITS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a token amount such as "20M", "1.5m", "400k" or "2500000"
+ * Returns null when invalid or not positive.
+ */
+export function parseTokenAmount(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmb])?$/);
+    if (!match) return null;
+
+    const amount = Math.round(parseFloat(match[1]) * (AMOUNT_UNITS[match[2]] || 1));
+    return amount > 0 ? amount : null;
+}
+
+/**
+ * Format a token amount compactly, e.g. "20M", "1.5M" or "400K"
+ */
+export function formatTokenAmount(tokens) {
+    const size = Math.abs(tokens);
+    const [unit, suffix] = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']].find(([unitSize]) => size >= unitSize) || [1, ''];
+    return `${Number((tokens / unit).toFixed(1))}${suffix}`;
+}
+
+/**
+ * The local-time period a budget covers at a given time: { start, end }
+ */
+export function budgetPeriod(period, now = new Date()) {
+    if (!BUDGET_PERIODS.includes(period)) {
+        throw new Error(`Unknown budget period "${period}". Use one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (period === 'daily') {
+        return { start: day, end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) };
+    }
+    if (period === 'weekly') {
+        const monday = day.getDate() - ((day.getDay() + 6) % 7);
+        return {
+            start: new Date(day.getFullYear(), day.getMonth(), monday),
+            end: new Date(day.getFullYear(), day.getMonth(), monday + 7)
+        };
+    }
+    return {
+        start: new Date(day.getFullYear(), day.getMonth(), 1),
+        end: new Date(day.getFullYear(), day.getMonth() + 1, 1)
+    };
+}
+
+/**
+ * The earliest start among the current periods, so one read covers them all
+ */
+export function budgetUsageStart(now = new Date()) {
+    return new Date(Math.min(...BUDGET_PERIODS.map(period => budgetPeriod(period, now).start.getTime())));
+}
+
+const roundPercent = percent => (percent === null ? null : Math.round(percent * 10) / 10);
+
+/**
+ * Status of one budget from entries and summaries covering its period
+ *
+ * Returns { period, limit, start, end, used, remaining, percentUsed,
+ * projected, projectedPercent, status, burnDown }. projected is what the
+ * period ends with at the pace so far (null during its first hour). status is
+ * 'over' once more than the limit is used, 'at-risk' when the projection
+ * overruns it and 'ok' otherwise. burnDown lists { timestamp, remaining } from
+ * the start of the period through each record in it.
+ */
+export function budgetStatus(period, limit, records, { now = new Date() } = {}) {
+    const { start, end } = budgetPeriod(period, now);
+    let used = 0;
+    const burnDown = [{ timestamp: start.toISOString(), remaining: limit }];
+
+    (records || []).forEach((record) => {
+        const time = new Date(record.timestamp).getTime();
+        if (record.type === 'gap' || time < start.getTime() || time > now.getTime()) return;
+        used += recordTokens(record);
+        burnDown.push({ timestamp: record.timestamp, remaining: limit - used });
+    });
+
+    const elapsed = now.getTime() - start.getTime();
+    const projected = elapsed >= MIN_PROJECTION_MS
+        ? Math.round(used * (end.getTime() - start.getTime()) / elapsed)
+        : null;
+    let status = 'ok';
+    if (used > limit) status = 'over';
+    else if (projected !== null && projected > limit) status = 'at-risk';
+
+    return {
+        period,
+        limit,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        used,
+        remaining: limit - used,
+        percentUsed: roundPercent(used / limit * 100),
+        projected,
+        projectedPercent: roundPercent(projected === null ? null : projected / limit * 100),
+        status,
+        burnDown
+    };
+}
+
+/**
+ * Status of every budget set in { daily, weekly, monthly }, in that order
+ */
+export function budgetStatuses(budgets = {}, records = [], options = {}) {
+    return BUDGET_PERIODS
+        .filter(period => budgets[period])
+        .map(period => budgetStatus(period, budgets[period], records, options));
+}
+
+/**
+ * One line about a budget's status, e.g.
+ * "Daily budget: 12.5M of 20M used (62.5%), projected to overrun by 4.1M"
+ */
+export function formatBudgetStatus(budget) {
+    const label = `${budget.period[0].toUpperCase()}${budget.period.slice(1)} budget`;
+    const usage = `${formatTokenAmount(budget.used)} of ${formatTokenAmount(budget.limit)} used (${budget.percentUsed}%)`;
+    if (budget.status === 'over') {
+        return `${label}: ${usage}, over by ${formatTokenAmount(-budget.remaining)}`;
+    }
+    if (budget.status === 'at-risk') {
+        return `${label}: ${usage}, projected to overrun by ${formatTokenAmount(budget.projected - budget.limit)}`;
+    }
+    if (budget.projected === null) return `${label}: ${usage}`;
+    return `${label}: ${usage}, on pace for ${formatTokenAmount(budget.projected)}`;
+}
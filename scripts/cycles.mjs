@@ -0,0 +1,175 @@
+/**
+ * Usage Cycles and Deltas
+ *
+ * tokensUsed and modelCalls come from a rolling API window and the quota
+ * resets periodically, so none of the readings only ever grows. A reading
+ * that falls below half of the one before it marks a reset; smaller drops are
+ * old usage leaving the rolling window. The collector tags each entry with the
+ * cycle it belongs to, and a reset starts a new cycle.
+ *
+ * Each entry also stores what was consumed since the entry before it
+ * (tokensDelta, callsDelta, mcpDelta, mcpToolDeltas and modelDeltas), so
+ * consumers don't have to work it out from cumulative readings.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+// Readings watched for resets
+export const RESET_FIELDS = ['modelCalls', 'tokensUsed', 'mcpCalls', 'tokenQuotaPercent', 'timeQuotaPercent'];
+
+// Usage fields of each model in an entry's modelBreakdown
+export const MODEL_USAGE_FIELDS = ['calls', 'tokens', 'inputTokens', 'outputTokens'];
+
+const RESET_RATIO = 0.5;
+
+/**
+ * Whether a reading fell far enough to count as a reset
+ */
+export function isCounterReset(previous, current) {
+    return previous > 0 && (current || 0) < previous * RESET_RATIO;
+}
+
+/**
+ * Usage between two readings of a cumulative counter
+ * After a reset the new reading is all new usage; smaller drops count as none.
+ */
+export function counterDelta(previous, current) {
+    const before = previous || 0;
+    const after = current || 0;
+    if (after >= before) return after - before;
+    return isCounterReset(before, after) ? after : 0;
+}
+
+/**
+ * Usage between two data entries:
+ * { tokensDelta, callsDelta, mcpDelta, mcpToolDeltas, modelDeltas }
+ * With no previous entry nothing is known to have been used, so all are zero.
+ * mcpToolDeltas and modelDeltas only list the tools and models that were used.
+ */
+export function computeDeltas(previous, entry) {
+    const mcpToolDeltas = {};
+    const modelDeltas = {};
+    if (previous) {
+        Object.entries(entry.mcpToolBreakdown || {}).forEach(([tool, count]) => {
+            const delta = counterDelta(previous.mcpToolBreakdown?.[tool], count);
+            if (delta > 0) mcpToolDeltas[tool] = delta;
+        });
+        Object.entries(entry.modelBreakdown || {}).forEach(([model, usage]) => {
+            const before = previous.modelBreakdown?.[model] || {};
+            const delta = {};
+            MODEL_USAGE_FIELDS.forEach((field) => {
+                if (usage[field] !== undefined) delta[field] = counterDelta(before[field], usage[field]);
+            });
+            if (Object.values(delta).some(value => value > 0)) modelDeltas[model] = delta;
+        });
+    }
+
+    return {
+        tokensDelta: previous ? counterDelta(previous.tokensUsed, entry.tokensUsed) : 0,
+        callsDelta: previous ? counterDelta(previous.modelCalls, entry.modelCalls) : 0,
+        mcpDelta: previous ? counterDelta(previous.mcpCalls, entry.mcpCalls) : 0,
+        mcpToolDeltas,
+        modelDeltas
+    };
+}
+
+/**
+ * Tokens used during the interval an entry or summary covers
+ * Raw entries store it as tokensDelta, summaries as deltas.tokensUsed.
+ */
+export function recordTokens(record) {
+    return (record.deltas ? record.deltas.tokensUsed : record.tokensDelta) || 0;
+}
+
+/**
+ * Fill in deltas for entries stored without them, from the data entry before each
+ * Summaries keep the usage they store in `deltas`.
+ */
+export function withDeltas(entries) {
+    let previous = null;
+    return entries.map((entry) => {
+        if (entry.type === 'gap') return entry;
+        const filled = entry.tokensDelta === undefined && !entry.deltas ? { ...entry, ...computeDeltas(previous, entry) } : entry;
+        previous = entry;
+        return filled;
+    });
+}
+
+/**
+ * Fields that were reset between two data entries (empty when none were)
+ * Readings stored as null (backfilled entries have no quota readings) are unknown, not reset.
+ */
+export function detectResets(previous, entry) {
+    if (!previous || previous.type === 'gap' || entry.type === 'gap') return [];
+    return RESET_FIELDS.filter(field => previous[field] !== null && entry[field] !== null &&
+        isCounterReset(previous[field] || 0, entry[field]));
+}
+
+/**
+ * Cycle tags for a new entry, given the data entry before it
+ * Returns { cycleId } to continue the previous entry's cycle, or
+ * { cycleId, resets } when a reset starts a new one. A cycle's ID is the
+ * timestamp of its first entry.
+ */
+export function assignCycle(previous, entry) {
+    const resets = detectResets(previous, entry);
+    if (resets.length > 0) return { cycleId: entry.timestamp, resets };
+    return { cycleId: previous?.cycleId || entry.timestamp };
+}
+
+/**
+ * Whether a reset separates two consecutive data entries
+ * Compares cycle IDs where both entries have one and checks the readings otherwise.
+ */
+export function isNewCycle(previous, entry) {
+    if (previous.cycleId && entry.cycleId) return previous.cycleId !== entry.cycleId;
+    return detectResets(previous, entry).length > 0;
+}
+
+/**
+ * Data entries since the start of the latest cycle
+ * Gap markers and entries without a quota reading are skipped.
+ */
+export function currentCycle(entries) {
+    const dataEntries = entries.filter(e => e.type !== 'gap' && e.tokenQuotaPercent !== null);
+    let start = 0;
+    for (let i = 1; i < dataEntries.length; i++) {
+        if (isNewCycle(dataEntries[i - 1], dataEntries[i])) start = i;
+    }
+    return dataEntries.slice(start);
+}
+
+/**
+ * Whether an entry starts a cycle because the token quota reset
+ */
+export function isQuotaReset(entry) {
+    return (entry.resets || []).includes('tokenQuotaPercent');
+}
+
+/**
+ * The usual time between token quota resets in milliseconds, or null
+ * The median time between entries whose tokenQuotaPercent reset; needs at
+ * least two observed resets.
+ */
+export function estimateCycleLength(entries) {
+    const resetTimes = entries
+        .filter(isQuotaReset)
+        .map(entry => new Date(entry.timestamp).getTime());
+    if (resetTimes.length < 2) return null;
+
+    const lengths = resetTimes.slice(1).map((at, i) => at - resetTimes[i]).sort((a, b) => a - b);
+    return lengths[Math.floor(lengths.length / 2)];
+}
+
+/**
+ * Tag entries that have no cycle ID yet, continuing from the ones that do
+ */
+export function tagCycles(entries) {
+    let previous = null;
+    return entries.map((entry) => {
+        if (entry.type === 'gap') return entry;
+        const tagged = entry.cycleId ? entry : { ...entry, ...assignCycle(previous, entry) };
+        previous = tagged;
+        return tagged;
+    });
+}
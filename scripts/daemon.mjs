@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * GLM Collector Daemon
+ *
+ * Long-running process that calls collectUsage() on a configurable interval
+ * with random jitter, so collection no longer depends on cron or launchd.
+ * With allProfiles, every configured profile is collected concurrently on each
+ * run instead of just the active one. Writes a PID file to
+ * ~/.glm-monitor/daemon.pid while running.
+ *
+ * Signals:
+ *   SIGTERM / SIGINT - finish the in-flight collection, remove the PID file and exit
+ *   SIGHUP           - reload interval, jitter and allProfiles from config and reschedule
+ *
+ * Usage:
+ *   node scripts/daemon.mjs [--interval 5m] [--jitter 30s] [--all-profiles]
+ *   glm-monitor daemon start|status|stop
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Conf from 'conf';
+import { parseDuration, formatDuration } from './duration.mjs';
+import { writeJSONAtomic } from './storage.mjs';
+
+const config = new Conf({ projectName: 'glm-monitor' });
+const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
+
+export const PID_FILE = path.join(DATA_DIR, 'daemon.pid');
+export const LOG_FILE = path.join(DATA_DIR, 'daemon.log');
+
+const MIN_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Resolve interval, jitter and allProfiles from CLI overrides or config
+ */
+export function getDaemonSettings(overrides = {}) {
+    const intervalValue = overrides.interval || config.get('daemon.interval', '5m');
+    const jitterValue = overrides.jitter || config.get('daemon.jitter', '30s');
+
+    const interval = parseDuration(intervalValue);
+    const jitter = parseDuration(jitterValue);
+
+    if (interval === null || interval < MIN_INTERVAL_MS) {
+        throw new Error(`Invalid interval "${intervalValue}". Use a duration of at least 10s (e.g. 5m, 1h).`);
+    }
+    if (jitter === null) {
+        throw new Error(`Invalid jitter "${jitterValue}". Use a duration such as 30s or 2m.`);
+    }
+
+    const allProfiles = overrides.allProfiles ?? config.get('daemon.allProfiles', false);
+
+    return { interval, jitter, allProfiles };
+}
+
+/**
+ * Delay until the next collection: the interval plus a random share of the jitter
+ */
+export function computeDelay(interval, jitter, random = Math.random) {
+    return interval + Math.round(random() * jitter);
+}
+
+/**
+ * Read the PID file, or null if the daemon has never run
+ */
+export function readPidFile() {
+    try {
+        if (!fs.existsSync(PID_FILE)) return null;
+        const content = fs.readFileSync(PID_FILE, 'utf-8').trim();
+        if (/^\d+$/.test(content)) {
+            return { pid: parseInt(content, 10) };
+        }
+        return JSON.parse(content);
+    } catch (e) {
+        return null;
+    }
+}
+
+function writePidFile(info) {
+    // Rewritten after every run; keep `daemon status` from reading a partial file
+    writeJSONAtomic(PID_FILE, info);
+}
+
+function removePidFile() {
+    try {
+        fs.unlinkSync(PID_FILE);
+    } catch (e) {
+        // Already gone
+    }
+}
+
+/**
+ * Check whether a process with the given PID is alive
+ */
+export function isProcessRunning(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM means the process exists but belongs to someone else
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Get daemon status from the PID file
+ */
+export function getDaemonStatus() {
+    const info = readPidFile();
+    if (!info) {
+        return { running: false, stale: false };
+    }
+    const running = isProcessRunning(info.pid);
+    return { ...info, running, stale: !running };
+}
+
+/**
+ * Stop a running daemon with SIGTERM and wait for it to exit
+ * Returns true if a daemon was stopped.
+ */
+export async function stopDaemon({ timeout = 15000 } = {}) {
+    const status = getDaemonStatus();
+
+    if (!status.running) {
+        if (status.stale) removePidFile();
+        return false;
+    }
+
+    process.kill(status.pid, 'SIGTERM');
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (!isProcessRunning(status.pid)) {
+            removePidFile();
+            return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    throw new Error(`Daemon (PID ${status.pid}) did not exit within ${timeout / 1000}s`);
+}
+
+function log(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+/**
+ * Run the collection loop until SIGTERM/SIGINT
+ */
+export async function runDaemon(overrides = {}) {
+    const existing = getDaemonStatus();
+    if (existing.running && existing.pid !== process.pid) {
+        throw new Error(`Daemon already running (PID ${existing.pid})`);
+    }
+
+    let settings = getDaemonSettings(overrides);
+
+    // Imported lazily so status/stop never run collector start-up code
+    const { collectUsage, collectAllProfiles } = await import('./usage-collector.mjs');
+
+    const state = {
+        pid: process.pid,
+        startedAt: new Date().toISOString(),
+        interval: settings.interval,
+        jitter: settings.jitter,
+        allProfiles: settings.allProfiles,
+        profiles: undefined,
+        lastRunAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        nextRunAt: null
+    };
+
+    let timer = null;
+    let inFlight = null;
+    let stopping = false;
+
+    const scheduleNext = () => {
+        if (stopping) return;
+        clearTimeout(timer);
+        const delay = computeDelay(settings.interval, settings.jitter);
+        state.nextRunAt = new Date(Date.now() + delay).toISOString();
+        writePidFile(state);
+        timer = setTimeout(tick, delay);
+    };
+
+    // Every profile is collected; the run fails if any profile did, but the
+    // others' results are kept and reported per profile
+    const collectProfiles = async () => {
+        const results = await collectAllProfiles({ exitOnError: false });
+        const at = new Date().toISOString();
+        state.profiles = Object.fromEntries(results.map(({ profile, error }) => [
+            profile,
+            error
+                ? { lastError: error.message, lastSuccessAt: state.profiles?.[profile]?.lastSuccessAt || null }
+                : { lastError: null, lastSuccessAt: at }
+        ]));
+        if (results.length === 0) {
+            throw new Error('No profile has an auth token configured');
+        }
+        const failed = results.filter(result => result.error);
+        if (failed.length > 0) {
+            throw new Error(failed.map(({ profile, error }) => `${profile}: ${error.message}`).join('; '));
+        }
+    };
+
+    const tick = async () => {
+        timer = null;
+        state.lastRunAt = new Date().toISOString();
+        inFlight = (settings.allProfiles ? collectProfiles() : collectUsage({ exitOnError: false }))
+            .then(() => {
+                state.lastSuccessAt = new Date().toISOString();
+                state.lastError = null;
+            })
+            .catch((err) => {
+                state.lastError = err.message;
+            });
+        await inFlight;
+        inFlight = null;
+        scheduleNext();
+    };
+
+    const shutdown = async (signal) => {
+        if (stopping) return;
+        stopping = true;
+        log(`Received ${signal}, shutting down...`);
+        clearTimeout(timer);
+        if (inFlight) {
+            await inFlight;
+        }
+        removePidFile();
+        log('Daemon stopped.');
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGHUP', () => {
+        try {
+            settings = getDaemonSettings(overrides);
+            state.interval = settings.interval;
+            state.jitter = settings.jitter;
+            state.allProfiles = settings.allProfiles;
+            log(`Reloaded config: every ${formatDuration(settings.interval)} (+${formatDuration(settings.jitter)} jitter)${settings.allProfiles ? ', all profiles' : ''}`);
+            // An in-flight collection reschedules itself with the new settings
+            if (!inFlight) scheduleNext();
+        } catch (err) {
+            log(`Config reload failed, keeping previous schedule: ${err.message}`);
+        }
+    });
+
+    writePidFile(state);
+    log(`GLM collector daemon started (PID ${process.pid})`);
+    log(`Collecting ${settings.allProfiles ? 'all profiles ' : ''}every ${formatDuration(settings.interval)} (+${formatDuration(settings.jitter)} jitter)`);
+
+    await tick();
+}
+
+function getArg(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Only execute if running directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    runDaemon({
+        interval: getArg(args, '--interval'),
+        jitter: getArg(args, '--jitter'),
+        allProfiles: args.includes('--all-profiles') || undefined
+    }).catch((err) => {
+        console.error(`✗ Daemon failed: ${err.message}`);
+        process.exit(1);
+    });
+}
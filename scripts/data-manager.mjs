@@ -3,287 +3,538 @@
 /**
  * GLM Data Manager
  * 
- * Handles data archiving, summarization, and cleanup for extended retention periods.
- * Raw data is kept for 24 hours, older data is summarized into hourly aggregates.
+ * Rolls usage data up through a tiered pipeline, raw → hourly → daily →
+ * monthly, and prunes each tier by its own retention period:
+ *
+ *   raw entries        `retention`        (default 24h)
+ *   hourly summaries   `rollups.hourly`   (default 30d)
+ *   daily summaries    `rollups.daily`    (default 365d)
+ *   monthly summaries  `rollups.monthly`  (default 1825d, five years)
+ *
+ * Buckets follow local time and are only written once complete, so a stored
+ * summary only changes when a backfill fills a hole in it. The collector rolls
+ * up at most once an hour; `glm-monitor cleanup` runs it on demand.
  * 
  * Usage:
  *   node scripts/data-manager.mjs
  *   glm-monitor cleanup
  */
 
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
 import Conf from 'conf'
+import { withHistoryStore } from './history-store.mjs';
+import { DEFAULT_RETENTION, parseRetention, parseWindow } from './duration.mjs';
+import { MODEL_USAGE_FIELDS, assignCycle, computeDeltas } from './cycles.mjs';
 
 const config = new Conf({ projectName: 'glm-monitor' });
-const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Get the data file path for the active profile
+ * Rollup tiers, finest first; each is built from the one before it
  */
-function getProfileDataPath(filename = 'usage-history.json') {
-    const activeProfile = config.get('activeProfile', 'default');
-    if (activeProfile === 'default') {
-        return path.join(DATA_DIR, filename);
-    }
-    const baseName = filename.replace('.json', '');
-    return path.join(DATA_DIR, `${activeProfile}-${baseName}.json`);
-}
+export const ROLLUP_TIERS = [
+    { resolution: 'hour', label: 'hourly', configKey: 'rollups.hourly', defaultRetention: '30d' },
+    { resolution: 'day', label: 'daily', configKey: 'rollups.daily', defaultRetention: '365d' },
+    { resolution: 'month', label: 'monthly', configKey: 'rollups.monthly', defaultRetention: '1825d' }
+];
+
+// Longest range each resolution is used for by getCombinedData
+const RESOLUTION_RANGES = [
+    { resolution: 'hour', upTo: 14 * DAY_MS },
+    { resolution: 'day', upTo: 180 * DAY_MS },
+    { resolution: 'month', upTo: Infinity }
+];
 
-const HISTORY_FILE = getProfileDataPath('usage-history.json');
-const SUMMARY_FILE = getProfileDataPath('usage-summary.json');
+const time = (value) => new Date(value).getTime();
 
 /**
- * Generate hourly summaries from raw entries
- * Groups entries by hour and calculates aggregated metrics
+ * Start of the local-time hour, day or month containing a date
  */
-export function generateSummaries(entries) {
-    const hourlySummaries = {};
-
-    entries.forEach(entry => {
-        const date = new Date(entry.timestamp);
-        // Create hour key in format: "YYYY-MM-DD HH"
-        const hourKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}`;
-
-        if (!hourlySummaries[hourKey]) {
-            hourlySummaries[hourKey] = {
-                timestamp: new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()).toISOString(),
-                modelCalls: 0,
-                tokensUsed: 0,
-                mcpCalls: 0,
-                tokenQuotaPercent: 0,
-                timeQuotaPercent: 0,
-                entryCount: 0,
-                // Track max values for the hour
-                maxModelCalls: 0,
-                maxTokensUsed: 0,
-                maxMcpCalls: 0
-            };
-        }
+function bucketStart(date, resolution) {
+    if (resolution === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+    if (resolution === 'day') return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+}
 
-        const summary = hourlySummaries[hourKey];
+/**
+ * End (exclusive) of the bucket a timestamp falls in, in milliseconds
+ */
+export function bucketEnd(timestamp, resolution) {
+    const start = bucketStart(new Date(timestamp), resolution);
+    if (resolution === 'month') return new Date(start.getFullYear(), start.getMonth() + 1, 1).getTime();
+    if (resolution === 'day') return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1).getTime();
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours() + 1).getTime();
+}
 
-        // Track the latest (cumulative) values within the hour
-        summary.modelCalls = Math.max(summary.modelCalls, entry.modelCalls || 0);
-        summary.tokensUsed = Math.max(summary.tokensUsed, entry.tokensUsed || 0);
-        summary.mcpCalls = Math.max(summary.mcpCalls, entry.mcpCalls || 0);
+/**
+ * Retention per tier in milliseconds: { raw, hour, day, month }
+ * Invalid settings fall back to the defaults.
+ */
+export function getTierRetentions() {
+    const retention = (key, fallback) => parseRetention(config.get(key, fallback)) ?? parseRetention(fallback);
+    return {
+        raw: retention('retention', DEFAULT_RETENTION),
+        ...Object.fromEntries(ROLLUP_TIERS.map(tier => [tier.resolution, retention(tier.configKey, tier.defaultRetention)]))
+    };
+}
+
+// Cumulative counters; summaries also record how much of each was consumed
+const COUNTERS = ['modelCalls', 'tokensUsed', 'mcpCalls'];
 
-        // Use the latest quota percentages for the hour
-        summary.tokenQuotaPercent = entry.tokenQuotaPercent || summary.tokenQuotaPercent;
-        summary.timeQuotaPercent = entry.timeQuotaPercent || summary.timeQuotaPercent;
+// Fields summaries keep first/last/min/max statistics for
+const TRACKED_FIELDS = [...COUNTERS, 'tokenQuotaPercent', 'timeQuotaPercent'];
 
-        summary.entryCount += 1;
+/**
+ * Describe a raw entry as a bucket of one, using its stored deltas or, for
+ * entries without them, deltas against the entry before it
+ * Readings stored as null are unknown and get no statistics.
+ */
+function describeEntry(entry, previous) {
+    const stats = {};
+    TRACKED_FIELDS.forEach((field) => {
+        if (entry[field] === null) return;
+        const value = entry[field] || 0;
+        stats[field] = { first: value, last: value, min: value, max: value };
     });
 
-    return Object.values(hourlySummaries).sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-    );
+    const { tokensDelta, callsDelta, mcpDelta, mcpToolDeltas, modelDeltas } = entry.tokensDelta === undefined
+        ? computeDeltas(previous, entry)
+        : entry;
+
+    return {
+        stats,
+        deltas: { modelCalls: callsDelta || 0, tokensUsed: tokensDelta || 0, mcpCalls: mcpDelta || 0 },
+        mcpToolDeltas: mcpToolDeltas || {},
+        mcpToolBreakdown: entry.mcpToolBreakdown || {},
+        modelDeltas: modelDeltas || {},
+        modelBreakdown: entry.modelBreakdown || {},
+        entryCount: 1
+    };
 }
 
 /**
- * Archive old data by summarizing entries older than the raw retention period
- * Keeps raw data for 24 hours, summarizes older data into hourly aggregates
+ * Fold a raw entry or finer summary (described the same way) into a bucket
  */
-export function archiveOldData(retentionPeriod) {
-    // Load current history
-    if (!fs.existsSync(HISTORY_FILE)) {
-        console.log('No history file found. Nothing to archive.');
-        return { archived: 0, trimmed: 0 };
-    }
+function mergeIntoBucket(summary, part) {
+    TRACKED_FIELDS.forEach((field) => {
+        const current = summary.stats[field];
+        const next = part.stats[field];
+        if (!next) return;
+        summary.stats[field] = current
+            ? { first: current.first, last: next.last, min: Math.min(current.min, next.min), max: Math.max(current.max, next.max) }
+            : { ...next };
+    });
 
-    const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
+    COUNTERS.forEach((field) => {
+        summary.deltas[field] += part.deltas?.[field] || 0;
+    });
+    Object.entries(part.mcpToolDeltas || {}).forEach(([tool, count]) => {
+        summary.mcpToolDeltas[tool] = (summary.mcpToolDeltas[tool] || 0) + count;
+    });
+    Object.entries(part.modelDeltas || {}).forEach(([model, usage]) => {
+        const total = summary.modelDeltas[model] || (summary.modelDeltas[model] = {});
+        MODEL_USAGE_FIELDS.forEach((field) => {
+            if (usage[field] !== undefined) total[field] = (total[field] || 0) + usage[field];
+        });
+    });
 
-    if (!data.entries || data.entries.length === 0) {
-        console.log('No entries to archive.');
-        return { archived: 0, trimmed: 0 };
-    }
+    // A reading without breakdowns carries {}, which must not hide the last real counts
+    if (Object.keys(part.mcpToolBreakdown || {}).length) summary.mcpToolBreakdown = part.mcpToolBreakdown;
+    if (Object.keys(part.modelBreakdown || {}).length) summary.modelBreakdown = part.modelBreakdown;
+    summary.entryCount += part.entryCount || 1;
+}
 
-    const retentionHours = {
-        '7d': 7 * 24,
-        '30d': 30 * 24
-    };
+/**
+ * Generate summaries at a resolution ('hour', 'day' or 'month')
+ * Records may be raw entries or finer summaries, so the same function builds
+ * every tier. Each summary carries:
+ *   - the last reading of each counter and quota percentage (as on entries)
+ *   - stats: first/last/min/max of each of those fields
+ *   - deltas: model calls, tokens and MCP calls consumed during the bucket
+ *   - mcpToolDeltas: calls per MCP tool during the bucket
+ *   - mcpToolBreakdown: the last cumulative per-tool counts
+ *   - modelDeltas and modelBreakdown: the same per model
+ * Gap markers from failed collections are counted per bucket; a bucket with
+ * nothing but gaps becomes a gap summary so long-range charts break there too.
+ */
+export function generateSummaries(records, resolution = 'hour') {
+    const summaries = new Map();
+    const gapCounts = new Map();
+    let previousEntry = null;
 
-    const hoursToKeep = retentionHours[retentionPeriod];
-    if (!hoursToKeep) {
-        console.log('24h retention - no archiving needed');
-        return { archived: 0, trimmed: 0 };
-    }
+    const countGaps = (key, count) => gapCounts.set(key, (gapCounts.get(key) || 0) + count);
 
-    // Keep raw data for 24 hours (288 entries at 5-min intervals)
-    const rawEntriesLimit = 288;
-    const entriesToSummarize = data.entries.length - rawEntriesLimit;
-
-    let archivedCount = 0;
-    let trimmedCount = 0;
-
-    if (entriesToSummarize > 0) {
-        const entriesToArchive = data.entries.slice(0, entriesToSummarize);
-        const summaries = generateSummaries(entriesToArchive);
-
-        // Load existing summaries
-        let existingSummaries = [];
-        if (fs.existsSync(SUMMARY_FILE)) {
-            try {
-                const summaryData = JSON.parse(fs.readFileSync(SUMMARY_FILE, 'utf-8'));
-                existingSummaries = summaryData.summaries || [];
-            } catch (e) {
-                console.warn('Warning: Could not parse existing summary file:', e.message);
-            }
+    records.forEach(record => {
+        const key = bucketStart(new Date(record.timestamp), resolution).toISOString();
+
+        if (record.type === 'gap') {
+            countGaps(key, record.gapCount || 1);
+            return;
+        }
+        if (record.gapCount) countGaps(key, record.gapCount);
+
+        // Summaries from before stats were kept contribute their readings but no deltas
+        let part = record;
+        if (!record.resolution) {
+            part = describeEntry(record, previousEntry);
+            previousEntry = record;
+        } else if (!record.stats) {
+            part = { ...describeEntry(record, null), mcpToolBreakdown: record.mcpToolBreakdown, entryCount: record.entryCount };
         }
 
-        // Merge summaries (avoid duplicates by timestamp)
-        const allSummaries = [...existingSummaries, ...summaries];
-        const uniqueSummaries = allSummaries.filter((summary, index, self) =>
-            index === self.findIndex(s => s.timestamp === summary.timestamp)
-        );
+        if (!summaries.has(key)) {
+            summaries.set(key, {
+                timestamp: key,
+                resolution,
+                entryCount: 0,
+                stats: {},
+                deltas: Object.fromEntries(COUNTERS.map(field => [field, 0])),
+                mcpToolDeltas: {},
+                mcpToolBreakdown: undefined,
+                modelDeltas: {},
+                modelBreakdown: undefined
+            });
+        }
 
-        // Trim summaries based on retention period
-        const cutoffDate = new Date(Date.now() - hoursToKeep * 60 * 60 * 1000);
-        const trimmedSummaries = uniqueSummaries.filter(s => new Date(s.timestamp) >= cutoffDate);
+        mergeIntoBucket(summaries.get(key), part);
+    });
 
-        trimmedCount = uniqueSummaries.length - trimmedSummaries.length;
+    const result = [...summaries.values()].map(({ stats, ...summary }) => ({
+        timestamp: summary.timestamp,
+        resolution,
+        // The latest readings in the bucket, like a raw entry
+        ...Object.fromEntries(TRACKED_FIELDS.map(field => [field, stats[field]?.last ?? null])),
+        entryCount: summary.entryCount,
+        maxModelCalls: stats.modelCalls.max,
+        maxTokensUsed: stats.tokensUsed.max,
+        maxMcpCalls: stats.mcpCalls.max,
+        stats,
+        deltas: summary.deltas,
+        mcpToolDeltas: summary.mcpToolDeltas,
+        mcpToolBreakdown: summary.mcpToolBreakdown || {},
+        modelDeltas: summary.modelDeltas,
+        modelBreakdown: summary.modelBreakdown || {}
+    }));
 
-        // Save summaries
-        fs.writeFileSync(SUMMARY_FILE, JSON.stringify({
-            summaries: trimmedSummaries,
-            lastUpdated: new Date().toISOString(),
-            retentionPeriod
-        }, null, 2));
+    gapCounts.forEach((gapCount, key) => {
+        const summary = result.find(s => s.timestamp === key);
+        if (summary) {
+            summary.gapCount = gapCount;
+        } else {
+            result.push({ timestamp: key, resolution, type: 'gap', gapCount });
+        }
+    });
 
-        archivedCount = entriesToSummarize;
-        console.log(`✓ Archived ${entriesToSummarize} entries into ${summaries.length} hourly summaries`);
+    return result.sort((a, b) => time(a.timestamp) - time(b.timestamp));
+}
 
-        if (trimmedCount > 0) {
-            console.log(`✓ Removed ${trimmedCount} summaries older than ${retentionPeriod}`);
-        }
-    }
+/**
+ * Whether a rollup has already run during the current hour
+ */
+function rolledUpThisHour(lastRollup, now) {
+    return Boolean(lastRollup) && time(bucketStart(new Date(lastRollup), 'hour')) >= time(bucketStart(now, 'hour'));
+}
 
-    // Trim raw entries to 24h
-    const originalCount = data.entries.length;
-    data.entries = data.entries.slice(-rawEntriesLimit);
-    data.lastUpdated = new Date().toISOString();
+/**
+ * Roll completed buckets up each tier, then prune every tier by its retention
+ * All tiers are built before any is pruned, so a short hourly retention can't
+ * leave daily summaries incomplete. Runs as a single storage transaction so a
+ * collection can't land between the read and the prune and be lost.
+ * With ifDue, does nothing if a rollup already ran this hour.
+ * Returns { added, pruned } counts by resolution (pruned.raw for entries), or
+ * null when nothing ran. `profile` defaults to the active profile.
+ */
+export function rollupHistory({ now = new Date(), ifDue = false, profile } = {}) {
+    const retentions = getTierRetentions();
+
+    return withHistoryStore(store => store.transaction(() => {
+        if (!store.exists()) return null;
+        if (ifDue && rolledUpThisHour(store.getSummaryMeta().lastRollup, now)) return null;
+
+        const added = {};
+        const pruned = {};
+
+        let source = store.getEntries();
+        ROLLUP_TIERS.forEach(({ resolution }) => {
+            const complete = source.filter(record => bucketEnd(record.timestamp, resolution) <= now.getTime());
+            added[resolution] = store.addSummaries(generateSummaries(complete, resolution));
+            source = store.getSummaries({ resolution });
+        });
+
+        ROLLUP_TIERS.forEach(({ resolution }) => {
+            pruned[resolution] = store.pruneSummaries(new Date(now.getTime() - retentions[resolution]), { resolution });
+        });
+        pruned.raw = store.pruneEntries(new Date(now.getTime() - retentions.raw));
+
+        store.setSummaryMeta({ lastRollup: now.toISOString() });
+        return { added, pruned };
+    }), { profile });
+}
 
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(data, null, 2));
-    console.log(`✓ Trimmed raw data from ${originalCount} to ${data.entries.length} entries (24 hours)`);
+/**
+ * The times (in milliseconds) that no stored data covers yet, for backfill
+ * A time is covered by a raw data entry within half a step of it, or by a
+ * summary with data from the finest tier still kept for that time.
+ */
+export function findUncoveredTimes(times, stepMs, { now = new Date() } = {}) {
+    if (times.length === 0) return [];
+    const retentions = getTierRetentions();
+
+    return withHistoryStore((store) => {
+        const since = new Date(Math.min(...times) - stepMs);
+        const until = new Date(Math.max(...times) + stepMs);
+        const entries = store.getEntries({ since, until }).filter(e => e.type !== 'gap');
+        const summaryStarts = Object.fromEntries(ROLLUP_TIERS.map(({ resolution }) => [
+            resolution,
+            new Set(store.getSummaries({ resolution, until }).filter(s => s.type !== 'gap').map(s => time(s.timestamp)))
+        ]));
+
+        return times.filter((at) => {
+            if (entries.some(e => Math.abs(time(e.timestamp) - at) < stepMs / 2)) return false;
+            const tier = ROLLUP_TIERS.find(({ resolution }) => at >= now.getTime() - retentions[resolution]);
+            return !tier || !summaryStarts[tier.resolution].has(bucketStart(new Date(at), tier.resolution).getTime());
+        });
+    });
+}
 
-    return { archived: archivedCount, trimmed: trimmedCount };
+/**
+ * Merge backfilled entries into history and summaries
+ *
+ * Entries get deltas and cycle tags against the timeline they join, and the
+ * entry after each backfilled stretch has its deltas recomputed so the filled
+ * hole isn't counted twice. Raw entries are stored while raw retention still
+ * covers them. Each complete summary bucket they touch is rebuilt from the
+ * finer tier when that still covers the whole bucket, and otherwise gets the
+ * backfilled usage merged into its existing summary.
+ * Returns { entries, summaries } counts, summaries by resolution.
+ */
+export function mergeBackfill(entries, { now = new Date() } = {}) {
+    const retentions = getTierRetentions();
+    const cutoff = resolution => now.getTime() - retentions[resolution];
+    const byTime = (a, b) => time(a.timestamp) - time(b.timestamp);
+
+    // Roll up first, so rebuilt buckets start from complete finer tiers
+    rollupHistory({ now });
+
+    return withHistoryStore(store => store.transaction(() => {
+        const backfilled = [...entries].sort(byTime);
+        const added = new Set(backfilled.map(e => time(e.timestamp)));
+        const timeline = [...store.getEntries().filter(e => !added.has(time(e.timestamp))), ...backfilled].sort(byTime);
+
+        const changed = [];
+        let previous = null;
+        let previousAdded = false;
+        timeline.forEach((entry) => {
+            if (entry.type === 'gap') return;
+            const isAdded = added.has(time(entry.timestamp));
+            let current = entry;
+            if (isAdded) {
+                Object.assign(entry, computeDeltas(previous, entry), assignCycle(previous, entry));
+                changed.push(entry);
+            } else if (previousAdded) {
+                current = { ...entry, ...computeDeltas(previous, entry) };
+                changed.push(current);
+            }
+            previous = current;
+            previousAdded = isAdded;
+        });
+        store.mergeEntries(changed.filter(e => time(e.timestamp) >= cutoff('raw')));
+
+        const summaries = {};
+        ROLLUP_TIERS.forEach(({ resolution }, index) => {
+            const finerResolution = index === 0 ? 'raw' : ROLLUP_TIERS[index - 1].resolution;
+            const finer = index === 0 ? store.getEntries() : store.getSummaries({ resolution: finerResolution });
+            const starts = new Set(changed.map(e => bucketStart(new Date(e.timestamp), resolution).getTime()));
+
+            const rebuilt = [...starts]
+                .filter(start => bucketEnd(start, resolution) <= now.getTime() && start >= cutoff(resolution))
+                .flatMap((start) => {
+                    const end = bucketEnd(start, resolution);
+                    const inBucket = record => time(record.timestamp) >= start && time(record.timestamp) < end;
+                    if (start >= cutoff(finerResolution)) {
+                        return generateSummaries(finer.filter(inBucket), resolution);
+                    }
+                    const existing = store.getSummaries({ resolution, since: new Date(start), until: new Date(start) });
+                    return generateSummaries([...existing, ...backfilled.filter(inBucket)], resolution);
+                });
+            summaries[resolution] = store.addSummaries(rebuilt, { replace: true });
+        });
+
+        return { entries: backfilled.length, summaries };
+    }));
 }
 
 /**
- * Get combined data (raw + summaries) for extended time ranges
+ * Compact a profile's storage (default: the active profile)
+ * Rolls up summaries (unless rollup is false), then folds the append-only
+ * JSONL log into a new snapshot. Unless forced, nothing happens until the
+ * backend reports that its log has outgrown storage.compactBytes.
+ * Returns { before, after } sizes, or null when there was nothing to compact.
  */
-export function getCombinedData(range) {
-    const rangeHours = {
-        '1h': 1,
-        '6h': 6,
-        '12h': 12,
-        '24h': 24,
-        '7d': 7 * 24,
-        '30d': 30 * 24
-    };
+export function compactHistory({
+    force = false,
+    rollup = true,
+    maxBytes = config.get('storage.compactBytes'),
+    profile
+} = {}) {
+    const needed = withHistoryStore(store => store.exists() && (force || store.needsCompaction(maxBytes)), { profile });
+    if (!needed) return null;
+
+    if (rollup) {
+        rollupHistory({ profile });
+    }
 
-    const hours = rangeHours[range] || 24;
-    const cutoffDate = new Date(Date.now() - hours * 60 * 60 * 1000);
+    return withHistoryStore(store => store.compact(), { profile });
+}
 
-    let entries = [];
-    let summaries = [];
+/**
+ * Resolution getCombinedData uses for a range: 'raw' while raw entries cover
+ * it, then the finest summary tier that keeps the point count manageable
+ */
+export function pickResolution(rangeMs, rawRetentionMs = getTierRetentions().raw) {
+    if (rangeMs <= rawRetentionMs) return 'raw';
+    return RESOLUTION_RANGES.find(({ upTo }) => rangeMs <= upTo).resolution;
+}
 
-    // Load raw entries
-    if (fs.existsSync(HISTORY_FILE)) {
-        try {
-            const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
-            entries = (data.entries || []).filter(e => new Date(e.timestamp) >= cutoffDate);
-        } catch (e) {
-            console.warn('Warning: Could not load history file:', e.message);
+/**
+ * Merge layers of records, ordered coarse to fine, into one timeline
+ * Each layer only fills in the time after the coarser layers end, so recent
+ * data comes from finer summaries and raw entries.
+ */
+function stitchLayers(layers) {
+    let coveredUntil = -Infinity;
+
+    return layers.flatMap((records) => {
+        const taken = records.filter(record => time(record.timestamp) >= coveredUntil);
+        const last = taken[taken.length - 1];
+        if (last) {
+            coveredUntil = last.resolution ? bucketEnd(last.timestamp, last.resolution) : time(last.timestamp);
         }
-    }
+        return taken;
+    });
+}
 
-    // For extended ranges, also load summaries
-    if (hours > 24 && fs.existsSync(SUMMARY_FILE)) {
-        try {
-            const data = JSON.parse(fs.readFileSync(SUMMARY_FILE, 'utf-8'));
-            summaries = (data.summaries || []).filter(s => new Date(s.timestamp) >= cutoffDate);
-        } catch (e) {
-            console.warn('Warning: Could not load summary file:', e.message);
-        }
-    }
+/**
+ * Read data for a time range from an open store, at a resolution suited to
+ * the range's length
+ * Ranges within raw retention return raw entries. Longer ranges use the tier
+ * picked by pickResolution, topped up with finer summaries and raw entries for
+ * the recent time it doesn't cover yet. Summaries carry a `resolution` field.
+ */
+export function readCombinedData(store, range, { now = new Date() } = {}) {
+    const rawRetentionMs = getTierRetentions().raw;
+    const rangeMs = parseWindow(range) || rawRetentionMs;
+    const since = new Date(now.getTime() - rangeMs);
+    const resolution = pickResolution(rangeMs, rawRetentionMs);
+
+    const entries = store.getEntries({ since });
+    if (resolution === 'raw') return entries;
+
+    const tiers = ROLLUP_TIERS.map(tier => tier.resolution).reverse();
+    const layers = tiers.slice(tiers.indexOf(resolution))
+        .map(tier => store.getSummaries({ since, resolution: tier }));
+    return stitchLayers([...layers, entries]);
+}
 
-    // Combine and sort by timestamp (summaries first, then raw entries)
-    // Remove overlapping periods (prefer raw entries over summaries)
-    const rawTimestamps = new Set(entries.map(e => {
-        const d = new Date(e.timestamp);
-        return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}-${d.getHours()}`;
-    }));
+// How far back the seasonal forecast looks for the weekly usage pattern
+export const USAGE_PATTERN_RANGE = '28d';
 
-    const filteredSummaries = summaries.filter(s => {
-        const d = new Date(s.timestamp);
-        const hourKey = `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}-${d.getHours()}`;
-        return !rawTimestamps.has(hourKey);
-    });
+/**
+ * Raw entries since a time, from entries already read from the store if given
+ */
+function entriesSince(store, since, entries) {
+    return entries ? entries.filter(entry => time(entry.timestamp) >= since.getTime()) : store.getEntries({ since });
+}
 
-    return [...filteredSummaries, ...entries].sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-    );
+/**
+ * Hourly summaries and raw entries from an open store, for learning when in
+ * the week usage usually happens (see seasonalProfile in forecast.mjs)
+ * Pass the raw entries as `entries` when they have already been read.
+ */
+export function readUsagePattern(store, { now = new Date(), entries } = {}) {
+    const since = new Date(now.getTime() - parseWindow(USAGE_PATTERN_RANGE));
+    return stitchLayers([store.getSummaries({ since, resolution: 'hour' }), entriesSince(store, since, entries)]);
 }
 
 /**
- * Get storage statistics
+ * Daily and hourly summaries topped up with raw entries since a time, from an
+ * open store, for adding up usage over budget periods (see budgets.mjs)
+ * Pass the raw entries as `entries` when they have already been read.
  */
-export function getStorageStats() {
-    const stats = {
-        historyFile: { exists: false, size: 0, entries: 0 },
-        summaryFile: { exists: false, size: 0, entries: 0 },
-        totalSize: 0
-    };
+export function readUsageSince(store, since, { entries } = {}) {
+    return stitchLayers([
+        store.getSummaries({ since, resolution: 'day' }),
+        store.getSummaries({ since, resolution: 'hour' }),
+        entriesSince(store, since, entries)
+    ]);
+}
 
-    if (fs.existsSync(HISTORY_FILE)) {
-        const fileStat = fs.statSync(HISTORY_FILE);
-        const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
-        stats.historyFile = {
-            exists: true,
-            size: fileStat.size,
-            entries: data.entries?.length || 0,
-            path: HISTORY_FILE
-        };
-        stats.totalSize += fileStat.size;
-    }
+/**
+ * Get combined data (raw + summaries) for a time range of the active profile
+ */
+export function getCombinedData(range, options) {
+    return withHistoryStore(store => readCombinedData(store, range, options));
+}
 
-    if (fs.existsSync(SUMMARY_FILE)) {
-        const fileStat = fs.statSync(SUMMARY_FILE);
-        const data = JSON.parse(fs.readFileSync(SUMMARY_FILE, 'utf-8'));
-        stats.summaryFile = {
-            exists: true,
-            size: fileStat.size,
-            entries: data.summaries?.length || 0,
-            path: SUMMARY_FILE
-        };
-        stats.totalSize += fileStat.size;
-    }
+/**
+ * Get storage statistics for the active profile
+ * Returns { backend, location, files, totalSize, entries, summaries, rollups },
+ * where rollups counts the summaries of each resolution.
+ */
+export function getStorageStats() {
+    return withHistoryStore(store => ({
+        ...store.getStats(),
+        rollups: Object.fromEntries(ROLLUP_TIERS.map(({ resolution }) => [resolution, store.countSummaries({ resolution })]))
+    }));
+}
 
-    return stats;
+/**
+ * Describe summary counts per tier, e.g. "720 hourly, 30 daily, 1 monthly"
+ */
+export function formatRollupCounts(counts) {
+    return ROLLUP_TIERS.map(({ resolution, label }) => `${counts[resolution] || 0} ${label}`).join(', ');
 }
 
 // CLI execution
 if (process.argv[1] === new URL(import.meta.url).pathname ||
     process.argv[1]?.endsWith('data-manager.mjs')) {
-    const retentionPeriod = config.get('retention', '24h');
+    const retentionPeriod = config.get('retention', DEFAULT_RETENTION);
 
     console.log(`\n📦 GLM Data Manager`);
-    console.log(`   Retention period: ${retentionPeriod}`);
+    console.log(`   Raw retention: ${retentionPeriod}`);
+    ROLLUP_TIERS.forEach(({ label, configKey, defaultRetention }) => {
+        console.log(`   ${label[0].toUpperCase()}${label.slice(1)} retention: ${config.get(configKey, defaultRetention)}`);
+    });
     console.log(`   Profile: ${config.get('activeProfile', 'default')}\n`);
 
-    if (retentionPeriod === '24h') {
-        console.log('ℹ️  24h retention mode - no archiving needed');
-        console.log('   Set longer retention with: glm-monitor config --retention 7d\n');
+    if (!parseRetention(retentionPeriod)) {
+        console.log(`⚠️  Invalid retention period "${retentionPeriod}", using ${DEFAULT_RETENTION}`);
+        console.log('   Fix with: glm-monitor config --retention 24h\n');
+    }
+
+    const rollup = rollupHistory();
+    if (!rollup) {
+        console.log('No history found. Nothing to roll up.');
     } else {
-        archiveOldData(retentionPeriod);
+        console.log(`✓ Rolled up ${formatRollupCounts(rollup.added)} summaries`);
+        const prunedSummaries = ROLLUP_TIERS.reduce((sum, { resolution }) => sum + rollup.pruned[resolution], 0);
+        if (prunedSummaries > 0) {
+            console.log(`✓ Removed expired summaries (${formatRollupCounts(rollup.pruned)})`);
+        }
+        if (rollup.pruned.raw > 0) {
+            console.log(`✓ Removed ${rollup.pruned.raw} raw entries older than ${retentionPeriod}`);
+        }
+    }
+
+    const compacted = compactHistory({ force: true, rollup: false });
+    if (compacted) {
+        console.log(`✓ Compacted storage (${(compacted.before / 1024).toFixed(1)} KB → ${(compacted.after / 1024).toFixed(1)} KB)`);
     }
 
     // Show storage stats
     const stats = getStorageStats();
-    console.log(`\n📊 Storage Statistics:`);
-    console.log(`   Raw entries: ${stats.historyFile.entries}`);
-    console.log(`   Hourly summaries: ${stats.summaryFile.entries}`);
+    console.log(`\n📊 Storage Statistics (${stats.backend}):`);
+    console.log(`   Raw entries: ${stats.entries}`);
+    console.log(`   Summaries: ${formatRollupCounts(stats.rollups)}`);
     console.log(`   Total size: ${(stats.totalSize / 1024).toFixed(1)} KB\n`);
 }
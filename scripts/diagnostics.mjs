@@ -1,20 +1,24 @@
 #!/usr/bin/env node
 
-import fs from 'fs';
 import os from 'os';
-import path from 'path';
 import Conf from 'conf';
+import { openHistoryStore } from './history-store.mjs';
+import { DATA_DIR as dataDir } from './storage.mjs';
 
 const config = new Conf({ projectName: 'glm-monitor' });
-const dataDir = path.join(os.homedir(), '.glm-monitor');
 const activeProfile = config.get('activeProfile', 'default');
-const historyFileName = activeProfile === 'default'
-    ? 'usage-history.json'
-    : `${activeProfile}-usage-history.json`;
-const historyFile = path.join(dataDir, historyFileName);
 
 console.log('\n🔬 GLM Monitor Diagnostics\n');
 
+let store;
+try {
+    store = openHistoryStore({ profile: activeProfile });
+} catch (e) {
+    console.log('⚠️  Issue: Cannot open usage storage (' + e.message + ')');
+    console.log('   Fix: Check the storage backend with `glm-monitor storage`');
+    process.exit(0);
+}
+
 let issuesFound = 0;
 
 // Issue 1: Missing auth token
@@ -25,7 +29,7 @@ if (!config.get('authToken') && !process.env.ANTHROPIC_AUTH_TOKEN) {
 }
 
 // Issue 2: Data file doesn't exist
-if (!fs.existsSync(historyFile)) {
+if (!store.exists()) {
     console.log('\n⚠️  Issue: No usage data file');
     console.log('   Fix: Run `glm-monitor collect`');
     issuesFound++;
@@ -40,16 +44,17 @@ if (!fs.existsSync(historyFile)) {
     console.log('\n' + '='.repeat(50));
     console.log('⚠️  ' + issuesFound + ' issue(s) found - See above for details');
     console.log('='.repeat(50) + '\n');
+    store.close();
     process.exit(0);
 }
 
 // Load data
 let data;
 try {
-    data = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
+    data = store.readHistory();
 } catch (e) {
-    console.log('\n⚠️  Issue: Failed to parse history file');
-    console.log('   Fix: Delete ' + historyFile + ' and run `glm-monitor collect`');
+    console.log('\n⚠️  Issue: Failed to read usage history (' + e.message + ')');
+    console.log('   Fix: Delete ' + store.location + ' and run `glm-monitor collect`');
     issuesFound++;
     process.exit(0);
 }
@@ -73,8 +78,9 @@ if (!data.entries || data.entries.length < 10) {
 }
 
 // Issue 5: High quota usage
-if (data.entries && data.entries.length > 0) {
-    const latest = data.entries[data.entries.length - 1];
+const dataEntries = (data.entries || []).filter(e => e.type !== 'gap');
+if (dataEntries.length > 0) {
+    const latest = dataEntries[dataEntries.length - 1];
 
     if (latest.tokenQuotaPercent > 80) {
         console.log('\n⚠️  Issue: Token quota nearly exhausted (' + latest.tokenQuotaPercent + '%)');
@@ -89,7 +95,17 @@ if (data.entries && data.entries.length > 0) {
     }
 }
 
-// Issue 6: Config issues
+// Issue 6: Failed collections recorded as gaps
+const gapEntries = (data.entries || []).filter(e => e.type === 'gap');
+if (gapEntries.length > 0) {
+    const lastGap = gapEntries[gapEntries.length - 1];
+    console.log('\n⚠️  Issue: ' + gapEntries.length + ' failed collection(s) in history');
+    console.log('   Last failure: ' + new Date(lastGap.timestamp).toLocaleString() + ' - ' + lastGap.reason);
+    console.log('   Fix: Check your network, token and `glm-monitor health-check`');
+    issuesFound++;
+}
+
+// Issue 7: Config issues
 const retention = config.get('retention');
 if (!retention) {
     console.log('\n⚠️  Issue: Retention period not configured');
@@ -105,8 +121,9 @@ console.log('   Data directory: ' + dataDir);
 console.log('   Active profile: ' + activeProfile);
 
 try {
-    const historyStats = fs.statSync(historyFile);
-    console.log('   History size: ' + historyStats.size + ' bytes');
+    const storageStats = store.getStats();
+    console.log('   Storage backend: ' + storageStats.backend);
+    console.log('   History size: ' + storageStats.totalSize + ' bytes');
 } catch (e) {
     console.log('   History size: N/A');
 }
@@ -125,3 +142,5 @@ if (issuesFound === 0) {
     console.log('⚠️  ' + issuesFound + ' issue(s) found - See above for details');
 }
 console.log('='.repeat(50) + '\n');
+
+store.close();
@@ -0,0 +1,71 @@
+/**
+ * Duration helpers
+ *
+ * Parses human-friendly durations such as "30s", "5m", "12h", "90d" or "2w"
+ * into milliseconds, and formats milliseconds back into short labels.
+ */
+
+const UNIT_MS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration string into milliseconds
+ * Plain numbers are treated as milliseconds. Returns null when invalid.
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const unit = match[2] || 'ms';
+    return Math.round(amount * UNIT_MS[unit]);
+}
+
+/**
+ * Format milliseconds as a compact label, e.g. "3h 12m"
+ */
+export function formatDuration(ms) {
+    if (!Number.isFinite(ms) || ms < 0) return 'n/a';
+    if (ms < UNIT_MS.m) return `${Math.round(ms / UNIT_MS.s)}s`;
+
+    const days = Math.floor(ms / UNIT_MS.d);
+    const hours = Math.floor((ms % UNIT_MS.d) / UNIT_MS.h);
+    const minutes = Math.floor((ms % UNIT_MS.h) / UNIT_MS.m);
+
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    return `${minutes}m`;
+}
+
+export const DEFAULT_RETENTION = '24h';
+const MIN_RETENTION_MS = UNIT_MS.h;
+
+/**
+ * Parse a time window such as "30m", "12h" or "90d" into milliseconds
+ * Unlike parseDuration a unit is required, since a bare "7" is ambiguous.
+ * Returns null when invalid or not positive.
+ */
+export function parseWindow(value) {
+    if (typeof value !== 'string' || !/[a-z]\s*$/i.test(value)) return null;
+    const ms = parseDuration(value);
+    return ms > 0 ? ms : null;
+}
+
+/**
+ * Parse a retention period (a window of at least one hour), or null if invalid
+ */
+export function parseRetention(value) {
+    const ms = parseWindow(value);
+    return ms !== null && ms >= MIN_RETENTION_MS ? ms : null;
+}
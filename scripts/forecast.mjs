@@ -0,0 +1,379 @@
+/**
+ * Quota Forecasting
+ *
+ * Forecasts when the token quota runs out from the current cycle's
+ * tokenQuotaPercent readings, using one of several models:
+ *
+ *   regression  least-squares line through the readings (the default)
+ *   ewma        exponentially weighted average of the rate between readings,
+ *               so recent intervals count most
+ *   seasonal    the regression rate, shaped by how usage usually varies by
+ *               hour of the day and day of the week
+ *
+ * Every forecast comes with a confidence interval. It is a normal
+ * approximation from the spread of the readings, so with only two readings it
+ * collapses to the forecast itself.
+ *
+ * Given the next quota reset (see nextQuotaReset), a forecast also says
+ * whether the quota runs out before the reset, how much of it is expected to
+ * be left (or overdrawn) at the reset, and what rate would last until then.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+import { counterDelta, currentCycle, estimateCycleLength, isQuotaReset } from './cycles.mjs';
+
+export const FORECAST_MODELS = ['regression', 'ewma', 'seasonal'];
+export const DEFAULT_FORECAST_MODEL = 'regression';
+export const DEFAULT_CONFIDENCE = 0.9;
+
+// Two-sided normal quantiles for the supported confidence levels
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+export const CONFIDENCE_LEVELS = Object.keys(Z_SCORES).map(Number);
+
+const HOUR_MS = 60 * 60 * 1000;
+const EWMA_ALPHA = 0.3;
+
+// Seasonal forecasts stop looking after 30 days
+const MAX_HORIZON_HOURS = 30 * 24;
+
+const time = (timestamp) => new Date(timestamp).getTime();
+
+/**
+ * The current cycle's quota readings as { at, percent }, oldest first
+ */
+function quotaReadings(entries) {
+    return currentCycle(entries || [])
+        .filter(entry => typeof entry.tokenQuotaPercent === 'number')
+        .map(entry => ({ at: time(entry.timestamp), percent: entry.tokenQuotaPercent }));
+}
+
+/**
+ * Least-squares rate in percent per hour, with its standard error
+ */
+function regressionRate(readings) {
+    const n = readings.length;
+    const xs = readings.map(r => (r.at - readings[0].at) / HOUR_MS);
+    const ys = readings.map(r => r.percent);
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    xs.forEach((x, i) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (ys[i] - meanY);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const sse = xs.reduce((sum, x, i) => sum + (ys[i] - (meanY + slope * (x - meanX))) ** 2, 0);
+    const standardError = n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : 0;
+    return { rate: slope, standardError };
+}
+
+/**
+ * Exponentially weighted rate between consecutive readings, with the weighted
+ * spread of those rates
+ */
+function ewmaRate(readings, alpha = EWMA_ALPHA) {
+    let mean = null;
+    let variance = 0;
+    for (let i = 1; i < readings.length; i++) {
+        const hours = (readings[i].at - readings[i - 1].at) / HOUR_MS;
+        if (hours <= 0) continue;
+        const rate = (readings[i].percent - readings[i - 1].percent) / hours;
+        if (mean === null) {
+            mean = rate;
+            continue;
+        }
+        const diff = rate - mean;
+        mean += alpha * diff;
+        variance = (1 - alpha) * (variance + alpha * diff * diff);
+    }
+    return mean === null ? null : { rate: mean, standardError: Math.sqrt(variance) };
+}
+
+const hourOfWeek = (at) => {
+    const date = new Date(at);
+    return date.getDay() * 24 + date.getHours();
+};
+const hourOfDay = (at) => new Date(at).getHours();
+
+/**
+ * How busy each hour of the week usually is, relative to the average
+ *
+ * Built from the tokens used by raw entries (their tokensDelta) and hourly
+ * summaries (their deltas). Returns a function from a time to its factor:
+ * the hour of the week's when it has data from at least two records, else
+ * the hour of the day's, else 1.
+ */
+export function seasonalProfile(records) {
+    const week = new Map();
+    const day = new Map();
+    let totalTokens = 0;
+    let totalHours = 0;
+
+    const add = (at, tokens, hours) => {
+        [[week, hourOfWeek(at)], [day, hourOfDay(at)]].forEach(([buckets, key]) => {
+            const bucket = buckets.get(key) || { tokens: 0, hours: 0, count: 0 };
+            bucket.tokens += tokens;
+            bucket.hours += hours;
+            bucket.count += 1;
+            buckets.set(key, bucket);
+        });
+        totalTokens += tokens;
+        totalHours += hours;
+    };
+
+    let previous = null;
+    (records || []).forEach((record) => {
+        if (record.type === 'gap') {
+            previous = null;
+            return;
+        }
+        if (record.resolution === 'hour') {
+            add(time(record.timestamp), record.deltas?.tokensUsed || 0, 1);
+            previous = null;
+            return;
+        }
+        if (record.resolution) {
+            // Daily and monthly summaries carry no time of day
+            previous = null;
+            return;
+        }
+        if (previous) {
+            const hours = (time(record.timestamp) - time(previous.timestamp)) / HOUR_MS;
+            if (hours > 0) {
+                const tokens = record.tokensDelta ?? counterDelta(previous.tokensUsed, record.tokensUsed);
+                add((time(record.timestamp) + time(previous.timestamp)) / 2, tokens, hours);
+            }
+        }
+        previous = record;
+    });
+
+    const average = totalHours > 0 ? totalTokens / totalHours : 0;
+    if (average <= 0) return () => 1;
+
+    return (at) => {
+        const weekly = week.get(hourOfWeek(at));
+        if (weekly && weekly.count >= 2) return weekly.tokens / weekly.hours / average;
+        const daily = day.get(hourOfDay(at));
+        if (daily) return daily.tokens / daily.hours / average;
+        return 1;
+    };
+}
+
+/**
+ * Hours until `remaining` percent is used at `rate` percent per hour, where
+ * the rate at each time is scaled by factorAt (null if it takes over 30 days)
+ */
+function hoursToUse(remaining, rate, factorAt, from) {
+    if (remaining <= 0) return 0;
+    if (!(rate > 0)) return null;
+
+    let used = 0;
+    let at = from;
+    const end = from + MAX_HORIZON_HOURS * HOUR_MS;
+    while (at < end) {
+        const next = Math.min(end, (Math.floor(at / HOUR_MS) + 1) * HOUR_MS);
+        const perHour = rate * factorAt(at);
+        const step = perHour * (next - at) / HOUR_MS;
+        if (perHour > 0 && used + step >= remaining) {
+            return (at - from) / HOUR_MS + (remaining - used) / perHour;
+        }
+        used += step;
+        at = next;
+    }
+    return null;
+}
+
+/**
+ * Percent used over `hours` from `from` at `rate` percent per hour, scaled by
+ * factorAt like hoursToUse
+ */
+function percentUsedIn(hours, rate, factorAt, from) {
+    if (!(rate > 0)) return 0;
+
+    let used = 0;
+    let at = from;
+    const end = from + hours * HOUR_MS;
+    while (at < end) {
+        const next = Math.min(end, (Math.floor(at / HOUR_MS) + 1) * HOUR_MS);
+        used += rate * factorAt(at) * (next - at) / HOUR_MS;
+        at = next;
+    }
+    return used;
+}
+
+/**
+ * When the token quota next resets, as { resetsAt, source }, or null
+ *
+ * Uses the reset time the quota API reported (source 'quota') while it is
+ * still ahead. Otherwise adds the usual cycle length, learned from the resets
+ * detected in entries, to the latest one (source 'cycle').
+ */
+export function nextQuotaReset({ resetsAt, entries = [], now = Date.now() } = {}) {
+    const nowMs = time(now);
+    if (resetsAt && time(resetsAt) > nowMs) {
+        return { resetsAt: new Date(resetsAt).toISOString(), source: 'quota' };
+    }
+
+    const cycleMs = estimateCycleLength(entries);
+    if (!cycleMs) return null;
+    const lastReset = time(entries.filter(isQuotaReset).pop().timestamp);
+    const next = lastReset + (Math.floor(Math.max(0, nowMs - lastReset) / cycleMs) + 1) * cycleMs;
+    return { resetsAt: new Date(next).toISOString(), source: 'cycle' };
+}
+
+/**
+ * Whether a forecast calls for a warning: the quota runs out before the next
+ * reset or, when the reset isn't known, within a day
+ */
+export function isExhaustionImminent(forecast) {
+    if (!forecast || forecast.hoursUntilExhausted === null) return false;
+    return forecast.reset ? forecast.reset.exhaustsBeforeReset : forecast.hoursUntilExhausted < 24;
+}
+
+/**
+ * Forecast when the token quota will be exhausted
+ *
+ * entries are history entries; only the current cycle's readings are used.
+ * Options: model (see FORECAST_MODELS), confidence (see CONFIDENCE_LEVELS),
+ * currentPercent (defaults to the latest reading), reset (from nextQuotaReset),
+ * and for the seasonal model `usage`, longer history (raw entries and hourly
+ * summaries) to learn the weekly pattern from; entries are used without it.
+ *
+ * Returns null with fewer than two readings at different times. Otherwise
+ * { model, confidence, samples, currentPercent, rate, rateInterval,
+ * hoursUntilExhausted, interval, exhaustsAt, reset }. rate is percent per hour
+ * now; hours are counted from the latest reading and are null when the quota
+ * isn't being used up (or, for interval.high, might never be at the low rate).
+ *
+ * reset is null unless a reset after the latest reading is given. Otherwise
+ * it is { resetsAt, source, hoursUntilReset, exhaustsBeforeReset,
+ * percentAtReset, percentAtResetInterval, headroomAtReset, safeRate }:
+ * percentAtReset may pass 100, headroomAtReset is 100 minus it (negative for
+ * an expected overage), and safeRate is the percent per hour that would just
+ * last until the reset.
+ * Throws on unknown models or confidence levels.
+ */
+export function forecastQuota(entries, { model = DEFAULT_FORECAST_MODEL, confidence = DEFAULT_CONFIDENCE, currentPercent, reset, usage } = {}) {
+    if (!FORECAST_MODELS.includes(model)) {
+        throw new Error(`Unknown forecast model "${model}". Use: ${FORECAST_MODELS.join(', ')}`);
+    }
+    const z = Z_SCORES[confidence];
+    if (!z) {
+        throw new Error(`Unsupported confidence level ${confidence}. Use: ${CONFIDENCE_LEVELS.join(', ')}`);
+    }
+
+    const readings = quotaReadings(entries);
+    if (readings.length < 2) return null;
+
+    const fit = model === 'ewma' ? ewmaRate(readings) : regressionRate(readings);
+    if (!fit) return null;
+
+    const latest = readings[readings.length - 1];
+    const percent = currentPercent ?? latest.percent;
+    const remaining = Math.max(0, 100 - percent);
+    const rateLow = fit.rate - z * fit.standardError;
+    const rateHigh = fit.rate + z * fit.standardError;
+
+    // Seasonal: divide out how busy the measured hours usually are, then
+    // project with how busy the coming hours usually are
+    let factorAt = () => 1;
+    let scale = 1;
+    if (model === 'seasonal') {
+        const profile = seasonalProfile(usage || entries);
+        const windowFactors = readings.slice(1).map((r, i) => profile((r.at + readings[i].at) / 2));
+        const windowFactor = windowFactors.reduce((a, b) => a + b, 0) / windowFactors.length;
+        scale = windowFactor > 0 ? 1 / windowFactor : 1;
+        factorAt = profile;
+    }
+
+    const hoursUntilExhausted = hoursToUse(remaining, fit.rate * scale, factorAt, latest.at);
+    const interval = {
+        low: hoursToUse(remaining, rateHigh * scale, factorAt, latest.at),
+        high: hoursToUse(remaining, rateLow * scale, factorAt, latest.at)
+    };
+
+    let atReset = null;
+    const hoursUntilReset = reset ? (time(reset.resetsAt) - latest.at) / HOUR_MS : 0;
+    if (hoursUntilReset > 0) {
+        const percentAt = rate => percent + percentUsedIn(hoursUntilReset, rate * scale, factorAt, latest.at);
+        const percentAtReset = percentAt(fit.rate);
+        atReset = {
+            resetsAt: new Date(reset.resetsAt).toISOString(),
+            source: reset.source,
+            hoursUntilReset,
+            exhaustsBeforeReset: hoursUntilExhausted !== null && hoursUntilExhausted < hoursUntilReset,
+            percentAtReset,
+            percentAtResetInterval: { low: percentAt(rateLow), high: percentAt(rateHigh) },
+            headroomAtReset: 100 - percentAtReset,
+            safeRate: remaining / hoursUntilReset
+        };
+    }
+
+    return {
+        model,
+        confidence,
+        samples: readings.length,
+        currentPercent: percent,
+        rate: fit.rate,
+        rateInterval: { low: rateLow, high: rateHigh },
+        hoursUntilExhausted,
+        interval,
+        exhaustsAt: hoursUntilExhausted === null ? null : new Date(latest.at + hoursUntilExhausted * HOUR_MS).toISOString(),
+        reset: atReset
+    };
+}
+
+/**
+ * "16h (90% CI 12–22h)" for a forecast, or null when it never exhausts
+ */
+export function formatForecast(forecast) {
+    if (!forecast || forecast.hoursUntilExhausted === null) return null;
+    const hours = value => `${Math.round(value)}h`;
+    const point = hours(forecast.hoursUntilExhausted);
+    const { low, high } = forecast.interval;
+    if ([low, high].every(value => value !== null && hours(value) === point)) {
+        return point;
+    }
+    const upper = high === null ? '∞' : hours(high);
+    return `${point} (${Math.round(forecast.confidence * 100)}% CI ${hours(low)}–${upper})`;
+}
+
+/**
+ * A forecast's reset outlook rounded for storing and serving: hours and
+ * percentages to one decimal, the safe rate to two
+ */
+export function roundResetOutlook(reset) {
+    if (!reset) return null;
+    const round = (value, digits = 1) => Number(value.toFixed(digits));
+    return {
+        ...reset,
+        hoursUntilReset: round(reset.hoursUntilReset),
+        percentAtReset: round(reset.percentAtReset),
+        percentAtResetInterval: {
+            low: round(reset.percentAtResetInterval.low),
+            high: round(reset.percentAtResetInterval.high)
+        },
+        headroomAtReset: round(reset.headroomAtReset),
+        safeRate: round(reset.safeRate, 2)
+    };
+}
+
+/**
+ * What a forecast means for the next reset, e.g. "Resets in 3h with ~35%
+ * headroom (safe pace 21.67%/hour)", or null without a known reset
+ */
+export function formatResetOutlook(forecast) {
+    const reset = forecast?.reset;
+    if (!reset) return null;
+    const hours = `${Math.round(reset.hoursUntilReset)}h`;
+    const headroom = Math.round(reset.headroomAtReset);
+    if (reset.exhaustsBeforeReset) {
+        return `Runs out before the reset in ${hours}: ~${-headroom}% over at reset (safe pace ${reset.safeRate.toFixed(2)}%/hour)`;
+    }
+    return `Resets in ${hours} with ~${headroom}% headroom (safe pace ${reset.safeRate.toFixed(2)}%/hour)`;
+}
@@ -0,0 +1,172 @@
+/**
+ * GLM History Store
+ *
+ * Storage interface shared by the collector, data manager, API server, reports
+ * and CLI. The backend is chosen with the `storage.backend` config key:
+ *
+ *   json   - usage-history.json + usage-summary.json (default)
+ *   jsonl  - append-only usage-history.jsonl, compacted into a snapshot
+ *   sqlite - usage.db with indexed time-range queries
+ *
+ * Every backend exposes the same methods (getEntries, appendEntry,
+ * transaction, exportData, ...); see json-store.mjs for the reference
+ * implementation. Use `glm-monitor storage migrate --to <backend>` to convert
+ * existing data.
+ */
+
+import Conf from 'conf';
+import { JsonHistoryStore } from './json-store.mjs';
+import { JsonlHistoryStore } from './jsonl-store.mjs';
+import { SqliteHistoryStore } from './sqlite-store.mjs';
+import { CURRENT_SCHEMA_VERSION, verifyDocuments } from './schema.mjs';
+
+const config = new Conf({ projectName: 'glm-monitor' });
+
+const BACKENDS = {
+    json: JsonHistoryStore,
+    jsonl: JsonlHistoryStore,
+    sqlite: SqliteHistoryStore
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Get the configured storage backend name
+ */
+export function getStorageBackend() {
+    const backend = config.get('storage.backend', 'json');
+    if (!BACKENDS[backend]) {
+        throw new Error(`Unknown storage backend "${backend}". Choose from: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    return backend;
+}
+
+/**
+ * Open the history store for a profile (defaults: active profile, configured backend)
+ */
+export function openHistoryStore({ profile, backend, dataDir } = {}) {
+    const backendName = backend || getStorageBackend();
+    const Store = BACKENDS[backendName];
+    if (!Store) {
+        throw new Error(`Unknown storage backend "${backendName}". Choose from: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    return new Store({ profile: profile || config.get('activeProfile', 'default'), dataDir });
+}
+
+/**
+ * Open a store, run fn with it and always close it
+ */
+export function withHistoryStore(fn, options) {
+    const store = openHistoryStore(options);
+    try {
+        return fn(store);
+    } finally {
+        store.close();
+    }
+}
+
+/**
+ * All profile names that may have data
+ */
+export function listProfiles() {
+    return ['default', ...Object.keys(config.get('profiles', {}))];
+}
+
+/**
+ * Copy one profile's data between backends
+ * Refuses to overwrite existing data in the target unless force is set.
+ */
+export function migrateProfile({ profile, from, to, force = false, dataDir }) {
+    if (from === to) {
+        throw new Error(`Data is already stored with the ${to} backend`);
+    }
+
+    const source = openHistoryStore({ profile, backend: from, dataDir });
+    try {
+        if (!source.exists()) {
+            return { profile, migrated: false, reason: 'no data' };
+        }
+
+        const target = openHistoryStore({ profile, backend: to, dataDir });
+        try {
+            if (target.exists() && !force) {
+                throw new Error(`Profile "${profile}" already has ${to} data at ${target.location}; use --force to overwrite it`);
+            }
+
+            const data = source.exportData();
+            target.importData(data);
+
+            return {
+                profile,
+                migrated: true,
+                entries: data.history.entries?.length || 0,
+                summaries: data.summaries?.summaries?.length || 0,
+                collectionRuns: data.history.collectionLog?.length || 0,
+                source: source.location,
+                target: target.location
+            };
+        } finally {
+            target.close();
+        }
+    } finally {
+        source.close();
+    }
+}
+
+/**
+ * Convert every profile to a new backend and make it the configured one
+ * Source files are left in place so the migration can be reverted.
+ */
+export function migrateStorage({ to, from = getStorageBackend(), force = false, dataDir } = {}) {
+    if (!BACKENDS[to]) {
+        throw new Error(`Unknown storage backend "${to}". Choose from: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+
+    // Check every profile before writing anything, so a conflict leaves nothing half-migrated
+    if (!force) {
+        listProfiles().forEach((profile) => {
+            withHistoryStore((source) => {
+                if (!source.exists()) return;
+                withHistoryStore((target) => {
+                    if (target.exists()) {
+                        throw new Error(`Profile "${profile}" already has ${to} data at ${target.location}; use --force to overwrite it`);
+                    }
+                }, { profile, backend: to, dataDir });
+            }, { profile, backend: from, dataDir });
+        });
+    }
+
+    const results = listProfiles().map(profile => migrateProfile({ profile, from, to, force: true, dataDir }));
+    config.set('storage.backend', to);
+    return results;
+}
+
+/**
+ * Check one profile's stored data against the current schema
+ * Returns { profile, exists, location, storedVersion, currentVersion, entries,
+ * summaries, problems } or { profile, exists, error } when it can't be read.
+ */
+export function verifyProfile({ profile, backend, dataDir } = {}) {
+    try {
+        return withHistoryStore((store) => {
+            if (!store.exists()) {
+                return { profile: store.profile, exists: false, problems: [] };
+            }
+
+            const storedVersion = store.storedSchemaVersion();
+            const { history, summaries } = store.exportData();
+            return {
+                profile: store.profile,
+                exists: true,
+                location: store.location,
+                storedVersion,
+                currentVersion: CURRENT_SCHEMA_VERSION,
+                entries: history.entries?.length || 0,
+                summaries: summaries?.summaries?.length || 0,
+                problems: verifyDocuments({ history, summaries })
+            };
+        }, { profile, backend, dataDir });
+    } catch (err) {
+        return { profile: profile || config.get('activeProfile', 'default'), exists: true, error: err.message };
+    }
+}
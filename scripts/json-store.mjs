@@ -0,0 +1,327 @@
+/**
+ * JSON History Store
+ *
+ * The original storage format: one pretty-printed history file with raw
+ * entries, the collection log and metadata, plus a summary file with the
+ * hourly, daily and monthly rollups. Every read parses the whole file, so
+ * range queries filter in memory. Writes are atomic and locked via storage.mjs.
+ */
+
+import fs from 'fs';
+import { getProfileDataPath, readJSON, withFileLock, writeJSONAtomic } from './storage.mjs';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateDocument } from './schema.mjs';
+
+const EMPTY_HISTORY = () => ({ schemaVersion: CURRENT_SCHEMA_VERSION, entries: [], lastUpdated: null });
+const EMPTY_SUMMARIES = () => ({ schemaVersion: CURRENT_SCHEMA_VERSION, summaries: [] });
+
+const time = (value) => new Date(value).getTime();
+
+// Summaries written before rollup tiers existed are hourly
+const resolutionOf = (summary) => summary.resolution || 'hour';
+const summaryKey = (summary) => `${resolutionOf(summary)} ${summary.timestamp}`;
+
+/**
+ * Filter and limit a sorted list by timestamp
+ */
+export function selectRange(items, { since, until, limit } = {}) {
+    let selected = items;
+    if (since) selected = selected.filter(item => time(item.timestamp) >= time(since));
+    if (until) selected = selected.filter(item => time(item.timestamp) <= time(until));
+    if (limit) selected = selected.slice(-limit);
+    return selected;
+}
+
+/**
+ * Merge entries into a sorted list, replacing any with the same timestamp
+ */
+export function mergeByTimestamp(items, entries) {
+    const merged = new Map(items.map(item => [time(item.timestamp), item]));
+    entries.forEach(entry => merged.set(time(entry.timestamp), entry));
+    return [...merged.values()].sort((a, b) => time(a.timestamp) - time(b.timestamp));
+}
+
+export class JsonHistoryStore {
+    constructor({ profile = 'default', dataDir } = {}) {
+        this.backend = 'json';
+        this.profile = profile;
+        this.historyFile = getProfileDataPath(profile, 'usage-history.json', dataDir);
+        this.summaryFile = getProfileDataPath(profile, 'usage-summary.json', dataDir);
+        this.location = this.historyFile;
+        this.tx = null;
+    }
+
+    exists() {
+        return fs.existsSync(this.historyFile);
+    }
+
+    /**
+     * Lowest schema version among the files on disk, before any migration
+     */
+    storedSchemaVersion() {
+        const versions = [this.historyFile, this.summaryFile]
+            .filter(file => fs.existsSync(file))
+            .map(file => getSchemaVersion(readJSON(file)));
+        return versions.length ? Math.min(...versions) : CURRENT_SCHEMA_VERSION;
+    }
+
+    // ------------------------------------------------------------------
+    // Document access. Inside a transaction both files are read once and
+    // written once at the end; outside, each mutation is its own locked write.
+    // Documents are migrated to the current schema as they are read.
+    // ------------------------------------------------------------------
+
+    readHistoryDocument() {
+        return migrateDocument('history', readJSON(this.historyFile, EMPTY_HISTORY()), this.historyFile);
+    }
+
+    readSummaryDocument() {
+        return migrateDocument('summaries', readJSON(this.summaryFile, EMPTY_SUMMARIES()), this.summaryFile);
+    }
+
+    loadHistory() {
+        if (this.tx) {
+            this.tx.history ??= this.readHistoryDocument();
+            return this.tx.history;
+        }
+        return this.readHistoryDocument();
+    }
+
+    loadSummaries() {
+        if (this.tx) {
+            this.tx.summaries ??= this.readSummaryDocument();
+            return this.tx.summaries;
+        }
+        return this.readSummaryDocument();
+    }
+
+    mutate(kind, mutator) {
+        const file = kind === 'history' ? this.historyFile : this.summaryFile;
+        const load = () => (kind === 'history' ? this.loadHistory() : this.loadSummaries());
+
+        if (this.tx) {
+            const result = mutator(load());
+            this.tx.dirty.add(kind);
+            return result;
+        }
+
+        return withFileLock(file, () => {
+            const doc = load();
+            const result = mutator(doc);
+            writeJSONAtomic(file, doc);
+            return result;
+        });
+    }
+
+    /**
+     * Run fn with both files locked, writing any changes once at the end
+     */
+    transaction(fn) {
+        if (this.tx) return fn();
+
+        return withFileLock(this.historyFile, () => withFileLock(this.summaryFile, () => {
+            this.tx = { dirty: new Set() };
+            try {
+                const result = fn();
+                if (this.tx.dirty.has('history')) writeJSONAtomic(this.historyFile, this.tx.history);
+                if (this.tx.dirty.has('summaries')) writeJSONAtomic(this.summaryFile, this.tx.summaries);
+                return result;
+            } finally {
+                this.tx = null;
+            }
+        }));
+    }
+
+    // ------------------------------------------------------------------
+    // Queries
+    // ------------------------------------------------------------------
+
+    getEntries(options = {}) {
+        return selectRange(this.loadHistory().entries || [], options);
+    }
+
+    getLatestEntry() {
+        const entries = this.loadHistory().entries || [];
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].type !== 'gap') return entries[i];
+        }
+        return null;
+    }
+
+    countEntries() {
+        return (this.loadHistory().entries || []).length;
+    }
+
+    getCollectionLog(options = {}) {
+        return selectRange(this.loadHistory().collectionLog || [], options);
+    }
+
+    getMeta() {
+        const { entries, collectionLog, ...meta } = this.loadHistory();
+        return meta;
+    }
+
+    /**
+     * Summaries in a time range, optionally of one resolution ('hour', 'day' or 'month')
+     */
+    getSummaries({ resolution, ...options } = {}) {
+        const summaries = this.loadSummaries().summaries || [];
+        return selectRange(resolution ? summaries.filter(s => resolutionOf(s) === resolution) : summaries, options);
+    }
+
+    countSummaries({ resolution } = {}) {
+        return this.getSummaries({ resolution }).length;
+    }
+
+    getSummaryMeta() {
+        const { summaries, ...meta } = this.loadSummaries();
+        return meta;
+    }
+
+    /**
+     * History document in the shape the dashboard and reports expect
+     */
+    readHistory(options = {}) {
+        const history = this.loadHistory();
+        return {
+            ...history,
+            entries: selectRange(history.entries || [], options),
+            collectionLog: history.collectionLog || []
+        };
+    }
+
+    getStats() {
+        const files = [this.historyFile, this.summaryFile].filter(file => fs.existsSync(file));
+        return {
+            backend: this.backend,
+            location: this.location,
+            files,
+            totalSize: files.reduce((sum, file) => sum + fs.statSync(file).size, 0),
+            entries: this.countEntries(),
+            summaries: this.countSummaries()
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Mutations
+    // ------------------------------------------------------------------
+
+    /**
+     * Append an entry, dropping entries older than keepSince (the retention cutoff)
+     */
+    appendEntry(entry, { keepSince } = {}) {
+        this.mutate('history', (history) => {
+            history.entries = [...(history.entries || []), entry];
+            if (keepSince) {
+                history.entries = history.entries.filter(e => time(e.timestamp) >= time(keepSince));
+            }
+        });
+    }
+
+    /**
+     * Insert entries anywhere in the timeline (used by backfill), replacing
+     * existing entries that have the same timestamp
+     */
+    mergeEntries(entries) {
+        this.mutate('history', (history) => {
+            history.entries = mergeByTimestamp(history.entries || [], entries);
+        });
+    }
+
+    appendCollectionRun(run, { maxRuns } = {}) {
+        this.mutate('history', (history) => {
+            const log = [...(history.collectionLog || []), run];
+            history.collectionLog = maxRuns ? log.slice(-maxRuns) : log;
+        });
+    }
+
+    setMeta(patch) {
+        this.mutate('history', (history) => {
+            Object.assign(history, patch);
+        });
+    }
+
+    /**
+     * Remove raw entries older than a cutoff; returns the number removed
+     */
+    pruneEntries(before) {
+        return this.mutate('history', (history) => {
+            const entries = history.entries || [];
+            history.entries = entries.filter(e => time(e.timestamp) >= time(before));
+            return entries.length - history.entries.length;
+        });
+    }
+
+    /**
+     * Add summaries, keeping any existing summary with the same resolution and
+     * timestamp, or overwriting it with `replace`
+     */
+    addSummaries(summaries, { replace = false } = {}) {
+        return this.mutate('summaries', (doc) => {
+            let existing = doc.summaries || [];
+            if (replace) {
+                const replaced = new Set(summaries.map(summaryKey));
+                existing = existing.filter(s => !replaced.has(summaryKey(s)));
+            }
+            const seen = new Set(existing.map(summaryKey));
+            const added = summaries.filter(s => !seen.has(summaryKey(s)) && seen.add(summaryKey(s)));
+            doc.summaries = [...existing, ...added].sort((a, b) => time(a.timestamp) - time(b.timestamp));
+            return added.length;
+        });
+    }
+
+    /**
+     * Remove summaries (of one resolution, if given) older than a cutoff;
+     * returns the number removed
+     */
+    pruneSummaries(before, { resolution } = {}) {
+        return this.mutate('summaries', (doc) => {
+            const summaries = doc.summaries || [];
+            doc.summaries = summaries.filter(s => (resolution && resolutionOf(s) !== resolution) || time(s.timestamp) >= time(before));
+            return summaries.length - doc.summaries.length;
+        });
+    }
+
+    setSummaryMeta(patch) {
+        this.mutate('summaries', (doc) => {
+            Object.assign(doc, patch);
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Compaction (only the append-only backend has anything to fold)
+    // ------------------------------------------------------------------
+
+    needsCompaction() {
+        return false;
+    }
+
+    compact() {
+        return null;
+    }
+
+    // ------------------------------------------------------------------
+    // Whole-store import/export (backup, restore, backend migration)
+    // ------------------------------------------------------------------
+
+    exportData() {
+        return {
+            history: this.loadHistory(),
+            summaries: this.loadSummaries()
+        };
+    }
+
+    importData({ history, summaries }) {
+        this.transaction(() => {
+            this.tx.history = migrateDocument('history', { entries: [], ...history });
+            this.tx.dirty.add('history');
+            if (summaries) {
+                this.tx.summaries = migrateDocument('summaries', { summaries: [], ...summaries });
+                this.tx.dirty.add('summaries');
+            }
+        });
+    }
+
+    close() {
+        // Nothing held open between calls
+    }
+}
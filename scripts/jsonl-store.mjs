@@ -0,0 +1,355 @@
+/**
+ * JSONL History Store
+ *
+ * Append-only variant of the JSON store. Each change is one line appended to
+ * usage-history.jsonl instead of a rewrite of the whole document, so a
+ * collection costs the same however long the history grows, and a crash
+ * mid-write can only leave a torn last line (ignored on read, dropped on the
+ * next append).
+ *
+ * Reads replay the log on top of usage-history.snapshot.json. Compaction
+ * writes the replayed document as a new snapshot and starts a fresh log. The
+ * log header carries a generation number that the snapshot records, so a crash
+ * between those two steps never replays a log twice. Summaries live in the
+ * same usage-summary.json file as the JSON store.
+ */
+
+import fs from 'fs';
+import { JsonHistoryStore, mergeByTimestamp } from './json-store.mjs';
+import { getProfileDataPath, readJSON, withFileLock, writeFileAtomic, writeJSONAtomic } from './storage.mjs';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateDocument } from './schema.mjs';
+
+export const DEFAULT_COMPACT_BYTES = 1024 * 1024;
+
+const NEWLINE = 0x0a;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+const EMPTY_HISTORY = () => ({ schemaVersion: CURRENT_SCHEMA_VERSION, entries: [], lastUpdated: null });
+
+const headerRecord = (generation) => ({
+    op: 'header',
+    generation,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Parse log text into records
+ * The text after the last newline is an unfinished append and is ignored;
+ * any other unreadable line means the file is corrupt.
+ */
+export function parseLog(text, file = 'history log') {
+    const lines = text.split('\n');
+    lines.pop();
+
+    const records = [];
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            throw new Error(`Corrupt ${file} at line ${index + 1}: ${err.message}`);
+        }
+    });
+    return records;
+}
+
+const time = (value) => new Date(value).getTime();
+
+/**
+ * Drop the leading entries older than a cutoff
+ * Entries are appended in time order, so this keeps replay linear instead of
+ * filtering the whole list for every line; pruneEntries does a full pass.
+ */
+function dropLeadingBefore(entries, before) {
+    const cutoff = time(before);
+    const firstKept = entries.findIndex(e => time(e.timestamp) >= cutoff);
+    entries.splice(0, firstKept === -1 ? entries.length : firstKept);
+}
+
+/**
+ * Apply one log record to a history document
+ * `max` and `trim` records come from logs written before time-based retention.
+ */
+export function applyRecord(history, record) {
+    switch (record.op) {
+        case 'header':
+            break;
+        case 'entry':
+            history.entries ??= [];
+            history.entries.push(record.entry);
+            if (record.since) dropLeadingBefore(history.entries, record.since);
+            if (record.max && history.entries.length > record.max) {
+                history.entries.splice(0, history.entries.length - record.max);
+            }
+            break;
+        case 'merge':
+            history.entries = mergeByTimestamp(history.entries || [], record.entries);
+            break;
+        case 'run':
+            history.collectionLog ??= [];
+            history.collectionLog.push(record.run);
+            if (record.max && history.collectionLog.length > record.max) {
+                history.collectionLog.splice(0, history.collectionLog.length - record.max);
+            }
+            break;
+        case 'meta':
+            Object.assign(history, record.meta);
+            break;
+        case 'prune':
+            history.entries = (history.entries || []).filter(e => time(e.timestamp) >= time(record.before));
+            break;
+        case 'trim':
+            history.entries = record.keep > 0 ? (history.entries || []).slice(-record.keep) : [];
+            break;
+        default:
+            throw new Error(`Unknown history log record "${record.op}"`);
+    }
+    return history;
+}
+
+/**
+ * Truncate an unfinished last line so the next append starts on a fresh line
+ * Returns the new file size.
+ */
+function dropTornLine(fd, size) {
+    if (size === 0) return 0;
+
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    if (last[0] === NEWLINE) return size;
+
+    let end = size;
+    while (end > 0) {
+        const start = Math.max(0, end - TAIL_CHUNK_BYTES);
+        const chunk = Buffer.alloc(end - start);
+        fs.readSync(fd, chunk, 0, chunk.length, start);
+        const index = chunk.lastIndexOf(NEWLINE);
+        if (index !== -1) {
+            fs.ftruncateSync(fd, start + index + 1);
+            return start + index + 1;
+        }
+        end = start;
+    }
+
+    fs.ftruncateSync(fd, 0);
+    return 0;
+}
+
+export class JsonlHistoryStore extends JsonHistoryStore {
+    constructor({ profile = 'default', dataDir } = {}) {
+        super({ profile, dataDir });
+        this.backend = 'jsonl';
+        this.logFile = getProfileDataPath(profile, 'usage-history.jsonl', dataDir);
+        this.snapshotFile = getProfileDataPath(profile, 'usage-history.snapshot.json', dataDir);
+        this.historyFile = this.logFile;
+        this.location = this.logFile;
+    }
+
+    exists() {
+        return fs.existsSync(this.logFile) || fs.existsSync(this.snapshotFile);
+    }
+
+    // ------------------------------------------------------------------
+    // Log access
+    // ------------------------------------------------------------------
+
+    readLog() {
+        if (!fs.existsSync(this.logFile)) return [];
+        return parseLog(fs.readFileSync(this.logFile, 'utf-8'), this.logFile);
+    }
+
+    readLogHeader() {
+        const [first] = this.readLog();
+        return first?.op === 'header' ? first : null;
+    }
+
+    readLogGeneration() {
+        return this.readLogHeader()?.generation || 0;
+    }
+
+    /**
+     * Lowest schema version of the snapshot and the log, before any migration
+     */
+    storedSchemaVersion() {
+        const versions = [];
+        if (fs.existsSync(this.snapshotFile)) versions.push(getSchemaVersion(readJSON(this.snapshotFile).history));
+        if (fs.existsSync(this.logFile)) versions.push(getSchemaVersion(this.readLogHeader()));
+        return versions.length ? Math.min(...versions) : CURRENT_SCHEMA_VERSION;
+    }
+
+    /**
+     * Snapshot plus every log line not already folded into it, migrated to the current schema
+     */
+    readHistoryDocument() {
+        const snapshot = readJSON(this.snapshotFile, null);
+        const history = snapshot?.history || EMPTY_HISTORY();
+        const records = this.readLog();
+        const header = records[0]?.op === 'header' ? records[0] : null;
+
+        // A log at or below the snapshot's generation was folded in by a compaction that didn't finish
+        if (records.length && (!snapshot || (header?.generation || 0) > snapshot.generation)) {
+            records.forEach(record => applyRecord(history, record));
+            // Lines written by an older version need the same upgrades as the snapshot
+            history.schemaVersion = Math.min(getSchemaVersion(history), getSchemaVersion(header));
+        }
+        return migrateDocument('history', history, this.logFile);
+    }
+
+    loadHistory() {
+        if (this.tx) {
+            if (!this.tx.history) {
+                this.tx.history = this.readHistoryDocument();
+                this.tx.lines.forEach(record => applyRecord(this.tx.history, record));
+            }
+            return this.tx.history;
+        }
+        return this.readHistoryDocument();
+    }
+
+    /**
+     * Append records in a single write; the caller holds the log lock
+     */
+    writeLines(records) {
+        const fd = fs.openSync(this.logFile, 'a+');
+        try {
+            const size = dropTornLine(fd, fs.fstatSync(fd).size);
+            const lines = size === 0
+                ? [headerRecord((readJSON(this.snapshotFile, null)?.generation || 0) + 1), ...records]
+                : records;
+            fs.writeSync(fd, lines.map(record => JSON.stringify(record)).join('\n') + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Replace the snapshot with a full document and start a new, empty log
+     */
+    writeSnapshot(history) {
+        const generation = Math.max(this.readLogGeneration(), readJSON(this.snapshotFile, null)?.generation || 0);
+        writeJSONAtomic(this.snapshotFile, { generation, compactedAt: new Date().toISOString(), history });
+        writeFileAtomic(this.logFile, JSON.stringify(headerRecord(generation + 1)) + '\n');
+    }
+
+    append(record) {
+        if (this.tx) {
+            this.tx.lines.push(record);
+            if (this.tx.history) applyRecord(this.tx.history, record);
+            return;
+        }
+        withFileLock(this.logFile, () => this.writeLines([record]));
+    }
+
+    /**
+     * Run fn with the log and summary file locked; appends are written together at the end
+     */
+    transaction(fn) {
+        if (this.tx) return fn();
+
+        return withFileLock(this.logFile, () => withFileLock(this.summaryFile, () => {
+            this.tx = { dirty: new Set(), lines: [], history: null, rewrite: false };
+            try {
+                const result = fn();
+                if (this.tx.rewrite) {
+                    this.writeSnapshot(this.tx.history);
+                } else if (this.tx.lines.length) {
+                    this.writeLines(this.tx.lines);
+                }
+                if (this.tx.dirty.has('summaries')) writeJSONAtomic(this.summaryFile, this.tx.summaries);
+                return result;
+            } finally {
+                this.tx = null;
+            }
+        }));
+    }
+
+    getStats() {
+        const files = [this.logFile, this.snapshotFile, this.summaryFile].filter(file => fs.existsSync(file));
+        return {
+            backend: this.backend,
+            location: this.location,
+            files,
+            totalSize: files.reduce((sum, file) => sum + fs.statSync(file).size, 0),
+            entries: this.countEntries(),
+            summaries: this.countSummaries()
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Mutations
+    // ------------------------------------------------------------------
+
+    appendEntry(entry, { keepSince } = {}) {
+        this.append({ op: 'entry', entry, ...(keepSince && { since: new Date(keepSince).toISOString() }) });
+    }
+
+    mergeEntries(entries) {
+        this.append({ op: 'merge', entries });
+    }
+
+    appendCollectionRun(run, { maxRuns } = {}) {
+        this.append({ op: 'run', run, ...(maxRuns && { max: maxRuns }) });
+    }
+
+    setMeta(patch) {
+        this.append({ op: 'meta', meta: patch });
+    }
+
+    pruneEntries(before) {
+        const prune = () => {
+            const cutoff = time(before);
+            const removed = this.getEntries().filter(e => time(e.timestamp) < cutoff).length;
+            if (removed > 0) this.append({ op: 'prune', before: new Date(before).toISOString() });
+            return removed;
+        };
+        return this.tx ? prune() : withFileLock(this.logFile, prune);
+    }
+
+    // ------------------------------------------------------------------
+    // Compaction
+    // ------------------------------------------------------------------
+
+    logSize() {
+        return fs.existsSync(this.logFile) ? fs.statSync(this.logFile).size : 0;
+    }
+
+    needsCompaction(maxBytes = DEFAULT_COMPACT_BYTES) {
+        return this.logSize() > maxBytes;
+    }
+
+    /**
+     * Fold the log into a new snapshot; returns the log and snapshot size before and after
+     */
+    compact() {
+        if (!this.exists()) return null;
+
+        const size = () => [this.logFile, this.snapshotFile]
+            .filter(file => fs.existsSync(file))
+            .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+
+        const before = size();
+        this.transaction(() => {
+            this.loadHistory();
+            this.tx.rewrite = true;
+        });
+        return { before, after: size() };
+    }
+
+    // ------------------------------------------------------------------
+    // Whole-store import/export
+    // ------------------------------------------------------------------
+
+    importData({ history, summaries }) {
+        this.transaction(() => {
+            this.tx.history = migrateDocument('history', { entries: [], ...history });
+            this.tx.lines = [];
+            this.tx.rewrite = true;
+            if (summaries) {
+                this.tx.summaries = migrateDocument('summaries', { summaries: [], ...summaries });
+                this.tx.dirty.add('summaries');
+            }
+        });
+    }
+}
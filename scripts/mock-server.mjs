@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * Mock GLM Monitor API Server
+ *
+ * Serves the three monitoring endpoints the collector calls, with counters that
+ * grow over (optionally accelerated) time, quota windows that reset, random or
+ * scripted errors and configurable latency. Point the collector at it with
+ * ANTHROPIC_BASE_URL=http://localhost:8090/api/anthropic for offline work.
+ *
+ * Routes:
+ *   GET  /api/monitor/usage/model-usage
+ *   GET  /api/monitor/usage/tool-usage
+ *   GET  /api/monitor/usage/quota/limit
+ *   GET  /__mock/state   - current simulated counters
+ *   POST /__mock/steps   - queue scripted responses (JSON array)
+ *   POST /__mock/reset   - restart the simulation from zero
+ *
+ * Usage:
+ *   node scripts/mock-server.mjs [--port 8090] [--scenario scenario.json]
+ *   glm-monitor mock-server --speed 60 --error-rate 0.1 --latency 200ms
+ */
+
+import express from 'express';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseDuration } from './duration.mjs';
+
+export const DEFAULT_MOCK_PORT = 8090;
+
+/**
+ * Default scenario: a steady workload on a 5-hour token quota
+ */
+export const DEFAULT_SCENARIO = {
+    tokensPerHour: 2000000,
+    callsPerHour: 120,
+    mcpPerHour: 12,
+    tools: { search: 0.6, 'web-reader': 0.3, zread: 0.1 },
+    models: { 'glm-4.6': 0.8, 'glm-4.5-air': 0.2 },
+    inputTokenShare: 0.75,
+    variance: 0.2,
+    tokenLimit: 40000000,
+    tokenWindow: '5h',
+    mcpLimit: 4000,
+    mcpWindow: '30d',
+    counterReset: null,
+    speed: 1,
+    latency: 0,
+    latencyJitter: 0,
+    errorRate: 0,
+    errorStatus: 503,
+    token: null,
+    steps: []
+};
+
+const ROUTES = {
+    'model-usage': '/api/monitor/usage/model-usage',
+    'tool-usage': '/api/monitor/usage/tool-usage',
+    'quota/limit': '/api/monitor/usage/quota/limit'
+};
+
+/**
+ * Load a scenario JSON file and merge it over the defaults
+ */
+export function loadScenario(file) {
+    let scenario;
+    try {
+        scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Failed to read scenario ${file}: ${err.message}`);
+    }
+    return { ...DEFAULT_SCENARIO, ...scenario };
+}
+
+function requireDuration(value, name) {
+    if (value === null || value === undefined) return null;
+    const ms = parseDuration(value);
+    if (ms === null) {
+        throw new Error(`Invalid ${name} "${value}". Use a duration such as 200ms, 30s, 5h or 30d.`);
+    }
+    return ms;
+}
+
+/**
+ * Split an amount across names by weight as [name, share] pairs
+ * Shares are whole numbers; the last name takes the remainder.
+ */
+function splitByWeight(amount, weights = {}) {
+    const names = Object.keys(weights || {});
+    const totalWeight = names.reduce((sum, name) => sum + weights[name], 0);
+    let assigned = 0;
+    return names.map((name, index) => {
+        const share = index === names.length - 1
+            ? amount - assigned
+            : Math.round(amount * weights[name] / (totalWeight || 1));
+        assigned += share;
+        return [name, share];
+    });
+}
+
+/**
+ * Create the simulation state for a scenario
+ *
+ * Counters advance on every read by the configured hourly rates (with random
+ * variance), scaled by `speed` so an hour can pass in a minute. Quota windows
+ * reset when their duration elapses; `counterReset` also zeroes the totals.
+ */
+export function createMockState(scenarioOverrides = {}, { now = Date.now, random = Math.random } = {}) {
+    const scenario = { ...DEFAULT_SCENARIO, ...scenarioOverrides };
+    const speed = Number(scenario.speed) > 0 ? Number(scenario.speed) : 1;
+    const tokenWindow = requireDuration(scenario.tokenWindow, 'tokenWindow');
+    const mcpWindow = requireDuration(scenario.mcpWindow, 'mcpWindow');
+    const counterReset = requireDuration(scenario.counterReset, 'counterReset');
+
+    let startedAt;
+    let lastSimTime;
+    let counters;
+
+    const simTime = () => startedAt + (now() - startedAt) * speed;
+    const toRealTime = (simMs) => Math.round(startedAt + (simMs - startedAt) / speed);
+    const windowStart = (simMs, windowMs) => windowMs
+        ? startedAt + Math.floor((simMs - startedAt) / windowMs) * windowMs
+        : startedAt;
+
+    function reset() {
+        startedAt = now();
+        lastSimTime = startedAt;
+        counters = {
+            tokens: 0,
+            calls: 0,
+            mcp: 0,
+            tools: {},
+            models: {},
+            tokenWindowUsage: 0,
+            mcpWindowUsage: 0,
+            tokenWindowStart: startedAt,
+            mcpWindowStart: startedAt,
+            counterStart: startedAt
+        };
+    }
+
+    const grow = (perHour, hours) => {
+        const factor = 1 + scenario.variance * (random() * 2 - 1);
+        return Math.max(0, Math.round(perHour * hours * factor));
+    };
+
+    function advance() {
+        const current = simTime();
+        const hours = Math.max(0, current - lastSimTime) / 3600000;
+        lastSimTime = Math.max(lastSimTime, current);
+
+        // Period boundaries crossed since the last read start from zero
+        const tokenStart = windowStart(current, tokenWindow);
+        if (tokenStart !== counters.tokenWindowStart) {
+            counters.tokenWindowStart = tokenStart;
+            counters.tokenWindowUsage = 0;
+        }
+        const mcpStart = windowStart(current, mcpWindow);
+        if (mcpStart !== counters.mcpWindowStart) {
+            counters.mcpWindowStart = mcpStart;
+            counters.mcpWindowUsage = 0;
+        }
+        const resetStart = windowStart(current, counterReset);
+        if (resetStart !== counters.counterStart) {
+            counters.counterStart = resetStart;
+            counters.tokens = 0;
+            counters.calls = 0;
+            counters.mcp = 0;
+            counters.tools = {};
+            counters.models = {};
+        }
+
+        const tokens = grow(scenario.tokensPerHour, hours);
+        const mcp = grow(scenario.mcpPerHour, hours);
+        const calls = grow(scenario.callsPerHour, hours);
+        counters.tokens += tokens;
+        counters.calls += calls;
+        counters.mcp += mcp;
+        counters.tokenWindowUsage += tokens;
+        counters.mcpWindowUsage += mcp;
+
+        splitByWeight(mcp, scenario.tools).forEach(([name, share]) => {
+            counters.tools[name] = (counters.tools[name] || 0) + share;
+        });
+
+        // Models split tokens and calls the same way, tokens further into input and output
+        const modelCalls = new Map(splitByWeight(calls, scenario.models));
+        splitByWeight(tokens, scenario.models).forEach(([name, share]) => {
+            const model = counters.models[name] || (counters.models[name] = { calls: 0, inputTokens: 0, outputTokens: 0 });
+            const input = Math.round(share * scenario.inputTokenShare);
+            model.calls += modelCalls.get(name);
+            model.inputTokens += input;
+            model.outputTokens += share - input;
+        });
+
+        return current;
+    }
+
+    function quotaLimit(type, usage, limit, start, windowMs) {
+        return {
+            type,
+            usage: limit,
+            currentValue: usage,
+            remaining: Math.max(0, limit - usage),
+            percentage: limit > 0 ? Math.min(100, Math.round((usage / limit) * 100)) : 0,
+            nextResetTime: windowMs ? toRealTime(start + windowMs) : null
+        };
+    }
+
+    function snapshot() {
+        const simNow = advance();
+        return {
+            simulatedTime: new Date(simNow).toISOString(),
+            tokens: counters.tokens,
+            calls: counters.calls,
+            mcp: counters.mcp,
+            tools: { ...counters.tools },
+            models: Object.fromEntries(Object.entries(counters.models).map(([name, model]) => [name, { ...model }])),
+            tokenQuota: quotaLimit('TOKENS_LIMIT', counters.tokenWindowUsage, scenario.tokenLimit, counters.tokenWindowStart, tokenWindow),
+            mcpQuota: quotaLimit('TIME_LIMIT', counters.mcpWindowUsage, scenario.mcpLimit, counters.mcpWindowStart, mcpWindow)
+        };
+    }
+
+    reset();
+
+    return { scenario, snapshot, reset };
+}
+
+function envelope(data) {
+    return { code: 200, msg: 'Operation successful', data, success: true };
+}
+
+/**
+ * Build the payload for one of the monitoring routes
+ */
+export function buildPayload(route, snapshot) {
+    if (route === 'model-usage') {
+        return envelope({
+            totalUsage: {
+                totalModelCallCount: snapshot.calls,
+                totalTokensUsage: snapshot.tokens,
+                modelSummaryList: Object.entries(snapshot.models || {}).map(([modelName, model]) => ({
+                    modelName,
+                    modelCallCount: model.calls,
+                    tokensUsage: model.inputTokens + model.outputTokens,
+                    inputTokens: model.inputTokens,
+                    outputTokens: model.outputTokens
+                }))
+            }
+        });
+    }
+    if (route === 'tool-usage') {
+        return envelope({
+            totalUsage: {
+                totalSearchMcpCount: snapshot.mcp,
+                toolBreakdown: snapshot.tools
+            }
+        });
+    }
+    return envelope({ limits: [snapshot.tokenQuota, snapshot.mcpQuota] });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check a scripted step, throwing on anything the routes can't play
+ */
+export function checkStep(step) {
+    if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+        throw new Error('Each step must be an object');
+    }
+    if (step.route !== undefined && !ROUTES[step.route]) {
+        throw new Error(`Unknown step route "${step.route}". Use one of: ${Object.keys(ROUTES).join(', ')}`);
+    }
+    if (step.delay !== undefined) requireDuration(step.delay, 'step delay');
+    if (step.status !== undefined && !(Number.isInteger(step.status) && step.status >= 100 && step.status <= 599)) {
+        throw new Error(`Invalid step status "${step.status}". Use an HTTP status code.`);
+    }
+    if (step.times !== undefined && !(Number.isInteger(step.times) && step.times > 0)) {
+        throw new Error(`Invalid step times "${step.times}". Use a positive whole number.`);
+    }
+    return step;
+}
+
+/**
+ * Create the Express app for a scenario
+ *
+ * Returns { app, state, steps } so callers (and tests) can inspect the
+ * simulation or queue scripted responses directly.
+ */
+export function createMockApp(scenarioOverrides = {}, { now = Date.now, random = Math.random, log = () => {} } = {}) {
+    const state = createMockState(scenarioOverrides, { now, random });
+    const { scenario } = state;
+    const latency = requireDuration(scenario.latency, 'latency') || 0;
+    const latencyJitter = requireDuration(scenario.latencyJitter, 'latencyJitter') || 0;
+    const steps = (scenario.steps || []).map(checkStep);
+
+    const app = express();
+    app.use(express.json());
+
+    /**
+     * Take the next scripted step for a route, honoring its repeat count
+     */
+    function nextStep(route) {
+        const index = steps.findIndex(step => !step.route || step.route === route);
+        if (index === -1) return null;
+
+        const step = steps[index];
+        const times = step.times ?? 1;
+        if (times <= 1) {
+            steps.splice(index, 1);
+        } else {
+            steps[index] = { ...step, times: times - 1 };
+        }
+        return step;
+    }
+
+    Object.entries(ROUTES).forEach(([route, routePath]) => {
+        // Express 4 doesn't catch rejected promises, so errors go to next()
+        app.get(routePath, async (req, res, next) => {
+            try {
+                const step = nextStep(route);
+                const delay = step?.delay !== undefined
+                    ? requireDuration(step.delay, 'step delay')
+                    : latency + Math.round(random() * latencyJitter);
+                if (delay > 0) await sleep(delay);
+
+                if (scenario.token && req.get('Authorization') !== scenario.token) {
+                    log(`401 ${route}`);
+                    return res.status(401).json({ code: 401, msg: 'token expired or incorrect', success: false });
+                }
+
+                const status = step?.status
+                    ?? (random() < scenario.errorRate ? scenario.errorStatus : 200);
+
+                if (step?.retryAfter !== undefined) {
+                    res.set('Retry-After', String(step.retryAfter));
+                }
+
+                if (status !== 200) {
+                    log(`${status} ${route}`);
+                    return res.status(status).json(step?.body ?? { code: status, msg: 'Injected mock error', success: false });
+                }
+
+                log(`200 ${route}`);
+                res.json(step?.body ?? buildPayload(route, state.snapshot()));
+            } catch (err) {
+                next(err);
+            }
+        });
+    });
+
+    app.get('/__mock/state', (req, res) => {
+        res.json({ ...state.snapshot(), pendingSteps: steps.length });
+    });
+
+    app.post('/__mock/steps', (req, res) => {
+        const queued = Array.isArray(req.body) ? req.body : [req.body];
+        try {
+            queued.forEach(checkStep);
+        } catch (err) {
+            return res.status(400).json({ code: 400, msg: err.message, success: false });
+        }
+        steps.push(...queued);
+        res.json({ pendingSteps: steps.length });
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+        state.reset();
+        steps.length = 0;
+        res.json({ reset: true });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ code: 404, msg: `No mock route for ${req.path}`, success: false });
+    });
+
+    // Express only treats handlers with four parameters as error handlers
+    app.use((err, req, res, next) => {
+        log(`500 ${req.path}: ${err.message}`);
+        res.status(500).json({ code: 500, msg: err.message, success: false });
+    });
+
+    return { app, state, steps };
+}
+
+/**
+ * Start the mock server; resolves with { server, url, state, steps }
+ */
+export function startMockServer({ port = DEFAULT_MOCK_PORT, host = '127.0.0.1', scenario = {}, now, random, log } = {}) {
+    const { app, state, steps } = createMockApp(scenario, { now, random, log });
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+            const address = server.address();
+            resolve({ server, url: `http://${host}:${address.port}`, state, steps });
+        });
+        server.on('error', reject);
+    });
+}
+
+function getArg(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Only execute if running directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const scenarioFile = getArg(args, '--scenario');
+
+    try {
+        const scenario = scenarioFile ? loadScenario(scenarioFile) : {};
+        const port = parseInt(getArg(args, '--port') || DEFAULT_MOCK_PORT, 10);
+        const { url } = await startMockServer({
+            port,
+            scenario,
+            log: (line) => console.log(`[${new Date().toISOString()}] ${line}`)
+        });
+        console.log(`🧪 Mock GLM monitor API listening on ${url}`);
+        console.log(`   Collect against it with: ANTHROPIC_BASE_URL=${url}/api/anthropic`);
+    } catch (err) {
+        console.error(`✗ Mock server failed: ${err.message}`);
+        process.exit(1);
+    }
+}
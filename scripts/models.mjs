@@ -0,0 +1,110 @@
+/**
+ * Per-Model Usage
+ *
+ * model-usage reports totals for all models, and may also break them down by
+ * model, either as a list of per-model records or as named series. Whatever
+ * breakdown the response carries is normalized to one record per model:
+ *
+ *   { calls, tokens, inputTokens, outputTokens }
+ *
+ * inputTokens and outputTokens are only present when the API reports them.
+ * Other scalar fields of a record are kept as-is. Series values are summed.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+import { MODEL_USAGE_FIELDS } from './cycles.mjs';
+
+// Where a breakdown may appear, in totalUsage or at the top of data
+const BREAKDOWN_KEYS = ['modelBreakdown', 'modelUsage', 'modelUsageList', 'modelSummaryList', 'modelList', 'models', 'series'];
+
+const NAME_FIELDS = ['modelName', 'model', 'modelCode', 'name'];
+const FIELD_ALIASES = {
+    calls: ['modelCallCount', 'totalModelCallCount', 'callCount', 'calls', 'count'],
+    tokens: ['tokensUsage', 'totalTokensUsage', 'totalTokens', 'tokens'],
+    inputTokens: ['inputTokens', 'inputTokensUsage', 'promptTokens', 'input_tokens', 'prompt_tokens'],
+    outputTokens: ['outputTokens', 'outputTokensUsage', 'completionTokens', 'output_tokens', 'completion_tokens']
+};
+
+// A number, or the sum of a series of numbers (undefined when neither)
+function toAmount(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((sum, point) => sum + (Number(point) || 0), 0);
+    }
+    if (value === null || value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isNaN(number) ? undefined : number;
+}
+
+function describeModel(record) {
+    if (typeof record !== 'object' || record === null) {
+        return { calls: 0, tokens: toAmount(record) || 0 };
+    }
+
+    const described = {};
+    Object.entries(record).forEach(([key, value]) => {
+        if (!NAME_FIELDS.includes(key) && (value === null || typeof value !== 'object')) {
+            described[key] = value;
+        }
+    });
+    Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+        const alias = aliases.find(name => toAmount(record[name]) !== undefined);
+        if (alias) described[field] = toAmount(record[alias]);
+    });
+
+    described.calls = described.calls || 0;
+    if (described.tokens === undefined) {
+        described.tokens = (described.inputTokens || 0) + (described.outputTokens || 0);
+    }
+    return described;
+}
+
+/**
+ * Per-model usage from a model-usage response's data, keyed by model name
+ * Records without a model name are skipped; a model listed twice is added up.
+ * Returns {} when the response has no breakdown.
+ */
+export function describeModelUsage(data = {}) {
+    const sources = [data?.totalUsage, data];
+    let breakdown = null;
+    for (const source of sources) {
+        const key = BREAKDOWN_KEYS.find(name => source && typeof source[name] === 'object' && source[name] !== null);
+        if (key) {
+            breakdown = source[key];
+            break;
+        }
+    }
+    if (!breakdown) return {};
+
+    const records = Array.isArray(breakdown)
+        ? breakdown.map(record => [NAME_FIELDS.map(field => record?.[field]).find(Boolean), record])
+        : Object.entries(breakdown);
+
+    const models = {};
+    records.forEach(([name, record]) => {
+        if (!name) return;
+        const described = describeModel(record);
+        const existing = models[name];
+        models[name] = existing
+            ? Object.fromEntries(MODEL_USAGE_FIELDS.filter(field => existing[field] !== undefined || described[field] !== undefined)
+                .map(field => [field, (existing[field] || 0) + (described[field] || 0)]))
+            : described;
+    });
+    return models;
+}
+
+/**
+ * Total per-model usage over entries, from each entry's modelDeltas
+ */
+export function sumModelUsage(entries) {
+    const totals = {};
+    (entries || []).forEach((entry) => {
+        Object.entries(entry.modelDeltas || {}).forEach(([model, delta]) => {
+            const total = totals[model] || (totals[model] = {});
+            MODEL_USAGE_FIELDS.forEach((field) => {
+                if (delta[field] !== undefined) total[field] = (total[field] || 0) + delta[field];
+            });
+        });
+    });
+    return totals;
+}
@@ -0,0 +1,157 @@
+/**
+ * Collector Plugins
+ *
+ * Plugins are ES modules listed in the `plugins` config key. Each may export
+ * any of these hooks (as named exports or on a default export object):
+ *
+ *   beforeCollect(context)               before the API is queried; a plain
+ *                                        object it returns is stored on the
+ *                                        entry as `tags`
+ *   afterCollect(entry, history, context) after the entry is stored
+ *   onError(error, context)              when the collection failed
+ *
+ * context is { profile, window }. A default export that is a function is
+ * called with the plugin's `options` to create the hooks.
+ *
+ * Every hook call is isolated: a hook that throws or runs past its timeout is
+ * logged and skipped, and never fails the collection. Hooks get copies of the
+ * entry and history, so they can't change what was stored.
+ */
+
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Conf from 'conf';
+import { parseDuration } from './duration.mjs';
+
+const config = new Conf({ projectName: 'glm-monitor' });
+const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
+
+export const PLUGIN_HOOKS = ['beforeCollect', 'afterCollect', 'onError'];
+export const DEFAULT_PLUGIN_TIMEOUT = '10s';
+
+/**
+ * Plugin entries from config as { module, options, timeout }
+ * Entries may be a module specifier or an object with those fields.
+ */
+export function getPluginConfig() {
+    return config.get('plugins', []).map(spec => (typeof spec === 'string' ? { module: spec } : spec));
+}
+
+/**
+ * The default time a hook may run, in milliseconds (config: pluginTimeout)
+ */
+export function getPluginTimeout() {
+    const value = config.get('pluginTimeout', DEFAULT_PLUGIN_TIMEOUT);
+    const ms = parseDuration(value);
+    if (ms === null) {
+        throw new Error(`Invalid plugin timeout "${value}". Use a duration such as 500ms, 10s or 1m.`);
+    }
+    return ms;
+}
+
+/**
+ * The import specifier for a plugin module
+ * Paths are resolved against ~/.glm-monitor; anything else is a package name.
+ */
+export function resolvePluginModule(specifier) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+        return pathToFileURL(path.resolve(DATA_DIR, specifier)).href;
+    }
+    return specifier;
+}
+
+/**
+ * Import the configured plugins
+ *
+ * Returns { plugins, failed }: plugins are { name, hooks, timeoutMs }, and
+ * failed lists { name, error } for modules that couldn't be loaded or export
+ * no hooks. A broken plugin never stops the others from loading.
+ */
+export async function loadPlugins(specs = getPluginConfig(), { timeoutMs = getPluginTimeout() } = {}) {
+    const plugins = [];
+    const failed = [];
+
+    for (const spec of specs) {
+        const name = spec.name || spec.module;
+        try {
+            const imported = await import(resolvePluginModule(spec.module));
+            let source = imported.default && typeof imported.default === 'object' ? imported.default : imported;
+            if (typeof imported.default === 'function') {
+                source = await imported.default(spec.options || {});
+            }
+
+            const hooks = Object.fromEntries(PLUGIN_HOOKS
+                .filter(hook => typeof source?.[hook] === 'function')
+                .map(hook => [hook, source[hook].bind(source)]));
+            if (Object.keys(hooks).length === 0) {
+                throw new Error(`exports none of ${PLUGIN_HOOKS.join(', ')}`);
+            }
+
+            const pluginTimeout = spec.timeout ? parseDuration(spec.timeout) : null;
+            plugins.push({ name: source.name || name, hooks, timeoutMs: pluginTimeout ?? timeoutMs });
+        } catch (err) {
+            failed.push({ name, error: err.message });
+        }
+    }
+
+    return { plugins, failed };
+}
+
+// Errors are passed as they are, so plugins see their kind and status
+const copyArgument = arg => (arg instanceof Error ? arg : structuredClone(arg));
+
+/**
+ * Run one hook with a time limit, resolving { value } or { error }
+ */
+async function callHook(fn, args, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ error: new Error(`timed out after ${timeoutMs}ms`) }), timeoutMs);
+    });
+    try {
+        return await Promise.race([
+            Promise.resolve().then(() => fn(...args.map(copyArgument))).then(value => ({ value }), error => ({ error })),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Run a hook on every plugin that has it, one plugin at a time
+ *
+ * Each plugin gets its own deep copy of the arguments. Failures and timeouts
+ * are reported through `onFailure(plugin, hook, error)` and otherwise ignored.
+ * Returns [{ plugin, value }] for the calls that succeeded.
+ */
+export async function runPluginHook(plugins, hook, args = [], { onFailure = () => {} } = {}) {
+    const results = [];
+    for (const plugin of plugins) {
+        const fn = plugin.hooks[hook];
+        if (!fn) continue;
+
+        const { value, error } = await callHook(fn, args, plugin.timeoutMs);
+        if (error) {
+            onFailure(plugin, hook, error);
+        } else {
+            results.push({ plugin: plugin.name, value });
+        }
+    }
+    return results;
+}
+
+/**
+ * Merge the plain objects returned by beforeCollect hooks into entry tags
+ * Later plugins win on conflicting keys. Returns null when there are none.
+ */
+export function collectTags(results) {
+    const tags = {};
+    results.forEach(({ value }) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(tags, value);
+        }
+    });
+    return Object.keys(tags).length > 0 ? tags : null;
+}
@@ -0,0 +1,170 @@
+/**
+ * Cost Estimation
+ *
+ * Prices usage with a price table: per model, a price per million input and
+ * output tokens. Models without a price of their own use the table's default
+ * price. Where the API only reports a model's total tokens, they are split by
+ * the table's inputShare, and the cost is marked as estimated. Tokens no model
+ * accounts for (entries from before per-model usage was stored) are priced at
+ * the default price under the model name "other".
+ *
+ * A table may also name the plan we pay for ({ name, monthlyPrice }), so
+ * pay-as-you-go cost can be compared with it.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+import { recordTokens } from './cycles.mjs';
+
+export const OTHER_MODEL = 'other';
+
+const MILLION = 1_000_000;
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * List prices in USD per million tokens when this was written; override them
+ * with `glm-monitor pricing` when they change
+ */
+export const DEFAULT_PRICING = {
+    currency: 'USD',
+    inputShare: 0.8,
+    default: { input: 0.6, output: 2.2 },
+    models: {
+        'glm-4.6': { input: 0.6, output: 2.2 },
+        'glm-4.5': { input: 0.6, output: 2.2 },
+        'glm-4.5-x': { input: 2.2, output: 8.9 },
+        'glm-4.5-air': { input: 0.2, output: 1.1 },
+        'glm-4.5-airx': { input: 1.1, output: 4.5 },
+        'glm-4.5-flash': { input: 0, output: 0 }
+    },
+    plan: null
+};
+
+/**
+ * The default price table with configured overrides on top
+ * Overridden models keep the default price for any token type they don't set.
+ */
+export function resolvePricing(overrides = {}) {
+    const models = { ...DEFAULT_PRICING.models };
+    Object.entries(overrides.models || {}).forEach(([model, price]) => {
+        const key = model.toLowerCase();
+        models[key] = { ...(models[key] || DEFAULT_PRICING.default), ...price };
+    });
+    return {
+        ...DEFAULT_PRICING,
+        ...overrides,
+        default: { ...DEFAULT_PRICING.default, ...overrides.default },
+        models
+    };
+}
+
+/**
+ * The price of a model, matched case-insensitively, else the default price
+ */
+export function priceOf(model, pricing = DEFAULT_PRICING) {
+    return pricing.models[model.toLowerCase()] || pricing.default;
+}
+
+/**
+ * Cost of one model's usage ({ tokens, inputTokens, outputTokens })
+ * Returns { inputTokens, outputTokens, cost, estimated }.
+ */
+export function priceModelUsage(usage, price, inputShare = DEFAULT_PRICING.inputShare) {
+    const known = usage.inputTokens !== undefined || usage.outputTokens !== undefined;
+    const inputTokens = known ? usage.inputTokens || 0 : (usage.tokens || 0) * inputShare;
+    const outputTokens = known ? usage.outputTokens || 0 : (usage.tokens || 0) - inputTokens;
+    return {
+        inputTokens,
+        outputTokens,
+        cost: (inputTokens * price.input + outputTokens * price.output) / MILLION,
+        estimated: !known && (usage.tokens || 0) > 0
+    };
+}
+
+// Usage recorded by an entry or summary: total tokens and per-model deltas
+function usageOf(record) {
+    return { tokens: recordTokens(record), models: record.modelDeltas || {} };
+}
+
+/**
+ * Cost of what one entry or summary recorded, in the table's currency
+ */
+export function costOfRecord(record, pricing = DEFAULT_PRICING) {
+    if (record.type === 'gap') return 0;
+    return sumCosts([record], pricing).total;
+}
+
+/**
+ * Total cost of entries and summaries
+ * Returns { currency, total, tokens, estimated, byModel }, where byModel has
+ * { calls, tokens, inputTokens, outputTokens, cost, estimated } per model.
+ */
+export function sumCosts(records, pricing = DEFAULT_PRICING) {
+    const byModel = {};
+    const add = (model, usage) => {
+        const priced = priceModelUsage(usage, model === OTHER_MODEL ? pricing.default : priceOf(model, pricing), pricing.inputShare);
+        const total = byModel[model] || (byModel[model] = {
+            calls: 0, tokens: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: false
+        });
+        total.calls += usage.calls || 0;
+        total.tokens += usage.tokens || 0;
+        total.inputTokens += priced.inputTokens;
+        total.outputTokens += priced.outputTokens;
+        total.cost += priced.cost;
+        total.estimated = total.estimated || priced.estimated;
+    };
+
+    (records || []).filter(record => record.type !== 'gap').forEach((record) => {
+        const { tokens, models } = usageOf(record);
+        let attributed = 0;
+        Object.entries(models).forEach(([model, usage]) => {
+            add(model, usage);
+            attributed += usage.tokens || 0;
+        });
+        if (tokens > attributed) add(OTHER_MODEL, { tokens: tokens - attributed });
+    });
+
+    const models = Object.values(byModel);
+    return {
+        currency: pricing.currency,
+        total: models.reduce((sum, model) => sum + model.cost, 0),
+        tokens: models.reduce((sum, model) => sum + model.tokens, 0),
+        estimated: models.some(model => model.estimated),
+        byModel
+    };
+}
+
+/**
+ * Pay-as-you-go cost compared with the plan, scaled to a 30-day month
+ *
+ * spanMs is how long the costed records cover. Returns { projectedMonthly,
+ * plan, difference, cheaper }: difference is pay-as-you-go minus the plan
+ * price, and cheaper is 'plan' or 'pay-as-you-go'. Without a plan price,
+ * plan, difference and cheaper are null.
+ */
+export function comparePlan(total, spanMs, pricing = DEFAULT_PRICING) {
+    const projectedMonthly = spanMs > 0 ? total * MONTH_MS / spanMs : null;
+    const plan = pricing.plan?.monthlyPrice !== undefined && pricing.plan?.monthlyPrice !== null ? pricing.plan : null;
+    if (!plan || projectedMonthly === null) {
+        return { projectedMonthly, plan, difference: null, cheaper: null };
+    }
+    const difference = projectedMonthly - plan.monthlyPrice;
+    return { projectedMonthly, plan, difference, cheaper: difference > 0 ? 'plan' : 'pay-as-you-go' };
+}
+
+/**
+ * Milliseconds from the first to the last of some records
+ */
+export function spanOf(records) {
+    const times = (records || []).map(record => new Date(record.timestamp).getTime());
+    return times.length > 1 ? Math.max(...times) - Math.min(...times) : 0;
+}
+
+/**
+ * An amount in the table's currency, e.g. "$12.34" or "EUR 12.34"
+ */
+export function formatCost(amount, currency = DEFAULT_PRICING.currency) {
+    const digits = Math.abs(amount) < 1 && amount !== 0 ? 4 : 2;
+    const value = amount.toFixed(digits);
+    return currency === 'USD' ? `$${value}` : `${currency} ${value}`;
+}
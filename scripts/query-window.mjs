@@ -0,0 +1,187 @@
+/**
+ * Usage Query Windows
+ *
+ * model-usage and tool-usage report totals between a startTime and endTime
+ * given as wall-clock times ("2026-01-01 00:00:00"), so the window decides
+ * what the collected totals mean. It is configurable per collection and
+ * stored on each entry:
+ *
+ *   rolling  this hour yesterday to the end of this hour (the default)
+ *   day      the current calendar day
+ *   cycle    the current billing cycle, starting on a day of the month
+ *   range    an explicit from/to range
+ *
+ * Wall-clock times are in the configured IANA timezone, or the local one.
+ */
+
+export const QUERY_WINDOW_MODES = ['rolling', 'day', 'cycle', 'range'];
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+// ISO 8601 with a UTC offset, e.g. 2026-01-01T12:00:00Z or 2026-01-01T12:00+02:00
+const ISO_WITH_OFFSET = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// Whether fields name a real date and time, rather than one Date.UTC would roll over
+function isValidWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+    return month >= 1 && month <= 12
+        && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate()
+        && hour <= 23 && minute <= 59 && second <= 59;
+}
+
+/**
+ * The system's IANA timezone
+ */
+export function localTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Whether Intl knows a timezone name
+ */
+export function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in a timezone (month is 1-based)
+function wallClock(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return {
+        year: get('year'),
+        month: get('month'),
+        day: get('day'),
+        hour: get('hour'),
+        minute: get('minute'),
+        second: get('second'),
+        ms: date.getUTCMilliseconds()
+    };
+}
+
+// The instant a wall-clock time in a timezone refers to
+// Date.UTC normalizes out-of-range fields, so day: 0 is the last day of the month before.
+function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) {
+    const target = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    const offsetAt = (time) => {
+        const wall = wallClock(new Date(time), timeZone);
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.ms) - time;
+    };
+    // Check the offset again at the first guess, which may be across a DST change
+    const guess = target - offsetAt(target);
+    return new Date(target - offsetAt(guess));
+}
+
+/**
+ * Format an instant as the API's wall-clock time in a timezone
+ */
+export function formatWallClock(date, timeZone) {
+    const { year, month, day, hour, minute, second } = wallClock(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+/**
+ * Parse a date for a query window, or null if invalid
+ * Accepts YYYY-MM-DD, YYYY-MM-DD HH:mm[:ss] and ISO 8601 with an offset.
+ * Dates and times without an offset are wall-clock times in the timezone; a
+ * bare date is the start of that day, or its end with `endOfDay`.
+ */
+export function parseWallClock(value, timeZone, { endOfDay = false } = {}) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const text = value.trim();
+    const dateOnly = text.match(DATE_ONLY);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        if (!isValidWallClock({ year, month, day })) return null;
+        return endOfDay
+            ? fromWallClock({ year, month, day, hour: 23, minute: 59, second: 59, ms: 999 }, timeZone)
+            : fromWallClock({ year, month, day }, timeZone);
+    }
+
+    const wall = text.match(WALL_CLOCK);
+    if (wall) {
+        const [, year, month, day, hour, minute, second = 0] = wall.map(part => Number(part || 0));
+        const fields = { year, month, day, hour, minute, second };
+        return isValidWallClock(fields) ? fromWallClock(fields, timeZone) : null;
+    }
+
+    const iso = text.match(ISO_WITH_OFFSET);
+    if (!iso) return null;
+    const [, year, month, day, hour, minute, second] = iso.map(part => Number(part || 0));
+    if (!isValidWallClock({ year, month, day, hour, minute, second })) return null;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Resolve query window settings into the window to ask the API for
+ *
+ * Settings: { mode, timezone, cycleStartDay, from, to }. Returns
+ * { mode, timezone, start, end, startTime, endTime }, where start and end are
+ * ISO timestamps and startTime/endTime the wall-clock strings sent to the API.
+ * Throws on unknown modes or timezones and invalid ranges.
+ */
+export function resolveQueryWindow(settings = {}, now = new Date()) {
+    const { mode = 'rolling', timezone = localTimezone(), cycleStartDay = 1 } = settings;
+
+    if (!QUERY_WINDOW_MODES.includes(mode)) {
+        throw new Error(`Unknown query window "${mode}". Use: ${QUERY_WINDOW_MODES.join(', ')}`);
+    }
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as UTC or Europe/Berlin`);
+    }
+
+    const wall = wallClock(now, timezone);
+    const endOfHour = { ...wall, minute: 59, second: 59, ms: 999 };
+    let start;
+    let end;
+
+    if (mode === 'rolling') {
+        start = fromWallClock({ ...wall, day: wall.day - 1, minute: 0, second: 0, ms: 0 }, timezone);
+        end = fromWallClock(endOfHour, timezone);
+    } else if (mode === 'day') {
+        start = fromWallClock({ year: wall.year, month: wall.month, day: wall.day }, timezone);
+        end = fromWallClock({ ...wall, hour: 23, minute: 59, second: 59, ms: 999 }, timezone);
+    } else if (mode === 'cycle') {
+        const startDay = Number(cycleStartDay);
+        if (!Number.isInteger(startDay) || startDay < 1 || startDay > 28) {
+            throw new Error('Billing cycle start day must be a whole number from 1 to 28');
+        }
+        const month = wall.day >= startDay ? wall.month : wall.month - 1;
+        start = fromWallClock({ year: wall.year, month, day: startDay }, timezone);
+        end = fromWallClock(endOfHour, timezone);
+    } else {
+        start = parseWallClock(settings.from, timezone);
+        end = settings.to ? parseWallClock(settings.to, timezone, { endOfDay: true }) : now;
+        if (!start || !end) {
+            throw new Error('A range query window needs a valid "from" date and an optional "to" date');
+        }
+        if (end <= start) {
+            throw new Error('The query window must end after it starts');
+        }
+    }
+
+    return {
+        mode,
+        timezone,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        startTime: formatWallClock(start, timezone),
+        endTime: formatWallClock(end, timezone)
+    };
+}
@@ -0,0 +1,69 @@
+/**
+ * Quota Limits
+ *
+ * quota/limit returns one object per limit type (TOKENS_LIMIT, TIME_LIMIT and
+ * possibly others) with the usage in the current window and when the window
+ * resets. Every field is kept; the ones the dashboard and predictions read are
+ * normalized alongside them.
+ *
+ * No Node.js imports, so the dashboard can share these helpers.
+ */
+
+import { formatDuration } from './duration.mjs';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * ISO timestamp for a reset time given as epoch milliseconds, epoch seconds
+ * or a date string (null when missing or unparseable)
+ */
+export function toResetTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let time = typeof value === 'number' ? value : Number(value);
+    if (Number.isNaN(time)) time = new Date(value).getTime();
+    // Epoch seconds are ten digits until the year 2286
+    else if (time < 1e11) time *= 1000;
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * A limit as returned by the API plus { current, max, percentage, resetsAt }
+ */
+export function describeQuotaLimit(limit = {}) {
+    return {
+        ...limit,
+        current: limit.currentValue || 0,
+        max: limit.usage || 0,
+        percentage: limit.percentage || 0,
+        resetsAt: toResetTime(limit.nextResetTime)
+    };
+}
+
+/**
+ * All quota details from a quota/limit response
+ * tokenQuota and timeQuota are the two limits the dashboard always shows;
+ * `limits` holds every limit type, and other top-level fields are kept as-is.
+ */
+export function describeQuota(data = {}) {
+    const { limits = [], ...details } = data || {};
+    const described = limits.map(describeQuotaLimit);
+    return {
+        ...details,
+        tokenQuota: described.find(l => l.type === 'TOKENS_LIMIT') || describeQuotaLimit(),
+        timeQuota: described.find(l => l.type === 'TIME_LIMIT') || describeQuotaLimit(),
+        limits: described
+    };
+}
+
+/**
+ * "3h 12m" until a reset, or null when the reset time is unknown
+ * A reset time that has already passed reads "now".
+ */
+export function formatResetsIn(resetsAt, now = Date.now()) {
+    if (!resetsAt) return null;
+    const remaining = new Date(resetsAt).getTime() - new Date(now).getTime();
+    if (Number.isNaN(remaining)) return null;
+    if (remaining <= 0) return 'now';
+    // Round up to the minute so the last minute doesn't read as "0s"
+    return formatDuration(Math.ceil(remaining / MINUTE) * MINUTE);
+}
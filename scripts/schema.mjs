@@ -0,0 +1,191 @@
+/**
+ * GLM Data Schema
+ *
+ * History, summary and backup documents carry a `schemaVersion`. Files written
+ * before versioning count as version 0. Loading a document runs every
+ * migration newer than its version, so readers can rely on the current shape;
+ * the upgraded document is persisted the next time the store writes it.
+ *
+ * To change the shape of stored data, bump CURRENT_SCHEMA_VERSION and append a
+ * migration. Migrations must also be safe to run on data that is already in
+ * the new shape, because the JSONL log can mix lines from both.
+ */
+
+import { tagCycles, withDeltas } from './cycles.mjs';
+
+export const CURRENT_SCHEMA_VERSION = 4;
+
+// Counters every data entry and summary is expected to have
+const ENTRY_COUNTERS = ['modelCalls', 'tokensUsed', 'mcpCalls', 'tokenQuotaPercent', 'timeQuotaPercent'];
+
+// Readings that may be stored as null when unknown, as on backfilled entries
+const NULLABLE_COUNTERS = ['tokenQuotaPercent', 'timeQuotaPercent'];
+
+const withDefaultCounters = (record) => {
+    if (record.type === 'gap') return record;
+    const upgraded = { ...record };
+    ENTRY_COUNTERS.forEach((field) => {
+        upgraded[field] ??= 0;
+    });
+    return upgraded;
+};
+
+/**
+ * Migrations in version order. Each upgrades a document from the previous
+ * version; a missing handler leaves that kind of document unchanged.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in missing counters, quota percentages and MCP tool breakdowns',
+        history: doc => ({
+            ...doc,
+            entries: (doc.entries || []).map(entry => (entry.type === 'gap'
+                ? entry
+                : { ...withDefaultCounters(entry), mcpToolBreakdown: entry.mcpToolBreakdown || {} }))
+        }),
+        summaries: doc => ({
+            ...doc,
+            summaries: (doc.summaries || []).map(withDefaultCounters)
+        })
+    },
+    {
+        version: 2,
+        description: 'Tag summaries with their rollup resolution (existing ones are hourly)',
+        summaries: doc => ({
+            ...doc,
+            summaries: (doc.summaries || []).map(summary => ({ ...summary, resolution: summary.resolution || 'hour' }))
+        })
+    },
+    {
+        version: 3,
+        description: 'Tag entries with the usage cycle they belong to, detecting counter and quota resets',
+        history: doc => ({
+            ...doc,
+            entries: tagCycles(doc.entries || [])
+        })
+    },
+    {
+        version: 4,
+        description: 'Store the usage consumed since the previous entry on each entry',
+        history: doc => ({
+            ...doc,
+            entries: withDeltas(doc.entries || [])
+        })
+    }
+];
+
+/**
+ * Raised when data was written by a newer glm-monitor than this one
+ */
+export class SchemaVersionError extends Error {
+    constructor(kind, version, location) {
+        super(`${location || `The ${kind} data`} uses schema version ${version}, but this glm-monitor only supports up to ${CURRENT_SCHEMA_VERSION}. Upgrade glm-monitor to read it.`);
+        this.name = 'SchemaVersionError';
+        this.kind = kind;
+        this.version = version;
+    }
+}
+
+export function getSchemaVersion(doc) {
+    return doc?.schemaVersion ?? 0;
+}
+
+/**
+ * Upgrade a 'history' or 'summaries' document to the current schema
+ * Returns the document unchanged when it is already current.
+ */
+export function migrateDocument(kind, doc, location) {
+    const from = getSchemaVersion(doc);
+    if (from > CURRENT_SCHEMA_VERSION) {
+        throw new SchemaVersionError(kind, from, location);
+    }
+
+    return MIGRATIONS
+        .filter(migration => migration.version > from)
+        .reduce((current, migration) => {
+            const { schemaVersion, ...upgraded } = migration[kind] ? migration[kind](current) : current;
+            return { schemaVersion: migration.version, ...upgraded };
+        }, doc);
+}
+
+/**
+ * Upgrade a backup file and the history and summaries inside it
+ */
+export function migrateBackup(backup) {
+    const version = getSchemaVersion(backup);
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new SchemaVersionError('backup', version);
+    }
+
+    return {
+        ...backup,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        history: migrateDocument('history', backup.history || { entries: [] }),
+        summaries: backup.summaries?.summaries ? migrateDocument('summaries', backup.summaries) : undefined
+    };
+}
+
+/**
+ * Check a list of entries or summaries; returns human-readable problems
+ */
+function checkRecords(records, label, { requireBreakdown = false } = {}) {
+    if (!Array.isArray(records)) return [`${label} is not a list`];
+
+    const problems = [];
+    // Summaries of every resolution share one list, so order and duplicates are per resolution
+    const seen = new Map();
+    const previous = new Map();
+
+    records.forEach((record, index) => {
+        const where = `${label}[${index}]`;
+        if (!record || typeof record !== 'object') {
+            problems.push(`${where}: not an object`);
+            return;
+        }
+
+        const time = Date.parse(record.timestamp);
+        if (Number.isNaN(time)) {
+            problems.push(`${where}: invalid timestamp ${JSON.stringify(record.timestamp)}`);
+            return;
+        }
+
+        // Gap markers use the time a failed run started, so they may interleave with data
+        if (record.type === 'gap') return;
+
+        const tier = record.resolution || 'raw';
+        if (!seen.has(tier)) seen.set(tier, new Set());
+        if (previous.has(tier) && time < previous.get(tier)) {
+            problems.push(`${where}: out of order (${record.timestamp})`);
+        }
+        if (seen.get(tier).has(time)) {
+            problems.push(`${where}: duplicate timestamp ${record.timestamp}`);
+        }
+        seen.get(tier).add(time);
+        previous.set(tier, time);
+
+        ENTRY_COUNTERS.forEach((field) => {
+            const value = record[field];
+            if (value === null && NULLABLE_COUNTERS.includes(field)) return;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                problems.push(`${where}: ${field} is ${JSON.stringify(value)}, expected a non-negative number`);
+            }
+        });
+
+        if (requireBreakdown && (typeof record.mcpToolBreakdown !== 'object' || record.mcpToolBreakdown === null)) {
+            problems.push(`${where}: mcpToolBreakdown is missing`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Validate loaded (already migrated) history and summary documents
+ */
+export function verifyDocuments({ history, summaries }) {
+    return [
+        ...checkRecords(history?.entries || [], 'entries', { requireBreakdown: true }),
+        ...checkRecords(summaries?.summaries || [], 'summaries')
+    ];
+}
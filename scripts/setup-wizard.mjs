@@ -3,6 +3,7 @@
 import Conf from 'conf';
 import readline from 'readline';
 import { execSync } from 'child_process';
+import { DEFAULT_RETENTION, parseRetention } from './duration.mjs';
 
 const rl = readline.createInterface({
     input: process.stdin,
@@ -84,8 +85,8 @@ async function runWizard() {
     console.log('Step 4: Data Retention');
     console.log('---------------------\n');
 
-    const retention = await question('How long to keep data? [24h/7d/30d] (default: 24h): ');
-    const validRetention = ['24h', '7d', '30d'].includes(retention) ? retention : '24h';
+    const retention = await question('How long to keep data? e.g. 24h, 7d, 90d (default: 24h): ');
+    const validRetention = parseRetention(retention) ? retention.trim() : DEFAULT_RETENTION;
     config.set('retention', validRetention);
     console.log(`✓ Retention set to ${validRetention}\n`);
 
@@ -97,6 +98,11 @@ async function runWizard() {
     if (setupAuto.toLowerCase() !== 'n') {
         const platform = process.platform;
 
+        console.log('\n📦 Built-in Daemon (all platforms):');
+        console.log('   Run: glm-monitor daemon start --interval 5m');
+        console.log('   Check: glm-monitor daemon status');
+        console.log('\n   Or use your system scheduler instead:');
+
         if (platform === 'darwin') {
             console.log('\n📦 macOS Automation Setup:');
             console.log('1. Create ~/Library/LaunchAgents/com.user.glm-monitor.plist');
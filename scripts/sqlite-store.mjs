@@ -0,0 +1,411 @@
+/**
+ * SQLite History Store
+ *
+ * Keeps entries, summaries and the collection log in indexed tables so range
+ * queries read only the rows they need. Each row stores the record as JSON next
+ * to its normalized timestamp, so new entry fields need no schema change.
+ *
+ * The data schema version is kept in PRAGMA user_version; opening an older
+ * database migrates every row in one transaction.
+ *
+ * Uses the built-in node:sqlite module, so it needs Node.js 22.13+; older
+ * runtimes can keep using the JSON or JSONL backends.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { getProfileDataPath } from './storage.mjs';
+import { CURRENT_SCHEMA_VERSION, SchemaVersionError, migrateDocument } from './schema.mjs';
+
+const require = createRequire(import.meta.url);
+
+let cachedDriver;
+
+/**
+ * Resolve the built-in synchronous SQLite driver, or null on older Node.js
+ */
+export function loadSqliteDriver() {
+    if (cachedDriver !== undefined) return cachedDriver;
+
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        cachedDriver = { name: 'node:sqlite', open: (file) => new DatabaseSync(file) };
+        return cachedDriver;
+    } catch {
+        // Not available on this Node.js version
+    }
+
+    cachedDriver = null;
+    return cachedDriver;
+}
+
+export function isSqliteAvailable() {
+    return loadSqliteDriver() !== null;
+}
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        type TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_entries_timestamp ON entries (timestamp);
+
+    CREATE TABLE IF NOT EXISTS summaries (
+        resolution TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (resolution, timestamp)
+    );
+    CREATE INDEX IF NOT EXISTS idx_summaries_timestamp ON summaries (timestamp);
+
+    CREATE TABLE IF NOT EXISTS collection_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_collection_log_timestamp ON collection_log (timestamp);
+
+    CREATE TABLE IF NOT EXISTS meta (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (scope, key)
+    );
+`;
+
+// ISO strings in UTC sort lexicographically, which is what the indexes rely on
+const toTimestamp = (value) => new Date(value).toISOString();
+
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+export class SqliteHistoryStore {
+    constructor({ profile = 'default', dataDir } = {}) {
+        const driver = loadSqliteDriver();
+        if (!driver) {
+            throw new Error(`SQLite storage requires Node.js 22.13+ for the built-in node:sqlite module (running ${process.version}). Use the json or jsonl backend on this version.`);
+        }
+
+        this.backend = 'sqlite';
+        this.profile = profile;
+        this.location = getProfileDataPath(profile, 'usage.db', dataDir);
+        this.txDepth = 0;
+
+        fs.mkdirSync(path.dirname(this.location), { recursive: true });
+        this.db = driver.open(this.location);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec('PRAGMA busy_timeout = 10000');
+        this.db.exec(SCHEMA);
+        this.upgrade();
+    }
+
+    storedSchemaVersion() {
+        return this.get('PRAGMA user_version').user_version;
+    }
+
+    /**
+     * Bring rows written under an older schema up to date
+     */
+    upgrade() {
+        const version = this.storedSchemaVersion();
+        if (version > CURRENT_SCHEMA_VERSION) {
+            this.close();
+            throw new SchemaVersionError('database', version, this.location);
+        }
+        if (version === CURRENT_SCHEMA_VERSION) return;
+
+        this.transaction(() => {
+            const existing = this.exists() && {
+                history: { ...this.readHistory(), schemaVersion: version },
+                summaries: { ...this.readMeta('summaries'), summaries: this.getSummaries(), schemaVersion: version }
+            };
+
+            // Version 2 keys summaries by resolution as well as timestamp
+            if (!this.all('PRAGMA table_info(summaries)').some(column => column.name === 'resolution')) {
+                this.db.exec('DROP TABLE summaries');
+                this.db.exec(SCHEMA);
+            }
+
+            // importData migrates both documents from the stamped version
+            if (existing) this.importData(existing);
+            this.db.exec(`PRAGMA user_version = ${CURRENT_SCHEMA_VERSION}`);
+        });
+    }
+
+    exists() {
+        return this.countEntries() > 0 || this.all('SELECT 1 FROM meta LIMIT 1').length > 0;
+    }
+
+    all(sql, ...params) {
+        return this.db.prepare(sql).all(...params);
+    }
+
+    get(sql, ...params) {
+        return this.db.prepare(sql).get(...params);
+    }
+
+    run(sql, ...params) {
+        return this.db.prepare(sql).run(...params);
+    }
+
+    /**
+     * Run fn inside a write transaction; nested calls join the outer one
+     */
+    transaction(fn) {
+        if (this.txDepth > 0) return fn();
+
+        // IMMEDIATE takes the write lock up front so concurrent writers queue on busy_timeout
+        this.db.exec('BEGIN IMMEDIATE');
+        this.txDepth++;
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (err) {
+            this.db.exec('ROLLBACK');
+            throw err;
+        } finally {
+            this.txDepth--;
+        }
+    }
+
+    /**
+     * Build a range query; with a limit the newest rows are kept, oldest first
+     */
+    selectRange(table, { since, until, limit, resolution } = {}) {
+        const where = [];
+        const params = [];
+        if (resolution) {
+            where.push('resolution = ?');
+            params.push(resolution);
+        }
+        if (since) {
+            where.push('timestamp >= ?');
+            params.push(toTimestamp(since));
+        }
+        if (until) {
+            where.push('timestamp <= ?');
+            params.push(toTimestamp(until));
+        }
+        const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const order = table === 'summaries' ? 'timestamp' : 'timestamp, id';
+        const reverse = table === 'summaries' ? 'timestamp DESC' : 'timestamp DESC, id DESC';
+
+        if (limit) {
+            return parseRows(this.all(
+                `SELECT * FROM (SELECT * FROM ${table} ${clause} ORDER BY ${reverse} LIMIT ?) ORDER BY ${order}`,
+                ...params, limit
+            ));
+        }
+        return parseRows(this.all(`SELECT data FROM ${table} ${clause} ORDER BY ${order}`, ...params));
+    }
+
+    // ------------------------------------------------------------------
+    // Queries
+    // ------------------------------------------------------------------
+
+    getEntries(options = {}) {
+        return this.selectRange('entries', options);
+    }
+
+    getLatestEntry() {
+        const row = this.get(
+            "SELECT data FROM entries WHERE type IS NOT 'gap' ORDER BY timestamp DESC, id DESC LIMIT 1"
+        );
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    countEntries() {
+        return this.get('SELECT COUNT(*) AS count FROM entries').count;
+    }
+
+    getCollectionLog(options = {}) {
+        return this.selectRange('collection_log', options);
+    }
+
+    readMeta(scope) {
+        const meta = {};
+        this.all('SELECT key, value FROM meta WHERE scope = ?', scope).forEach((row) => {
+            meta[row.key] = JSON.parse(row.value);
+        });
+        return meta;
+    }
+
+    writeMeta(scope, patch) {
+        this.transaction(() => {
+            Object.entries(patch).forEach(([key, value]) => {
+                if (value === undefined) {
+                    this.run('DELETE FROM meta WHERE scope = ? AND key = ?', scope, key);
+                } else {
+                    this.run(
+                        'INSERT INTO meta (scope, key, value) VALUES (?, ?, ?) ON CONFLICT (scope, key) DO UPDATE SET value = excluded.value',
+                        scope, key, JSON.stringify(value)
+                    );
+                }
+            });
+        });
+    }
+
+    getMeta() {
+        return this.readMeta('history');
+    }
+
+    getSummaries(options = {}) {
+        return this.selectRange('summaries', options);
+    }
+
+    countSummaries({ resolution } = {}) {
+        return resolution
+            ? this.get('SELECT COUNT(*) AS count FROM summaries WHERE resolution = ?', resolution).count
+            : this.get('SELECT COUNT(*) AS count FROM summaries').count;
+    }
+
+    getSummaryMeta() {
+        return this.readMeta('summaries');
+    }
+
+    readHistory(options = {}) {
+        return {
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            ...this.getMeta(),
+            entries: this.getEntries(options),
+            collectionLog: this.getCollectionLog()
+        };
+    }
+
+    getStats() {
+        const files = [this.location, `${this.location}-wal`].filter(file => fs.existsSync(file));
+        return {
+            backend: this.backend,
+            location: this.location,
+            files,
+            totalSize: files.reduce((sum, file) => sum + fs.statSync(file).size, 0),
+            entries: this.countEntries(),
+            summaries: this.countSummaries()
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Mutations
+    // ------------------------------------------------------------------
+
+    insertEntry(entry) {
+        this.run(
+            'INSERT INTO entries (timestamp, type, data) VALUES (?, ?, ?)',
+            toTimestamp(entry.timestamp), entry.type || null, JSON.stringify(entry)
+        );
+    }
+
+    appendEntry(entry, { keepSince } = {}) {
+        this.transaction(() => {
+            this.insertEntry(entry);
+            if (keepSince) this.pruneEntries(keepSince);
+        });
+    }
+
+    mergeEntries(entries) {
+        this.transaction(() => {
+            entries.forEach((entry) => {
+                this.run('DELETE FROM entries WHERE timestamp = ?', toTimestamp(entry.timestamp));
+                this.insertEntry(entry);
+            });
+        });
+    }
+
+    appendCollectionRun(run, { maxRuns } = {}) {
+        this.transaction(() => {
+            this.run('INSERT INTO collection_log (timestamp, data) VALUES (?, ?)', toTimestamp(run.timestamp), JSON.stringify(run));
+            if (maxRuns) {
+                this.run(
+                    'DELETE FROM collection_log WHERE id NOT IN (SELECT id FROM collection_log ORDER BY timestamp DESC, id DESC LIMIT ?)',
+                    maxRuns
+                );
+            }
+        });
+    }
+
+    setMeta(patch) {
+        this.writeMeta('history', patch);
+    }
+
+    pruneEntries(before) {
+        return Number(this.run('DELETE FROM entries WHERE timestamp < ?', toTimestamp(before)).changes);
+    }
+
+    addSummaries(summaries, { replace = false } = {}) {
+        return this.transaction(() => summaries.reduce((added, summary) => added + Number(this.run(
+            `INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO summaries (resolution, timestamp, data) VALUES (?, ?, ?)`,
+            summary.resolution || 'hour', toTimestamp(summary.timestamp), JSON.stringify(summary)
+        ).changes), 0));
+    }
+
+    pruneSummaries(before, { resolution } = {}) {
+        const result = resolution
+            ? this.run('DELETE FROM summaries WHERE resolution = ? AND timestamp < ?', resolution, toTimestamp(before))
+            : this.run('DELETE FROM summaries WHERE timestamp < ?', toTimestamp(before));
+        return Number(result.changes);
+    }
+
+    setSummaryMeta(patch) {
+        this.writeMeta('summaries', patch);
+    }
+
+    // ------------------------------------------------------------------
+    // Compaction
+    // ------------------------------------------------------------------
+
+    needsCompaction() {
+        return false;
+    }
+
+    /**
+     * Fold the write-ahead log back into the database file
+     */
+    compact() {
+        const before = this.getStats().totalSize;
+        this.db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+        return { before, after: this.getStats().totalSize };
+    }
+
+    // ------------------------------------------------------------------
+    // Whole-store import/export (backup, restore, backend migration)
+    // ------------------------------------------------------------------
+
+    exportData() {
+        return {
+            history: this.readHistory(),
+            summaries: { schemaVersion: CURRENT_SCHEMA_VERSION, ...this.readMeta('summaries'), summaries: this.getSummaries() }
+        };
+    }
+
+    importData({ history = {}, summaries }) {
+        this.transaction(() => {
+            // Rows are always stored in the current shape; the version lives in user_version
+            const { entries = [], collectionLog = [], schemaVersion, ...meta } = migrateDocument('history', history);
+
+            this.run('DELETE FROM entries');
+            this.run('DELETE FROM collection_log');
+            this.run("DELETE FROM meta WHERE scope = 'history'");
+            entries.forEach(entry => this.insertEntry(entry));
+            collectionLog.forEach(run => this.appendCollectionRun(run));
+            this.setMeta(meta);
+
+            if (summaries) {
+                const { summaries: list = [], schemaVersion: summaryVersion, ...summaryMeta } = migrateDocument('summaries', summaries);
+                this.run('DELETE FROM summaries');
+                this.run("DELETE FROM meta WHERE scope = 'summaries'");
+                this.addSummaries(list);
+                this.setSummaryMeta(summaryMeta);
+            }
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * GLM Storage Helpers
+ *
+ * Safe file access shared by the collector, data manager, CLI and API server.
+ * Writes go to a temporary file in the same directory and are renamed over the
+ * target, so readers never see truncated JSON. Read-modify-write cycles hold an
+ * advisory lock file (<file>.lock) so concurrent collectors, cleanup and restore
+ * cannot overwrite each other's changes.
+ *
+ * All helpers are synchronous to match the existing callers.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_LOCK_MS = 60000;
+// Locks are held for one read-modify-write; one this old was left by a hung or
+// crashed process, even if its PID is alive (or has been reused)
+const DEFAULT_MAX_LOCK_AGE_MS = 10 * 60 * 1000;
+const LOCK_RETRY_MS = 50;
+
+// Locks held by this process with their contents, so nested helpers don't
+// wait on themselves and a release only removes our own lock
+const heldLocks = new Map();
+
+/**
+ * Raised when a lock cannot be acquired within the timeout
+ */
+export class LockTimeoutError extends Error {
+    constructor(lockPath, holder) {
+        super(`Timed out waiting for lock ${lockPath}${holder?.pid ? ` (held by PID ${holder.pid})` : ''}`);
+        this.name = 'LockTimeoutError';
+        this.lockPath = lockPath;
+        this.holder = holder || null;
+    }
+}
+
+/**
+ * Get a profile-specific data file path
+ * The default profile uses the bare file name; others are prefixed, e.g.
+ * "work-usage-history.json".
+ */
+export function getProfileDataPath(profile = 'default', filename = 'usage-history.json', dataDir = DATA_DIR) {
+    if (profile === 'default') {
+        return path.join(dataDir, filename);
+    }
+    return path.join(dataDir, `${profile}-${filename}`);
+}
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+function readLockHolder(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The lock's file stats if it is stale, otherwise null
+ * A lock is stale once its owner has exited, when it names this process but
+ * this process doesn't hold it (a restart that got the same PID), or once
+ * older than maxAgeMs. A lock without a readable owner (left half-written by
+ * a crash) is stale once older than staleMs.
+ */
+function staleLockStats(lockPath, staleMs, maxAgeMs) {
+    let stats;
+    try {
+        stats = fs.statSync(lockPath);
+    } catch {
+        // Lock vanished between checks; let the caller retry
+        return null;
+    }
+
+    const age = Date.now() - stats.mtimeMs;
+    if (age > maxAgeMs) return stats;
+
+    const holder = readLockHolder(lockPath);
+    if (!holder?.pid) return age > staleMs ? stats : null;
+    if (holder.pid === process.pid) return heldLocks.has(lockPath) ? null : stats;
+    return isProcessAlive(holder.pid) ? null : stats;
+}
+
+const sameFile = (a, b) => a.ino === b.ino && a.mtimeMs === b.mtimeMs;
+
+/**
+ * Remove a stale lock so it can be created afresh with openSync(..., 'wx')
+ * The lock is renamed to a name of our own first: of several processes taking
+ * over the same stale lock only one rename can succeed. If what we moved
+ * turns out to be a newer lock (the stale one was replaced meanwhile), it is
+ * linked back, which fails rather than overwrite a lock created since.
+ * Returns whether the stale lock was removed by us.
+ */
+export function takeOverLock(lockPath, stale) {
+    const claimPath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+    try {
+        fs.renameSync(lockPath, claimPath);
+    } catch {
+        // Another process claimed or removed it first
+        return false;
+    }
+
+    let claimed = false;
+    try {
+        claimed = sameFile(fs.statSync(claimPath), stale);
+        if (!claimed) fs.linkSync(claimPath, lockPath);
+    } catch {
+        // A lock was created after the rename; that one stands
+    } finally {
+        try { fs.unlinkSync(claimPath); } catch { /* ignore */ }
+    }
+    return claimed;
+}
+
+/**
+ * Acquire the advisory lock for a file, returning a release function
+ */
+export function acquireLock(filePath, {
+    timeout = DEFAULT_LOCK_TIMEOUT_MS,
+    staleMs = DEFAULT_STALE_LOCK_MS,
+    maxAgeMs = DEFAULT_MAX_LOCK_AGE_MS
+} = {}) {
+    const lockPath = `${filePath}.lock`;
+
+    if (heldLocks.has(lockPath)) {
+        heldLocks.get(lockPath).count += 1;
+        return () => releaseLock(lockPath);
+    }
+
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        try {
+            const contents = JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() });
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, contents);
+            fs.closeSync(fd);
+            heldLocks.set(lockPath, { count: 1, contents });
+            return () => releaseLock(lockPath);
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        // Once the stale lock is gone, try creating ours again
+        const stale = staleLockStats(lockPath, staleMs, maxAgeMs);
+        if (stale && takeOverLock(lockPath, stale)) continue;
+
+        if (Date.now() >= deadline) {
+            throw new LockTimeoutError(lockPath, readLockHolder(lockPath));
+        }
+        sleepSync(LOCK_RETRY_MS);
+    }
+}
+
+function releaseLock(lockPath) {
+    const held = heldLocks.get(lockPath);
+    if (!held) return;
+
+    held.count -= 1;
+    if (held.count > 0) return;
+
+    heldLocks.delete(lockPath);
+    try {
+        // Taken over as stale meanwhile: the lock now belongs to someone else
+        if (fs.readFileSync(lockPath, 'utf-8') !== held.contents) return;
+        fs.unlinkSync(lockPath);
+    } catch {
+        // Already gone; nothing to release
+    }
+}
+
+/**
+ * Run fn while holding the lock for filePath
+ */
+export function withFileLock(filePath, fn, options) {
+    const release = acquireLock(filePath, options);
+    try {
+        return fn();
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Read and parse a JSON file, returning fallback when it does not exist
+ * Parse errors are thrown so callers never mistake a corrupt file for an empty one.
+ */
+export function readJSON(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Write a file atomically: write a temp file, flush it to disk, then rename
+ */
+export function writeFileAtomic(filePath, contents) {
+    const dir = path.dirname(filePath);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeFileSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempPath, filePath);
+    } catch (err) {
+        try { fs.unlinkSync(tempPath); } catch { /* ignore */ }
+        throw err;
+    }
+}
+
+/**
+ * Write JSON atomically (pretty-printed, see writeFileAtomic)
+ */
+export function writeJSONAtomic(filePath, data) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Locked read-modify-write of a JSON file
+ *
+ * The updater receives the current contents (or fallback) and returns the data
+ * to write; returning false leaves the file untouched. Returns the written data.
+ */
+export function updateJSON(filePath, fallback, updater, options) {
+    return withFileLock(filePath, () => {
+        const current = readJSON(filePath, fallback);
+        const next = updater(current);
+        if (next === false) return current;
+        writeJSONAtomic(filePath, next);
+        return next;
+    }, options);
+}
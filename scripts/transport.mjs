@@ -0,0 +1,170 @@
+/**
+ * HTTP Transport
+ *
+ * Builds outgoing requests for the collector. Honors the URL's scheme and port,
+ * routes through HTTP(S)_PROXY unless NO_PROXY matches, and trusts extra CA
+ * certificates from a configured bundle in addition to Node's built-in roots.
+ *
+ * Only plain http:// proxies are supported. HTTPS targets are tunnelled through
+ * them with CONNECT; HTTP targets are sent to the proxy with an absolute URI.
+ */
+
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import fs from 'fs';
+
+/**
+ * Read an environment variable in either upper or lower case
+ */
+function readEnv(env, name) {
+    return env[name.toUpperCase()] || env[name.toLowerCase()] || '';
+}
+
+/**
+ * Check whether a target URL matches a NO_PROXY list
+ * Entries may be "*", a host, a domain suffix (".corp.local" or "corp.local")
+ * or a host:port pair.
+ */
+export function shouldBypassProxy(targetUrl, noProxy) {
+    if (!noProxy) return false;
+
+    const url = targetUrl instanceof URL ? targetUrl : new URL(targetUrl);
+    const hostname = url.hostname.toLowerCase();
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+    return noProxy.split(/[\s,]+/).filter(Boolean).some((rawEntry) => {
+        const entry = rawEntry.toLowerCase();
+        if (entry === '*') return true;
+
+        let [entryHost, entryPort] = entry.split(':');
+        if (entryPort && entryPort !== port) return false;
+
+        entryHost = entryHost.replace(/^\*?\./, '');
+        return hostname === entryHost || hostname.endsWith(`.${entryHost}`);
+    });
+}
+
+/**
+ * Resolve the proxy URL for a target, or null for a direct connection
+ */
+export function getProxyForUrl(targetUrl, env = process.env) {
+    const url = targetUrl instanceof URL ? targetUrl : new URL(targetUrl);
+
+    const proxy = url.protocol === 'https:'
+        ? readEnv(env, 'HTTPS_PROXY') || readEnv(env, 'ALL_PROXY')
+        : readEnv(env, 'HTTP_PROXY') || readEnv(env, 'ALL_PROXY');
+
+    if (!proxy || shouldBypassProxy(url, readEnv(env, 'NO_PROXY'))) {
+        return null;
+    }
+
+    // Accept "host:port" without a scheme, as many tools do
+    const proxyUrl = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`);
+    if (proxyUrl.protocol !== 'http:') {
+        throw new Error(`Unsupported proxy protocol "${proxyUrl.protocol}" (only http:// proxies are supported)`);
+    }
+    return proxyUrl;
+}
+
+/**
+ * Build CA option from a PEM bundle, keeping Node's default root certificates
+ */
+export function loadCaBundle(caFile) {
+    if (!caFile) return undefined;
+    const pem = fs.readFileSync(caFile, 'utf-8');
+    return [...tls.rootCertificates, pem];
+}
+
+function getProxyAuthHeader(proxyUrl) {
+    if (!proxyUrl.username) return {};
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * https.Agent that opens each connection through an HTTP proxy CONNECT tunnel
+ */
+export class ProxyTunnelAgent extends https.Agent {
+    constructor(proxyUrl, options = {}) {
+        super({ keepAlive: false, ...options });
+        this.proxyUrl = proxyUrl;
+    }
+
+    createConnection(options, callback) {
+        const target = `${options.host}:${options.port}`;
+        const connectReq = http.request({
+            hostname: this.proxyUrl.hostname,
+            port: this.proxyUrl.port || 80,
+            method: 'CONNECT',
+            path: target,
+            headers: { Host: target, ...getProxyAuthHeader(this.proxyUrl) },
+            timeout: options.timeout
+        });
+
+        connectReq.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                const error = new Error(`Proxy CONNECT to ${target} failed: HTTP ${res.statusCode}`);
+                error.code = res.statusCode === 407 ? 'EPROXYAUTH' : 'EPROXY';
+                callback(error);
+                return;
+            }
+            const tlsSocket = tls.connect({
+                socket,
+                servername: options.servername || options.host,
+                ca: options.ca,
+                rejectUnauthorized: options.rejectUnauthorized
+            });
+            callback(null, tlsSocket);
+        });
+        connectReq.once('timeout', () => {
+            connectReq.destroy(Object.assign(new Error('Proxy CONNECT timed out'), { code: 'ETIMEDOUT' }));
+        });
+        connectReq.once('error', callback);
+        connectReq.end();
+    }
+}
+
+/**
+ * Create a request for a URL, choosing http/https, port, proxy and CA bundle
+ *
+ * Returns the ClientRequest; the caller attaches handlers and calls end().
+ */
+export function createRequest(targetUrl, { method = 'GET', headers = {}, timeout, caFile, env = process.env } = {}, callback) {
+    const url = targetUrl instanceof URL ? targetUrl : new URL(targetUrl);
+    const isHttps = url.protocol === 'https:';
+
+    if (!isHttps && url.protocol !== 'http:') {
+        throw new Error(`Unsupported protocol "${url.protocol}" in ${url.href}`);
+    }
+
+    const proxyUrl = getProxyForUrl(url, env);
+    const ca = isHttps ? loadCaBundle(caFile) : undefined;
+
+    // Plain HTTP through a proxy: send the absolute URI to the proxy itself
+    if (proxyUrl && !isHttps) {
+        return http.request({
+            hostname: proxyUrl.hostname,
+            port: proxyUrl.port || 80,
+            path: url.href,
+            method,
+            timeout,
+            headers: { ...headers, Host: url.host, ...getProxyAuthHeader(proxyUrl) }
+        }, callback);
+    }
+
+    const options = {
+        hostname: url.hostname,
+        port: url.port ? Number(url.port) : (isHttps ? 443 : 80),
+        path: url.pathname + url.search,
+        method,
+        timeout,
+        headers
+    };
+
+    if (ca) options.ca = ca;
+    if (proxyUrl) options.agent = new ProxyTunnelAgent(proxyUrl);
+
+    return (isHttps ? https : http).request(options, callback);
+}
@@ -7,152 +7,215 @@
  * Run this script periodically (e.g., every 5 minutes) to collect usage data.
  *
  * Usage:
- *   node scripts/usage-collector.mjs
+ *   node scripts/usage-collector.mjs [--window rolling|day|cycle|range] [--timezone <tz>] [--from <date>] [--to <date>]
+ *   node scripts/usage-collector.mjs --all-profiles
  *
  * Environment variables required:
  *   - ANTHROPIC_BASE_URL: Your API base URL
  *   - ANTHROPIC_AUTH_TOKEN: Your auth token
+ *
+ * Optional:
+ *   - HTTPS_PROXY / HTTP_PROXY / NO_PROXY: Route requests through a proxy
+ *   - GLM_MONITOR_CA_FILE: PEM bundle of extra CA certificates to trust
  */
 
-import https from 'https';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import Conf from 'conf';
+import { createRequest } from './transport.mjs';
+import { openHistoryStore } from './history-store.mjs';
+import { compactHistory, formatRollupCounts, readUsagePattern, readUsageSince, rollupHistory } from './data-manager.mjs';
+import { assignCycle, computeDeltas } from './cycles.mjs';
+import { DEFAULT_FORECAST_MODEL, forecastQuota, formatForecast, formatResetOutlook, isExhaustionImminent, nextQuotaReset, roundResetOutlook } from './forecast.mjs';
+import { describeQuota, formatResetsIn } from './quota.mjs';
+import { describeModelUsage } from './models.mjs';
+import { resolvePricing } from './pricing.mjs';
+import { budgetStatuses, budgetUsageStart, formatBudgetStatus } from './budgets.mjs';
+import { ANOMALY_WINDOW, describeAnomaly, detectAnomalies } from './analytics.mjs';
+import { collectTags, loadPlugins, runPluginHook } from './plugins.mjs';
+import { resolveQueryWindow } from './query-window.mjs';
 
 const config = new Conf({ projectName: 'glm-monitor' });
-const DATA_DIR = path.join(os.homedir(), '.glm-monitor');
+
+const DEFAULT_BASE_URL = 'https://api.z.ai/api/anthropic';
 
 /**
- * Get profile-specific data file path
+ * Connection settings for a profile: { profile, authToken, baseUrl, urls }
+ * authToken is undefined when neither the profile nor the environment sets one.
  */
-function getProfileDataPath(filename = 'usage-history.json') {
-  const activeProfile = config.get('activeProfile', 'default');
-  if (activeProfile === 'default') {
-    return path.join(DATA_DIR, filename);
-  }
-  const baseName = filename.replace('.json', '');
-  return path.join(DATA_DIR, `${activeProfile}-${baseName}.json`);
+export function getProfileConnection(profile = config.get('activeProfile', 'default')) {
+  const profiles = config.get('profiles', {});
+  const authToken = (profile === 'default' ? config.get('authToken') : profiles[profile]?.authToken)
+    || process.env.ANTHROPIC_AUTH_TOKEN;
+  const baseUrl = profile === 'default'
+    ? config.get('baseUrl') || process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL
+    : profiles[profile]?.baseUrl || config.get('baseUrl') || DEFAULT_BASE_URL;
+
+  // Determine platform and API URLs
+  const parsedBaseUrl = new URL(baseUrl);
+  const baseDomain = `${parsedBaseUrl.protocol}//${parsedBaseUrl.host}`;
+
+  return {
+    profile,
+    authToken,
+    baseUrl,
+    urls: {
+      modelUsage: `${baseDomain}/api/monitor/usage/model-usage`,
+      toolUsage: `${baseDomain}/api/monitor/usage/tool-usage`,
+      quotaLimit: `${baseDomain}/api/monitor/usage/quota/limit`
+    }
+  };
 }
 
 /**
- * Get auth token for active profile
+ * Profiles with an auth token, the default profile first
  */
-function getActiveAuthToken() {
-  const activeProfile = config.get('activeProfile', 'default');
-  if (activeProfile === 'default') {
-    return config.get('authToken');
-  }
-  const profiles = config.get('profiles', {});
-  return profiles[activeProfile]?.authToken;
+export function getConfiguredProfiles() {
+  return ['default', ...Object.keys(config.get('profiles', {}))]
+    .filter(profile => getProfileConnection(profile).authToken);
 }
 
+// The active profile's connection; other profiles are resolved per collection
+const activeConnection = getProfileConnection();
+
+export const modelUsageUrl = activeConnection.urls.modelUsage;
+export const toolUsageUrl = activeConnection.urls.toolUsage;
+export const quotaLimitUrl = activeConnection.urls.quotaLimit;
+
+// Retry behaviour for API requests (overridable via config)
+const RETRY_SETTINGS = {
+  maxAttempts: config.get('retry.maxAttempts', 4),
+  baseDelayMs: config.get('retry.baseDelayMs', 1000),
+  maxDelayMs: config.get('retry.maxDelayMs', 30000),
+  maxRetryAfterMs: config.get('retry.maxRetryAfterMs', 120000),
+  timeoutMs: config.get('retry.timeoutMs', 30000)
+};
+
+// startTime/endTime window for usage queries (see query-window.mjs)
+const QUERY_WINDOW = {
+  mode: config.get('queryWindow.mode', 'rolling'),
+  timezone: config.get('queryWindow.timezone'),
+  cycleStartDay: config.get('queryWindow.cycleStartDay', 1),
+  from: config.get('queryWindow.from'),
+  to: config.get('queryWindow.to')
+};
+
 /**
- * Get base URL for active profile
+ * Query window settings from config, with per-collection overrides
+ * Overrides left undefined fall back to the configured values.
  */
-function getActiveBaseUrl() {
-  const activeProfile = config.get('activeProfile', 'default');
-  if (activeProfile === 'default') {
-    return config.get('baseUrl') || process.env.ANTHROPIC_BASE_URL || 'https://api.z.ai/api/anthropic';
-  }
-  const profiles = config.get('profiles', {});
-  return profiles[activeProfile]?.baseUrl || config.get('baseUrl') || 'https://api.z.ai/api/anthropic';
+export function getQueryWindowSettings(overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const settings = { ...QUERY_WINDOW, ...defined };
+  if (!settings.timezone) delete settings.timezone;
+  return settings;
 }
 
-const HISTORY_FILE = getProfileDataPath('usage-history.json');
+// Extra CA certificates for TLS-intercepting proxies or internal gateways
+const CA_FILE = process.env.GLM_MONITOR_CA_FILE || config.get('caFile');
 
-// Calculate max entries based on config
-const retentionPeriod = config.get('retention', '24h');
-const retentionMap = {
-  '24h': 288,
-  '7d': 2016,
-  '30d': 8640
-};
-const MAX_HISTORY_ENTRIES = retentionMap[retentionPeriod] || 288;
-
-// Create symlink for dev dashboard access
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const PROJECT_ROOT = path.join(__dirname, '..');
-const DEV_DATA_LINK = path.join(PROJECT_ROOT, 'data', 'usage-history.json');
-
-try {
-  fs.mkdirSync(path.dirname(DEV_DATA_LINK), { recursive: true });
-  // Remove existing link/file if it's broken or not a symlink
-  if (fs.existsSync(DEV_DATA_LINK)) {
-    const stats = fs.lstatSync(DEV_DATA_LINK);
-    if (!stats.isSymbolicLink()) {
-      fs.unlinkSync(DEV_DATA_LINK);
-    }
+// Socket errors worth retrying: the request never reached the API or the connection dropped
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN'
+]);
+
+// How many collection runs to keep in history.collectionLog
+const MAX_COLLECTION_LOG = 500;
+
+/**
+ * Error raised by queryUsage, classified so callers can decide whether to retry
+ *
+ * kind: 'auth' | 'rate_limit' | 'server' | 'client' | 'timeout' | 'network' | 'parse' | 'config'
+ */
+export class UsageApiError extends Error {
+  constructor(message, { kind, status = null, code = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'UsageApiError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
   }
-  // Create symlink if it doesn't exist
-  if (!fs.existsSync(DEV_DATA_LINK)) {
-    fs.symlinkSync(HISTORY_FILE, DEV_DATA_LINK);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
   }
-} catch (e) {
-  // Ignore symlink errors (e.g., on Windows without admin permissions)
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
 }
 
-// Read configuration (profile-aware)
-const activeProfile = config.get('activeProfile', 'default');
-const baseUrl = getActiveBaseUrl();
-const authToken = getActiveAuthToken() || process.env.ANTHROPIC_AUTH_TOKEN;
-
-// Validation
-if (!authToken) {
-  console.error('\x1b[31mError: GLM Auth Token not configured.\x1b[0m');
-  if (activeProfile !== 'default') {
-    console.error(`\x1b[33mActive profile: ${activeProfile}\x1b[0m`);
-    console.error('\x1b[33mRun `glm-monitor profile --create <name> --token <token>` or switch profiles.\x1b[0m');
-  } else {
-    console.error('\x1b[33mRun `glm-monitor init` to set up your credentials.\x1b[0m');
+/**
+ * Classify a non-200 HTTP response
+ */
+export function classifyHttpError(statusCode, body = '', headers = {}) {
+  const detail = `HTTP ${statusCode}: ${body}`;
+
+  if (statusCode === 401 || statusCode === 403) {
+    return new UsageApiError(`Authentication failed (${detail})`, { kind: 'auth', status: statusCode });
+  }
+  if (statusCode === 429) {
+    return new UsageApiError(`Rate limited (${detail})`, {
+      kind: 'rate_limit',
+      status: statusCode,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(headers['retry-after'])
+    });
+  }
+  if (statusCode >= 500 || statusCode === 408) {
+    return new UsageApiError(detail, {
+      kind: 'server',
+      status: statusCode,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(headers['retry-after'])
+    });
   }
-  process.exit(1);
+  return new UsageApiError(detail, { kind: 'client', status: statusCode });
 }
 
-// Log active profile if not default
-if (activeProfile !== 'default') {
-  console.log(`\x1b[36m[Profile: ${activeProfile}]\x1b[0m`);
+/**
+ * Classify a socket-level error
+ */
+export function classifyNetworkError(error) {
+  if (error instanceof UsageApiError) return error;
+  const code = error.code || null;
+  const kind = code === 'ETIMEDOUT' ? 'timeout' : 'network';
+  return new UsageApiError(error.message, { kind, code, retryable: TRANSIENT_ERROR_CODES.has(code) });
 }
 
-// Determine platform and API URLs
-const parsedBaseUrl = new URL(baseUrl);
-const baseDomain = `${parsedBaseUrl.protocol}//${parsedBaseUrl.host}`;
+/**
+ * Exponential backoff with jitter: base * 2^(attempt - 1), capped, randomised to 50-100%
+ */
+export function getBackoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.5 + random() / 2));
+}
 
-const modelUsageUrl = `${baseDomain}/api/monitor/usage/model-usage`;
-const toolUsageUrl = `${baseDomain}/api/monitor/usage/tool-usage`;
-const quotaLimitUrl = `${baseDomain}/api/monitor/usage/quota/limit`;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Query the usage API
+ * Perform a single request against the usage API for a resolved query window
  */
-export async function queryUsage(apiUrl, label) {
+function requestUsage(apiUrl, timeoutMs, queryWindow, authToken) {
   return new Promise((resolve, reject) => {
-    const now = new Date();
-    const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1, now.getHours(), 0, 0, 0);
-    const endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), 59, 59, 999);
-
-    const formatDateTime = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const hours = String(date.getHours()).padStart(2, '0');
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      const seconds = String(date.getSeconds()).padStart(2, '0');
-      return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-    };
-
-    const startTime = formatDateTime(startDate);
-    const endTime = formatDateTime(endDate);
+    const { startTime, endTime } = queryWindow;
     const queryParams = `?startTime=${encodeURIComponent(startTime)}&endTime=${encodeURIComponent(endTime)}`;
 
-    const parsedUrl = new URL(apiUrl);
+    const requestUrl = new URL(apiUrl);
+    requestUrl.search = queryParams;
     const options = {
-      hostname: parsedUrl.hostname,
-      port: 443,
-      path: parsedUrl.pathname + queryParams,
       method: 'GET',
+      timeout: timeoutMs,
+      caFile: CA_FILE,
       headers: {
         'Authorization': authToken,
         'Accept-Language': 'en-US,en',
@@ -160,178 +223,471 @@ export async function queryUsage(apiUrl, label) {
       }
     };
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          return reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${e.message}`));
-        }
+    let req;
+    try {
+      req = createRequest(requestUrl, options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return reject(classifyHttpError(res.statusCode, data, res.headers || {}));
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new UsageApiError(`Failed to parse response: ${e.message}`, { kind: 'parse' }));
+          }
+        });
       });
-    });
+    } catch (err) {
+      reject(new UsageApiError(err.message, { kind: 'client' }));
+      return;
+    }
 
-    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new UsageApiError(`Request timed out after ${timeoutMs / 1000}s`, {
+        kind: 'timeout',
+        code: 'ETIMEDOUT',
+        retryable: true
+      }));
+    });
+    req.on('error', (err) => reject(classifyNetworkError(err)));
     req.end();
   });
 }
 
 /**
- * Load existing history
+ * Query the usage API
+ *
+ * Retries 429s, 5xx responses, timeouts and transient socket errors with
+ * exponential backoff, honoring Retry-After. Auth failures fail fast.
+ * `onFailure` is called with a record of every failed attempt. `window` is a
+ * resolved query window; the configured one is used when it is omitted.
+ * `connection` (from getProfileConnection) defaults to the active profile's.
  */
-function loadHistory() {
-  try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      const content = fs.readFileSync(HISTORY_FILE, 'utf-8');
-      return JSON.parse(content);
+export async function queryUsage(apiUrl, label, options = {}) {
+  const settings = { ...RETRY_SETTINGS, ...options };
+  const queryWindow = settings.window || resolveQueryWindow(getQueryWindowSettings());
+  const { authToken, profile } = settings.connection || activeConnection;
+  if (!authToken) {
+    throw new UsageApiError(`GLM Auth Token not configured for profile "${profile}"`, { kind: 'config' });
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestUsage(apiUrl, settings.timeoutMs, queryWindow, authToken);
+    } catch (err) {
+      const error = classifyNetworkError(err);
+      const retryAfterTooLong = error.retryAfterMs !== null && error.retryAfterMs > settings.maxRetryAfterMs;
+      const willRetry = error.retryable && attempt < settings.maxAttempts && !retryAfterTooLong;
+
+      if (settings.onFailure) {
+        settings.onFailure({
+          timestamp: new Date().toISOString(),
+          endpoint: label,
+          attempt,
+          kind: error.kind,
+          status: error.status,
+          message: error.message,
+          willRetry
+        });
+      }
+
+      if (!willRetry) throw error;
+
+      const delay = error.retryAfterMs ?? getBackoffDelay(attempt, settings.baseDelayMs, settings.maxDelayMs);
+      console.log(`  ↻ ${label} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s [${attempt + 1}/${settings.maxAttempts}]`);
+      await sleep(delay);
     }
-  } catch (e) {
-    console.error('Warning: Failed to load history file:', e.message);
   }
-  return { entries: [], lastUpdated: null };
 }
 
 /**
- * Save history
+ * Forecast quota exhaustion from the last 6 hours of the current quota cycle
+ * Uses the configured forecast model (config: forecast.model) unless one is
+ * given; `usage` is the longer history the seasonal model learns from, and
+ * `reset` the next quota reset (see nextQuotaReset).
+ * Returns { hoursUntilExhausted, rate, model, confidence, interval,
+ * exhaustsAt, reset }, or null when the quota isn't being consumed.
  */
-function saveHistory(history) {
-  try {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
-  } catch (e) {
-    console.error('Error: Failed to save history:', e.message);
-  }
-}
-
-export function calculateQuotaPrediction(quotaPercent, usageHistory) {
-  // Use last 6 hours for rate calculation
+export function calculateQuotaPrediction(quotaPercent, usageHistory, { model = getForecastModel(), usage, reset } = {}) {
   const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
-  const recentEntries = usageHistory.filter(e => new Date(e.timestamp) >= sixHoursAgo);
+  const forecast = forecastQuota(usageHistory.filter(e => new Date(e.timestamp) >= sixHoursAgo), {
+    model,
+    currentPercent: quotaPercent,
+    reset,
+    usage
+  });
 
-  if (recentEntries.length < 2) return null;
+  if (!forecast || forecast.hoursUntilExhausted === null) return null; // Not consuming quota
 
-  const oldest = recentEntries[0];
-  const latest = recentEntries[recentEntries.length - 1];
-  const hoursElapsed = (new Date(latest.timestamp) - new Date(oldest.timestamp)) / (1000 * 60 * 60);
-  const percentChange = latest.tokenQuotaPercent - oldest.tokenQuotaPercent;
-  const percentPerHour = percentChange / hoursElapsed;
+  const round = hours => (hours === null ? null : Math.round(hours));
+  return {
+    hoursUntilExhausted: Math.round(forecast.hoursUntilExhausted),
+    rate: forecast.rate.toFixed(2),
+    model: forecast.model,
+    confidence: forecast.confidence,
+    interval: { low: round(forecast.interval.low), high: round(forecast.interval.high) },
+    exhaustsAt: forecast.exhaustsAt,
+    reset: roundResetOutlook(forecast.reset)
+  };
+}
 
-  if (percentPerHour <= 0) return null; // Not consuming quota
+/**
+ * The forecast model predictions use by default (config: forecast.model)
+ */
+export function getForecastModel() {
+  return config.get('forecast.model', DEFAULT_FORECAST_MODEL);
+}
 
-  const remainingPercent = 100 - quotaPercent;
-  const hoursUntilExhausted = remainingPercent / percentPerHour;
+/**
+ * A profile's token budgets: { daily, weekly, monthly } (config: budgets)
+ */
+export function getBudgets(profile) {
+  return config.get('budgets', {})[profile] || {};
+}
+
+/**
+ * Build an entry's usage totals from model-usage and tool-usage responses
+ * modelBreakdown holds whatever per-model detail model-usage carried.
+ */
+export function buildUsageEntry(timestamp, modelData, toolData) {
+  const modelTotal = modelData.data?.totalUsage;
+  const toolTotal = toolData.data?.totalUsage;
+
+  if (!modelTotal || !toolTotal) {
+    throw new Error('API response missing expected totalUsage data structure');
+  }
 
   return {
-    hoursUntilExhausted: Math.round(hoursUntilExhausted),
-    rate: percentPerHour.toFixed(2)
+    timestamp,
+    modelCalls: modelTotal.totalModelCallCount || 0,
+    tokensUsed: modelTotal.totalTokensUsage || 0,
+    mcpCalls: toolTotal.totalSearchMcpCount || 0,
+    mcpToolBreakdown: toolTotal.toolBreakdown || {},
+    modelBreakdown: describeModelUsage(modelData.data)
   };
 }
 
+// Plugins are loaded once per process and shared by every collection
+let pluginsLoading = null;
+
+/**
+ * The configured collector plugins (see plugins.mjs)
+ * Plugins that fail to load are reported once and left out.
+ */
+function getPlugins() {
+  if (!pluginsLoading) {
+    pluginsLoading = loadPlugins()
+      .then(({ plugins, failed }) => {
+        failed.forEach(({ name, error }) => console.error(`Warning: Plugin ${name} could not be loaded: ${error}`));
+        return plugins;
+      })
+      .catch((err) => {
+        console.error(`Warning: Plugins disabled: ${err.message}`);
+        return [];
+      });
+  }
+  return pluginsLoading;
+}
+
 /**
  * Main collection function
+ *
+ * Returns the stored entry. By default a failure exits the process; pass
+ * `exitOnError: false` (as the daemon does) to have the error rethrown instead.
+ * `window` overrides the configured query window for this collection.
+ * `profile` picks whose credentials and history are used (default: the active
+ * profile); `logPrefix` starts every line logged for it. The configured
+ * plugins' beforeCollect, afterCollect and onError hooks run around it.
  */
-export async function collectUsage() {
-  console.log(`[${new Date().toISOString()}] Collecting usage data...`);
+export async function collectUsage({ exitOnError = true, window = {}, profile = activeConnection.profile, logPrefix = '' } = {}) {
+  const log = (message) => console.log(`${logPrefix}${message}`);
+  const logError = (message, ...details) => console.error(`${logPrefix}${message}`, ...details);
+
+  const connection = getProfileConnection(profile);
+  if (!connection.authToken) {
+    if (!exitOnError) {
+      throw new UsageApiError(`GLM Auth Token not configured for profile "${profile}"`, { kind: 'config' });
+    }
+    console.error('\x1b[31mError: GLM Auth Token not configured.\x1b[0m');
+    if (profile !== 'default') {
+      console.error(`\x1b[33mActive profile: ${profile}\x1b[0m`);
+      console.error('\x1b[33mRun `glm-monitor profile --create <name> --token <token>` or switch profiles.\x1b[0m');
+    } else {
+      console.error('\x1b[33mRun `glm-monitor init` to set up your credentials.\x1b[0m');
+    }
+    process.exit(1);
+  }
+
+  // Log the profile if not default (concurrent runs prefix every line instead)
+  if (profile !== 'default' && !logPrefix) {
+    log(`\x1b[36m[Profile: ${profile}]\x1b[0m`);
+  }
+  log(`[${new Date().toISOString()}] Collecting usage data...`);
+
+  const runStartedAt = new Date().toISOString();
+  const failedAttempts = [];
+  const onFailure = (failure) => failedAttempts.push(failure);
+  const store = openHistoryStore({ profile });
+
+  // Plugin hooks can't fail the collection; their failures are only logged
+  const plugins = await getPlugins();
+  const context = { profile, window: null };
+  const runHook = (hook, ...args) => runPluginHook(plugins, hook, [...args, context], {
+    onFailure: (plugin, name, err) => logError(`  ! Plugin ${plugin.name} ${name} failed: ${err.message}`)
+  });
 
   try {
+    // Every endpoint is asked for the same window, which is stored with the entry
+    const queryWindow = resolveQueryWindow(getQueryWindowSettings(window));
+    context.window = queryWindow;
+    const tags = collectTags(await runHook('beforeCollect'));
+
     // Query all endpoints
     const [modelData, toolData, quotaData] = await Promise.all([
-      queryUsage(modelUsageUrl, 'Model usage'),
-      queryUsage(toolUsageUrl, 'Tool usage'),
-      queryUsage(quotaLimitUrl, 'Quota limit')
+      queryUsage(connection.urls.modelUsage, 'Model usage', { onFailure, window: queryWindow, connection }),
+      queryUsage(connection.urls.toolUsage, 'Tool usage', { onFailure, window: queryWindow, connection }),
+      queryUsage(connection.urls.quotaLimit, 'Quota limit', { onFailure, window: queryWindow, connection })
     ]);
 
-    // Extract current totals
-    const modelTotal = modelData.data?.totalUsage;
-    const toolTotal = toolData.data?.totalUsage;
-
-    if (!modelTotal || !toolTotal) {
-      throw new Error('API response missing expected totalUsage data structure');
-    }
-
-    // Find current quota percentage
-    const tokenQuota = quotaData.data?.limits?.find(l => l.type === 'TOKENS_LIMIT') || {};
-    const timeQuota = quotaData.data?.limits?.find(l => l.type === 'TIME_LIMIT') || {};
+    // Keep every quota field, including reset times and any extra limit types
+    const quotaLimits = describeQuota(quotaData.data);
+    const { tokenQuota, timeQuota } = quotaLimits;
 
     // Create entry
     const entry = {
-      timestamp: new Date().toISOString(),
-      modelCalls: modelTotal.totalModelCallCount || 0,
-      tokensUsed: modelTotal.totalTokensUsage || 0,
-      mcpCalls: toolTotal.totalSearchMcpCount || 0,
-      tokenQuotaPercent: tokenQuota.percentage || 0,
-      timeQuotaPercent: timeQuota.percentage || 0,
-      mcpToolBreakdown: toolTotal.toolBreakdown || {}
+      ...buildUsageEntry(new Date().toISOString(), modelData, toolData),
+      tokenQuotaPercent: tokenQuota.percentage,
+      timeQuotaPercent: timeQuota.percentage,
+      queryWindow
     };
+    if (tags) entry.tags = tags;
+
+    // Store the entry in one transaction so overlapping runs can't lose entries
+    let duplicate = null;
+    let prediction = null;
+    let budgets = [];
+    store.transaction(() => {
+      // The raw history is read once; every check below works from it
+      const history = store.getEntries();
+
+      // Prevention: Check if the last entry is the same (ignoring milliseconds if any)
+      const latestExisting = history[history.length - 1];
+      if (latestExisting && latestExisting.timestamp === entry.timestamp) {
+        duplicate = latestExisting;
+        return;
+      }
 
-    // Load and update history
-    const history = loadHistory();
-
-    // Prevention: Check if the last entry is the same (ignoring milliseconds if any)
-    const latestExisting = history.entries[history.entries.length - 1];
-    if (latestExisting && latestExisting.timestamp === entry.timestamp) {
-      console.log('  ! Entry already exists for this second, skipping.');
-      return;
-    }
+      // Record what was used since the last reading; a counter or quota reset
+      // since then starts a new usage cycle
+      const previous = history.findLast(e => e.type !== 'gap') || null;
+      Object.assign(entry, computeDeltas(previous, entry), assignCycle(previous, entry));
+
+      // A spike against the intervals before it is flagged on the entry (with
+      // room in the lookback for gap markers)
+      const [anomaly] = detectAnomalies([...history.slice(-ANOMALY_WINDOW * 2), entry])
+        .filter(flagged => flagged.timestamp === entry.timestamp);
+      if (anomaly) {
+        entry.anomaly = { tokensPerHour: anomaly.tokensPerHour, baseline: anomaly.baseline, score: anomaly.score };
+      }
+      // Raw entries past retention are pruned by the rollup, once they are summarized
+      store.appendEntry(entry);
+      const entries = [...history, entry];
+      store.appendCollectionRun({
+        timestamp: runStartedAt,
+        status: 'success',
+        failedAttempts
+      }, { maxRuns: MAX_COLLECTION_LOG });
+
+      // The dashboard prices usage with the configured table
+      const meta = {
+        lastUpdated: new Date().toISOString(),
+        quotaLimits,
+        pricing: resolvePricing(config.get('pricing', {}))
+      };
+
+      const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
+      const model = getForecastModel();
+      prediction = calculateQuotaPrediction(entry.tokenQuotaPercent, entries.filter(e => new Date(e.timestamp) >= sixHoursAgo), {
+        model,
+        usage: model === 'seasonal' ? readUsagePattern(store, { entries }) : undefined,
+        reset: nextQuotaReset({ resetsAt: quotaLimits.tokenQuota?.resetsAt, entries })
+      });
+      if (prediction) {
+        meta.quotaPrediction = prediction;
+      }
 
-    history.entries.push(entry);
+      // Budgets are tracked from the deltas stored so far this period
+      budgets = budgetStatuses(getBudgets(profile), readUsageSince(store, budgetUsageStart(), { entries }));
+      meta.budgets = budgets;
+      store.setMeta(meta);
+    });
 
-    // Trim to max entries
-    if (history.entries.length > MAX_HISTORY_ENTRIES) {
-      history.entries = history.entries.slice(-MAX_HISTORY_ENTRIES);
+    if (duplicate) {
+      log('  ! Entry already exists for this second, skipping.');
+      return duplicate;
     }
 
-    history.lastUpdated = new Date().toISOString();
-    history.quotaLimits = {
-      tokenQuota: {
-        current: tokenQuota.currentValue || 0,
-        max: tokenQuota.usage || 0,
-        percentage: tokenQuota.percentage || 0
-      },
-      timeQuota: {
-        current: timeQuota.currentValue || 0,
-        max: timeQuota.usage || 0,
-        percentage: timeQuota.percentage || 0
-      }
-    };
+    if (entry.resets) {
+      log(`  ↺ Usage reset detected (${entry.resets.join(', ')}), starting a new cycle`);
+    }
 
-    const prediction = calculateQuotaPrediction(entry.tokenQuotaPercent, history.entries);
     if (prediction) {
-      console.log(`  ⏰ Quota will exhaust in ~${prediction.hoursUntilExhausted} hours at ${prediction.rate}%/hour`);
-      if (prediction.hoursUntilExhausted < 24) {
-        console.log(`⚠️  WARNING: Quota exhaustion imminent!`);
+      log(`  ⏰ Quota will exhaust in ~${formatForecast(prediction)} at ${prediction.rate}%/hour (${prediction.model} forecast)`);
+      if (prediction.reset) {
+        log(`  ${prediction.reset.exhaustsBeforeReset ? '!' : '✓'} ${formatResetOutlook(prediction)}`);
+      }
+      if (isExhaustionImminent(prediction)) {
+        log(`⚠️  WARNING: Quota exhaustion imminent!`);
       }
-      history.quotaPrediction = prediction;
     }
 
-    saveHistory(history);
+    log(`  ✓ Query window: ${entry.queryWindow.mode} (${entry.queryWindow.startTime} → ${entry.queryWindow.endTime} ${entry.queryWindow.timezone})`);
+    log(`  ✓ Model calls: ${entry.modelCalls.toLocaleString()}`);
+    log(`  ✓ Tokens used: ${(entry.tokensUsed / 1_000_000).toFixed(2)}M`);
+    log(`  ✓ MCP calls: ${entry.mcpCalls}`);
+    Object.entries(entry.modelBreakdown).forEach(([model, usage]) => {
+      log(`    · ${model}: ${(usage.tokens / 1_000_000).toFixed(2)}M tokens, ${usage.calls.toLocaleString()} calls`);
+    });
+    log(`  ✓ Since last collection: ${entry.tokensDelta.toLocaleString()} tokens, ${entry.callsDelta} calls, ${entry.mcpDelta} MCP calls`);
+    const resetsIn = (limit) => {
+      const label = formatResetsIn(limit.resetsAt);
+      return label ? ` (resets in ${label})` : '';
+    };
+    log(`  ✓ Token quota: ${entry.tokenQuotaPercent}%${resetsIn(tokenQuota)}`);
+    log(`  ✓ Time quota: ${entry.timeQuotaPercent}%${resetsIn(timeQuota)}`);
+    budgets.filter(budget => budget.status === 'ok').forEach(budget => log(`  ✓ ${formatBudgetStatus(budget)}`));
+    log(`  ✓ History entries: ${store.countEntries()}`);
+
+    // Completed hours are rolled up into summaries at most once an hour
+    try {
+      const rollup = rollupHistory({ ifDue: true, profile });
+      if (rollup && Object.values(rollup.added).some(count => count > 0)) {
+        log(`  ✓ Rolled up ${formatRollupCounts(rollup.added)} summaries`);
+      }
+    } catch (e) {
+      logError('Warning: Summary rollup failed:', e.message);
+    }
 
-    console.log(`  ✓ Model calls: ${entry.modelCalls.toLocaleString()}`);
-    console.log(`  ✓ Tokens used: ${(entry.tokensUsed / 1_000_000).toFixed(2)}M`);
-    console.log(`  ✓ MCP calls: ${entry.mcpCalls}`);
-    console.log(`  ✓ Token quota: ${entry.tokenQuotaPercent}%`);
-    console.log(`  ✓ Time quota: ${entry.timeQuotaPercent}%`);
-    console.log(`  ✓ History entries: ${history.entries.length}`);
+    // An append-only log is folded into its snapshot once it grows past the threshold
+    try {
+      const compacted = compactHistory({ rollup: false, profile });
+      if (compacted) {
+        log(`  ✓ Compacted history log (${(compacted.before / 1024).toFixed(1)} KB → ${(compacted.after / 1024).toFixed(1)} KB)`);
+      }
+    } catch (e) {
+      logError('Warning: History compaction failed:', e.message);
+    }
 
     // Alert if approaching limits
     if (entry.tokenQuotaPercent > 80) {
-      console.log(`⚠️  WARNING: Token quota at ${entry.tokenQuotaPercent}%!`);
+      log(`⚠️  WARNING: Token quota at ${entry.tokenQuotaPercent}%!`);
     }
     if (entry.timeQuotaPercent > 80) {
-      console.log(`⚠️  WARNING: Time quota at ${entry.timeQuotaPercent}%!`);
+      log(`⚠️  WARNING: Time quota at ${entry.timeQuotaPercent}%!`);
+    }
+    budgets.filter(budget => budget.status !== 'ok').forEach(budget => log(`⚠️  WARNING: ${formatBudgetStatus(budget)}`));
+    if (entry.anomaly) {
+      log(`⚠️  WARNING: Token usage spike: ${describeAnomaly(entry.anomaly)}`);
+    }
+
+    if (plugins.some(plugin => plugin.hooks.afterCollect)) {
+      await runHook('afterCollect', entry, store.readHistory());
     }
 
+    return entry;
   } catch (error) {
-    console.error(`✗ Collection failed: ${error.message}`);
+    logError(`✗ Collection failed: ${error.message}`);
+    if (error.kind === 'auth') {
+      if (profile !== 'default') {
+        logError(`\x1b[33mThe auth token for profile "${profile}" was rejected. Recreate the profile with a new token.\x1b[0m`);
+      } else {
+        logError('\x1b[33mYour auth token was rejected (expired or incorrect). Run `glm-monitor init -t <token>` to update it.\x1b[0m');
+      }
+    }
+
+    try {
+      store.transaction(() => {
+        // Mark the missed interval so charts and rates don't bridge the outage
+        store.appendEntry({
+          timestamp: runStartedAt,
+          type: 'gap',
+          reason: error.message,
+          errorKind: error.kind || 'unknown'
+        });
+        store.appendCollectionRun({
+          timestamp: runStartedAt,
+          status: 'failed',
+          kind: error.kind || 'unknown',
+          error: error.message,
+          failedAttempts
+        }, { maxRuns: MAX_COLLECTION_LOG });
+      });
+    } catch (e) {
+      logError('Error: Failed to record failed collection:', e.message);
+    }
+
+    await runHook('onError', error);
+
+    if (exitOnError) {
+      process.exit(1);
+    }
+    throw error;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * Collect every configured profile concurrently
+ *
+ * Each profile uses its own credentials and history, and a failure in one
+ * doesn't stop the others. Returns one { profile, entry } or { profile, error }
+ * per profile; with `exitOnError` the process exits with 1 once all are done
+ * if any failed.
+ */
+export async function collectAllProfiles({ exitOnError = true, window = {} } = {}) {
+  const profiles = getConfiguredProfiles();
+  if (profiles.length === 0) {
+    console.error('\x1b[31mError: No profile has a GLM Auth Token configured.\x1b[0m');
+    console.error('\x1b[33mRun `glm-monitor init` or `glm-monitor profile --create <name> --token <token>`.\x1b[0m');
+    if (exitOnError) process.exit(1);
+    return [];
+  }
+
+  console.log(`[${new Date().toISOString()}] Collecting ${profiles.length} profile${profiles.length === 1 ? '' : 's'}: ${profiles.join(', ')}`);
+  const results = await Promise.all(profiles.map(profile =>
+    collectUsage({ exitOnError: false, window, profile, logPrefix: `[${profile}] ` })
+      .then(entry => ({ profile, entry }))
+      .catch(error => ({ profile, error }))
+  ));
+
+  const failed = results.filter(result => result.error);
+  console.log(`✓ Collected ${results.length - failed.length} of ${results.length} profiles`);
+  failed.forEach(({ profile, error }) => console.error(`  ✗ ${profile}: ${error.message}`));
+
+  if (exitOnError && failed.length > 0) {
     process.exit(1);
   }
+  return results;
 }
 
 // Run collector
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  collectUsage();
+  const { values } = parseArgs({
+    options: {
+      window: { type: 'string' },
+      timezone: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'all-profiles': { type: 'boolean' }
+    }
+  });
+  const window = { mode: values.window, timezone: values.timezone, from: values.from, to: values.to };
+  if (values['all-profiles']) {
+    collectAllProfiles({ window });
+  } else {
+    collectUsage({ window });
+  }
 }
@@ -1,5 +1,10 @@
 import './styles.css';
 import Chart from 'chart.js/auto';
+import { counterDelta } from '../scripts/cycles.mjs';
+import { formatResetsIn } from '../scripts/quota.mjs';
+import { comparePlan, costOfRecord, formatCost, resolvePricing, spanOf, sumCosts } from '../scripts/pricing.mjs';
+import { BUDGET_PERIODS, formatBudgetStatus, formatTokenAmount } from '../scripts/budgets.mjs';
+import { DEFAULT_FORECAST_MODEL, FORECAST_MODELS, forecastQuota, formatForecast, formatResetOutlook, isExhaustionImminent, nextQuotaReset } from '../scripts/forecast.mjs';
 
 const DATA_URL = '/data/usage-history.json';
 const REFRESH_INTERVAL = 30000;
@@ -7,22 +12,36 @@ const MIN_REFRESH_DELAY = 800; // Show "Syncing..." for at least 800ms
 
 let tokenChart = null;
 let callsChart = null;
+let costChart = null;
+let budgetChart = null;
 
 const state = {
   data: null,
   loading: true,
   error: null,
   refreshing: false,
-  timeRange: localStorage.getItem('timeRange') || '24h'
+  timeRange: localStorage.getItem('timeRange') || '24h',
+  forecastModel: FORECAST_MODELS.includes(localStorage.getItem('forecastModel')) ? localStorage.getItem('forecastModel') : DEFAULT_FORECAST_MODEL,
+  budgetPeriod: BUDGET_PERIODS.includes(localStorage.getItem('budgetPeriod')) ? localStorage.getItem('budgetPeriod') : null
 };
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Windows are by timestamp, so they hold for any collection interval
 const timeRanges = [
-  { value: '1h', label: '1 Hour', entries: 12 },
-  { value: '6h', label: '6 Hours', entries: 72 },
-  { value: '12h', label: '12 Hours', entries: 144 },
-  { value: '24h', label: '24 Hours', entries: 288 },
-  { value: '7d', label: '7 Days', entries: 2016 },
-  { value: '30d', label: '30 Days', entries: 8640 }
+  { value: '1h', label: '1 Hour', ms: HOUR_MS },
+  { value: '6h', label: '6 Hours', ms: 6 * HOUR_MS },
+  { value: '12h', label: '12 Hours', ms: 12 * HOUR_MS },
+  { value: '24h', label: '24 Hours', ms: 24 * HOUR_MS },
+  { value: '7d', label: '7 Days', ms: 7 * 24 * HOUR_MS },
+  { value: '30d', label: '30 Days', ms: 30 * 24 * HOUR_MS }
+];
+
+// Quota forecast models (see scripts/forecast.mjs)
+const forecastModels = [
+  { value: 'regression', label: 'Trend Forecast' },
+  { value: 'ewma', label: 'Recent-Weighted Forecast' },
+  { value: 'seasonal', label: 'Seasonal Forecast' }
 ];
 
 /**
@@ -182,27 +201,48 @@ export function formatNumber(num) {
   return num.toLocaleString();
 }
 
+/**
+ * Gap markers are written by the collector when a collection fails
+ */
+export function isGapEntry(entry) {
+  return entry?.type === 'gap';
+}
+
 /**
  * Calculate Usage Rates
+ * Consumption is summed over consecutive entries in the last hour, skipping
+ * intervals that span a gap, and divided by the hours those intervals cover
+ * (as /api/rates does). A counter reset counts the new reading as usage
+ * rather than a negative amount.
  */
 export function calculateRates(entries) {
   if (entries.length < 2) return null;
 
-  const latest = entries[entries.length - 1];
   const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
   const hourlyEntries = entries.filter(e => new Date(e.timestamp) >= oneHourAgo);
 
-  if (hourlyEntries.length < 2) return null;
+  if (hourlyEntries.filter(e => !isGapEntry(e)).length < 2) return null;
+
+  let tokensUsed = 0;
+  let modelCalls = 0;
+  let hoursElapsed = 0;
+  for (let i = 1; i < hourlyEntries.length; i++) {
+    const prev = hourlyEntries[i - 1];
+    const curr = hourlyEntries[i];
+    if (isGapEntry(prev) || isGapEntry(curr)) continue;
+    // Entries collected since deltas were stored carry their own
+    tokensUsed += curr.tokensDelta ?? counterDelta(prev.tokensUsed, curr.tokensUsed);
+    modelCalls += curr.callsDelta ?? counterDelta(prev.modelCalls, curr.modelCalls);
+    hoursElapsed += (new Date(curr.timestamp) - new Date(prev.timestamp)) / (60 * 60 * 1000);
+  }
+  if (hoursElapsed <= 0) return null;
 
-  const first = hourlyEntries[0];
-  const tokensPerHour = latest.tokensUsed - first.tokensUsed;
-  const callsPerHour = latest.modelCalls - first.modelCalls;
   // Prevent division by zero
-  const avgTokensPerCall = callsPerHour > 0 ? tokensPerHour / callsPerHour : 0;
+  const avgTokensPerCall = modelCalls > 0 ? tokensUsed / modelCalls : 0;
 
   return {
-    tokensPerHour,
-    callsPerHour,
+    tokensPerHour: Math.round(tokensUsed / hoursElapsed),
+    callsPerHour: Math.round(modelCalls / hoursElapsed),
     avgTokensPerCall
   };
 }
@@ -230,6 +270,155 @@ export function renderRateCards(rates) {
   `;
 }
 
+/**
+ * Render Budget Cards
+ * Usage against each budget the collector last checked, with where the
+ * period is heading at the pace so far
+ */
+export function renderBudgetCards(budgets) {
+  const container = document.getElementById('budget-grid');
+  if (!container) return;
+
+  container.innerHTML = budgets.map((budget) => {
+    const statusClass = { over: 'danger', 'at-risk': 'warning' }[budget.status] || '';
+    let projectionHTML = '';
+    if (budget.status === 'over') {
+      projectionHTML = `<div class="quota-prediction warning">⚠️ Over by ${formatTokenAmount(-budget.remaining)} tokens</div>`;
+    } else if (budget.projected !== null) {
+      projectionHTML = budget.status === 'at-risk'
+        ? `<div class="quota-prediction warning">⚠️ Projected ${formatTokenAmount(budget.projected)} (${budget.projectedPercent}%) by ${new Date(budget.end).toLocaleDateString()}</div>`
+        : `<div class="quota-prediction safe">✓ On pace for ${formatTokenAmount(budget.projected)} (${budget.projectedPercent}%)</div>`;
+    }
+
+    return `
+      <div class="card">
+        <div class="quota-header">
+          <div class="quota-title">${budget.period[0].toUpperCase()}${budget.period.slice(1)} Budget</div>
+          <div class="quota-percent">${budget.percentUsed}%</div>
+        </div>
+        <div class="progress-container">
+          <div class="progress-bar ${statusClass}" style="width: ${Math.min(budget.percentUsed, 100)}%"></div>
+        </div>
+        <div class="quota-footer">
+          <div>Used: <span>${formatNumber(budget.used)}</span></div>
+          <div>Budget: <span>${formatNumber(budget.limit)}</span></div>
+        </div>
+        ${projectionHTML}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render Cost Cards
+ * Pay-as-you-go cost of the range, its monthly projection, and how that
+ * compares with the plan price.
+ */
+export function renderCostCards(entries, pricing) {
+  const container = document.getElementById('cost-grid');
+  if (!container) return;
+
+  const dataEntries = entries.filter(e => !isGapEntry(e));
+  const costs = sumCosts(dataEntries, pricing);
+  const comparison = comparePlan(costs.total, spanOf(dataEntries), pricing);
+  const money = amount => formatCost(amount, pricing.currency);
+
+  let planValue = '—';
+  let planNote = 'Set a plan price with glm-monitor pricing --plan-price';
+  if (comparison.cheaper === 'plan') {
+    planValue = money(comparison.difference);
+    planNote = `Saved per month by ${comparison.plan.name || 'the plan'} (${money(comparison.plan.monthlyPrice)})`;
+  } else if (comparison.cheaper) {
+    planValue = money(-comparison.difference);
+    planNote = `Less per month on pay-as-you-go than ${comparison.plan.name || 'the plan'} (${money(comparison.plan.monthlyPrice)})`;
+  }
+
+  container.innerHTML = `
+    <div class="card">
+      <div class="metric-label">Pay-As-You-Go Cost</div>
+      <div class="metric-value" style="font-size: 2rem">${money(costs.total)}</div>
+      <div class="cost-note">${formatNumber(costs.tokens)} tokens${costs.estimated ? ' · input/output split estimated' : ''}</div>
+    </div>
+    <div class="card">
+      <div class="metric-label">Projected Monthly</div>
+      <div class="metric-value" style="font-size: 2rem">${comparison.projectedMonthly === null ? '—' : money(comparison.projectedMonthly)}</div>
+      <div class="cost-note">At this range's pace</div>
+    </div>
+    <div class="card">
+      <div class="metric-label">Plan vs Pay-As-You-Go</div>
+      <div class="metric-value" style="font-size: 2rem">${planValue}</div>
+      <div class="cost-note">${escapeHTML(planNote)}</div>
+    </div>
+  `;
+}
+
+/**
+ * Escape text from collected data before inserting it as HTML
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Calculate collection reliability from the collector's run log
+ */
+export function calculateReliability(collectionLog, since = null) {
+  const runs = (collectionLog || []).filter(r => !since || new Date(r.timestamp) >= since);
+  if (runs.length === 0) return null;
+
+  const failedRuns = runs.filter(r => r.status !== 'success');
+  const failedAttempts = runs.reduce((sum, r) => sum + (r.failedAttempts?.length || 0), 0);
+
+  return {
+    totalRuns: runs.length,
+    failedRuns: failedRuns.length,
+    failedAttempts,
+    successRate: ((runs.length - failedRuns.length) / runs.length) * 100,
+    lastFailure: failedRuns[failedRuns.length - 1] || null
+  };
+}
+
+/**
+ * Render Collection Reliability Card
+ */
+export function renderReliabilityCard(reliability) {
+  const container = document.getElementById('reliability-card');
+  if (!container) return;
+
+  if (!reliability) {
+    container.innerHTML = `<div class="card"><p style="color: var(--text-dim); text-align: center; padding: 20px;">No collection runs recorded yet</p></div>`;
+    return;
+  }
+
+  const rate = reliability.successRate;
+  const statusClass = rate < 90 ? 'danger' : (rate < 99 ? 'warning' : '');
+  const lastFailure = reliability.lastFailure;
+
+  container.innerHTML = `
+    <div class="card animate-fade-in">
+      <div class="quota-header">
+        <div class="quota-title">Successful Collections</div>
+        <div class="quota-percent">${rate.toFixed(1)}%</div>
+      </div>
+      <div class="progress-container">
+        <div class="progress-bar ${statusClass}" style="width: ${rate}%"></div>
+      </div>
+      <div class="quota-footer">
+        <div>Runs: <span>${reliability.totalRuns}</span></div>
+        <div>Failed runs: <span>${reliability.failedRuns}</span></div>
+        <div>Failed attempts: <span>${reliability.failedAttempts}</span></div>
+      </div>
+      ${lastFailure ? `<div class="quota-prediction warning">
+        Last failure: ${new Date(lastFailure.timestamp).toLocaleString()} - ${escapeHTML(lastFailure.error || lastFailure.kind)}
+      </div>` : ''}
+    </div>
+  `;
+}
+
 /**
  * Render Metric Card
  */
@@ -250,8 +439,39 @@ export function renderMetricCard(id, label, value, unit = '', trend = null) {
   `;
 }
 
+/**
+ * Limit types shown on their own cards; any others get a card each
+ */
+const CARD_LIMIT_TYPES = ['TOKENS_LIMIT', 'TIME_LIMIT'];
+
+/**
+ * Card title for a limit type, e.g. REQUEST_LIMIT → Request Limit
+ */
+export function formatLimitType(type = '') {
+  return type.toLowerCase().split('_').filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Token quota forecast from the last 6 hours of loaded entries
+ * The seasonal model learns the weekly pattern from all of them, and the next
+ * reset is the quota's resetsAt or estimated from their cycles. Falls back to
+ * the collector's stored prediction when the entries can't support a forecast
+ * and it used the same model.
+ */
+export function forecastTokenQuota(entries, model, { stored = null, resetsAt } = {}) {
+  const since = Date.now() - 6 * HOUR_MS;
+  const recent = (entries || []).filter(e => new Date(e.timestamp).getTime() >= since);
+  const reset = nextQuotaReset({ resetsAt, entries: entries || [] });
+  const forecast = forecastQuota(recent, { model, reset, usage: entries });
+  if (forecast) return forecast.hoursUntilExhausted === null ? null : forecast;
+  return stored && (stored.model || DEFAULT_FORECAST_MODEL) === model ? stored : null;
+}
+
 /**
  * Render Quota Card
+ * Shows when the quota window resets if the API reported it.
  */
 export function renderQuotaCard(id, title, limitObj, prediction = null) {
   const container = document.getElementById(id);
@@ -260,9 +480,25 @@ export function renderQuotaCard(id, title, limitObj, prediction = null) {
   const percent = limitObj.percentage;
   const statusClass = percent >= 80 ? 'danger' : (percent >= 50 ? 'warning' : '');
 
-  const predictionHTML = prediction ? `
-    <div class="quota-prediction ${prediction.hoursUntilExhausted < 24 ? 'warning' : ''}">
-      ⏰ Exhaustion in ${prediction.hoursUntilExhausted}h
+  // Predictions from older collectors have no interval or reset outlook
+  const predictionText = prediction && (prediction.interval ? formatForecast(prediction) : `${prediction.hoursUntilExhausted}h`);
+  const outlook = formatResetOutlook(prediction);
+  const modelTitle = prediction?.model ? `title="${prediction.model} forecast"` : '';
+  let predictionHTML = '';
+  if (outlook && !prediction.reset.exhaustsBeforeReset) {
+    predictionHTML = `<div class="quota-prediction safe" ${modelTitle}>✓ ${outlook}</div>`;
+  } else if (predictionText) {
+    predictionHTML = `
+    <div class="quota-prediction ${isExhaustionImminent(prediction) ? 'warning' : ''}" ${modelTitle}>
+      ⏰ Exhaustion in ${predictionText}${outlook ? `<br>${outlook}` : ''}
+    </div>
+  `;
+  }
+
+  const resetsIn = formatResetsIn(limitObj.resetsAt);
+  const resetHTML = resetsIn ? `
+    <div class="quota-reset" title="${new Date(limitObj.resetsAt).toLocaleString()}">
+      ↻ Resets ${resetsIn === 'now' ? 'now' : `in ${resetsIn}`}
     </div>
   ` : '';
 
@@ -279,6 +515,7 @@ export function renderQuotaCard(id, title, limitObj, prediction = null) {
         <div>Used: <span>${formatNumber(limitObj.current)}</span></div>
         <div>Limit: <span>${formatNumber(limitObj.max)}</span></div>
       </div>
+      ${resetHTML}
       ${predictionHTML}
     </div>
   `;
@@ -297,13 +534,17 @@ export function updateCharts(entries) {
     return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   });
 
-  const tokenData = entries.map(e => e.tokensUsed / 1000000);
-  const callData = entries.map(e => e.modelCalls);
+  // Gap markers become null points so the lines break instead of bridging outages
+  const tokenData = entries.map(e => isGapEntry(e) ? null : e.tokensUsed / 1000000);
+  const callData = entries.map(e => isGapEntry(e) ? null : e.modelCalls);
+  // Usage spikes the collector flagged are marked on the token line
+  const anomalyData = entries.map(e => e.anomaly ? e.tokensUsed / 1000000 : null);
 
   // Token Chart
   if (tokenChart) {
     tokenChart.data.labels = labels;
     tokenChart.data.datasets[0].data = tokenData;
+    tokenChart.data.datasets[1].data = anomalyData;
     tokenChart.update('none');
   } else {
     tokenChart = new Chart(tokenCtx, {
@@ -317,8 +558,18 @@ export function updateCharts(entries) {
           backgroundColor: 'rgba(0, 212, 255, 0.15)',
           fill: true,
           tension: 0.4,
+          spanGaps: false,
           pointRadius: 2,
           pointHoverRadius: 5
+        }, {
+          label: 'Usage spike',
+          data: anomalyData,
+          showLine: false,
+          pointStyle: 'triangle',
+          borderColor: '#ff4757',
+          backgroundColor: '#ff4757',
+          pointRadius: 7,
+          pointHoverRadius: 9
         }]
       },
       options: {
@@ -355,6 +606,7 @@ export function updateCharts(entries) {
           backgroundColor: 'rgba(0, 255, 136, 0.15)',
           fill: true,
           tension: 0.4,
+          spanGaps: false,
           pointRadius: 2,
           pointHoverRadius: 5
         }]
@@ -377,6 +629,113 @@ export function updateCharts(entries) {
   }
 }
 
+/**
+ * Update the burn-down chart of one budget
+ * Plots the budget left against an even burn down to zero and the pace so far.
+ */
+export function updateBudgetChart(budget) {
+  const budgetCtx = document.getElementById('budgetChart');
+  if (!budgetCtx || !budget) return;
+
+  const start = new Date(budget.start).getTime();
+  const end = new Date(budget.end).getTime();
+  const actual = budget.burnDown.map(point => ({ x: new Date(point.timestamp).getTime(), y: point.remaining }));
+  const latest = actual[actual.length - 1];
+  const datasets = [
+    { label: 'Remaining', data: actual, borderColor: '#00d4ff', backgroundColor: 'rgba(0, 212, 255, 0.15)', fill: true, pointRadius: 0 },
+    { label: 'Even pace', data: [{ x: start, y: budget.limit }, { x: end, y: 0 }], borderColor: '#6c757d', borderDash: [4, 4], pointRadius: 0 },
+    {
+      label: 'Projected',
+      data: budget.projected === null ? [] : [latest, { x: end, y: budget.limit - budget.projected }],
+      borderColor: budget.status === 'ok' ? '#2ed573' : '#ff4757',
+      borderDash: [6, 3],
+      pointRadius: 0
+    }
+  ];
+
+  if (budgetChart) {
+    budgetChart.data.datasets = datasets;
+    budgetChart.options.scales.x.min = start;
+    budgetChart.options.scales.x.max = end;
+    budgetChart.update('none');
+  } else {
+    budgetChart = new Chart(budgetCtx, {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { color: '#6c757d' } }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            min: start,
+            max: end,
+            grid: { display: false },
+            ticks: { color: '#6c757d', maxTicksLimit: 8, callback: value => new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }) }
+          },
+          y: {
+            grid: { color: 'rgba(255,255,255,0.05)' },
+            ticks: { color: '#00d4ff', callback: value => formatTokenAmount(value) }
+          }
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Update the cumulative cost chart
+ */
+export function updateCostChart(entries, pricing) {
+  const costCtx = document.getElementById('costChart');
+  if (!costCtx) return;
+
+  const labels = entries.map(e => new Date(e.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+  let total = 0;
+  const costData = entries.map(e => (isGapEntry(e) ? null : (total += costOfRecord(e, pricing))));
+
+  if (costChart) {
+    costChart.data.labels = labels;
+    costChart.data.datasets[0].data = costData;
+    costChart.update('none');
+  } else {
+    costChart = new Chart(costCtx, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: `Cost (${pricing.currency})`,
+          data: costData,
+          borderColor: '#ffa502',
+          backgroundColor: 'rgba(255, 165, 2, 0.15)',
+          fill: true,
+          tension: 0.4,
+          spanGaps: false,
+          pointRadius: 2,
+          pointHoverRadius: 5
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false }
+        },
+        scales: {
+          x: { display: true, grid: { display: false }, ticks: { color: '#6c757d', maxTicksLimit: 8 } },
+          y: {
+            grid: { color: 'rgba(255,255,255,0.05)' },
+            ticks: { color: '#ffa502' }
+          }
+        }
+      }
+    });
+  }
+}
+
 /**
  * Update just the refresh button state without rebuilding DOM
  */
@@ -417,6 +776,8 @@ export async function fetchData(isManualRefresh = false) {
     state.refreshing = false;
     tokenChart = null;
     callsChart = null;
+    costChart = null;
+    budgetChart = null;
     render();
   } catch (err) {
     console.error('Fetch error', err);
@@ -445,14 +806,29 @@ function render() {
     return;
   }
 
-  const { entries: allEntries, quotaLimits, lastUpdated, quotaPrediction } = state.data;
+  const { entries: allEntries, quotaLimits, lastUpdated, quotaPrediction, collectionLog, budgets = [] } = state.data;
+  // Priced with the table the collector last stored
+  const pricing = resolvePricing(state.data.pricing || {});
+  // The chosen budget's burn-down, else the one closest to overrunning
+  const budgetShown = budgets.find(b => b.period === state.budgetPeriod)
+    || [...budgets].sort((a, b) => (b.projectedPercent ?? b.percentUsed) - (a.projectedPercent ?? a.percentUsed))[0];
 
   // Filter entries based on time range
   const rangeConfig = timeRanges.find(r => r.value === state.timeRange) || timeRanges[3];
-  const entries = allEntries.slice(-rangeConfig.entries);
-
-  const latest = entries[entries.length - 1];
-  const first = entries[0];
+  const rangeStart = Date.now() - rangeConfig.ms;
+  const entries = allEntries.filter(e => new Date(e.timestamp).getTime() >= rangeStart);
+  const dataEntries = entries.filter(e => !isGapEntry(e));
+
+  // Fall back to the last successful entry when the whole range is an outage
+  const latest = dataEntries[dataEntries.length - 1] || allEntries.filter(e => !isGapEntry(e)).pop();
+  const first = dataEntries[0];
+  const gapCount = entries.length - dataEntries.length;
+  const extraLimits = (quotaLimits?.limits || []).filter(limit => !CARD_LIMIT_TYPES.includes(limit.type));
+
+  if (!latest) {
+    root.innerHTML = `<div class="status-message">No successful collections in this range. Run collection first.</div>`;
+    return;
+  }
 
   // Calculate trends
   const tokenTrend = first ? Math.round(((latest.tokensUsed - first.tokensUsed) / (first.tokensUsed || 1)) * 100) : 0;
@@ -475,6 +851,7 @@ function render() {
             <div class="last-updated" style="color: ${isStale ? 'var(--danger)' : 'var(--text-dim)'}">
               ${isStale ? '⚠️ ' : ''}Last signal: ${signalDate.toLocaleString()}
             </div>
+            ${gapCount > 0 ? `<div class="last-updated" style="color: var(--warning)">⚠️ ${gapCount} missed collection${gapCount === 1 ? '' : 's'} in range</div>` : ''}
           </div>
         </div>
         <div class="header-actions">
@@ -484,6 +861,11 @@ function render() {
               ${timeRanges.map(r => `<option value="${r.value}" ${r.value === state.timeRange ? 'selected' : ''}>${r.label}</option>`).join('')}
             </select>
           </div>
+          <div class="time-range-selector">
+            <select id="forecastModelSelect" class="time-range-select" title="Quota forecast model">
+              ${forecastModels.map(m => `<option value="${m.value}" ${m.value === state.forecastModel ? 'selected' : ''}>${m.label}</option>`).join('')}
+            </select>
+          </div>
           <button class="btn" id="settingsBtn" title="Settings">⚙️</button>
           <button class="btn theme-toggle" id="themeToggle" title="Toggle theme">${(localStorage.getItem('theme') || 'dark') === 'dark' ? '☀️' : '🌙'}</button>
           <button class="btn" id="helpBtn" title="Keyboard shortcuts">?</button>
@@ -507,6 +889,12 @@ function render() {
       <div class="quota-section">
         <div id="q-tokens"></div>
         <div id="q-time"></div>
+        ${extraLimits.map((limit, index) => `<div id="q-limit-${index}"></div>`).join('')}
+      </div>
+
+      <div class="reliability-section">
+        <h3>Collection Reliability</h3>
+        <div id="reliability-card"></div>
       </div>
 
       <div class="charts-row">
@@ -528,6 +916,42 @@ function render() {
         </div>
       </div>
 
+      ${budgets.length > 0 ? `
+      <div class="budget-section">
+        <h3>Budgets</h3>
+        <div id="budget-grid" class="metrics-grid"></div>
+        <div class="card chart-card">
+          <div class="quota-header">
+            <div class="quota-title">Budget Burn-Down</div>
+            <select id="budgetPeriodSelect" class="time-range-select" title="Budget to chart">
+              ${budgets.map(b => `<option value="${b.period}" ${b.period === budgetShown.period ? 'selected' : ''}>${b.period[0].toUpperCase()}${b.period.slice(1)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="chart-container">
+            <canvas id="budgetChart"></canvas>
+          </div>
+        </div>
+      </div>
+      ` : ''}
+
+      <div class="cost-section">
+        <h3>Estimated Cost</h3>
+        <div id="cost-grid" class="metrics-grid"></div>
+        <div class="card chart-card">
+          <div class="quota-header">
+            <div class="quota-title">Cumulative Cost (${pricing.currency})</div>
+          </div>
+          <div class="chart-container">
+            <canvas id="costChart"></canvas>
+          </div>
+        </div>
+      </div>
+
+      <div class="model-section">
+        <h3>Model Breakdown</h3>
+        <div id="model-breakdown"></div>
+      </div>
+
       <div class="tool-section">
         <h3>MCP Tool Breakdown</h3>
         <div id="tool-breakdown"></div>
@@ -539,6 +963,7 @@ function render() {
   const refreshBtn = document.getElementById('refreshBtn');
   const exportBtn = document.getElementById('exportBtn');
   const timeRangeSelect = document.getElementById('timeRangeSelect');
+  const forecastModelSelect = document.getElementById('forecastModelSelect');
 
   const settingsBtn = document.getElementById('settingsBtn');
   if (refreshBtn) refreshBtn.onclick = () => fetchData(true);
@@ -551,6 +976,22 @@ function render() {
       render();
     };
   }
+  if (forecastModelSelect) {
+    forecastModelSelect.onchange = (e) => {
+      state.forecastModel = e.target.value;
+      localStorage.setItem('forecastModel', state.forecastModel);
+      render();
+    };
+  }
+  const budgetPeriodSelect = document.getElementById('budgetPeriodSelect');
+  if (budgetPeriodSelect) {
+    budgetPeriodSelect.onchange = (e) => {
+      state.budgetPeriod = e.target.value;
+      localStorage.setItem('budgetPeriod', state.budgetPeriod);
+      budgetChart = null; // Drawn afresh, since its axis spans a different period
+      render();
+    };
+  }
 
   // Theme and help buttons
   const themeToggleBtn = document.getElementById('themeToggle');
@@ -566,19 +1007,32 @@ function render() {
   const rates = calculateRates(entries);
   renderRateCards(rates);
 
-  renderQuotaCard('q-tokens', 'Neural Token Capacity', quotaLimits.tokenQuota, quotaPrediction);
+  renderQuotaCard('q-tokens', 'Neural Token Capacity', quotaLimits.tokenQuota, forecastTokenQuota(allEntries, state.forecastModel, {
+    stored: quotaPrediction,
+    resetsAt: quotaLimits.tokenQuota?.resetsAt
+  }));
   renderQuotaCard('q-time', 'Temporal Access Quota', quotaLimits.timeQuota);
+  extraLimits.forEach((limit, index) => renderQuotaCard(`q-limit-${index}`, formatLimitType(limit.type), limit));
 
-  // MCP Tool Breakdown
-  const latestEntry = entries[entries.length - 1];
-  renderToolBreakdown(latestEntry?.mcpToolBreakdown || null);
+  renderReliabilityCard(calculateReliability(collectionLog, entries[0] ? new Date(entries[0].timestamp) : null));
+
+  // Model and MCP Tool Breakdowns
+  renderModelBreakdown(latest?.modelBreakdown || null);
+  renderToolBreakdown(latest?.mcpToolBreakdown || null);
 
   updateCharts(entries);
+  renderCostCards(entries, pricing);
+  updateCostChart(entries, pricing);
+  if (budgets.length > 0) {
+    renderBudgetCards(budgets);
+    updateBudgetChart(budgetShown);
+  }
 
-  // Check for quota alerts
+  // Check for quota and budget alerts
   if (quotaLimits?.tokenQuota) {
     checkQuotaAlerts(quotaLimits.tokenQuota);
   }
+  checkBudgetAlerts(budgets);
 }
 
 /**
@@ -587,7 +1041,7 @@ function render() {
 function exportCSV() {
   const { entries } = state.data;
   const headers = ['Timestamp', 'Model Calls', 'Tokens Used', 'MCP Calls'];
-  const rows = entries.map(e => [e.timestamp, e.modelCalls, e.tokensUsed, e.mcpCalls]);
+  const rows = entries.filter(e => !isGapEntry(e)).map(e => [e.timestamp, e.modelCalls, e.tokensUsed, e.mcpCalls]);
 
   let csvContent = "data:text/csv;charset=utf-8,"
     + headers.join(",") + "\n"
@@ -732,6 +1186,26 @@ export function checkQuotaAlerts(quotaData) {
   }
 }
 
+/**
+ * Check for budgets used up or projected to overrun
+ * Shares the notification setting with quota alerts, with its own cooldown.
+ */
+export function checkBudgetAlerts(budgets) {
+  if (localStorage.getItem('notificationsEnabled') === 'false') return;
+
+  const lastAlertTime = parseInt(localStorage.getItem('lastBudgetAlertTime') || '0');
+  const alertCooldown = 60 * 60 * 1000; // 1 hour between alerts
+  const now = Date.now();
+  if (now - lastAlertTime < alertCooldown) return;
+
+  const alerts = budgets.filter(budget => budget.status !== 'ok');
+  if (alerts.length === 0) return;
+
+  sendNotification(alerts.some(budget => budget.status === 'over') ? 'Budget Exceeded' : 'Budget Warning',
+    alerts.map(formatBudgetStatus).join('\n'));
+  localStorage.setItem('lastBudgetAlertTime', now.toString());
+}
+
 /**
  * Send Browser Notification
  */
@@ -758,6 +1232,49 @@ export function requestNotificationPermission() {
   }
 }
 
+/**
+ * Render Model Breakdown
+ * Models are ranked by tokens, with input and output tokens when reported.
+ */
+export function renderModelBreakdown(breakdown) {
+  const container = document.getElementById('model-breakdown');
+  if (!container || !breakdown || Object.keys(breakdown).length === 0) {
+    if (container) {
+      container.innerHTML = `<div class="card"><p style="color: var(--text-dim); text-align: center; padding: 20px;">No per-model data available</p></div>`;
+    }
+    return;
+  }
+
+  const sortedModels = Object.entries(breakdown)
+    .sort(([, a], [, b]) => (b.tokens || 0) - (a.tokens || 0))
+    .slice(0, 10);
+
+  const total = sortedModels.reduce((sum, [, usage]) => sum + (usage.tokens || 0), 0);
+  const share = (usage) => (total > 0 ? ((usage.tokens || 0) / total) * 100 : 0).toFixed(1);
+  const split = (usage) => usage.inputTokens !== undefined || usage.outputTokens !== undefined
+    ? ` · ${formatNumber(usage.inputTokens || 0)} in / ${formatNumber(usage.outputTokens || 0)} out`
+    : '';
+
+  container.innerHTML = `
+    <div class="card">
+      <div class="quota-header">
+        <div class="quota-title">Model Usage</div>
+      </div>
+      <div class="tool-list">
+        ${sortedModels.map(([model, usage]) => `
+          <div class="tool-item">
+            <div class="tool-name">${model}</div>
+            <div class="tool-count">${formatNumber(usage.tokens || 0)} tokens (${share(usage)}%)${split(usage)} · ${formatNumber(usage.calls || 0)} calls</div>
+            <div class="tool-bar">
+              <div class="tool-bar-fill" style="width: ${share(usage)}%"></div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Render Tool Breakdown
  */
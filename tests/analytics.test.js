@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { generateSummaryReport, generateRatesReport, generatePeakUsageReport, runCLI } from '../scripts/analytics.mjs';
+import { generateSummaryReport, generateRatesReport, generatePeakUsageReport, generateCostReport, generateInsights, generateAnomalyReport, detectAnomalies, describeAnomaly, runCLI } from '../scripts/analytics.mjs';
+import { resolvePricing } from '../scripts/pricing.mjs';
 import fs from 'fs';
 
 vi.mock('fs');
@@ -32,6 +33,26 @@ describe('Analytics Script', () => {
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total Tokens Used:  2.20M'));
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Token Growth:       120.0%')); // (2.2-1.0)/1.0 * 100
         });
+
+        it('should skip gaps and report them', () => {
+            generateSummaryReport([...mockEntries, { timestamp: '2023-01-01T12:05:00Z', type: 'gap', reason: 'timeout' }], '2h');
+
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total Model Calls:  220'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Collection Gaps:    1 missed collection'));
+        });
+
+        it('should report quotas from the latest entry with a reading', () => {
+            const backfilled = { timestamp: '2023-01-01T13:00:00Z', modelCalls: 300, tokensUsed: 3000000, mcpCalls: 25, tokenQuotaPercent: null, timeQuotaPercent: null, backfilled: true };
+            generateSummaryReport([...mockEntries, backfilled], '3h');
+
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Token Quota:        22%'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Time Quota:         15%'));
+
+            consoleLogSpy.mockClear();
+            generateSummaryReport([backfilled], '1h');
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Token Quota:        unknown'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Time Quota:         unknown'));
+        });
     });
 
     describe('generateRatesReport', () => {
@@ -48,6 +69,32 @@ describe('Analytics Script', () => {
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Average Calls/Hour: 60'));
         });
 
+        it('should not compute rates across gaps', () => {
+            const withGap = [
+                mockEntries[0],
+                mockEntries[1],
+                { timestamp: '2023-01-01T11:30:00Z', type: 'gap', reason: 'HTTP 503' },
+                mockEntries[2]
+            ];
+            generateRatesReport(withGap);
+
+            // Only the 10-11 interval is usable: 0.5M tokens, 50 calls
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Average Tokens/Hour: 500000'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Average Calls/Hour: 50'));
+        });
+
+        it('should count usage after a counter reset instead of a negative rate', () => {
+            generateRatesReport([
+                mockEntries[0],
+                mockEntries[1],
+                { ...mockEntries[2], modelCalls: 20, tokensUsed: 200000 }
+            ]);
+
+            // 10-11: 0.5M tokens, 50 calls; 11-12: reset, then 0.2M tokens, 20 calls
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Average Tokens/Hour: 350000'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Average Calls/Hour: 35'));
+        });
+
         it('should handle insufficient data', () => {
             generateRatesReport([mockEntries[0]]);
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Insufficient data'));
@@ -62,15 +109,10 @@ describe('Analytics Script', () => {
             // This test is fragile to timezone unless we force one or mock Date.
             // Ideally entries use ISO strings which the script parses with new Date().
 
-            // Let's rely on relative calls. 
-            // 10h: 1M tokens
-            // 11h: 1.5M tokens
-            // 12h: 2.2M tokens
-            // Wait, the peak usage logic sums up per hour-of-day across all days.
-            // Here all are same day.
-            // 10: 1M
-            // 11: 1.5M
-            // 12: 2.2M
+            // Usage is summed per interval, not from the cumulative readings.
+            // 10: first entry, nothing known before it
+            // 11: 0.5M
+            // 12: 0.7M
             // Peak should be 12.
 
             generatePeakUsageReport(mockEntries);
@@ -79,7 +121,8 @@ describe('Analytics Script', () => {
             const expectedHour = new Date('2023-01-01T12:00:00Z').getHours();
 
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining(`Peak Usage Hour: ${expectedHour}:00`));
-            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total Tokens: 2.20M'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total Tokens: 0.70M'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total Calls: 70'));
         });
 
         it('should handle empty or insufficient data explicitly', () => {
@@ -96,10 +139,93 @@ describe('Analytics Script', () => {
         });
     });
 
+    describe('generateCostReport', () => {
+        it('should compare pay-as-you-go cost with the plan', () => {
+            // 1.2M tokens over two hours at the default price: $1.104, or about $397/month
+            generateCostReport(mockEntries, '2h', resolvePricing({ plan: { name: 'Coding Pro', monthlyPrice: 30 } }));
+
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Cost Estimate (2h, pay-as-you-go)'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total:              $1.10'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Projected monthly:  $397.44'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('The plan saves $367.44/month'));
+        });
+
+        it('should ask for a plan price to compare with', () => {
+            generateCostReport(mockEntries, '2h', resolvePricing());
+
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('glm-monitor pricing --plan-price'));
+        });
+    });
+
+    describe('detectAnomalies', () => {
+        // Entries five minutes apart that used the given tokens since the one before
+        const usage = (deltas) => deltas.map((tokensDelta, i) => ({
+            timestamp: new Date(Date.UTC(2026, 0, 15, 10, i * 5)).toISOString(),
+            tokensDelta
+        }));
+        const steady = [0, 1200, 900, 1100, 1000, 1050, 950, 1000, 1100, 900, 1000, 1000];
+
+        it('should flag a spike against the intervals before it', () => {
+            const entries = usage([...steady, 20000, 1000]);
+            const anomalies = detectAnomalies(entries);
+
+            expect(anomalies).toEqual([{
+                timestamp: entries[12].timestamp,
+                tokens: 20000,
+                tokensPerHour: 240000,
+                baseline: 12000,
+                score: 256.3
+            }]);
+            expect(describeAnomaly(anomalies[0])).toBe('240K tokens/hour, 20× the usual 12K (score 256.3)');
+
+            // A busier stretch is not a spike, and neither is anything without a baseline yet
+            expect(detectAnomalies(usage([...steady, 1600]))).toEqual([]);
+            expect(detectAnomalies(usage([0, 1000, 1000, 50000]))).toEqual([]);
+        });
+
+        it('should measure mostly idle baselines by their mean deviation', () => {
+            const idle = [0, 0, 0, 0, 0, 0, 0, 500, 0, 0, 0];
+            expect(detectAnomalies(usage([...idle, 20000]))).toHaveLength(1);
+
+            // With no spread at all there is nothing to measure a spike against
+            expect(detectAnomalies(usage([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 20000]))).toEqual([]);
+        });
+
+        it('should compare rates across gaps and longer intervals', () => {
+            const entries = usage([...steady, 2000]);
+            // The last reading came after a 5-minute outage, so it covers 10 minutes
+            entries.splice(12, 0, { timestamp: new Date(Date.UTC(2026, 0, 15, 11, 0)).toISOString(), type: 'gap' });
+            entries[13].timestamp = new Date(Date.UTC(2026, 0, 15, 11, 5)).toISOString();
+
+            expect(detectAnomalies(entries)).toEqual([]);
+        });
+
+        it('should report spikes in the anomalies report and insights', () => {
+            const entries = usage([...steady, 20000, 1000]);
+
+            generateInsights(entries);
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('1 spike above the usual token rate'));
+
+            generateAnomalyReport(entries, '1h');
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Usage Anomalies (1h)'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('240K tokens/hour, 20× the usual 12K'));
+
+            consoleLogSpy.mockClear();
+            generateInsights(usage(steady));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No spikes above the usual token rate'));
+        });
+    });
+
     describe('runCLI', () => {
+        // The same readings, collected within the last few hours
+        const recentEntries = mockEntries.map((entry, i) => ({
+            ...entry,
+            timestamp: new Date(Date.now() - (mockEntries.length - i) * 60 * 60 * 1000).toISOString()
+        }));
+
         it('should run summary report by default', () => {
             vi.spyOn(fs, 'existsSync').mockReturnValue(true);
-            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ entries: mockEntries }));
+            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ entries: recentEntries }));
 
             runCLI([]);
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('GLM Usage Summary (24h)'));
@@ -107,12 +233,22 @@ describe('Analytics Script', () => {
 
         it('should run requested report', () => {
             vi.spyOn(fs, 'existsSync').mockReturnValue(true);
-            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ entries: mockEntries }));
+            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ entries: recentEntries }));
 
             runCLI(['--report', 'rates']);
             expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Usage Rates'));
         });
 
+        it('should select the period by timestamp', () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ entries: recentEntries }));
+
+            // Only the last two readings fall inside 150 minutes
+            runCLI(['--period', '150m']);
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('GLM Usage Summary (150m)'));
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Token Growth:       46.7%'));
+        });
+
         it('should handle missing history file', () => {
             vi.spyOn(fs, 'existsSync').mockReturnValue(false);
             const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit'); });
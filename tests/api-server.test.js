@@ -88,6 +88,14 @@ describe('API Server', () => {
 
             expect(res.status).toBe(404); // No data
         });
+
+        it('should accept any duration as range and reject invalid ones', async () => {
+            expect((await fetch('/api/history?range=90m')).status).toBe(404); // No data
+            const res = await fetch('/api/history?range=lately');
+
+            expect(res.status).toBe(400);
+            expect(res.data.error).toContain('Invalid range');
+        });
     });
 
     describe('GET /api/predict', () => {
@@ -97,6 +105,30 @@ describe('API Server', () => {
             expect(res.status).toBe(404);
             expect(res.data.error).toContain('Insufficient data');
         });
+
+        it('should reject unknown forecast models and confidence levels', async () => {
+            const model = await fetch('/api/predict?model=crystal-ball');
+            expect(model.status).toBe(400);
+            expect(model.data.error).toContain('Invalid model');
+
+            const confidence = await fetch('/api/predict?model=ewma&confidence=0.5');
+            expect(confidence.status).toBe(400);
+            expect(confidence.data.error).toContain('Invalid confidence');
+        });
+
+        it('should accept any duration as the window and reject invalid ones', async () => {
+            for (const timeWindow of ['30m', '7d']) {
+                const res = await fetch(`/api/predict?timeWindow=${timeWindow}`);
+                expect(res.status).toBe(404); // No data
+                expect(res.data.error).toContain('Insufficient data');
+            }
+
+            for (const timeWindow of ['6', 'lately']) {
+                const res = await fetch(`/api/predict?timeWindow=${timeWindow}`);
+                expect(res.status).toBe(400);
+                expect(res.data.error).toContain('Invalid timeWindow');
+            }
+        });
     });
 
     describe('GET /api/settings', () => {
@@ -117,6 +149,69 @@ describe('API Server', () => {
 
             expect(res.status).toBe(404);
         });
+
+        it('should accept any duration as the window and reject invalid ones', async () => {
+            expect((await fetch('/api/rates?window=30m')).status).toBe(404); // No data
+            expect((await fetch('/api/rates?window=7d')).status).toBe(404);
+
+            const res = await fetch('/api/rates?window=1');
+            expect(res.status).toBe(400);
+            expect(res.data.error).toContain('Invalid window');
+        });
+    });
+
+    describe('GET /api/models', () => {
+        it('should return 404 when no data available', async () => {
+            const res = await fetch('/api/models');
+
+            expect(res.status).toBe(404);
+            expect(res.data.error).toBe('No data available');
+        });
+
+        it('should reject invalid ranges', async () => {
+            const res = await fetch('/api/models?range=soon');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/cost', () => {
+        it('should return 404 when no data available', async () => {
+            const res = await fetch('/api/cost');
+
+            expect(res.status).toBe(404);
+            expect(res.data.error).toBe('No data available');
+        });
+
+        it('should reject invalid ranges', async () => {
+            const res = await fetch('/api/cost?range=soon');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/budgets', () => {
+        it('should return 404 when no data available', async () => {
+            const res = await fetch('/api/budgets');
+
+            expect(res.status).toBe(404);
+            expect(res.data.error).toBe('No data available');
+        });
+    });
+
+    describe('GET /api/anomalies', () => {
+        it('should return 404 when no data available', async () => {
+            const res = await fetch('/api/anomalies');
+
+            expect(res.status).toBe(404);
+            expect(res.data.error).toBe('No data available');
+        });
+
+        it('should reject invalid ranges', async () => {
+            const res = await fetch('/api/anomalies?range=recently');
+
+            expect(res.status).toBe(400);
+        });
     });
 
     describe('404 handler', () => {
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const settings = vi.hoisted(() => ({ values: {}, dataDir: null }));
+
+vi.mock('conf', () => {
+    return {
+        default: class {
+            get(key, defaultValue) {
+                return settings.values[key] ?? defaultValue;
+            }
+        }
+    };
+});
+
+vi.mock('../scripts/history-store.mjs', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        withHistoryStore: (fn) => {
+            const store = actual.openHistoryStore({ backend: 'json', dataDir: settings.dataDir });
+            try {
+                return fn(store);
+            } finally {
+                store.close();
+            }
+        }
+    };
+});
+
+// Historical totals grow by 100 tokens an hour
+vi.mock('../scripts/usage-collector.mjs', () => ({
+    modelUsageUrl: 'https://api.example.com/model-usage',
+    toolUsageUrl: 'https://api.example.com/tool-usage',
+    getQueryWindowSettings: () => ({ mode: 'rolling', timezone: 'UTC' }),
+    buildUsageEntry: (timestamp, modelData, toolData) => ({
+        timestamp,
+        modelCalls: modelData.data.totalUsage.totalModelCallCount,
+        tokensUsed: modelData.data.totalUsage.totalTokensUsage,
+        mcpCalls: toolData.data.totalUsage.totalSearchMcpCount,
+        mcpToolBreakdown: {}
+    }),
+    queryUsage: vi.fn(async (url, label, { window }) => {
+        const hours = new Date(window.end).getTime() / (60 * 60 * 1000);
+        return { data: { totalUsage: { totalModelCallCount: hours, totalTokensUsage: hours * 100, totalSearchMcpCount: 0 } } };
+    })
+}));
+
+const { backfillUsage, planBackfill, windowEndingAt } = await import('../scripts/backfill.mjs');
+const { queryUsage } = await import('../scripts/usage-collector.mjs');
+const { openHistoryStore } = await import('../scripts/history-store.mjs');
+const { verifyDocuments } = await import('../scripts/schema.mjs');
+
+const HOUR = 60 * 60 * 1000;
+const utc = (day, hour, minute = 0) => new Date(Date.UTC(2026, 0, day, hour, minute));
+
+describe('Backfill', () => {
+    let store;
+
+    beforeEach(() => {
+        settings.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-backfill-'));
+        settings.values = { retention: '7d' };
+        store = openHistoryStore({ backend: 'json', dataDir: settings.dataDir });
+        queryUsage.mockClear();
+    });
+
+    afterEach(() => {
+        fs.rmSync(settings.dataDir, { recursive: true, force: true });
+    });
+
+    it('should plan steps at the resolution and validate the range', () => {
+        const now = utc(5, 12);
+        expect(planBackfill({ from: '2026-01-05 06:00', to: '2026-01-05 09:00', resolution: '1h', timezone: 'UTC', now }).times)
+            .toEqual([6, 7, 8, 9].map(hour => utc(5, hour).getTime()));
+        // A date-only end covers the whole day, up to now
+        expect(planBackfill({ from: '2026-01-05', to: '2026-01-05', resolution: '6h', timezone: 'UTC', now }).times).toHaveLength(3);
+
+        expect(() => planBackfill({ from: 'soon', timezone: 'UTC', now })).toThrow('valid --from');
+        expect(() => planBackfill({ from: '2026-01-06', timezone: 'UTC', now })).toThrow('end after it starts');
+        expect(() => planBackfill({ from: '2025-01-01', resolution: '1m', timezone: 'UTC', now })).toThrow('coarser --resolution');
+        expect(() => planBackfill({ from: '2026-01-01', resolution: 'hourly', now })).toThrow('Invalid backfill resolution');
+    });
+
+    it('should end each query window at the backfilled time', () => {
+        const window = windowEndingAt({ mode: 'day', timezone: 'UTC' }, utc(5, 9, 30));
+        expect(window).toMatchObject({ startTime: '2026-01-05 00:00:00', endTime: '2026-01-05 09:30:00', end: utc(5, 9, 30).toISOString() });
+    });
+
+    it('should fill only the steps without data', async () => {
+        store.appendEntry({ timestamp: utc(5, 7, 5).toISOString(), modelCalls: 1, tokensUsed: 100, mcpCalls: 0, tokenQuotaPercent: 40, timeQuotaPercent: 5, cycleId: 'cycle-1' });
+
+        const result = await backfillUsage({ from: utc(5, 6).toISOString(), to: utc(5, 9).toISOString(), resolution: '1h', now: utc(5, 12) });
+
+        expect(result).toMatchObject({ planned: 4, skipped: 1, added: 3, error: null });
+        expect(queryUsage).toHaveBeenCalledTimes(6);
+
+        const entries = store.getEntries();
+        expect(entries.map(e => e.timestamp)).toEqual([6, 7, 8, 9].map((hour, i) => (i === 1 ? utc(5, 7, 5) : utc(5, hour)).toISOString()));
+        expect(entries[2]).toMatchObject({ backfilled: true, tokenQuotaPercent: null, queryWindow: { mode: 'rolling', endTime: '2026-01-05 08:00:00' } });
+        // No reset is read into the missing quota readings
+        expect(entries[2].cycleId).toBe('cycle-1');
+    });
+
+    it('should leave data that passes verification', async () => {
+        store.appendEntry({ timestamp: utc(5, 7, 5).toISOString(), modelCalls: 1, tokensUsed: 100, mcpCalls: 0, tokenQuotaPercent: 40, timeQuotaPercent: 5, mcpToolBreakdown: {} });
+
+        const result = await backfillUsage({ from: utc(1, 0).toISOString(), to: utc(5, 9).toISOString(), resolution: '6h', now: utc(5, 12) });
+
+        expect(result.error).toBeNull();
+        const { history, summaries } = store.exportData();
+        expect(history.entries.filter(e => e.backfilled && e.tokenQuotaPercent === null).length).toBeGreaterThan(0);
+        expect(verifyDocuments({ history, summaries })).toEqual([]);
+    });
+
+    it('should keep what was fetched before a failure', async () => {
+        queryUsage.mockImplementationOnce(async () => ({ data: { totalUsage: { totalModelCallCount: 1, totalTokensUsage: 100, totalSearchMcpCount: 0 } } }))
+            .mockImplementationOnce(async () => ({ data: { totalUsage: { totalSearchMcpCount: 0 } } }))
+            .mockRejectedValueOnce(new Error('Rate limited'));
+
+        const result = await backfillUsage({ from: utc(5, 6).toISOString(), to: utc(5, 8).toISOString(), resolution: '1h', now: utc(5, 12) });
+
+        expect(result).toMatchObject({ planned: 3, added: 1, error: 'Rate limited' });
+        expect(store.countEntries()).toBe(1);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { budgetPeriod, budgetStatus, budgetStatuses, budgetUsageStart, formatBudgetStatus, formatTokenAmount, parseTokenAmount } from '../scripts/budgets.mjs';
+
+const at = (day, hour) => new Date(2026, 0, day, hour).toISOString();
+
+describe('Usage budgets', () => {
+    it('should parse and format token amounts', () => {
+        expect(parseTokenAmount('20M')).toBe(20000000);
+        expect(parseTokenAmount('1.5m')).toBe(1500000);
+        expect(parseTokenAmount('400k')).toBe(400000);
+        expect(parseTokenAmount('2500000')).toBe(2500000);
+        expect(parseTokenAmount('0')).toBeNull();
+        expect(parseTokenAmount('lots')).toBeNull();
+
+        expect(formatTokenAmount(20000000)).toBe('20M');
+        expect(formatTokenAmount(1550000)).toBe('1.6M');
+        expect(formatTokenAmount(-400000)).toBe('-400K');
+        expect(formatTokenAmount(950)).toBe('950');
+    });
+
+    it('should cover the local day, the week from Monday and the month', () => {
+        // Thursday 15 January 2026
+        const now = new Date(2026, 0, 15, 12);
+        expect(budgetPeriod('daily', now)).toEqual({ start: new Date(2026, 0, 15), end: new Date(2026, 0, 16) });
+        expect(budgetPeriod('weekly', now)).toEqual({ start: new Date(2026, 0, 12), end: new Date(2026, 0, 19) });
+        expect(budgetPeriod('monthly', now)).toEqual({ start: new Date(2026, 0, 1), end: new Date(2026, 1, 1) });
+        expect(budgetUsageStart(now)).toEqual(new Date(2026, 0, 1));
+        expect(() => budgetPeriod('hourly', now)).toThrow('Unknown budget period');
+    });
+
+    it('should add up usage in the period and project it to the end', () => {
+        const records = [
+            // Yesterday's usage and a gap don't count towards today
+            { timestamp: at(14, 23), tokensDelta: 9000000 },
+            { timestamp: at(15, 2), resolution: 'hour', deltas: { tokensUsed: 2000000 } },
+            { timestamp: at(15, 4), type: 'gap' },
+            { timestamp: at(15, 5), tokensDelta: 1000000 }
+        ];
+
+        // 3M in the first 6 hours is on pace for 12M by midnight
+        const calm = budgetStatus('daily', 20000000, records, { now: new Date(2026, 0, 15, 6) });
+        expect(calm).toMatchObject({
+            period: 'daily',
+            start: new Date(2026, 0, 15).toISOString(),
+            used: 3000000,
+            remaining: 17000000,
+            percentUsed: 15,
+            projected: 12000000,
+            projectedPercent: 60,
+            status: 'ok'
+        });
+        expect(calm.burnDown).toEqual([
+            { timestamp: new Date(2026, 0, 15).toISOString(), remaining: 20000000 },
+            { timestamp: at(15, 2), remaining: 18000000 },
+            { timestamp: at(15, 5), remaining: 17000000 }
+        ]);
+        expect(formatBudgetStatus(calm)).toBe('Daily budget: 3M of 20M used (15%), on pace for 12M');
+
+        const tight = budgetStatus('daily', 10000000, records, { now: new Date(2026, 0, 15, 6) });
+        expect(tight.status).toBe('at-risk');
+        expect(formatBudgetStatus(tight)).toBe('Daily budget: 3M of 10M used (30%), projected to overrun by 2M');
+
+        const over = budgetStatus('daily', 2500000, records, { now: new Date(2026, 0, 15, 6) });
+        expect(over.status).toBe('over');
+        expect(formatBudgetStatus(over)).toBe('Daily budget: 3M of 2.5M used (120%), over by 500K');
+
+        // Too early in the period to project
+        const early = budgetStatus('daily', 20000000, [], { now: new Date(2026, 0, 15, 0, 30) });
+        expect(early.projected).toBeNull();
+        expect(formatBudgetStatus(early)).toBe('Daily budget: 0 of 20M used (0%)');
+    });
+
+    it('should only report the budgets that are set', () => {
+        const statuses = budgetStatuses({ monthly: 400000000, daily: 20000000 }, [], { now: new Date(2026, 0, 15, 12) });
+        expect(statuses.map(status => status.period)).toEqual(['daily', 'monthly']);
+        expect(budgetStatuses({}, [])).toEqual([]);
+    });
+});
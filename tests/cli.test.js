@@ -1,11 +1,12 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { program } from '../bin/glm-monitor.js';
-import { execSync } from 'child_process';
+import { execFileSync, execSync, spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 
 vi.mock('fs');
 vi.mock('child_process', () => ({
+    execFileSync: vi.fn(),
     execSync: vi.fn(),
     spawn: vi.fn()
 }));
@@ -55,7 +56,83 @@ describe('CLI Commands', () => {
             // ignore exit
         }
 
-        expect(execSync).toHaveBeenCalledWith(expect.stringContaining('usage-collector.mjs'), expect.anything());
+        expect(execFileSync).toHaveBeenCalledWith(process.execPath, [expect.stringContaining('usage-collector.mjs')], expect.anything());
+    });
+
+    it('should pass a query window to the collector', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'collect', '--from', '2026-01-01', '--timezone', 'UTC']);
+        } catch (e) { }
+
+        expect(execFileSync).toHaveBeenCalledWith(
+            process.execPath,
+            [expect.stringContaining('usage-collector.mjs'), '--window', 'range', '--timezone', 'UTC', '--from', '2026-01-01'],
+            expect.anything()
+        );
+    });
+
+    it('should collect all profiles', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'collect', '--all-profiles']);
+        } catch (e) { }
+
+        expect(execFileSync).toHaveBeenCalledWith(process.execPath, [expect.stringContaining('usage-collector.mjs'), '--all-profiles'], expect.anything());
+    });
+
+    it('should reject an invalid query window', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'config', '--query-window', 'day', '--timezone', 'Mars/Olympus']);
+        } catch (e) { }
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown timezone "Mars/Olympus"'));
+
+        try {
+            program.parse(['node', 'glm-monitor', 'config', '--query-window', 'day', '--timezone', 'UTC']);
+        } catch (e) { }
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Query window set to day in UTC'));
+    });
+
+    it('should define backfill command', () => {
+        const cmd = program.commands.find(c => c.name() === 'backfill');
+        expect(cmd).toBeDefined();
+        expect(cmd.options.map(o => o.long)).toEqual(expect.arrayContaining(['--from', '--to', '--resolution', '--timezone']));
+    });
+
+    it('should define daemon command', () => {
+        const cmd = program.commands.find(c => c.name() === 'daemon');
+        expect(cmd).toBeDefined();
+        expect(cmd.description()).toContain('long-running daemon');
+        expect(cmd.options.map(o => o.long)).toEqual(expect.arrayContaining(['--all-profiles', '--no-all-profiles']));
+    });
+
+    it('should start the daemon with the Node.js binary running the CLI', async () => {
+        program.exitOverride();
+        spawn.mockReturnValue({ pid: 4321, unref: vi.fn() });
+
+        await program.parseAsync(['node', 'glm-monitor', 'daemon', 'start']);
+
+        expect(spawn).toHaveBeenCalledWith(process.execPath, [expect.stringContaining('daemon.mjs')], expect.objectContaining({ detached: true }));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Collector daemon started (PID 4321)'));
+    });
+
+    it('should define plugins command', () => {
+        const cmd = program.commands.find(c => c.name() === 'plugins');
+        expect(cmd).toBeDefined();
+        expect(cmd.options.map(o => o.long)).toEqual(expect.arrayContaining(['--add', '--remove', '--timeout']));
+    });
+
+    it('should define mock-server command', () => {
+        const cmd = program.commands.find(c => c.name() === 'mock-server');
+        expect(cmd).toBeDefined();
+        expect(cmd.options.map(o => o.long)).toEqual(expect.arrayContaining(['--port', '--scenario', '--error-rate', '--latency']));
+    });
+
+    it('should define storage command', () => {
+        const cmd = program.commands.find(c => c.name() === 'storage');
+        expect(cmd).toBeDefined();
+        expect(cmd.options.map(o => o.long)).toEqual(expect.arrayContaining(['--to', '--force']));
     });
 
     it('should run analytics command', () => {
@@ -76,6 +153,25 @@ describe('CLI Commands', () => {
         expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Retention set to 7d'));
     });
 
+    it('should accept arbitrary retention durations', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'config', '--retention', '90d']);
+        } catch (e) { }
+
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Retention set to 90d'));
+    });
+
+    it('should set retention per summary tier', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'config', '--daily-retention', '730d', '--monthly-retention', '3650d']);
+        } catch (e) { }
+
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Daily summaries kept for 730d'));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Monthly summaries kept for 3650d'));
+    });
+
     it('should handle invalid config retention', () => {
         program.exitOverride();
         try {
@@ -84,6 +180,36 @@ describe('CLI Commands', () => {
         expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid retention period'));
     });
 
+    it('should set and validate prices', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'pricing', '--model', 'glm-4.6', '--input', '0.5', '--plan-price', '15', '--plan-name', 'Coding Lite']);
+        } catch (e) { }
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Price for glm-4.6 set: input 0.5/M'));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Plan set to $15.00/month (Coding Lite)'));
+
+        try {
+            program.parse(['node', 'glm-monitor', 'pricing', '--model', 'glm-4.6', '--output', 'cheap']);
+        } catch (e) { }
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid output price "cheap"'));
+        process.exitCode = undefined;
+    });
+
+    it('should set budgets and reject invalid amounts', () => {
+        program.exitOverride();
+        try {
+            program.parse(['node', 'glm-monitor', 'budget', 'set', '--daily', '20M', '--monthly', '400M']);
+        } catch (e) { }
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Daily budget for "default" set to 20M tokens'));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Monthly budget for "default" set to 400M tokens'));
+
+        try {
+            program.parse(['node', 'glm-monitor', 'budget', 'set', '--weekly', 'lots']);
+        } catch (e) { }
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid weekly budget "lots"'));
+        process.exitCode = undefined;
+    });
+
     it('should run predict command', () => {
         program.exitOverride();
         // Need to mock fs for usage history
@@ -111,6 +237,26 @@ describe('CLI Commands', () => {
         expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Quota Prediction'));
     });
 
+    it('should predict with the chosen forecast model', () => {
+        program.exitOverride();
+        const now = Date.now();
+        vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+        vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+            entries: [10, 12, 14, 20].map((percent, hour) => ({
+                timestamp: new Date(now - (3 - hour) * 3600000).toISOString(),
+                tokenQuotaPercent: percent
+            }))
+        }));
+
+        program.parse(['node', 'glm-monitor', 'predict', '--model', 'ewma', '--confidence', '0.95']);
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Quota Prediction (ewma)'));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringMatching(/Time until exhausted: 25h \(95% CI \d+h–(\d+h|∞)\)/));
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Consumption rate: 3.20%/hour'));
+
+        program.parse(['node', 'glm-monitor', 'predict', '--model', 'crystal-ball']);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown forecast model'));
+    });
+
     it('should run start command', () => {
         program.exitOverride();
         vi.spyOn(fs, 'existsSync').mockReturnValue(true);
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { counterDelta, computeDeltas, withDeltas, detectResets, assignCycle, currentCycle, tagCycles } from '../scripts/cycles.mjs';
+
+const entry = (minute, tokensUsed, tokenQuotaPercent = 10, extra = {}) => ({
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString(),
+    modelCalls: tokensUsed / 100,
+    tokensUsed,
+    mcpCalls: 0,
+    tokenQuotaPercent,
+    timeQuotaPercent: 5,
+    ...extra
+});
+
+describe('Usage cycles', () => {
+    it('should tell resets from usage leaving the rolling window', () => {
+        expect(counterDelta(1000, 1500)).toBe(500);
+        expect(counterDelta(1000, 900)).toBe(0);
+        expect(counterDelta(1000, 200)).toBe(200);
+        expect(counterDelta(undefined, 300)).toBe(300);
+    });
+
+    it('should compute the usage between entries', () => {
+        const first = entry(0, 9000, 80, { mcpCalls: 2, mcpToolBreakdown: { search: 2 } });
+        const second = entry(5, 9600, 84, { mcpCalls: 5, mcpToolBreakdown: { search: 2, reader: 3 } });
+
+        expect(computeDeltas(null, first)).toEqual({ tokensDelta: 0, callsDelta: 0, mcpDelta: 0, mcpToolDeltas: {}, modelDeltas: {} });
+        expect(computeDeltas(first, second)).toEqual({ tokensDelta: 600, callsDelta: 6, mcpDelta: 3, mcpToolDeltas: { reader: 3 }, modelDeltas: {} });
+        expect(computeDeltas(second, entry(10, 300)).tokensDelta).toBe(300);
+
+        // Models only list the fields the API reported, and only models that were used
+        const withModels = (tokensUsed, modelBreakdown) => entry(15, tokensUsed, 10, { modelBreakdown });
+        expect(computeDeltas(
+            withModels(9000, { 'glm-4.6': { calls: 10, tokens: 8000, inputTokens: 6000, outputTokens: 2000 }, 'glm-4.5-air': { calls: 2, tokens: 1000 } }),
+            withModels(9600, { 'glm-4.6': { calls: 14, tokens: 8600, inputTokens: 6400, outputTokens: 2200 }, 'glm-4.5-air': { calls: 2, tokens: 1000 } })
+        ).modelDeltas).toEqual({ 'glm-4.6': { calls: 4, tokens: 600, inputTokens: 400, outputTokens: 200 } });
+
+        // Gaps are skipped and stored deltas are kept
+        const gap = { timestamp: entry(3, 0).timestamp, type: 'gap', reason: 'timeout' };
+        const filled = withDeltas([first, gap, second, { ...entry(10, 9700), tokensDelta: 42 }]);
+        expect(filled[1]).toBe(gap);
+        expect(filled[2].tokensDelta).toBe(600);
+        expect(filled[3].tokensDelta).toBe(42);
+    });
+
+    it('should detect which readings were reset', () => {
+        expect(detectResets(entry(0, 9000, 80), entry(5, 9500, 82))).toEqual([]);
+        expect(detectResets(entry(0, 9000, 80), entry(5, 9500, 3))).toEqual(['tokenQuotaPercent']);
+        expect(detectResets(entry(0, 9000, 80), entry(5, 100, 3))).toEqual(['modelCalls', 'tokensUsed', 'tokenQuotaPercent']);
+        expect(detectResets(entry(0, 9000), { timestamp: entry(5, 0).timestamp, type: 'gap' })).toEqual([]);
+        expect(detectResets(null, entry(0, 9000))).toEqual([]);
+    });
+
+    it('should continue a cycle until a reset starts a new one', () => {
+        const first = { ...entry(0, 9000, 80), ...assignCycle(null, entry(0, 9000, 80)) };
+        expect(first.cycleId).toBe(first.timestamp);
+
+        const second = entry(5, 9400, 84);
+        expect(assignCycle(first, second)).toEqual({ cycleId: first.timestamp });
+
+        const afterReset = entry(10, 200, 2);
+        expect(assignCycle({ ...second, cycleId: first.timestamp }, afterReset)).toEqual({
+            cycleId: afterReset.timestamp,
+            resets: ['modelCalls', 'tokensUsed', 'tokenQuotaPercent']
+        });
+    });
+
+    it('should return the entries of the latest cycle', () => {
+        const entries = [
+            entry(0, 9000, 80),
+            entry(5, 9400, 84),
+            entry(10, 200, 2),
+            { timestamp: entry(15, 0).timestamp, type: 'gap', reason: 'timeout' },
+            entry(20, 600, 6)
+        ];
+
+        expect(currentCycle(entries).map(e => e.tokensUsed)).toEqual([200, 600]);
+
+        // Stored cycle IDs take precedence over the readings
+        const tagged = tagCycles(entries);
+        expect(tagged.map(e => e.cycleId)).toEqual([entries[0].timestamp, entries[0].timestamp, entries[2].timestamp, undefined, entries[2].timestamp]);
+        expect(currentCycle(tagged.map(e => ({ ...e, cycleId: e.cycleId && 'one' })))).toHaveLength(4);
+    });
+
+    it('should only tag entries that have no cycle yet', () => {
+        const tagged = tagCycles([entry(0, 9000), entry(5, 100)]);
+        expect(tagCycles(tagged)).toEqual(tagged);
+        expect(tagged[1].resets).toEqual(['modelCalls', 'tokensUsed']);
+
+        const resumed = tagCycles([...tagged, entry(10, 400)]);
+        expect(resumed[2].cycleId).toBe(tagged[1].cycleId);
+    });
+});
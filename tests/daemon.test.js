@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getDaemonSettings, computeDelay, getDaemonStatus, stopDaemon, PID_FILE } from '../scripts/daemon.mjs';
+import { parseDuration, formatDuration, parseWindow, parseRetention } from '../scripts/duration.mjs';
+import fs from 'fs';
+
+vi.mock('fs');
+vi.mock('conf', () => {
+    return {
+        default: class {
+            get(key, defaultValue) {
+                return defaultValue;
+            }
+        }
+    };
+});
+
+describe('Collector Daemon', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('parseDuration', () => {
+        it('should parse duration strings', () => {
+            expect(parseDuration('30s')).toBe(30000);
+            expect(parseDuration('5m')).toBe(300000);
+            expect(parseDuration('12h')).toBe(12 * 3600000);
+            expect(parseDuration('90d')).toBe(90 * 86400000);
+            expect(parseDuration('1.5h')).toBe(5400000);
+        });
+
+        it('should return null for invalid input', () => {
+            expect(parseDuration('soon')).toBeNull();
+            expect(parseDuration('')).toBeNull();
+            expect(parseDuration(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseWindow and parseRetention', () => {
+        it('should require a unit and a positive window', () => {
+            expect(parseWindow('90m')).toBe(90 * 60000);
+            expect(parseWindow('90d')).toBe(90 * 86400000);
+            expect(parseWindow('7')).toBeNull();
+            expect(parseWindow('0h')).toBeNull();
+            expect(parseWindow(undefined)).toBeNull();
+        });
+
+        it('should accept retention periods of at least an hour', () => {
+            expect(parseRetention('12h')).toBe(12 * 3600000);
+            expect(parseRetention('2w')).toBe(14 * 86400000);
+            expect(parseRetention('30m')).toBeNull();
+            expect(parseRetention('forever')).toBeNull();
+        });
+    });
+
+    describe('formatDuration', () => {
+        it('should format durations compactly', () => {
+            expect(formatDuration(45000)).toBe('45s');
+            expect(formatDuration(5 * 60000)).toBe('5m');
+            expect(formatDuration(3 * 3600000 + 12 * 60000)).toBe('3h 12m');
+            expect(formatDuration(2 * 86400000 + 3600000)).toBe('2d 1h');
+        });
+    });
+
+    describe('getDaemonSettings', () => {
+        it('should use config defaults', () => {
+            expect(getDaemonSettings()).toEqual({ interval: 300000, jitter: 30000, allProfiles: false });
+        });
+
+        it('should prefer overrides', () => {
+            expect(getDaemonSettings({ interval: '1m', jitter: '0s', allProfiles: true })).toEqual({ interval: 60000, jitter: 0, allProfiles: true });
+        });
+
+        it('should reject intervals that are too short or invalid', () => {
+            expect(() => getDaemonSettings({ interval: '1s' })).toThrow('Invalid interval');
+            expect(() => getDaemonSettings({ interval: 'often' })).toThrow('Invalid interval');
+        });
+    });
+
+    describe('computeDelay', () => {
+        it('should add a share of the jitter to the interval', () => {
+            expect(computeDelay(60000, 10000, () => 0)).toBe(60000);
+            expect(computeDelay(60000, 10000, () => 0.5)).toBe(65000);
+        });
+    });
+
+    describe('getDaemonStatus', () => {
+        it('should report stopped without a PID file', () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+            expect(getDaemonStatus()).toEqual({ running: false, stale: false });
+        });
+
+        it('should report running for a live PID', () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+            vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ pid: process.pid, interval: 300000 }));
+
+            const status = getDaemonStatus();
+            expect(status.running).toBe(true);
+            expect(status.pid).toBe(process.pid);
+            expect(status.interval).toBe(300000);
+        });
+
+        it('should flag a stale PID file', () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+            vi.spyOn(fs, 'readFileSync').mockReturnValue('999999999');
+            vi.spyOn(process, 'kill').mockImplementation(() => {
+                const err = new Error('No such process');
+                err.code = 'ESRCH';
+                throw err;
+            });
+
+            const status = getDaemonStatus();
+            expect(status.running).toBe(false);
+            expect(status.stale).toBe(true);
+        });
+    });
+
+    describe('stopDaemon', () => {
+        it('should clean up a stale PID file', async () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+            vi.spyOn(fs, 'readFileSync').mockReturnValue('999999999');
+            vi.spyOn(process, 'kill').mockImplementation(() => {
+                const err = new Error('No such process');
+                err.code = 'ESRCH';
+                throw err;
+            });
+
+            const stopped = await stopDaemon();
+            expect(stopped).toBe(false);
+            expect(fs.unlinkSync).toHaveBeenCalledWith(PID_FILE);
+        });
+    });
+});
@@ -0,0 +1,293 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const settings = vi.hoisted(() => ({ values: {}, dataDir: null }));
+
+vi.mock('conf', () => {
+    return {
+        default: class {
+            get(key, defaultValue) {
+                return settings.values[key] ?? defaultValue;
+            }
+        }
+    };
+});
+
+// Point the data manager at a temporary JSON store
+vi.mock('../scripts/history-store.mjs', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        withHistoryStore: (fn) => {
+            const store = actual.openHistoryStore({ backend: 'json', dataDir: settings.dataDir });
+            try {
+                return fn(store);
+            } finally {
+                store.close();
+            }
+        }
+    };
+});
+
+const { generateSummaries, rollupHistory, getCombinedData, pickResolution, getStorageStats, findUncoveredTimes, mergeBackfill, readUsageSince } = await import('../scripts/data-manager.mjs');
+const { openHistoryStore } = await import('../scripts/history-store.mjs');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Local-time dates, since buckets follow the local clock
+const at = (day, hour = 0, minute = 0) => new Date(2026, 0, day, hour, minute);
+const entryAt = (date, extra = {}) => ({
+    timestamp: date.toISOString(),
+    modelCalls: date.getTime() / HOUR,
+    tokensUsed: 1000,
+    mcpCalls: 0,
+    tokenQuotaPercent: 10,
+    timeQuotaPercent: 5,
+    mcpToolBreakdown: {},
+    ...extra
+});
+
+describe('Data Manager', () => {
+    let store;
+
+    beforeEach(() => {
+        settings.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-rollup-'));
+        settings.values = { retention: '90d' };
+        store = openHistoryStore({ backend: 'json', dataDir: settings.dataDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(settings.dataDir, { recursive: true, force: true });
+    });
+
+    describe('generateSummaries', () => {
+        it('should bucket entries by hour and count gaps', () => {
+            const summaries = generateSummaries([
+                entryAt(at(1, 10, 5), { modelCalls: 5 }),
+                entryAt(at(1, 10, 35), { modelCalls: 9, tokenQuotaPercent: 12 }),
+                { timestamp: at(1, 10, 50).toISOString(), type: 'gap', reason: 'timeout' },
+                { timestamp: at(1, 11, 10).toISOString(), type: 'gap', reason: 'timeout' }
+            ]);
+
+            expect(summaries).toHaveLength(2);
+            expect(summaries[0]).toMatchObject({
+                timestamp: at(1, 10).toISOString(),
+                resolution: 'hour',
+                modelCalls: 9,
+                tokenQuotaPercent: 12,
+                entryCount: 2,
+                gapCount: 1
+            });
+            expect(summaries[1]).toEqual({ timestamp: at(1, 11).toISOString(), resolution: 'hour', type: 'gap', gapCount: 1 });
+        });
+
+        it('should keep statistics, deltas and per-tool usage for each bucket', () => {
+            const [first, second] = generateSummaries([
+                entryAt(at(1, 9, 55), { tokensUsed: 500, mcpCalls: 1, mcpToolBreakdown: { search: 1 } }),
+                entryAt(at(1, 10, 5), { tokensUsed: 800, mcpCalls: 3, mcpToolBreakdown: { search: 2, reader: 1 } }),
+                entryAt(at(1, 10, 20), { tokensUsed: 300, mcpCalls: 4, tokenQuotaPercent: 2, mcpToolBreakdown: { search: 3, reader: 1 } }),
+                { timestamp: at(1, 10, 30).toISOString(), type: 'gap', reason: 'timeout' },
+                entryAt(at(1, 10, 50), { tokensUsed: 900, mcpCalls: 6, mcpToolBreakdown: { search: 3, reader: 3 } })
+            ]);
+
+            // The first entry has nothing before it, so its hour records no usage
+            expect(first.deltas).toEqual({ modelCalls: 0, tokensUsed: 0, mcpCalls: 0 });
+            expect(second).toMatchObject({
+                tokensUsed: 900,
+                mcpCalls: 6,
+                maxTokensUsed: 900,
+                gapCount: 1,
+                mcpToolBreakdown: { search: 3, reader: 3 }
+            });
+            expect(second.stats.tokensUsed).toEqual({ first: 800, last: 900, min: 300, max: 900 });
+            expect(second.stats.tokenQuotaPercent).toEqual({ first: 10, last: 10, min: 2, max: 10 });
+            // 500 → 800, then a counter reset to 300, then 300 → 900
+            expect(second.deltas.tokensUsed).toBe(300 + 300 + 600);
+            expect(second.deltas.mcpCalls).toBe(5);
+            expect(second.mcpToolDeltas).toEqual({ search: 2, reader: 3 });
+        });
+
+        it('should keep the last non-empty breakdowns when later readings have none', () => {
+            const breakdowns = { mcpToolBreakdown: { search: 2 }, modelBreakdown: { 'glm-4.6': { calls: 4 } } };
+            const [summary] = generateSummaries([
+                entryAt(at(1, 10, 5), breakdowns),
+                entryAt(at(1, 10, 35), { mcpToolBreakdown: {}, modelBreakdown: {} })
+            ]);
+
+            expect(summary).toMatchObject(breakdowns);
+            expect(generateSummaries([summary], 'day')[0]).toMatchObject(breakdowns);
+        });
+
+        it('should roll summaries up into coarser buckets', () => {
+            const hourly = generateSummaries([at(1, 1), at(1, 2), at(1, 2, 30), at(2, 0)].map(d => entryAt(d)));
+            const daily = generateSummaries(hourly, 'day');
+
+            expect(daily.map(s => s.timestamp)).toEqual([at(1).toISOString(), at(2).toISOString()]);
+            expect(daily[0]).toMatchObject({ resolution: 'day', entryCount: 3, modelCalls: at(1, 2, 30).getTime() / HOUR });
+            expect(generateSummaries(daily, 'month')).toMatchObject([{ timestamp: at(1).toISOString(), resolution: 'month', entryCount: 4 }]);
+        });
+
+        it('should add up deltas and merge statistics across tiers', () => {
+            const entries = [at(1, 1), at(1, 2), at(1, 23), at(2, 1)].map((d, i) => entryAt(d, {
+                tokensUsed: (i + 1) * 100,
+                mcpToolBreakdown: { search: i }
+            }));
+            const hourly = generateSummaries(entries);
+            const [month] = generateSummaries(generateSummaries(hourly, 'day'), 'month');
+
+            expect(month.deltas.tokensUsed).toBe(300);
+            expect(month.mcpToolDeltas).toEqual({ search: 3 });
+            expect(month.stats.tokensUsed).toEqual({ first: 100, last: 400, min: 100, max: 400 });
+
+            // Summaries written before statistics existed still roll up
+            const legacy = { timestamp: at(3, 5).toISOString(), resolution: 'hour', tokensUsed: 50, modelCalls: 1, entryCount: 12 };
+            expect(generateSummaries([legacy], 'day')[0]).toMatchObject({ entryCount: 12, tokensUsed: 50, deltas: { tokensUsed: 0 } });
+        });
+    });
+
+    describe('rollupHistory', () => {
+        it('should only roll up completed buckets and keep them once written', () => {
+            for (let t = at(1, 22).getTime(); t <= at(2, 1, 30).getTime(); t += 30 * 60 * 1000) {
+                store.appendEntry(entryAt(new Date(t)));
+            }
+
+            const result = rollupHistory({ now: at(2, 1, 45) });
+            expect(result.added).toEqual({ hour: 3, day: 1, month: 0 });
+            expect(store.getSummaries({ resolution: 'day' })[0]).toMatchObject({ timestamp: at(1).toISOString(), entryCount: 4 });
+
+            // The 01:00 hour completes at 02:00
+            expect(rollupHistory({ now: at(2, 1, 50), ifDue: true })).toBeNull();
+            expect(rollupHistory({ now: at(2, 2, 5), ifDue: true }).added).toEqual({ hour: 1, day: 0, month: 0 });
+            expect(store.getSummaryMeta().lastRollup).toBe(at(2, 2, 5).toISOString());
+        });
+
+        it('should prune each tier by its own retention', () => {
+            settings.values = { 'retention': '24h', 'rollups.hourly': '2d', 'rollups.daily': '10d' };
+            store.appendEntry(entryAt(at(20, 12)));
+            store.addSummaries([
+                { ...entryAt(at(10, 5)), resolution: 'hour' },
+                { ...entryAt(at(10)), resolution: 'day' },
+                { ...entryAt(at(1)), resolution: 'month' }
+            ]);
+
+            const result = rollupHistory({ now: at(21, 13) });
+            expect(result.pruned).toEqual({ hour: 1, day: 1, month: 0, raw: 1 });
+            expect(store.getSummaries({ resolution: 'hour' }).map(s => s.timestamp)).toEqual([at(20, 12).toISOString()]);
+            expect(store.countSummaries({ resolution: 'month' })).toBe(1);
+            expect(getStorageStats().rollups).toEqual({ hour: 1, day: 1, month: 1 });
+        });
+    });
+
+    describe('backfill', () => {
+        it('should only report times without stored data', () => {
+            settings.values = { retention: '24h' };
+            store.appendEntry(entryAt(at(5, 10, 10)));
+            store.addSummaries([
+                { ...entryAt(at(4, 8)), resolution: 'hour' },
+                { timestamp: at(4, 9).toISOString(), resolution: 'hour', type: 'gap', gapCount: 2 }
+            ]);
+
+            const times = [at(4, 8, 30), at(4, 9, 30), at(5, 9), at(5, 10)].map(d => d.getTime());
+            expect(findUncoveredTimes(times, HOUR, { now: at(5, 12) })).toEqual([at(4, 9, 30).getTime(), at(5, 9).getTime()]);
+        });
+
+        it('should merge entries into a hole without counting it twice', () => {
+            settings.values = { retention: '24h' };
+            store.appendEntry(entryAt(at(5, 6, 50), { tokensUsed: 1000 }));
+            store.appendEntry(entryAt(at(5, 9, 10), { tokensUsed: 4000, tokensDelta: 3000 }));
+            rollupHistory({ now: at(5, 11) });
+            expect(store.getSummaries({ resolution: 'hour', since: at(5, 9), until: at(5, 9) })[0].deltas.tokensUsed).toBe(3000);
+
+            const backfilled = [at(5, 7, 30), at(5, 8, 30)].map((d, i) => entryAt(d, {
+                tokensUsed: 2000 + i * 1000,
+                tokenQuotaPercent: null,
+                timeQuotaPercent: null,
+                backfilled: true
+            }));
+            const result = mergeBackfill(backfilled, { now: at(5, 11) });
+
+            expect(result.entries).toBe(2);
+            expect(store.getEntries().map(e => e.tokensDelta)).toEqual([undefined, 1000, 1000, 1000]);
+            const hours = store.getSummaries({ resolution: 'hour' });
+            expect(hours.map(s => s.deltas.tokensUsed)).toEqual([0, 1000, 1000, 1000]);
+            // Unknown quota readings are left out of the statistics
+            expect(hours[1]).toMatchObject({ tokenQuotaPercent: null, entryCount: 1 });
+            expect(hours[1].stats.tokenQuotaPercent).toBeUndefined();
+        });
+
+        it('should merge old backfills into summaries past raw retention', () => {
+            settings.values = { 'retention': '24h', 'rollups.hourly': '2d' };
+            store.addSummaries([
+                { ...generateSummaries([entryAt(at(1, 20)), entryAt(at(1, 21))], 'day')[0] }
+            ]);
+
+            const result = mergeBackfill([entryAt(at(1, 5), { tokensUsed: 600 }), entryAt(at(1, 6), { tokensUsed: 900 })], { now: at(10, 12) });
+
+            // January isn't over yet, so there is no monthly summary to update
+            expect(result.summaries).toEqual({ hour: 0, day: 1, month: 0 });
+            expect(store.countEntries()).toBe(0);
+            const [day] = store.getSummaries({ resolution: 'day' });
+            expect(day.entryCount).toBe(4);
+            expect(day.deltas.tokensUsed).toBe(300);
+        });
+    });
+
+    describe('getCombinedData', () => {
+        it('should pick a resolution for the range', () => {
+            expect(pickResolution(12 * HOUR, DAY)).toBe('raw');
+            expect(pickResolution(7 * DAY, DAY)).toBe('hour');
+            expect(pickResolution(90 * DAY, DAY)).toBe('day');
+            expect(pickResolution(365 * DAY, DAY)).toBe('month');
+            expect(pickResolution(7 * DAY, 30 * DAY)).toBe('raw');
+        });
+
+        it('should stitch coarse summaries, finer summaries and raw entries', () => {
+            settings.values = { retention: '24h' };
+            store.addSummaries([
+                { ...entryAt(at(1)), resolution: 'day' },
+                { ...entryAt(at(2)), resolution: 'day' },
+                { ...entryAt(at(2, 23)), resolution: 'hour' },
+                { ...entryAt(at(3, 0)), resolution: 'hour' },
+                { ...entryAt(at(3, 1)), resolution: 'hour' }
+            ]);
+            store.appendEntry(entryAt(at(3, 1, 30)));
+            store.appendEntry(entryAt(at(3, 2, 15)));
+
+            const data = getCombinedData('30d', { now: at(3, 2, 20) });
+            expect(data.map(r => [r.resolution || 'raw', r.timestamp])).toEqual([
+                ['day', at(1).toISOString()],
+                ['day', at(2).toISOString()],
+                ['hour', at(3, 0).toISOString()],
+                ['hour', at(3, 1).toISOString()],
+                ['raw', at(3, 2, 15).toISOString()]
+            ]);
+            expect(getCombinedData('12h', { now: at(3, 2, 20) })).toHaveLength(2);
+        });
+    });
+
+    describe('readUsageSince', () => {
+        it('should top up summaries with raw entries from the store or already read', () => {
+            store.addSummaries([
+                { ...entryAt(at(1)), resolution: 'day' },
+                { ...entryAt(at(2, 0)), resolution: 'hour' }
+            ]);
+            store.appendEntry(entryAt(at(2, 1, 30)));
+            store.appendEntry(entryAt(at(2, 2, 15)));
+
+            const fromStore = readUsageSince(store, at(1));
+            expect(fromStore.map(r => [r.resolution || 'raw', r.timestamp])).toEqual([
+                ['day', at(1).toISOString()],
+                ['hour', at(2, 0).toISOString()],
+                ['raw', at(2, 1, 30).toISOString()],
+                ['raw', at(2, 2, 15).toISOString()]
+            ]);
+            // Entries read earlier in the same transaction stand in for the raw tier
+            const entries = [entryAt(at(1, 12)), ...store.getEntries()];
+            expect(readUsageSince(store, at(2, 1), { entries })).toEqual(fromStore.slice(2));
+            expect(readUsageSince(store, at(1), { entries })).toEqual(fromStore);
+        });
+    });
+});
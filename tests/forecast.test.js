@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { forecastQuota, formatForecast, formatResetOutlook, isExhaustionImminent, nextQuotaReset, seasonalProfile } from '../scripts/forecast.mjs';
+
+const at = (day, hour) => new Date(2026, 0, day, hour).toISOString();
+
+describe('Quota forecasting', () => {
+    it('should fit a regression line with an interval from the scatter', () => {
+        const entries = [
+            { timestamp: at(15, 8), tokenQuotaPercent: 90 },
+            { timestamp: at(15, 9), tokenQuotaPercent: 5 },
+            { timestamp: at(15, 10), tokenQuotaPercent: 14 },
+            { timestamp: at(15, 11), tokenQuotaPercent: 26 },
+            { timestamp: at(15, 12), tokenQuotaPercent: 35 }
+        ];
+
+        // Only the cycle since the reset at 9:00: 5 → 35 at about 10%/hour
+        const forecast = forecastQuota(entries);
+        expect(forecast).toMatchObject({ model: 'regression', confidence: 0.9, samples: 4, currentPercent: 35 });
+        expect(forecast.rate).toBeCloseTo(10.2);
+        expect(forecast.hoursUntilExhausted).toBeCloseTo(65 / 10.2);
+        expect(forecast.interval.low).toBeLessThan(forecast.hoursUntilExhausted);
+        expect(forecast.interval.high).toBeGreaterThan(forecast.hoursUntilExhausted);
+        expect(forecast.exhaustsAt).toBe(new Date(new Date(at(15, 12)).getTime() + forecast.hoursUntilExhausted * 3600000).toISOString());
+
+        // A wider confidence level widens the interval
+        const wide = forecastQuota(entries, { confidence: 0.99 });
+        expect(wide.interval.high - wide.interval.low).toBeGreaterThan(forecast.interval.high - forecast.interval.low);
+    });
+
+    it('should not forecast exhaustion when the quota is not being used', () => {
+        const flat = forecastQuota([
+            { timestamp: at(15, 8), tokenQuotaPercent: 40 },
+            { timestamp: at(15, 9), tokenQuotaPercent: 40 }
+        ], { model: 'ewma' });
+
+        expect(flat.rate).toBe(0);
+        expect(flat.hoursUntilExhausted).toBeNull();
+        expect(formatForecast(flat)).toBeNull();
+        expect(forecastQuota([{ timestamp: at(15, 8), tokenQuotaPercent: 40 }])).toBeNull();
+        // Backfilled entries have no quota readings
+        expect(forecastQuota([
+            { timestamp: at(15, 8), tokenQuotaPercent: 40 },
+            { timestamp: at(15, 9), tokenQuotaPercent: null, backfilled: true }
+        ])).toBeNull();
+    });
+
+    it('should follow the weekly usage pattern with the seasonal model', () => {
+        // Two weeks of usage from 9:00 to 17:00 only
+        const usage = [];
+        for (let day = 1; day <= 14; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                usage.push({ timestamp: at(day, hour), resolution: 'hour', deltas: { tokensUsed: hour >= 9 && hour < 17 ? 1000 : 0 } });
+            }
+        }
+        const entries = [
+            { timestamp: at(15, 14), tokenQuotaPercent: 40 },
+            { timestamp: at(15, 15), tokenQuotaPercent: 50 },
+            { timestamp: at(15, 16), tokenQuotaPercent: 60 }
+        ];
+
+        const profile = seasonalProfile(usage);
+        expect(profile(new Date(at(15, 10)).getTime())).toBeCloseTo(3);
+        expect(profile(new Date(at(15, 20)).getTime())).toBe(0);
+
+        // 10%/hour until 17:00, nothing overnight, the last 30% from 9:00 to 12:00
+        expect(forecastQuota(entries).hoursUntilExhausted).toBeCloseTo(4);
+        const seasonal = forecastQuota(entries, { model: 'seasonal', usage });
+        expect(seasonal.hoursUntilExhausted).toBeCloseTo(20);
+        expect(seasonal.exhaustsAt).toBe(at(16, 12));
+    });
+
+    it('should find the next reset from the quota or from past cycles', () => {
+        const now = new Date(at(15, 12));
+        expect(nextQuotaReset({ resetsAt: at(15, 14), now })).toEqual({ resetsAt: at(15, 14), source: 'quota' });
+
+        // Quota resets seen at 2:00 and 7:00: 5-hour cycles, so the next is at 17:00
+        const entries = [
+            { timestamp: at(15, 2), resets: ['tokenQuotaPercent'] },
+            { timestamp: at(15, 7), resets: ['tokensUsed', 'tokenQuotaPercent'] },
+            { timestamp: at(15, 9), resets: ['mcpCalls'] }
+        ];
+        expect(nextQuotaReset({ resetsAt: at(15, 11), entries, now })).toEqual({ resetsAt: at(15, 17), source: 'cycle' });
+        expect(nextQuotaReset({ entries: entries.slice(1), now })).toBeNull();
+    });
+
+    it('should forecast the outlook at the next reset', () => {
+        const entries = [
+            { timestamp: at(15, 10), tokenQuotaPercent: 20 },
+            { timestamp: at(15, 12), tokenQuotaPercent: 30 }
+        ];
+
+        // 5%/hour for 4 hours: 50% at the reset, well before running out
+        const calm = forecastQuota(entries, { reset: { resetsAt: at(15, 16), source: 'quota' } });
+        expect(calm.hoursUntilExhausted).toBe(14);
+        expect(calm.reset).toEqual({
+            resetsAt: at(15, 16),
+            source: 'quota',
+            hoursUntilReset: 4,
+            exhaustsBeforeReset: false,
+            percentAtReset: 50,
+            percentAtResetInterval: { low: 50, high: 50 },
+            headroomAtReset: 50,
+            safeRate: 17.5
+        });
+        expect(isExhaustionImminent(calm)).toBe(false);
+        expect(formatResetOutlook(calm)).toBe('Resets in 4h with ~50% headroom (safe pace 17.50%/hour)');
+
+        // The same rate with 20 hours to go runs out first
+        const tight = forecastQuota(entries, { reset: { resetsAt: at(16, 8), source: 'cycle' } });
+        expect(tight.reset.exhaustsBeforeReset).toBe(true);
+        expect(tight.reset.headroomAtReset).toBe(-30);
+        expect(isExhaustionImminent(tight)).toBe(true);
+        expect(formatResetOutlook(tight)).toBe('Runs out before the reset in 20h: ~30% over at reset (safe pace 3.50%/hour)');
+
+        // A reset before the latest reading is unknown
+        expect(forecastQuota(entries, { reset: { resetsAt: at(15, 11), source: 'quota' } }).reset).toBeNull();
+    });
+
+    it('should format forecasts with their interval', () => {
+        const forecast = { hoursUntilExhausted: 16.2, confidence: 0.9, interval: { low: 12.4, high: 22.6 } };
+        expect(formatForecast(forecast)).toBe('16h (90% CI 12h–23h)');
+        expect(formatForecast({ ...forecast, interval: { low: 12, high: null } })).toBe('16h (90% CI 12h–∞)');
+        expect(formatForecast({ ...forecast, interval: { low: 16, high: 16.4 } })).toBe('16h');
+    });
+
+    it('should reject unknown models and confidence levels', () => {
+        expect(() => forecastQuota([], { model: 'crystal-ball' })).toThrow('Unknown forecast model');
+        expect(() => forecastQuota([], { confidence: 0.5 })).toThrow('Unsupported confidence level');
+    });
+});
@@ -5,6 +5,7 @@ import { describe, it, expect, vi, beforeEach, afterEach, beforeAll } from 'vite
 // Vite handles css imports by usually ignoring them or processing. 
 // We can use vi.mock for it.
 vi.mock('../src/styles.css', () => ({}));
+import { resolvePricing } from '../scripts/pricing.mjs';
 
 describe('Frontend Logic', () => {
     let main;
@@ -62,17 +63,96 @@ describe('Frontend Logic', () => {
             ];
 
             const rates = main.calculateRates(entries);
-            // 30 mins diff. tokens change 1000. Logic returns raw delta for the window.
-            expect(rates.tokensPerHour).toBe(1000);
-            expect(rates.callsPerHour).toBe(10);
+            // 1000 tokens and 10 calls in 30 minutes
+            expect(rates.tokensPerHour).toBe(2000);
+            expect(rates.callsPerHour).toBe(20);
             expect(rates.avgTokensPerCall).toBe(100);
         });
 
+        it('should skip intervals that span a gap', () => {
+            const now = Date.now();
+            const entries = [
+                { timestamp: new Date(now - 1800000).toISOString(), tokensUsed: 1000, modelCalls: 10 },
+                { timestamp: new Date(now - 1200000).toISOString(), tokensUsed: 1500, modelCalls: 15 },
+                { timestamp: new Date(now - 600000).toISOString(), type: 'gap', reason: 'HTTP 503' },
+                { timestamp: new Date(now).toISOString(), tokensUsed: 4000, modelCalls: 40 }
+            ];
+
+            // Only the 10 minutes before the gap count: 500 tokens and 5 calls
+            const rates = main.calculateRates(entries);
+            expect(rates.tokensPerHour).toBe(3000);
+            expect(rates.callsPerHour).toBe(30);
+        });
+
+        it('should divide by the hours covered when a gap falls inside the hour', () => {
+            const now = Date.now();
+            const minutesAgo = minutes => new Date(now - minutes * 60000).toISOString();
+            const entries = [
+                { timestamp: minutesAgo(50), tokensUsed: 1000, modelCalls: 10 },
+                { timestamp: minutesAgo(40), tokensUsed: 2000, modelCalls: 20 },
+                { timestamp: minutesAgo(30), type: 'gap', reason: 'timeout' },
+                { timestamp: minutesAgo(20), tokensUsed: 3000, modelCalls: 30 },
+                { timestamp: minutesAgo(10), tokensUsed: 4000, modelCalls: 40 }
+            ];
+
+            // Two 10-minute intervals without the gap: 2000 tokens in 20 minutes
+            const rates = main.calculateRates(entries);
+            expect(rates.tokensPerHour).toBe(6000);
+            expect(rates.callsPerHour).toBe(60);
+            expect(rates.avgTokensPerCall).toBe(100);
+        });
+
+        it('should count usage after a counter reset', () => {
+            const now = Date.now();
+            const entries = [
+                { timestamp: new Date(now - 1800000).toISOString(), tokensUsed: 9000, modelCalls: 90 },
+                { timestamp: new Date(now - 900000).toISOString(), tokensUsed: 300, modelCalls: 3 },
+                { timestamp: new Date(now).toISOString(), tokensUsed: 800, modelCalls: 8 }
+            ];
+
+            // 300 + 500 tokens in 30 minutes
+            const rates = main.calculateRates(entries);
+            expect(rates.tokensPerHour).toBe(1600);
+            expect(rates.callsPerHour).toBe(16);
+        });
+
         it('should return null for insufficient data', () => { // id: 7
             expect(main.calculateRates([])).toBeNull();
         });
     });
 
+    describe('calculateReliability', () => {
+        it('should summarize collection runs', () => {
+            const log = [
+                { timestamp: '2024-01-01T10:00:00Z', status: 'success', failedAttempts: [] },
+                { timestamp: '2024-01-01T10:05:00Z', status: 'success', failedAttempts: [{ kind: 'server' }] },
+                { timestamp: '2024-01-01T10:10:00Z', status: 'failed', error: 'HTTP 503', failedAttempts: [{}, {}, {}, {}] },
+                { timestamp: '2024-01-01T10:15:00Z', status: 'success', failedAttempts: [] }
+            ];
+
+            const reliability = main.calculateReliability(log);
+            expect(reliability.totalRuns).toBe(4);
+            expect(reliability.failedRuns).toBe(1);
+            expect(reliability.failedAttempts).toBe(5);
+            expect(reliability.successRate).toBe(75);
+            expect(reliability.lastFailure.error).toBe('HTTP 503');
+        });
+
+        it('should only count runs inside the window', () => {
+            const log = [
+                { timestamp: '2024-01-01T10:00:00Z', status: 'failed' },
+                { timestamp: '2024-01-01T11:00:00Z', status: 'success' }
+            ];
+            const reliability = main.calculateReliability(log, new Date('2024-01-01T10:30:00Z'));
+            expect(reliability.totalRuns).toBe(1);
+            expect(reliability.successRate).toBe(100);
+        });
+
+        it('should return null without runs', () => {
+            expect(main.calculateReliability(undefined)).toBeNull();
+        });
+    });
+
     describe('DOM Rendering', () => { // id: 8
         beforeEach(() => { // id: 9
             // Setup DOM elements expected by fetchData
@@ -114,6 +194,104 @@ describe('Frontend Logic', () => {
             expect(el.innerHTML).toContain('Exhaustion in 5h');
         });
 
+        it('should forecast the token quota with the chosen model', () => {
+            const now = Date.now();
+            const entries = [0, 1, 2, 3].map(hour => ({
+                timestamp: new Date(now - (3 - hour) * 60 * 60 * 1000).toISOString(),
+                tokenQuotaPercent: [10, 12, 14, 20][hour]
+            }));
+
+            expect(main.forecastTokenQuota(entries, 'ewma').rate).toBeCloseTo(3.2);
+            expect(main.forecastTokenQuota(entries, 'regression').rate).toBeCloseTo(3.2);
+
+            main.renderQuotaCard('test-quota', 'Quota', { current: 20, max: 100, percentage: 20 }, main.forecastTokenQuota(entries, 'ewma'));
+            expect(document.getElementById('test-quota').innerHTML).toMatch(/Exhaustion in 25h \(90% CI \d+h–\d+h\)/);
+
+            // Too little loaded data: the collector's prediction, if it used the same model
+            const stored = { hoursUntilExhausted: 24, model: 'ewma' };
+            expect(main.forecastTokenQuota(entries.slice(-1), 'ewma', { stored })).toBe(stored);
+            expect(main.forecastTokenQuota(entries.slice(-1), 'regression', { stored })).toBeNull();
+        });
+
+        it('should show the outlook at the next quota reset', () => {
+            const now = Date.now();
+            const entries = [0, 1].map(hour => ({
+                timestamp: new Date(now - (1 - hour) * 60 * 60 * 1000).toISOString(),
+                tokenQuotaPercent: [10, 12][hour]
+            }));
+            const limit = { current: 12, max: 100, percentage: 12 };
+
+            // 2%/hour would take 44h, but the quota resets in 5h
+            const resetsAt = new Date(now + 5 * 60 * 60 * 1000).toISOString();
+            main.renderQuotaCard('test-quota', 'Quota', limit, main.forecastTokenQuota(entries, 'regression', { resetsAt }));
+            let html = document.getElementById('test-quota').innerHTML;
+            expect(html).toContain('Resets in 5h with ~78% headroom (safe pace 17.60%/hour)');
+            expect(html).not.toContain('Exhaustion in');
+
+            // 40%/hour runs out first
+            entries[1].tokenQuotaPercent = 50;
+            main.renderQuotaCard('test-quota', 'Quota', { ...limit, percentage: 50 }, main.forecastTokenQuota(entries, 'regression', { resetsAt }));
+            html = document.getElementById('test-quota').innerHTML;
+            expect(html).toContain('quota-prediction warning');
+            expect(html).toContain('Exhaustion in 1h');
+            expect(html).toContain('Runs out before the reset in 5h: ~150% over at reset');
+        });
+
+        it('should show when the quota resets', () => {
+            const resetsAt = new Date(Date.now() + (3 * 60 + 12) * 60 * 1000 - 1000).toISOString();
+            main.renderQuotaCard('test-quota', 'Quota', { current: 50, max: 100, percentage: 50, resetsAt });
+            expect(document.getElementById('test-quota').innerHTML).toContain('Resets in 3h 12m');
+
+            main.renderQuotaCard('test-quota', 'Quota', { current: 50, max: 100, percentage: 50 });
+            expect(document.getElementById('test-quota').innerHTML).not.toContain('Resets');
+        });
+
+        it('should render the model breakdown by tokens', () => {
+            document.body.innerHTML += '<div id="model-breakdown"></div>';
+            main.renderModelBreakdown({
+                'glm-4.5-air': { calls: 20, tokens: 250000 },
+                'glm-4.6': { calls: 80, tokens: 750000, inputTokens: 600000, outputTokens: 150000 }
+            });
+            const html = document.getElementById('model-breakdown').innerHTML;
+            expect(html.indexOf('glm-4.6')).toBeLessThan(html.indexOf('glm-4.5-air'));
+            expect(html).toContain('750.0K tokens (75.0%) · 600.0K in / 150.0K out · 80 calls');
+            expect(html).toContain('250.0K tokens (25.0%) · 20 calls');
+
+            main.renderModelBreakdown({});
+            expect(document.getElementById('model-breakdown').innerHTML).toContain('No per-model data available');
+        });
+
+        it('should render cost cards compared with the plan', () => {
+            document.body.innerHTML += '<div id="cost-grid"></div>';
+            const entries = [
+                { timestamp: '2026-01-15T00:00:00.000Z', tokensDelta: 0 },
+                { timestamp: '2026-01-16T00:00:00.000Z', tokensDelta: 1000000, modelDeltas: { 'glm-4.6': { tokens: 1000000, inputTokens: 500000, outputTokens: 500000 } } }
+            ];
+            main.renderCostCards(entries, resolvePricing({ plan: { name: 'Coding Lite', monthlyPrice: 15 } }));
+            let html = document.getElementById('cost-grid').innerHTML;
+            expect(html).toContain('$1.40');
+            expect(html).toContain('$42.00');
+            expect(html).toContain('$27.00');
+            expect(html).toContain('Saved per month by Coding Lite ($15.00)');
+
+            main.renderCostCards(entries, resolvePricing());
+            html = document.getElementById('cost-grid').innerHTML;
+            expect(html).toContain('Set a plan price with glm-monitor pricing --plan-price');
+        });
+
+        it('should render budget cards with their projections', () => {
+            document.body.innerHTML += '<div id="budget-grid"></div>';
+            const budget = { period: 'daily', limit: 20000000, end: '2026-01-16T00:00:00.000Z', burnDown: [] };
+            main.renderBudgetCards([
+                { ...budget, used: 12000000, remaining: 8000000, percentUsed: 60, projected: 24000000, projectedPercent: 120, status: 'at-risk' },
+                { ...budget, period: 'monthly', limit: 400000000, used: 12000000, remaining: 388000000, percentUsed: 3, projected: 180000000, projectedPercent: 45, status: 'ok' }
+            ]);
+            const html = document.getElementById('budget-grid').innerHTML;
+            expect(html).toContain('Daily Budget');
+            expect(html).toContain('Projected 24M (120%)');
+            expect(html).toContain('On pace for 180M (45%)');
+        });
+
         it('should fetch data and render', async () => {
             const mockData = {
                 entries: [
@@ -121,7 +299,11 @@ describe('Frontend Logic', () => {
                 ],
                 quotaLimits: {
                     tokenQuota: { percentage: 10, current: 100, max: 1000 },
-                    timeQuota: { percentage: 10, current: 100, max: 1000 }
+                    timeQuota: { percentage: 10, current: 100, max: 1000 },
+                    limits: [
+                        { type: 'TOKENS_LIMIT', percentage: 10, current: 100, max: 1000 },
+                        { type: 'REQUEST_LIMIT', percentage: 42, current: 42, max: 100 }
+                    ]
                 },
                 lastUpdated: new Date().toISOString(),
                 quotaPrediction: { hoursUntilExhausted: 24 }
@@ -138,6 +320,9 @@ describe('Frontend Logic', () => {
             const app = document.getElementById('app');
             expect(app.innerHTML).toContain('GLM Intelligence'); // Header title
             expect(app.innerHTML).toContain('1.0K'); // Formatted token count
+            // Limit types without a card of their own get one
+            expect(document.getElementById('q-limit-0').innerHTML).toContain('Request Limit');
+            expect(document.getElementById('q-limit-1')).toBeNull();
         });
 
         it('should handle fetch error', async () => {
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openHistoryStore, migrateProfile } from '../scripts/history-store.mjs';
+import { isSqliteAvailable } from '../scripts/sqlite-store.mjs';
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.parse('2026-01-01T00:00:00.000Z');
+
+const entryAt = (hours, extra = {}) => ({
+    timestamp: new Date(BASE + hours * HOUR).toISOString(),
+    modelCalls: hours * 10,
+    tokensUsed: hours * 1000,
+    ...extra
+});
+
+const BACKENDS = [
+    { backend: 'json', available: true },
+    { backend: 'jsonl', available: true },
+    { backend: 'sqlite', available: isSqliteAvailable() }
+];
+
+describe.each(BACKENDS)('History store ($backend)', ({ backend, available }) => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+        if (!available) return;
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-store-'));
+        store = openHistoryStore({ profile: 'default', backend, dataDir });
+    });
+
+    afterEach(() => {
+        if (!available) return;
+        store.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it.skipIf(!available)('should start empty', () => {
+        expect(store.exists()).toBe(false);
+        expect(store.getEntries()).toEqual([]);
+        expect(store.getLatestEntry()).toBeNull();
+        expect(store.countSummaries()).toBe(0);
+    });
+
+    it.skipIf(!available)('should query entries by time range and limit', () => {
+        [0, 1, 2, 3, 4].forEach(h => store.appendEntry(entryAt(h)));
+
+        expect(store.exists()).toBe(true);
+        expect(store.countEntries()).toBe(5);
+        expect(store.getEntries({ since: new Date(BASE + 2 * HOUR) }).map(e => e.modelCalls)).toEqual([20, 30, 40]);
+        expect(store.getEntries({ until: new Date(BASE + HOUR).toISOString() }).map(e => e.modelCalls)).toEqual([0, 10]);
+        expect(store.getEntries({ limit: 2 }).map(e => e.modelCalls)).toEqual([30, 40]);
+    });
+
+    it.skipIf(!available)('should drop entries older than the retention cutoff and skip gaps for the latest entry', () => {
+        // Keep one hour of history, whatever the collection interval
+        [0, 0.5, 1, 2].forEach(h => store.appendEntry(entryAt(h), { keepSince: new Date(BASE + (h - 1) * HOUR) }));
+        store.appendEntry({ timestamp: new Date(BASE + 3 * HOUR).toISOString(), type: 'gap', reason: 'timeout' });
+
+        expect(store.getEntries().map(e => e.modelCalls)).toEqual([10, 20, undefined]);
+        expect(store.getLatestEntry().modelCalls).toBe(20);
+        expect(store.pruneEntries(new Date(BASE + 3 * HOUR))).toBe(2);
+        expect(store.pruneEntries(new Date(BASE + 3 * HOUR))).toBe(0);
+        expect(store.getEntries()[0].type).toBe('gap');
+    });
+
+    it.skipIf(!available)('should keep metadata and the collection log in the history document', () => {
+        store.setMeta({ lastUpdated: '2026-01-01T05:00:00.000Z', quotaLimits: { tokenUsage: { percentage: 12 } } });
+        [0, 1, 2].forEach(h => store.appendCollectionRun({ timestamp: entryAt(h).timestamp, success: true }, { maxRuns: 2 }));
+
+        const history = store.readHistory();
+        expect(history.lastUpdated).toBe('2026-01-01T05:00:00.000Z');
+        expect(history.quotaLimits.tokenUsage.percentage).toBe(12);
+        expect(history.collectionLog).toHaveLength(2);
+        expect(history.entries).toEqual([]);
+    });
+
+    it.skipIf(!available)('should add summaries once per timestamp and prune old ones', () => {
+        expect(store.addSummaries([entryAt(2), entryAt(0)])).toBe(2);
+        expect(store.addSummaries([entryAt(0), entryAt(1)])).toBe(1);
+        expect(store.getSummaries().map(s => s.modelCalls)).toEqual([0, 10, 20]);
+
+        expect(store.pruneSummaries(new Date(BASE + HOUR))).toBe(1);
+        expect(store.getSummaries({ until: new Date(BASE + HOUR) })).toHaveLength(1);
+    });
+
+    it.skipIf(!available)('should keep summaries of each resolution apart', () => {
+        const day = { ...entryAt(0), resolution: 'day' };
+        expect(store.addSummaries([entryAt(0), day, entryAt(24, { resolution: 'day' })])).toBe(3);
+        expect(store.addSummaries([day])).toBe(0);
+
+        expect(store.getSummaries({ resolution: 'hour' })).toHaveLength(1);
+        expect(store.getSummaries({ resolution: 'day', limit: 1 }).map(s => s.modelCalls)).toEqual([240]);
+        expect(store.countSummaries({ resolution: 'day' })).toBe(2);
+
+        expect(store.pruneSummaries(new Date(BASE + HOUR), { resolution: 'day' })).toBe(1);
+        expect(store.countSummaries()).toBe(2);
+        store.setSummaryMeta({ lastRollup: entryAt(1).timestamp });
+        expect(store.getSummaryMeta().lastRollup).toBe(entryAt(1).timestamp);
+    });
+
+    it.skipIf(!available)('should merge entries into the timeline and replace summaries on request', () => {
+        store.appendEntry(entryAt(0));
+        store.appendEntry(entryAt(3));
+        store.mergeEntries([entryAt(1, { backfilled: true }), entryAt(3, { tokensDelta: 2000 })]);
+
+        expect(store.getEntries().map(e => e.modelCalls)).toEqual([0, 10, 30]);
+        expect(store.getLatestEntry().tokensDelta).toBe(2000);
+
+        store.addSummaries([entryAt(0, { resolution: 'day' })]);
+        expect(store.addSummaries([entryAt(0, { resolution: 'day', modelCalls: 5 })], { replace: true })).toBe(1);
+        expect(store.getSummaries({ resolution: 'day' }).map(s => s.modelCalls)).toEqual([5]);
+    });
+
+    it.skipIf(!available)('should discard a transaction that throws', () => {
+        store.appendEntry(entryAt(0));
+
+        expect(() => store.transaction(() => {
+            store.appendEntry(entryAt(1));
+            store.addSummaries([entryAt(1)]);
+            throw new Error('boom');
+        })).toThrow('boom');
+
+        expect(store.countEntries()).toBe(1);
+        expect(store.countSummaries()).toBe(0);
+    });
+
+    it.skipIf(!available)('should round-trip exported data', () => {
+        [0, 1].forEach(h => store.appendEntry(entryAt(h)));
+        store.setMeta({ lastUpdated: entryAt(1).timestamp });
+        store.addSummaries([entryAt(-5)]);
+        store.setSummaryMeta({ lastArchived: entryAt(1).timestamp });
+
+        const exported = store.exportData();
+        store.importData({ history: { entries: [entryAt(9)] } });
+        expect(store.getEntries().map(e => e.modelCalls)).toEqual([90]);
+        expect(store.countSummaries()).toBe(1);
+
+        store.importData(exported);
+        expect(store.exportData()).toEqual(exported);
+    });
+});
+
+describe.skipIf(isSqliteAvailable())('SQLite on older Node.js', () => {
+    it('should explain which Node.js version it needs', () => {
+        expect(() => openHistoryStore({ backend: 'sqlite', dataDir: os.tmpdir() })).toThrow('requires Node.js 22.13+');
+    });
+});
+
+describe.skipIf(!isSqliteAvailable())('Storage migration', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-migrate-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should copy a profile between backends and back', () => {
+        const json = openHistoryStore({ profile: 'work', backend: 'json', dataDir });
+        [0, 1, 2].forEach(h => json.appendEntry(entryAt(h)));
+        json.appendCollectionRun({ timestamp: entryAt(2).timestamp, success: true });
+        json.setMeta({ lastUpdated: entryAt(2).timestamp });
+        json.addSummaries([entryAt(-3)]);
+        const original = json.exportData();
+
+        const result = migrateProfile({ profile: 'work', from: 'json', to: 'sqlite', dataDir });
+        expect(result).toMatchObject({ migrated: true, entries: 3, summaries: 1, collectionRuns: 1 });
+        expect(result.target).toBe(path.join(dataDir, 'work-usage.db'));
+
+        fs.rmSync(json.historyFile);
+        fs.rmSync(json.summaryFile);
+        migrateProfile({ profile: 'work', from: 'sqlite', to: 'json', dataDir });
+        expect(json.exportData()).toEqual(original);
+    });
+
+    it('should refuse to overwrite existing data without force', () => {
+        openHistoryStore({ profile: 'default', backend: 'json', dataDir }).appendEntry(entryAt(0));
+        migrateProfile({ profile: 'default', from: 'json', to: 'sqlite', dataDir });
+
+        expect(() => migrateProfile({ profile: 'default', from: 'json', to: 'sqlite', dataDir })).toThrow('already has sqlite data');
+        expect(migrateProfile({ profile: 'default', from: 'json', to: 'sqlite', force: true, dataDir }).migrated).toBe(true);
+        expect(migrateProfile({ profile: 'other', from: 'json', to: 'sqlite', dataDir })).toMatchObject({ migrated: false, reason: 'no data' });
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonlHistoryStore, parseLog, applyRecord } from '../scripts/jsonl-store.mjs';
+import { migrateProfile } from '../scripts/history-store.mjs';
+
+const entryAt = (minutes) => ({
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString(),
+    modelCalls: minutes,
+    tokensUsed: minutes * 1000
+});
+
+const readLines = (file) => fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('JSONL History Store', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-jsonl-'));
+        store = new JsonlHistoryStore({ dataDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should append one line per change after a header', () => {
+        store.appendEntry(entryAt(0));
+        store.appendEntry(entryAt(5), { keepSince: entryAt(0).timestamp });
+
+        const lines = readLines(store.logFile);
+        expect(lines.map(l => l.op)).toEqual(['header', 'entry', 'entry']);
+        expect(lines[0].generation).toBe(1);
+        expect(lines[2]).toEqual({ op: 'entry', entry: entryAt(5), since: entryAt(0).timestamp });
+    });
+
+    it('should write a whole transaction in one append', () => {
+        store.appendEntry(entryAt(0));
+        const before = fs.readFileSync(store.logFile, 'utf-8');
+
+        store.transaction(() => {
+            store.appendEntry(entryAt(5));
+            store.appendCollectionRun({ timestamp: entryAt(5).timestamp, status: 'success' });
+            store.setMeta({ lastUpdated: entryAt(5).timestamp });
+        });
+
+        const after = fs.readFileSync(store.logFile, 'utf-8');
+        expect(after.startsWith(before)).toBe(true);
+        expect(readLines(store.logFile).slice(2).map(l => l.op)).toEqual(['entry', 'run', 'meta']);
+        expect(store.readHistory()).toMatchObject({
+            lastUpdated: entryAt(5).timestamp,
+            entries: [entryAt(0), entryAt(5)],
+            collectionLog: [{ status: 'success' }]
+        });
+    });
+
+    it('should ignore a torn last line and drop it on the next append', () => {
+        store.appendEntry(entryAt(0));
+        fs.appendFileSync(store.logFile, '{"op":"entry","entry":{"timestamp":"2026-01');
+
+        expect(store.getEntries()).toEqual([entryAt(0)]);
+
+        store.appendEntry(entryAt(5));
+        expect(store.getEntries()).toEqual([entryAt(0), entryAt(5)]);
+        expect(readLines(store.logFile)).toHaveLength(3);
+    });
+
+    it('should reject corruption before the last line', () => {
+        store.appendEntry(entryAt(0));
+        fs.appendFileSync(store.logFile, 'not json\n');
+        store.appendEntry(entryAt(5));
+
+        expect(() => store.getEntries()).toThrow('line 3');
+    });
+
+    it('should compact the log into a snapshot and keep appending', () => {
+        [0, 5, 10].forEach(m => store.appendEntry(entryAt(m), { keepSince: entryAt(m - 5).timestamp }));
+        store.setMeta({ lastUpdated: entryAt(10).timestamp });
+
+        const result = store.compact();
+        expect(result.after).toBeLessThan(result.before + 1024);
+        expect(readLines(store.logFile)).toEqual([expect.objectContaining({ op: 'header', generation: 2 })]);
+
+        const snapshot = JSON.parse(fs.readFileSync(store.snapshotFile, 'utf-8'));
+        expect(snapshot.generation).toBe(1);
+        expect(snapshot.history.entries).toEqual([entryAt(5), entryAt(10)]);
+
+        store.appendEntry(entryAt(15));
+        expect(store.getEntries().map(e => e.modelCalls)).toEqual([5, 10, 15]);
+        expect(store.getMeta().lastUpdated).toBe(entryAt(10).timestamp);
+    });
+
+    it('should not replay a log already folded into the snapshot', () => {
+        [0, 5].forEach(m => store.appendEntry(entryAt(m)));
+        const log = fs.readFileSync(store.logFile, 'utf-8');
+
+        // Simulate a crash after the snapshot was written but before the log was replaced
+        store.compact();
+        fs.writeFileSync(store.logFile, log);
+
+        expect(store.getEntries()).toEqual([entryAt(0), entryAt(5)]);
+    });
+
+    it('should report when the log outgrows the compaction threshold', () => {
+        expect(store.needsCompaction()).toBe(false);
+        store.appendEntry(entryAt(0));
+
+        expect(store.needsCompaction(10)).toBe(true);
+        store.compact();
+        expect(store.needsCompaction(100)).toBe(false);
+    });
+
+    it('should migrate JSON history into the log format', () => {
+        const jsonFile = path.join(dataDir, 'work-usage-history.json');
+        fs.writeFileSync(jsonFile, JSON.stringify({ entries: [entryAt(0), entryAt(5)], lastUpdated: entryAt(5).timestamp }));
+
+        const result = migrateProfile({ profile: 'work', from: 'json', to: 'jsonl', dataDir });
+        expect(result).toMatchObject({ migrated: true, entries: 2 });
+
+        const work = new JsonlHistoryStore({ profile: 'work', dataDir });
+        expect(work.readHistory()).toMatchObject({ lastUpdated: entryAt(5).timestamp, entries: [entryAt(0), entryAt(5)] });
+        expect(fs.existsSync(path.join(dataDir, 'work-usage-history.snapshot.json'))).toBe(true);
+    });
+});
+
+describe('JSONL log records', () => {
+    it('should parse complete lines only', () => {
+        expect(parseLog('{"op":"header","generation":1}\n{"op":"meta"')).toEqual([{ op: 'header', generation: 1 }]);
+        expect(parseLog('')).toEqual([]);
+    });
+
+    it('should apply retention cutoffs and prunes while replaying', () => {
+        const history = { entries: [] };
+        [0, 5, 10].forEach(m => applyRecord(history, { op: 'entry', entry: entryAt(m), since: entryAt(m - 5).timestamp }));
+        expect(history.entries).toEqual([entryAt(5), entryAt(10)]);
+
+        applyRecord(history, { op: 'prune', before: entryAt(10).timestamp });
+        expect(history.entries).toEqual([entryAt(10)]);
+    });
+
+    it('should still replay count-based records from older logs', () => {
+        const history = { entries: [] };
+        [0, 5, 10].forEach(m => applyRecord(history, { op: 'entry', entry: entryAt(m), max: 2 }));
+        expect(history.entries).toEqual([entryAt(5), entryAt(10)]);
+
+        applyRecord(history, { op: 'trim', keep: 1 });
+        expect(history.entries).toEqual([entryAt(10)]);
+
+        expect(() => applyRecord(history, { op: 'bogus' })).toThrow('Unknown history log record');
+    });
+});
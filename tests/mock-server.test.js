@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockApp, createMockState, startMockServer, buildPayload } from '../scripts/mock-server.mjs';
+
+const HOUR = 60 * 60 * 1000;
+const COLLECTOR_PATH = path.join(__dirname, '..', 'scripts', 'usage-collector.mjs');
+
+async function getJSON(url, headers = {}) {
+    const res = await fetch(url, { headers });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+describe('Mock GLM Monitor API', () => {
+    describe('createMockState', () => {
+        it('should grow counters with simulated time', () => {
+            let now = 0;
+            const state = createMockState({ variance: 0, speed: 2 }, { now: () => now });
+
+            now = HOUR / 2; // one simulated hour at 2x speed
+            const first = state.snapshot();
+            expect(first.tokens).toBe(2000000);
+            expect(first.calls).toBe(120);
+            expect(first.mcp).toBe(12);
+            expect(Object.values(first.tools).reduce((a, b) => a + b, 0)).toBe(12);
+            expect(first.models['glm-4.6']).toEqual({ calls: 96, inputTokens: 1200000, outputTokens: 400000 });
+
+            now = HOUR;
+            const second = state.snapshot();
+            expect(second.tokens).toBe(4000000);
+            expect(second.tokenQuota.percentage).toBe(10);
+        });
+
+        it('should reset the token quota window', () => {
+            let now = 0;
+            const state = createMockState({ variance: 0, tokenWindow: '5h' }, { now: () => now });
+
+            now = 4 * HOUR;
+            expect(state.snapshot().tokenQuota.currentValue).toBe(8000000);
+
+            now = 6 * HOUR;
+            const afterReset = state.snapshot();
+            expect(afterReset.tokenQuota.currentValue).toBe(4000000);
+            expect(afterReset.tokenQuota.nextResetTime).toBe(10 * HOUR);
+            // Cumulative totals keep growing unless counterReset is set
+            expect(afterReset.tokens).toBe(12000000);
+        });
+
+        it('should zero the totals on counterReset', () => {
+            let now = 0;
+            const state = createMockState({ variance: 0, counterReset: '24h' }, { now: () => now });
+
+            now = 23 * HOUR;
+            expect(state.snapshot().tokens).toBe(46000000);
+
+            now = 25 * HOUR;
+            expect(state.snapshot().tokens).toBe(4000000);
+        });
+
+        it('should reject invalid durations', () => {
+            expect(() => createMockState({ tokenWindow: 'soon' })).toThrow('Invalid tokenWindow');
+        });
+    });
+
+    describe('HTTP routes', () => {
+        let mock;
+
+        beforeAll(async () => {
+            mock = await startMockServer({ port: 0, scenario: { token: 'mock-token' } });
+        });
+
+        afterAll(() => new Promise(resolve => mock.server.close(resolve)));
+
+        const auth = { Authorization: 'mock-token' };
+
+        it('should serve payloads in the monitoring API shape', async () => {
+            const model = await getJSON(`${mock.url}/api/monitor/usage/model-usage`, auth);
+            const tool = await getJSON(`${mock.url}/api/monitor/usage/tool-usage`, auth);
+            const quota = await getJSON(`${mock.url}/api/monitor/usage/quota/limit`, auth);
+
+            expect(model.body.data.totalUsage).toHaveProperty('totalTokensUsage');
+            expect(model.body.data.totalUsage).toHaveProperty('totalModelCallCount');
+            expect(model.body.data.totalUsage.modelSummaryList.map(m => m.modelName)).toEqual(['glm-4.6', 'glm-4.5-air']);
+            expect(tool.body.data.totalUsage).toHaveProperty('toolBreakdown');
+            expect(quota.body.data.limits.map(l => l.type)).toEqual(['TOKENS_LIMIT', 'TIME_LIMIT']);
+        });
+
+        it('should reject requests without the configured token', async () => {
+            const res = await getJSON(`${mock.url}/api/monitor/usage/model-usage`);
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should play scripted steps in order', async () => {
+            await fetch(`${mock.url}/__mock/steps`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify([
+                    { route: 'quota/limit', status: 429, retryAfter: 2 },
+                    { route: 'quota/limit', delay: '20ms', times: 2 }
+                ])
+            });
+
+            const limited = await getJSON(`${mock.url}/api/monitor/usage/quota/limit`, auth);
+            expect(limited.status).toBe(429);
+            expect(limited.headers.get('retry-after')).toBe('2');
+
+            const started = Date.now();
+            await getJSON(`${mock.url}/api/monitor/usage/quota/limit`, auth);
+            await getJSON(`${mock.url}/api/monitor/usage/quota/limit`, auth);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+
+            const state = await getJSON(`${mock.url}/__mock/state`);
+            expect(state.body.pendingSteps).toBe(0);
+        });
+
+        it('should reject invalid steps and keep serving', async () => {
+            const res = await fetch(`${mock.url}/__mock/steps`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify([{ route: 'quota/limit', delay: 'soon' }])
+            });
+            expect(res.status).toBe(400);
+            expect((await res.json()).msg).toContain('Invalid step delay "soon"');
+
+            const quota = await getJSON(`${mock.url}/api/monitor/usage/quota/limit`, auth);
+            expect(quota.status).toBe(200);
+            expect((await getJSON(`${mock.url}/__mock/state`)).body.pendingSteps).toBe(0);
+        });
+    });
+
+    it('should reject invalid steps in a scenario', () => {
+        expect(() => createMockApp({ steps: [{ route: 'nowhere' }] })).toThrow('Unknown step route "nowhere"');
+        expect(() => createMockApp({ steps: [{ delay: 'soon' }] })).toThrow('Invalid step delay');
+    });
+
+    it('should inject errors at the configured rate', async () => {
+        const mock = await startMockServer({ port: 0, scenario: { errorRate: 1, errorStatus: 502 } });
+        try {
+            const res = await getJSON(`${mock.url}/api/monitor/usage/tool-usage`);
+            expect(res.status).toBe(502);
+        } finally {
+            mock.server.close();
+        }
+    });
+
+    it('should build the expected quota payload', () => {
+        const payload = buildPayload('quota/limit', {
+            tokenQuota: { type: 'TOKENS_LIMIT', percentage: 42 },
+            mcpQuota: { type: 'TIME_LIMIT', percentage: 3 }
+        });
+
+        expect(payload.data.limits[0].percentage).toBe(42);
+        expect(payload.success).toBe(true);
+    });
+
+    describe('collector pipeline', () => {
+        let mock;
+        let home;
+
+        beforeAll(async () => {
+            mock = await startMockServer({ port: 0, scenario: { token: 'mock-token', speed: 3600 } });
+            home = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-mock-'));
+        });
+
+        afterAll(() => {
+            mock.server.close();
+            fs.rmSync(home, { recursive: true, force: true });
+        });
+
+        it('should collect and store an entry from the mock server', async () => {
+            await new Promise((resolve, reject) => {
+                execFile('node', [COLLECTOR_PATH], {
+                    timeout: 20000,
+                    env: {
+                        ...process.env,
+                        HOME: home,
+                        XDG_CONFIG_HOME: path.join(home, '.config'),
+                        ANTHROPIC_BASE_URL: `${mock.url}/api/anthropic`,
+                        ANTHROPIC_AUTH_TOKEN: 'mock-token'
+                    }
+                }, (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve()));
+            });
+
+            const history = JSON.parse(fs.readFileSync(path.join(home, '.glm-monitor', 'usage-history.json'), 'utf-8'));
+            expect(history.entries).toHaveLength(1);
+            expect(history.entries[0].tokensUsed).toBeGreaterThan(0);
+            expect(history.quotaLimits.tokenQuota.max).toBe(40000000);
+            expect(history.collectionLog[0].status).toBe('success');
+        }, 30000);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { describeModelUsage, sumModelUsage } from '../scripts/models.mjs';
+
+describe('Per-model usage', () => {
+    it('should read per-model records and keep their other fields', () => {
+        const models = describeModelUsage({
+            totalUsage: {
+                totalModelCallCount: 12,
+                totalTokensUsage: 9000,
+                modelSummaryList: [
+                    { modelName: 'glm-4.6', modelCallCount: 10, tokensUsage: 8000, inputTokens: 6000, outputTokens: 2000, tier: 'pro' },
+                    { model: 'glm-4.5-air', callCount: 2, promptTokens: 700, completionTokens: 300 },
+                    { tokensUsage: 5 }
+                ]
+            }
+        });
+
+        expect(models).toEqual({
+            'glm-4.6': {
+                modelCallCount: 10, tokensUsage: 8000, tier: 'pro',
+                calls: 10, tokens: 8000, inputTokens: 6000, outputTokens: 2000
+            },
+            'glm-4.5-air': {
+                callCount: 2, promptTokens: 700, completionTokens: 300,
+                calls: 2, tokens: 1000, inputTokens: 700, outputTokens: 300
+            }
+        });
+    });
+
+    it('should sum named series and read keyed breakdowns', () => {
+        expect(describeModelUsage({
+            x_time: ['00:00', '01:00'],
+            series: [{ name: 'glm-4.6', tokensUsage: [100, 200], modelCallCount: [1, 2] }]
+        })).toEqual({ 'glm-4.6': { calls: 3, tokens: 300 } });
+
+        expect(describeModelUsage({
+            totalUsage: { modelBreakdown: { 'glm-4.6': { calls: 4, tokens: 400 }, 'glm-4.5-air': 50 } }
+        })).toEqual({ 'glm-4.6': { calls: 4, tokens: 400 }, 'glm-4.5-air': { calls: 0, tokens: 50 } });
+
+        expect(describeModelUsage({ totalUsage: { totalTokensUsage: 9000 } })).toEqual({});
+        expect(describeModelUsage(undefined)).toEqual({});
+    });
+
+    it('should add up per-model deltas from entries and summaries', () => {
+        expect(sumModelUsage([
+            { modelDeltas: { 'glm-4.6': { calls: 2, tokens: 300, inputTokens: 200, outputTokens: 100 } } },
+            { resolution: 'hour', modelDeltas: { 'glm-4.6': { calls: 1, tokens: 100, inputTokens: 60, outputTokens: 40 }, 'glm-4.5-air': { calls: 1, tokens: 50 } } },
+            { tokensDelta: 0 }
+        ])).toEqual({
+            'glm-4.6': { calls: 3, tokens: 400, inputTokens: 260, outputTokens: 140 },
+            'glm-4.5-air': { calls: 1, tokens: 50 }
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPlugins, runPluginHook, collectTags } from '../scripts/plugins.mjs';
+
+vi.mock('conf', () => {
+    return {
+        default: class {
+            get(key, defaultValue) {
+                return defaultValue;
+            }
+        }
+    };
+});
+
+describe('Collector plugins', () => {
+    let dir;
+    const write = (name, source) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, source);
+        return file;
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-plugins-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load named exports, default objects and factories', async () => {
+        const named = write('named.mjs', 'export const name = "named"; export function afterCollect() {}');
+        const object = write('object.mjs', 'export default { beforeCollect() { return { source: "object" }; } };');
+        const factory = write('factory.mjs', 'export default (options) => ({ name: "factory", beforeCollect: () => ({ team: options.team }) });');
+        const empty = write('empty.mjs', 'export const version = 1;');
+
+        const { plugins, failed } = await loadPlugins([
+            { module: named },
+            { module: object, timeout: '2s' },
+            { module: factory, options: { team: 'core' } },
+            { module: empty },
+            { module: path.join(dir, 'missing.mjs') }
+        ], { timeoutMs: 500 });
+
+        expect(plugins.map(p => [p.name, Object.keys(p.hooks), p.timeoutMs])).toEqual([
+            ['named', ['afterCollect'], 500],
+            [object, ['beforeCollect'], 2000],
+            ['factory', ['beforeCollect'], 500]
+        ]);
+        expect(failed.map(f => f.name)).toEqual([empty, path.join(dir, 'missing.mjs')]);
+        expect(failed[0].error).toContain('exports none of');
+
+        expect(collectTags(await runPluginHook(plugins, 'beforeCollect'))).toEqual({ source: 'object', team: 'core' });
+    });
+
+    it('should isolate hooks that throw, time out or change their arguments', async () => {
+        const failures = [];
+        const calls = [];
+        const plugins = [
+            { name: 'throws', timeoutMs: 100, hooks: { afterCollect: () => { throw new Error('boom'); } } },
+            { name: 'hangs', timeoutMs: 20, hooks: { afterCollect: () => new Promise(() => {}) } },
+            { name: 'mutates', timeoutMs: 100, hooks: { afterCollect: (entry) => { entry.tokensUsed = 0; return 'changed'; } } },
+            { name: 'reads', timeoutMs: 100, hooks: { afterCollect: (entry) => calls.push(entry.tokensUsed) } }
+        ];
+        const entry = { tokensUsed: 1000 };
+
+        const results = await runPluginHook(plugins, 'afterCollect', [entry], {
+            onFailure: (plugin, hook, error) => failures.push(`${plugin.name} ${hook}: ${error.message}`)
+        });
+
+        expect(failures).toEqual(['throws afterCollect: boom', 'hangs afterCollect: timed out after 20ms']);
+        expect(results).toEqual([{ plugin: 'mutates', value: 'changed' }, { plugin: 'reads', value: 1 }]);
+        expect(calls).toEqual([1000]);
+        expect(entry.tokensUsed).toBe(1000);
+    });
+
+    it('should only keep plain objects as tags', () => {
+        expect(collectTags([{ value: undefined }, { value: ['a'] }, { value: 'main' }])).toBeNull();
+        expect(collectTags([{ value: { branch: 'main' } }, { value: { branch: 'dev', host: 'ci' } }])).toEqual({ branch: 'dev', host: 'ci' });
+    });
+});
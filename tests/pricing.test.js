@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { comparePlan, costOfRecord, formatCost, priceOf, resolvePricing, spanOf, sumCosts } from '../scripts/pricing.mjs';
+
+describe('Cost estimation', () => {
+    it('should layer configured prices over the defaults', () => {
+        const pricing = resolvePricing({
+            currency: 'EUR',
+            default: { output: 3 },
+            models: { 'GLM-4.6': { output: 2 }, 'custom-model': { input: 1 } }
+        });
+
+        expect(pricing.currency).toBe('EUR');
+        expect(pricing.default).toEqual({ input: 0.6, output: 3 });
+        expect(priceOf('glm-4.6', pricing)).toEqual({ input: 0.6, output: 2 });
+        expect(priceOf('Custom-Model', pricing)).toEqual({ input: 1, output: 2.2 });
+        expect(priceOf('unknown', pricing)).toBe(pricing.default);
+    });
+
+    it('should price model usage and estimate splits it does not know', () => {
+        const pricing = resolvePricing();
+        const costs = sumCosts([
+            // 1M tokens of glm-4.6 with a known split, and 1M of glm-4.5-air split 80/20
+            { timestamp: '2026-01-15T10:00:00.000Z', tokensDelta: 2500000, modelDeltas: {
+                'glm-4.6': { calls: 3, tokens: 1000000, inputTokens: 500000, outputTokens: 500000 },
+                'glm-4.5-air': { calls: 1, tokens: 1000000 }
+            } },
+            { type: 'gap', timestamp: '2026-01-15T11:00:00.000Z' },
+            // An hourly summary with no per-model usage
+            { timestamp: '2026-01-15T12:00:00.000Z', resolution: 'hour', deltas: { tokensUsed: 1000000 } }
+        ], pricing);
+
+        expect(costs.byModel['glm-4.6'].cost).toBeCloseTo(1.4);
+        expect(costs.byModel['glm-4.6'].estimated).toBe(false);
+        expect(costs.byModel['glm-4.5-air'].cost).toBeCloseTo(0.8 * 0.2 + 0.2 * 1.1);
+        expect(costs.byModel['glm-4.5-air'].estimated).toBe(true);
+        // The unattributed 0.5M and the summary's 1M are priced at the default
+        expect(costs.byModel.other.tokens).toBe(1500000);
+        expect(costs.byModel.other.cost).toBeCloseTo(1.5 * (0.8 * 0.6 + 0.2 * 2.2));
+        expect(costs.tokens).toBe(3500000);
+        expect(costs.total).toBeCloseTo(1.4 + 0.38 + 1.38);
+        expect(costs.estimated).toBe(true);
+
+        expect(costOfRecord({ tokensDelta: 1000000 }, pricing)).toBeCloseTo(0.92);
+        expect(costOfRecord({ type: 'gap' }, pricing)).toBe(0);
+    });
+
+    it('should compare the projected monthly cost with the plan', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const span = spanOf([
+            { timestamp: '2026-01-15T00:00:00.000Z' },
+            { timestamp: '2026-01-16T00:00:00.000Z' }
+        ]);
+        expect(span).toBe(day);
+
+        expect(comparePlan(2, span)).toEqual({ projectedMonthly: 60, plan: null, difference: null, cheaper: null });
+
+        const plan = { name: 'Coding Lite', monthlyPrice: 15 };
+        expect(comparePlan(2, span, resolvePricing({ plan }))).toEqual({ projectedMonthly: 60, plan, difference: 45, cheaper: 'plan' });
+        expect(comparePlan(0.1, span, resolvePricing({ plan })).cheaper).toBe('pay-as-you-go');
+        expect(comparePlan(2, 0, resolvePricing({ plan })).projectedMonthly).toBeNull();
+    });
+
+    it('should format amounts in the table currency', () => {
+        expect(formatCost(12.345)).toBe('$12.35');
+        expect(formatCost(0.01234)).toBe('$0.0123');
+        expect(formatCost(0)).toBe('$0.00');
+        expect(formatCost(3, 'EUR')).toBe('EUR 3.00');
+    });
+});
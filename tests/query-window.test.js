@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { resolveQueryWindow, parseWallClock, formatWallClock, isValidTimezone } from '../scripts/query-window.mjs';
+
+const now = new Date('2026-03-15T14:25:00Z');
+
+describe('Query windows', () => {
+    it('should default to this hour yesterday through the end of this hour', () => {
+        expect(resolveQueryWindow({ timezone: 'UTC' }, now)).toEqual({
+            mode: 'rolling',
+            timezone: 'UTC',
+            start: '2026-03-14T14:00:00.000Z',
+            end: '2026-03-15T14:59:59.999Z',
+            startTime: '2026-03-14 14:00:00',
+            endTime: '2026-03-15 14:59:59'
+        });
+    });
+
+    it('should use wall-clock times in the configured timezone', () => {
+        const day = resolveQueryWindow({ mode: 'day', timezone: 'Asia/Tokyo' }, now);
+        expect(day.startTime).toBe('2026-03-15 00:00:00');
+        expect(day.endTime).toBe('2026-03-15 23:59:59');
+        expect(day.start).toBe('2026-03-14T15:00:00.000Z');
+
+        // 23:25 in Tokyo is 14:25 UTC
+        expect(resolveQueryWindow({ timezone: 'Asia/Tokyo' }, now).endTime).toBe('2026-03-15 23:59:59');
+    });
+
+    it('should start billing cycles on the configured day', () => {
+        expect(resolveQueryWindow({ mode: 'cycle', timezone: 'UTC', cycleStartDay: 10 }, now).startTime).toBe('2026-03-10 00:00:00');
+        expect(resolveQueryWindow({ mode: 'cycle', timezone: 'UTC', cycleStartDay: 20 }, now).startTime).toBe('2026-02-20 00:00:00');
+        expect(resolveQueryWindow({ mode: 'cycle', timezone: 'UTC' }, new Date('2026-01-01T05:00:00Z')).startTime).toBe('2026-01-01 00:00:00');
+        expect(() => resolveQueryWindow({ mode: 'cycle', cycleStartDay: 31 }, now)).toThrow('start day');
+    });
+
+    it('should resolve explicit ranges', () => {
+        const range = resolveQueryWindow({ mode: 'range', timezone: 'UTC', from: '2026-03-01', to: '2026-03-02' }, now);
+        expect(range.startTime).toBe('2026-03-01 00:00:00');
+        expect(range.endTime).toBe('2026-03-02 23:59:59');
+        expect(resolveQueryWindow({ mode: 'range', timezone: 'UTC', from: '2026-03-15 10:00' }, now).end).toBe(now.toISOString());
+
+        expect(() => resolveQueryWindow({ mode: 'range', timezone: 'UTC' }, now)).toThrow('valid "from"');
+        expect(() => resolveQueryWindow({ mode: 'range', timezone: 'UTC', from: '2026-03-03', to: '2026-03-02' }, now)).toThrow('end after');
+        expect(() => resolveQueryWindow({ mode: 'weekly' }, now)).toThrow('Unknown query window');
+        expect(() => resolveQueryWindow({ timezone: 'Nowhere/Special' }, now)).toThrow('Unknown timezone');
+    });
+
+    it('should convert wall-clock times across daylight saving changes', () => {
+        // Clocks in New York moved forward on 8 March 2026
+        expect(parseWallClock('2026-03-07 12:00', 'America/New_York').toISOString()).toBe('2026-03-07T17:00:00.000Z');
+        expect(parseWallClock('2026-03-09 12:00', 'America/New_York').toISOString()).toBe('2026-03-09T16:00:00.000Z');
+        expect(parseWallClock('2026-03-09T12:00:00Z', 'America/New_York').toISOString()).toBe('2026-03-09T12:00:00.000Z');
+        expect(formatWallClock(new Date('2026-03-09T16:00:00Z'), 'America/New_York')).toBe('2026-03-09 12:00:00');
+        expect(parseWallClock('soon', 'UTC')).toBeNull();
+        expect(parseWallClock('2026-03-09T12:00+02:00', 'UTC').toISOString()).toBe('2026-03-09T10:00:00.000Z');
+        expect(parseWallClock('2024-02-29', 'UTC').toISOString()).toBe('2024-02-29T00:00:00.000Z');
+    });
+
+    it('should reject dates that are out of range or have trailing text', () => {
+        ['2026-13-45', '2026-02-29', '2026-01-01 24:00', '2026-01-01 12:60', '2026-01-01T25:00:00Z',
+            '2026-01-01 garbage$(id)', '2026-01-01$(id)', 'March 9, 2026', '1767225600000'].forEach((value) => {
+            expect(parseWallClock(value, 'UTC')).toBeNull();
+        });
+        expect(() => resolveQueryWindow({ mode: 'range', from: '2026-01-01$(id)', timezone: 'UTC' }, now))
+            .toThrow('valid "from" date');
+        expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { toResetTime, describeQuotaLimit, describeQuota, formatResetsIn } from '../scripts/quota.mjs';
+
+describe('Quota limits', () => {
+    it('should read reset times in milliseconds, seconds or as dates', () => {
+        expect(toResetTime(1767236400000)).toBe('2026-01-01T03:00:00.000Z');
+        expect(toResetTime(1767236400)).toBe('2026-01-01T03:00:00.000Z');
+        expect(toResetTime('1767236400000')).toBe('2026-01-01T03:00:00.000Z');
+        expect(toResetTime('2026-01-01T03:00:00Z')).toBe('2026-01-01T03:00:00.000Z');
+        expect(toResetTime(null)).toBeNull();
+        expect(toResetTime('soon')).toBeNull();
+    });
+
+    it('should keep every field of a limit', () => {
+        expect(describeQuotaLimit({ type: 'TOKENS_LIMIT', unit: 3, currentValue: 40, usage: 100, percentage: 40, usageDetails: [] })).toEqual({
+            type: 'TOKENS_LIMIT',
+            unit: 3,
+            currentValue: 40,
+            usage: 100,
+            percentage: 40,
+            usageDetails: [],
+            current: 40,
+            max: 100,
+            resetsAt: null
+        });
+
+        const quota = describeQuota({ level: 'pro', limits: [{ type: 'TIME_LIMIT', percentage: 5 }] });
+        expect(quota.level).toBe('pro');
+        expect(quota.timeQuota.percentage).toBe(5);
+        expect(quota.tokenQuota).toMatchObject({ current: 0, max: 0, percentage: 0 });
+        expect(describeQuota(undefined).limits).toEqual([]);
+    });
+
+    it('should format the time until a reset', () => {
+        const now = new Date('2026-01-01T00:00:00Z');
+        expect(formatResetsIn('2026-01-01T03:12:00Z', now)).toBe('3h 12m');
+        expect(formatResetsIn('2026-01-01T00:04:30Z', now)).toBe('5m');
+        expect(formatResetsIn('2026-01-03T05:00:00Z', now)).toBe('2d 5h');
+        expect(formatResetsIn('2025-12-31T23:00:00Z', now)).toBe('now');
+        expect(formatResetsIn(null, now)).toBeNull();
+    });
+});
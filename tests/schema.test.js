@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    CURRENT_SCHEMA_VERSION,
+    SchemaVersionError,
+    migrateDocument,
+    migrateBackup,
+    verifyDocuments
+} from '../scripts/schema.mjs';
+import { openHistoryStore, verifyProfile } from '../scripts/history-store.mjs';
+import { isSqliteAvailable, loadSqliteDriver } from '../scripts/sqlite-store.mjs';
+
+const legacyHistory = () => ({
+    lastUpdated: '2026-01-01T00:10:00.000Z',
+    entries: [
+        { timestamp: '2026-01-01T00:00:00.000Z', modelCalls: 5, tokensUsed: 1000 },
+        { timestamp: '2026-01-01T00:05:00.000Z', type: 'gap', reason: 'timeout' },
+        { timestamp: '2026-01-01T00:10:00.000Z', modelCalls: 7, tokensUsed: 2000, mcpCalls: 1, mcpToolBreakdown: { search: 1 } }
+    ]
+});
+
+describe('Schema migrations', () => {
+    it('should upgrade unversioned history to the current shape', () => {
+        const migrated = migrateDocument('history', legacyHistory());
+
+        expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(migrated.lastUpdated).toBe('2026-01-01T00:10:00.000Z');
+        expect(migrated.entries[0]).toEqual({
+            timestamp: '2026-01-01T00:00:00.000Z',
+            modelCalls: 5,
+            tokensUsed: 1000,
+            mcpCalls: 0,
+            tokenQuotaPercent: 0,
+            timeQuotaPercent: 0,
+            mcpToolBreakdown: {},
+            cycleId: '2026-01-01T00:00:00.000Z',
+            tokensDelta: 0,
+            callsDelta: 0,
+            mcpDelta: 0,
+            mcpToolDeltas: {},
+            modelDeltas: {}
+        });
+        expect(migrated.entries[1]).toEqual(legacyHistory().entries[1]);
+        expect(migrated.entries[2].mcpToolBreakdown).toEqual({ search: 1 });
+        expect(migrated.entries[2]).toMatchObject({ tokensDelta: 1000, callsDelta: 2, mcpDelta: 1, mcpToolDeltas: { search: 1 } });
+    });
+
+    it('should leave current documents untouched and re-run safely', () => {
+        const migrated = migrateDocument('history', legacyHistory());
+        expect(migrateDocument('history', migrated)).toBe(migrated);
+        expect(migrateDocument('history', { ...migrated, schemaVersion: 0 })).toEqual(migrated);
+    });
+
+    it('should fill summary counters', () => {
+        const migrated = migrateDocument('summaries', { summaries: [{ timestamp: '2026-01-01T00:00:00.000Z', modelCalls: 3 }] });
+        expect(migrated.summaries[0]).toMatchObject({ modelCalls: 3, tokensUsed: 0, timeQuotaPercent: 0 });
+        expect(migrated.summaries[0].mcpToolBreakdown).toBeUndefined();
+    });
+
+    it('should mark summaries from before rollup tiers as hourly', () => {
+        const migrated = migrateDocument('summaries', {
+            schemaVersion: 1,
+            summaries: [
+                { timestamp: '2026-01-01T00:00:00.000Z', modelCalls: 3 },
+                { timestamp: '2026-01-01T00:00:00.000Z', resolution: 'day', modelCalls: 3 }
+            ]
+        });
+        expect(migrated.summaries.map(s => s.resolution)).toEqual(['hour', 'day']);
+    });
+
+    it('should refuse data from a newer version', () => {
+        expect(() => migrateDocument('history', { schemaVersion: CURRENT_SCHEMA_VERSION + 1, entries: [] }, '/tmp/h.json'))
+            .toThrow(SchemaVersionError);
+        expect(() => migrateBackup({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).toThrow('Upgrade glm-monitor');
+    });
+
+    it('should upgrade old backups', () => {
+        const backup = migrateBackup({ version: '1.0', history: legacyHistory(), summaries: { summaries: [] } });
+
+        expect(backup.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(backup.history.entries[0].mcpCalls).toBe(0);
+        expect(backup.summaries.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(migrateBackup({ history: legacyHistory() }).summaries).toBeUndefined();
+    });
+
+    it('should report invalid, unordered and duplicate records', () => {
+        const history = migrateDocument('history', legacyHistory());
+        expect(verifyDocuments({ history })).toEqual([]);
+
+        history.entries.push(
+            { ...history.entries[0] },
+            { ...history.entries[2], timestamp: 'yesterday' },
+            { ...history.entries[2], timestamp: '2026-01-01T01:00:00.000Z', tokensUsed: '12', mcpToolBreakdown: null }
+        );
+        expect(verifyDocuments({ history })).toEqual([
+            'entries[3]: out of order (2026-01-01T00:00:00.000Z)',
+            'entries[3]: duplicate timestamp 2026-01-01T00:00:00.000Z',
+            'entries[4]: invalid timestamp "yesterday"',
+            'entries[5]: tokensUsed is "12", expected a non-negative number',
+            'entries[5]: mcpToolBreakdown is missing'
+        ]);
+    });
+});
+
+describe('Versioned stores', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-schema-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should upgrade a legacy JSON file on load and persist it on the next write', () => {
+        const file = path.join(dataDir, 'usage-history.json');
+        fs.writeFileSync(file, JSON.stringify(legacyHistory()));
+
+        const store = openHistoryStore({ backend: 'json', dataDir });
+        expect(store.storedSchemaVersion()).toBe(0);
+        expect(store.getLatestEntry().tokenQuotaPercent).toBe(0);
+        expect(verifyProfile({ backend: 'json', dataDir })).toMatchObject({ storedVersion: 0, entries: 3, problems: [] });
+
+        store.setMeta({ lastUpdated: '2026-01-01T00:15:00.000Z' });
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(store.storedSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    it('should upgrade a legacy JSONL snapshot and stamp new logs', () => {
+        fs.writeFileSync(path.join(dataDir, 'usage-history.snapshot.json'), JSON.stringify({ generation: 1, history: legacyHistory() }));
+
+        const store = openHistoryStore({ backend: 'jsonl', dataDir });
+        expect(store.getEntries()[0].mcpToolBreakdown).toEqual({});
+        expect(store.storedSchemaVersion()).toBe(0);
+
+        store.compact();
+        expect(store.storedSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+        expect(store.readLogHeader().schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    it('should report data it cannot read', () => {
+        fs.writeFileSync(path.join(dataDir, 'usage-history.json'), JSON.stringify({ schemaVersion: 99, entries: [] }));
+
+        const result = verifyProfile({ backend: 'json', dataDir });
+        expect(result.error).toContain('schema version 99');
+        expect(verifyProfile({ profile: 'empty', backend: 'json', dataDir })).toEqual({ profile: 'empty', exists: false, problems: [] });
+    });
+
+    it.skipIf(!isSqliteAvailable())('should migrate rows of an older SQLite database when it is opened', () => {
+        openHistoryStore({ backend: 'sqlite', dataDir }).close();
+
+        // Rewind the database to a pre-versioning state
+        const db = loadSqliteDriver().open(path.join(dataDir, 'usage.db'));
+        db.exec('PRAGMA user_version = 0');
+        db.prepare('INSERT INTO entries (timestamp, type, data) VALUES (?, ?, ?)')
+            .run('2026-01-01T00:00:00.000Z', null, JSON.stringify(legacyHistory().entries[0]));
+        db.close();
+
+        const store = openHistoryStore({ backend: 'sqlite', dataDir });
+        expect(store.storedSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+        expect(store.getEntries()[0]).toMatchObject({ mcpCalls: 0, mcpToolBreakdown: {} });
+        expect(store.readHistory().schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        store.close();
+    });
+
+    it.skipIf(!isSqliteAvailable())('should re-key summaries of a version 1 SQLite database by resolution', () => {
+        // The version 1 layout, keyed by timestamp alone
+        const db = loadSqliteDriver().open(path.join(dataDir, 'usage.db'));
+        db.exec('CREATE TABLE summaries (timestamp TEXT PRIMARY KEY, data TEXT NOT NULL)');
+        db.exec("CREATE TABLE meta (scope TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (scope, key))");
+        db.prepare('INSERT INTO summaries (timestamp, data) VALUES (?, ?)')
+            .run('2026-01-01T00:00:00.000Z', JSON.stringify({ timestamp: '2026-01-01T00:00:00.000Z', modelCalls: 3 }));
+        db.prepare('INSERT INTO meta (scope, key, value) VALUES (?, ?, ?)').run('history', 'lastUpdated', '"2026-01-01T00:00:00.000Z"');
+        db.exec('PRAGMA user_version = 1');
+        db.close();
+
+        const store = openHistoryStore({ backend: 'sqlite', dataDir });
+        expect(store.getSummaries({ resolution: 'hour' })).toMatchObject([{ modelCalls: 3, resolution: 'hour' }]);
+        expect(store.addSummaries([{ timestamp: '2026-01-01T00:00:00.000Z', resolution: 'day', modelCalls: 3 }])).toBe(1);
+        store.close();
+    });
+});
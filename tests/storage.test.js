@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFile, spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { acquireLock, readJSON, takeOverLock, writeJSONAtomic, updateJSON, withFileLock, LockTimeoutError } from '../scripts/storage.mjs';
+
+const STORAGE_PATH = path.join(__dirname, '..', 'scripts', 'storage.mjs');
+
+describe('Storage Helpers', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glm-storage-'));
+        file = path.join(dir, 'usage-history.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write JSON atomically without leaving temp files', () => {
+        writeJSONAtomic(file, { entries: [1, 2, 3] });
+
+        expect(readJSON(file)).toEqual({ entries: [1, 2, 3] });
+        expect(fs.readdirSync(dir)).toEqual(['usage-history.json']);
+    });
+
+    it('should return the fallback for missing files and throw for corrupt ones', () => {
+        expect(readJSON(file, { entries: [] })).toEqual({ entries: [] });
+
+        fs.writeFileSync(file, '{"entries": [');
+        expect(() => readJSON(file)).toThrow();
+    });
+
+    it('should skip the write when the updater returns false', () => {
+        writeJSONAtomic(file, { count: 1 });
+
+        updateJSON(file, {}, () => false);
+        expect(readJSON(file)).toEqual({ count: 1 });
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('should allow nested locks on the same file within a process', () => {
+        const result = withFileLock(file, () => updateJSON(file, { count: 0 }, data => ({ count: data.count + 1 })));
+
+        expect(result).toEqual({ count: 1 });
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('should release the lock when the callback throws', () => {
+        expect(() => withFileLock(file, () => { throw new Error('boom'); })).toThrow('boom');
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('should take over a lock left by a dead process', () => {
+        fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 12345 }));
+
+        const release = acquireLock(file, { timeout: 500 });
+        expect(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf-8')).pid).toBe(process.pid);
+        release();
+    });
+
+    it('should let only one of two takeovers of a stale lock remove it', () => {
+        const lockPath = `${file}.lock`;
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 12345 }));
+        // Both processes judged the same lock stale
+        const stale = fs.statSync(lockPath);
+
+        expect(takeOverLock(lockPath, stale)).toBe(true);
+        expect(fs.existsSync(lockPath)).toBe(false);
+
+        // The first one creates its lock before the second one gets to the takeover
+        const release = acquireLock(file, { timeout: 100 });
+        const owned = fs.readFileSync(lockPath, 'utf-8');
+        expect(takeOverLock(lockPath, stale)).toBe(false);
+        expect(fs.readFileSync(lockPath, 'utf-8')).toBe(owned);
+        expect(fs.readdirSync(dir)).toEqual(['usage-history.json.lock']);
+        release();
+    });
+
+    it('should keep a lock while its owner is alive, up to the maximum age', () => {
+        // The parent process stands in for another live process holding the lock
+        fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: process.ppid }));
+        const old = new Date(Date.now() - 5 * 60 * 1000);
+        fs.utimesSync(`${file}.lock`, old, old);
+
+        expect(() => acquireLock(file, { timeout: 200, staleMs: 100 })).toThrow(LockTimeoutError);
+
+        const release = acquireLock(file, { timeout: 200, maxAgeMs: 60 * 1000 });
+        expect(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf-8')).pid).toBe(process.pid);
+        release();
+    });
+
+    it('should take over a lock with our PID that this process does not hold', () => {
+        // Left by an earlier run that got the same PID, e.g. a restarted container
+        fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: process.pid, acquiredAt: '2026-01-01T00:00:00.000Z' }));
+
+        const release = acquireLock(file, { timeout: 200 });
+        expect(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf-8')).acquiredAt).not.toBe('2026-01-01T00:00:00.000Z');
+        release();
+        expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    it('should not remove a lock another process took over on release', () => {
+        const release = acquireLock(file);
+        const other = JSON.stringify({ pid: process.ppid });
+        fs.writeFileSync(`${file}.lock`, other);
+
+        release();
+        expect(fs.readFileSync(`${file}.lock`, 'utf-8')).toBe(other);
+    });
+
+    it('should take over an old lock without an owner, leaving no temp files', () => {
+        fs.writeFileSync(`${file}.lock`, '');
+        expect(() => acquireLock(file, { timeout: 100 })).toThrow(LockTimeoutError);
+
+        const old = new Date(Date.now() - 60 * 60 * 1000);
+        fs.utimesSync(`${file}.lock`, old, old);
+        const release = acquireLock(file, { timeout: 100, staleMs: 1000 });
+        expect(JSON.parse(fs.readFileSync(`${file}.lock`, 'utf-8')).pid).toBe(process.pid);
+        expect(fs.readdirSync(dir)).toEqual(['usage-history.json.lock']);
+        release();
+    });
+
+    it('should time out while another live process holds the lock', async () => {
+        const holder = spawn('node', ['--input-type=module', '-e', `
+            import { acquireLock } from ${JSON.stringify(STORAGE_PATH)};
+            acquireLock(${JSON.stringify(file)});
+            console.log('locked');
+            setTimeout(() => {}, 5000);
+        `]);
+
+        try {
+            await new Promise((resolve) => holder.stdout.once('data', resolve));
+            expect(() => acquireLock(file, { timeout: 200 })).toThrow(LockTimeoutError);
+        } finally {
+            holder.kill();
+        }
+    }, 10000);
+
+    it('should not lose updates from concurrent processes', async () => {
+        writeJSONAtomic(file, { count: 0 });
+        // Every process starts by racing to take over a lock left by a dead one
+        fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 12345 }));
+
+        const worker = `
+            import { updateJSON } from ${JSON.stringify(STORAGE_PATH)};
+            for (let i = 0; i < 20; i++) {
+                updateJSON(${JSON.stringify(file)}, { count: 0 }, data => ({ count: data.count + 1 }));
+            }
+        `;
+        const run = () => new Promise((resolve, reject) => {
+            execFile('node', ['--input-type=module', '-e', worker], { timeout: 20000 },
+                (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve()));
+        });
+
+        await Promise.all([run(), run(), run()]);
+
+        expect(readJSON(file)).toEqual({ count: 60 });
+    }, 30000);
+});
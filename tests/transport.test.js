@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { createRequest, getProxyForUrl, shouldBypassProxy } from '../scripts/transport.mjs';
+
+/**
+ * Run a request built by createRequest and collect the response
+ */
+function send(url, options) {
+    return new Promise((resolve, reject) => {
+        const req = createRequest(url, options, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('HTTP Transport', () => {
+    describe('getProxyForUrl', () => {
+        it('should pick the proxy matching the scheme', () => {
+            const env = { HTTPS_PROXY: 'http://proxy.corp:3128', http_proxy: 'http://plain.corp:8080' };
+
+            expect(getProxyForUrl('https://api.z.ai/x', env).href).toBe('http://proxy.corp:3128/');
+            expect(getProxyForUrl('http://localhost:9000/x', env).href).toBe('http://plain.corp:8080/');
+        });
+
+        it('should accept proxies without a scheme', () => {
+            expect(getProxyForUrl('https://api.z.ai', { HTTPS_PROXY: 'proxy.corp:3128' }).host).toBe('proxy.corp:3128');
+        });
+
+        it('should return null without a proxy or when bypassed', () => {
+            expect(getProxyForUrl('https://api.z.ai', {})).toBeNull();
+            expect(getProxyForUrl('https://api.z.ai', { HTTPS_PROXY: 'http://p:1', NO_PROXY: '.z.ai' })).toBeNull();
+        });
+
+        it('should reject unsupported proxy protocols', () => {
+            expect(() => getProxyForUrl('https://api.z.ai', { HTTPS_PROXY: 'socks5://p:1080' })).toThrow('Unsupported proxy protocol');
+        });
+    });
+
+    describe('shouldBypassProxy', () => {
+        it('should match hosts, suffixes, ports and wildcards', () => {
+            expect(shouldBypassProxy('http://localhost:8090', 'localhost')).toBe(true);
+            expect(shouldBypassProxy('https://gw.corp.local', 'corp.local')).toBe(true);
+            expect(shouldBypassProxy('https://gw.corp.local', '*.corp.local')).toBe(true);
+            expect(shouldBypassProxy('https://api.z.ai', 'corp.local, 127.0.0.1')).toBe(false);
+            expect(shouldBypassProxy('http://gw:8443', 'gw:8443')).toBe(true);
+            expect(shouldBypassProxy('http://gw:9000', 'gw:8443')).toBe(false);
+            expect(shouldBypassProxy('https://anything', '*')).toBe(true);
+        });
+    });
+
+    describe('createRequest', () => {
+        let target;
+        let targetPort;
+        let proxy;
+        let proxyPort;
+        const proxied = [];
+
+        beforeAll(async () => {
+            target = http.createServer((req, res) => {
+                res.end(JSON.stringify({ path: req.url }));
+            });
+            targetPort = await listen(target);
+
+            // Minimal forward proxy: answers absolute-URI requests and refuses CONNECT
+            proxy = http.createServer((req, res) => {
+                proxied.push(req.url);
+                res.end(JSON.stringify({ viaProxy: req.url }));
+            });
+            proxy.on('connect', (req, socket) => {
+                socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+            });
+            proxyPort = await listen(proxy);
+        });
+
+        afterAll(() => {
+            target.close();
+            proxy.close();
+        });
+
+        it('should honor plain HTTP and custom ports', async () => {
+            const res = await send(`http://127.0.0.1:${targetPort}/api/monitor/usage/model-usage?x=1`, { env: {} });
+
+            expect(res.status).toBe(200);
+            expect(JSON.parse(res.body)).toEqual({ path: '/api/monitor/usage/model-usage?x=1' });
+        });
+
+        it('should send plain HTTP requests through the proxy', async () => {
+            const url = `http://127.0.0.1:${targetPort}/api/monitor/usage/tool-usage`;
+            const res = await send(url, { env: { HTTP_PROXY: `http://127.0.0.1:${proxyPort}` } });
+
+            expect(JSON.parse(res.body)).toEqual({ viaProxy: url });
+            expect(proxied).toContain(url);
+        });
+
+        it('should skip the proxy for NO_PROXY hosts', async () => {
+            const res = await send(`http://127.0.0.1:${targetPort}/direct`, {
+                env: { HTTP_PROXY: `http://127.0.0.1:${proxyPort}`, NO_PROXY: '127.0.0.1' }
+            });
+
+            expect(JSON.parse(res.body)).toEqual({ path: '/direct' });
+        });
+
+        it('should report a failed CONNECT tunnel', async () => {
+            await expect(send('https://api.example.com/api/monitor/usage/quota/limit', {
+                env: { HTTPS_PROXY: `http://127.0.0.1:${proxyPort}` }
+            })).rejects.toMatchObject({ code: 'EPROXYAUTH' });
+        });
+
+        it('should reject unsupported schemes', () => {
+            expect(() => createRequest('ftp://example.com/file', {})).toThrow('Unsupported protocol');
+        });
+    });
+});
@@ -1,11 +1,31 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { calculateQuotaPrediction, collectUsage } from '../scripts/usage-collector.mjs';
+import { calculateQuotaPrediction, collectUsage, collectAllProfiles, getConfiguredProfiles, queryUsage, parseRetryAfter, getBackoffDelay } from '../scripts/usage-collector.mjs';
 import https from 'https';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { EventEmitter } from 'events';
 
 vi.mock('https');
 vi.mock('fs');
+
+// One in-memory plugin; the collector loads plugins once per process
+const pluginHooks = vi.hoisted(() => ({ beforeCollect: null, afterCollect: null, onError: null }));
+vi.mock('../scripts/plugins.mjs', async (importOriginal) => ({
+    ...(await importOriginal()),
+    loadPlugins: async () => ({
+        plugins: [{
+            name: 'test-plugin',
+            timeoutMs: 50,
+            hooks: {
+                beforeCollect: (...args) => pluginHooks.beforeCollect?.(...args),
+                afterCollect: (...args) => pluginHooks.afterCollect?.(...args),
+                onError: (...args) => pluginHooks.onError?.(...args)
+            }
+        }],
+        failed: []
+    })
+}));
 vi.mock('conf', () => {
     return {
         default: class {
@@ -14,7 +34,8 @@ vi.mock('conf', () => {
                 if (key === 'authToken') return 'fake-token';
                 if (key === 'retention') return '24h';
                 if (key === 'activeProfile') return defaultValue || 'default';
-                if (key === 'profiles') return defaultValue || {};
+                if (key === 'profiles') return { team: { authToken: 'team-token', baseUrl: 'https://team.example.com/api/anthropic' }, empty: {} };
+                if (key === 'budgets') return { default: { daily: 5000000 } };
                 return defaultValue !== undefined ? defaultValue : null;
             }
         }
@@ -47,11 +68,83 @@ describe('Usage Collector Script', () => {
 
             const prediction = calculateQuotaPrediction(60, history);
             expect(prediction).toEqual({
+                hoursUntilExhausted: 16,
+                rate: '2.50',
+                model: 'regression',
+                confidence: 0.9,
+                interval: { low: 16, high: 16 },
+                exhaustsAt: new Date(now + 16 * 60 * 60 * 1000).toISOString(),
+                reset: null
+            });
+        });
+
+        it('should say whether the quota runs out before it resets', () => {
+            const now = Date.now();
+            const history = [
+                { timestamp: new Date(now - 4 * 60 * 60 * 1000).toISOString(), tokenQuotaPercent: 50 },
+                { timestamp: new Date(now).toISOString(), tokenQuotaPercent: 60 }
+            ];
+            const reset = { resetsAt: new Date(now + 4 * 60 * 60 * 1000).toISOString(), source: 'quota' };
+
+            // 2.5%/hour for the 4 hours left: 70% at the reset, 10%/hour would be safe
+            expect(calculateQuotaPrediction(60, history, { reset }).reset).toEqual({
+                resetsAt: reset.resetsAt,
+                source: 'quota',
+                hoursUntilReset: 4,
+                exhaustsBeforeReset: false,
+                percentAtReset: 70,
+                percentAtResetInterval: { low: 70, high: 70 },
+                headroomAtReset: 30,
+                safeRate: 10
+            });
+        });
+
+        it('should use the requested forecast model', () => {
+            const now = Date.now();
+            const history = [0, 1, 2, 3].map(hour => ({
+                timestamp: new Date(now - (3 - hour) * 60 * 60 * 1000).toISOString(),
+                tokenQuotaPercent: [10, 12, 14, 20][hour]
+            }));
+
+            const prediction = calculateQuotaPrediction(20, history, { model: 'ewma' });
+            expect(prediction.model).toBe('ewma');
+            // Rates 2, 2, 6 weighted towards the latest: 2 + 0.3 * 4 = 3.2%/hour
+            expect(prediction.rate).toBe('3.20');
+            expect(prediction.hoursUntilExhausted).toBe(25);
+            expect(prediction.interval.low).toBeLessThan(25);
+            expect(prediction.interval.high).toBeGreaterThan(25);
+        });
+
+        it('should ignore gap markers', () => {
+            const now = Date.now();
+            const history = [
+                { timestamp: new Date(now - 4 * 60 * 60 * 1000).toISOString(), tokenQuotaPercent: 50 },
+                { timestamp: new Date(now - 2 * 60 * 60 * 1000).toISOString(), type: 'gap', reason: 'HTTP 503' },
+                { timestamp: new Date(now).toISOString(), tokenQuotaPercent: 60 }
+            ];
+
+            expect(calculateQuotaPrediction(60, history)).toMatchObject({
                 hoursUntilExhausted: 16,
                 rate: '2.50'
             });
         });
 
+        it('should only use the current quota cycle', () => {
+            const now = Date.now();
+            const history = [
+                { timestamp: new Date(now - 4 * 60 * 60 * 1000).toISOString(), tokenQuotaPercent: 70 },
+                { timestamp: new Date(now - 2 * 60 * 60 * 1000).toISOString(), tokenQuotaPercent: 80 },
+                { timestamp: new Date(now - 60 * 60 * 1000).toISOString(), tokenQuotaPercent: 5 },
+                { timestamp: new Date(now).toISOString(), tokenQuotaPercent: 10 }
+            ];
+
+            // 5% → 10% in the hour since the reset; 90% left at 5%/hour
+            expect(calculateQuotaPrediction(10, history)).toMatchObject({
+                hoursUntilExhausted: 18,
+                rate: '5.00'
+            });
+        });
+
         it('should return null if not consuming quota', () => {
             const now = Date.now();
             const history = [
@@ -63,6 +156,80 @@ describe('Usage Collector Script', () => {
         });
     });
 
+    describe('queryUsage retries', () => {
+        /**
+         * Build an https.request mock that answers with the given responses in order
+         */
+        function mockResponses(responses) {
+            let call = 0;
+            return vi.fn((opts, cb) => {
+                const { status, body = {}, headers = {} } = responses[Math.min(call++, responses.length - 1)];
+                const res = new EventEmitter();
+                res.statusCode = status;
+                res.headers = headers;
+                cb(res);
+                res.emit('data', JSON.stringify(body));
+                res.emit('end');
+                return { on: vi.fn(), end: vi.fn() };
+            });
+        }
+
+        it('should retry server errors and succeed', async () => {
+            https.request.mockImplementation(mockResponses([
+                { status: 503 },
+                { status: 502 },
+                { status: 200, body: { data: { ok: true } } }
+            ]));
+            const failures = [];
+
+            const result = await queryUsage('https://api.example.com/x', 'Test', { baseDelayMs: 1, onFailure: f => failures.push(f) });
+
+            expect(result).toEqual({ data: { ok: true } });
+            expect(https.request).toHaveBeenCalledTimes(3);
+            expect(failures).toHaveLength(2);
+            expect(failures[0]).toMatchObject({ endpoint: 'Test', attempt: 1, kind: 'server', status: 503, willRetry: true });
+        });
+
+        it('should fail fast on authentication errors', async () => {
+            https.request.mockImplementation(mockResponses([{ status: 401, body: { msg: 'token expired' } }]));
+            const failures = [];
+
+            await expect(queryUsage('https://api.example.com/x', 'Test', { baseDelayMs: 1, onFailure: f => failures.push(f) }))
+                .rejects.toMatchObject({ kind: 'auth', status: 401 });
+            expect(https.request).toHaveBeenCalledTimes(1);
+            expect(failures[0].willRetry).toBe(false);
+        });
+
+        it('should give up after max attempts', async () => {
+            https.request.mockImplementation(mockResponses([{ status: 500 }]));
+
+            await expect(queryUsage('https://api.example.com/x', 'Test', { baseDelayMs: 1, maxAttempts: 3 }))
+                .rejects.toMatchObject({ kind: 'server' });
+            expect(https.request).toHaveBeenCalledTimes(3);
+        });
+
+        it('should not retry when Retry-After exceeds the limit', async () => {
+            https.request.mockImplementation(mockResponses([{ status: 429, headers: { 'retry-after': '600' } }]));
+
+            await expect(queryUsage('https://api.example.com/x', 'Test', { baseDelayMs: 1 }))
+                .rejects.toMatchObject({ kind: 'rate_limit', retryAfterMs: 600000 });
+            expect(https.request).toHaveBeenCalledTimes(1);
+        });
+
+        it('should parse Retry-After values', () => {
+            expect(parseRetryAfter('5')).toBe(5000);
+            expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', Date.parse('2025-01-01T00:00:00Z'))).toBe(10000);
+            expect(parseRetryAfter(undefined)).toBeNull();
+        });
+
+        it('should back off exponentially with a cap', () => {
+            expect(getBackoffDelay(1, 1000, 30000, () => 1)).toBe(1000);
+            expect(getBackoffDelay(3, 1000, 30000, () => 1)).toBe(4000);
+            expect(getBackoffDelay(10, 1000, 30000, () => 1)).toBe(30000);
+            expect(getBackoffDelay(3, 1000, 30000, () => 0)).toBe(2000);
+        });
+    });
+
     describe('collectUsage', () => {
         it('should collect data and save history', async () => {
             // Mock fs.existsSync to return true for history file check (or false to start fresh)
@@ -77,9 +244,13 @@ describe('Usage Collector Script', () => {
                 res.statusCode = 200;
                 cb(res);
 
-                const data = opts.path.includes('model-usage') ? { data: { totalUsage: { totalModelCallCount: 10, totalTokensUsage: 1000 } } } :
+                const data = opts.path.includes('model-usage') ? { data: { totalUsage: { totalModelCallCount: 10, totalTokensUsage: 1000, modelSummaryList: [{ modelName: 'glm-4.6', modelCallCount: 10, inputTokens: 800, outputTokens: 200 }] } } } :
                     opts.path.includes('tool-usage') ? { data: { totalUsage: { totalSearchMcpCount: 5 } } } :
-                        opts.path.includes('quota/limit') ? { data: { limits: [{ type: 'TOKENS_LIMIT', percentage: 10 }, { type: 'TIME_LIMIT', percentage: 5 }] } } :
+                        opts.path.includes('quota/limit') ? { data: { level: 'pro', limits: [
+                            { type: 'TOKENS_LIMIT', percentage: 10, unit: 3, number: 5, nextResetTime: 1767236400000 },
+                            { type: 'TIME_LIMIT', percentage: 5 },
+                            { type: 'REQUEST_LIMIT', percentage: 20, currentValue: 20, usage: 100 }
+                        ] } } :
                             {};
 
                 res.emit('data', JSON.stringify(data));
@@ -101,6 +272,157 @@ describe('Usage Collector Script', () => {
             expect(savedData.entries).toHaveLength(1);
             expect(savedData.entries[0].modelCalls).toBe(10);
             expect(savedData.entries[0].tokensUsed).toBe(1000);
+            expect(savedData.entries[0].cycleId).toBe(savedData.entries[0].timestamp);
+            expect(savedData.entries[0]).toMatchObject({ tokensDelta: 0, callsDelta: 0, mcpDelta: 0, mcpToolDeltas: {} });
+            expect(savedData.entries[0].tokenQuotaPercent).toBe(10);
+            expect(savedData.entries[0].modelBreakdown['glm-4.6']).toMatchObject({ calls: 10, tokens: 1000, inputTokens: 800, outputTokens: 200 });
+
+            // The window sent to the API is stored with the entry
+            const { queryWindow } = savedData.entries[0];
+            expect(queryWindow.mode).toBe('rolling');
+            expect(https.request.mock.calls[0][0].path).toContain(`startTime=${encodeURIComponent(queryWindow.startTime)}`);
+
+            // Every quota field is kept, including reset times and extra limit types
+            expect(savedData.quotaLimits.level).toBe('pro');
+            expect(savedData.quotaLimits.tokenQuota).toMatchObject({ unit: 3, number: 5, percentage: 10, resetsAt: '2026-01-01T03:00:00.000Z' });
+            expect(savedData.quotaLimits.timeQuota.resetsAt).toBeNull();
+            expect(savedData.quotaLimits.limits[2]).toMatchObject({ type: 'REQUEST_LIMIT', current: 20, max: 100 });
+            expect(savedData.pricing).toMatchObject({ currency: 'USD', models: { 'glm-4.6': { input: 0.6, output: 2.2 } } });
+            expect(savedData.budgets).toEqual([expect.objectContaining({ period: 'daily', limit: 5000000, used: 0, status: 'ok' })]);
+            expect(savedData.collectionLog).toEqual([
+                expect.objectContaining({ status: 'success', failedAttempts: [] })
+            ]);
+
+            // Written to a temp file and renamed into place while holding the lock
+            expect(fs.openSync).toHaveBeenCalledWith(expect.stringContaining('usage-history.json.lock'), 'wx');
+            expect(fs.renameSync).toHaveBeenCalledWith(
+                expect.stringContaining('.tmp'),
+                expect.stringContaining('usage-history.json')
+            );
+        });
+
+        it('should collect every configured profile and isolate failures', async () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+            vi.spyOn(fs, 'mkdirSync').mockImplementation(() => { });
+            vi.spyOn(fs, 'writeFileSync').mockImplementation(() => { });
+
+            // The team profile's token is rejected; the default profile succeeds
+            https.request.mockImplementation((opts, cb) => {
+                const res = new EventEmitter();
+                const team = opts.hostname === 'team.example.com';
+                res.statusCode = team ? 401 : 200;
+                res.headers = {};
+                cb(res);
+                const data = opts.path.includes('model-usage') ? { data: { totalUsage: { totalModelCallCount: 10, totalTokensUsage: 1000 } } } :
+                    opts.path.includes('tool-usage') ? { data: { totalUsage: { totalSearchMcpCount: 5 } } } :
+                        { data: { limits: [] } };
+                res.emit('data', JSON.stringify(team ? { msg: 'token expired or incorrect' } : data));
+                res.emit('end');
+                return { on: vi.fn(), end: vi.fn() };
+            });
+
+            expect(getConfiguredProfiles()).toEqual(['default', 'team']);
+
+            const results = await collectAllProfiles({ exitOnError: false });
+            expect(results.map(r => r.profile)).toEqual(['default', 'team']);
+            expect(results[0].entry.tokensUsed).toBe(1000);
+            expect(results[1].error.kind).toBe('auth');
+
+            // Each profile sends its own token and writes its own history file
+            const tokens = https.request.mock.calls.map(([opts]) => opts.headers.Authorization);
+            expect(new Set(tokens)).toEqual(new Set(['fake-token', 'team-token']));
+            // Atomic writes rename each temp file into place right after writing it
+            const written = fs.renameSync.mock.calls.map(([, file], index) => [file, JSON.parse(fs.writeFileSync.mock.calls[index][1])]);
+            const [, defaultData] = written.find(([file]) => /[\\/]usage-history\.json$/.test(file));
+            const [, teamData] = written.find(([file]) => /[\\/]team-usage-history\.json$/.test(file));
+            expect(defaultData.entries).toEqual([expect.objectContaining({ tokensUsed: 1000 })]);
+            expect(teamData.entries).toEqual([expect.objectContaining({ type: 'gap', errorKind: 'auth' })]);
+            expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('[team] '));
+        });
+
+        it('should run plugin hooks without letting them break collection', async () => {
+            vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+            vi.spyOn(fs, 'mkdirSync').mockImplementation(() => { });
+            vi.spyOn(fs, 'writeFileSync').mockImplementation(() => { });
+            https.request.mockImplementation((opts, cb) => {
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                cb(res);
+                const data = opts.path.includes('model-usage') ? { data: { totalUsage: { totalModelCallCount: 10, totalTokensUsage: 1000 } } } :
+                    opts.path.includes('tool-usage') ? { data: { totalUsage: { totalSearchMcpCount: 5 } } } :
+                        { data: { limits: [] } };
+                res.emit('data', JSON.stringify(data));
+                res.emit('end');
+                return { on: vi.fn(), end: vi.fn() };
+            });
+
+            const seen = [];
+            pluginHooks.beforeCollect = (context) => {
+                seen.push(['before', context.profile, context.window.mode]);
+                return { branch: 'main' };
+            };
+            pluginHooks.afterCollect = (entry, history) => {
+                seen.push(['after', entry.tags, Array.isArray(history.entries)]);
+                throw new Error('metrics push failed');
+            };
+
+            try {
+                const entry = await collectUsage({ exitOnError: false });
+                expect(entry.tags).toEqual({ branch: 'main' });
+            } finally {
+                pluginHooks.beforeCollect = null;
+                pluginHooks.afterCollect = null;
+            }
+
+            expect(seen).toEqual([['before', 'default', 'rolling'], ['after', { branch: 'main' }, true]]);
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Plugin test-plugin afterCollect failed: metrics push failed'));
+        });
+
+        it('should summarize raw entries before pruning them past retention', async () => {
+            // Keep written files in memory so the rollup reads what the collection wrote
+            const files = new Map();
+            const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+            files.set(path.join(os.homedir(), '.glm-monitor', 'usage-history.json'), JSON.stringify({
+                entries: [
+                    { timestamp: hoursAgo(26), modelCalls: 4, tokensUsed: 400, mcpCalls: 0, tokenQuotaPercent: 4, timeQuotaPercent: 1, mcpToolBreakdown: {}, tokensDelta: 0, callsDelta: 0, mcpDelta: 0 },
+                    { timestamp: hoursAgo(25.5), modelCalls: 6, tokensUsed: 600, mcpCalls: 0, tokenQuotaPercent: 6, timeQuotaPercent: 1, mcpToolBreakdown: {}, tokensDelta: 200, callsDelta: 2, mcpDelta: 0 }
+                ]
+            }));
+            vi.spyOn(fs, 'existsSync').mockImplementation(file => files.has(file));
+            vi.spyOn(fs, 'readFileSync').mockImplementation(file => files.get(file));
+            // Temp files are written through a descriptor; use the path as one
+            vi.spyOn(fs, 'openSync').mockImplementation(file => file);
+            vi.spyOn(fs, 'writeFileSync').mockImplementation((file, data) => files.set(file, data));
+            vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+                files.set(to, files.get(from));
+                files.delete(from);
+            });
+            vi.spyOn(fs, 'mkdirSync').mockImplementation(() => { });
+            https.request.mockImplementation((opts, cb) => {
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                cb(res);
+                const data = opts.path.includes('model-usage') ? { data: { totalUsage: { totalModelCallCount: 10, totalTokensUsage: 1000 } } } :
+                    opts.path.includes('tool-usage') ? { data: { totalUsage: { totalSearchMcpCount: 0 } } } :
+                        { data: { limits: [] } };
+                res.emit('data', JSON.stringify(data));
+                res.emit('end');
+                return { on: vi.fn(), end: vi.fn() };
+            });
+
+            try {
+                await collectUsage({ exitOnError: false });
+            } finally {
+                // Spying on the automocked fs keeps these implementations past restoreAllMocks
+                [fs.existsSync, fs.readFileSync, fs.openSync, fs.writeFileSync, fs.renameSync].forEach(mock => mock.mockReset());
+            }
+
+            const read = name => JSON.parse(files.get(path.join(os.homedir(), '.glm-monitor', name)));
+            // Both entries are past the 24h retention: pruned, but only once summarized
+            expect(read('usage-history.json').entries).toEqual([expect.objectContaining({ tokensUsed: 1000, tokensDelta: 400 })]);
+            const hourly = read('usage-summary.json').summaries.filter(s => s.resolution === 'hour');
+            expect(hourly.reduce((sum, s) => sum + s.entryCount, 0)).toBe(2);
+            expect(hourly.reduce((sum, s) => sum + s.deltas.tokensUsed, 0)).toBe(200);
         });
 
         it('should handle collection failure gracefully', async () => {
@@ -116,10 +438,21 @@ describe('Usage Collector Script', () => {
             });
             https.request.mockImplementation(mockRequest);
 
+            const onError = vi.fn();
+            pluginHooks.onError = onError;
             try { await collectUsage(); } catch (e) { }
+            pluginHooks.onError = null;
 
             expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Collection failed'));
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ kind: 'network' }), expect.objectContaining({ profile: 'default' }));
             expect(exitSpy).toHaveBeenCalledWith(1);
+
+            // The failed run is still recorded for reliability reporting
+            const savedData = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
+            expect(savedData.collectionLog[0]).toMatchObject({ status: 'failed', kind: 'network', error: 'Network error' });
+            expect(savedData.entries).toEqual([
+                expect.objectContaining({ type: 'gap', reason: 'Network error', errorKind: 'network' })
+            ]);
         });
     });
 });
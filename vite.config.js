@@ -0,0 +1,34 @@
+import { defineConfig } from 'vite';
+
+/**
+ * Serve the dashboard's data from the history store, as `glm-monitor start`
+ * does, so the dev server shows the active profile with every storage backend
+ */
+function historyData() {
+    return {
+        name: 'glm-monitor-history',
+        // Loaded here so builds don't touch the config store
+        async configureServer(server) {
+            const { withHistoryStore } = await import('./scripts/history-store.mjs');
+            server.middlewares.use('/data/usage-history.json', (req, res) => {
+                let history = null;
+                try {
+                    history = withHistoryStore(store => (store.exists() ? store.readHistory() : null));
+                } catch (err) {
+                    console.error(`Failed to read usage history: ${err.message}`);
+                }
+                if (!history) {
+                    res.statusCode = 404;
+                    res.end('Data not found');
+                    return;
+                }
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(history));
+            });
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [historyData()]
+});